@@ -0,0 +1,58 @@
+// Vite plugin that builds the service worker: it lists every file of the build
+// (hashed bundles, index.html and the public folder) with a content hash, and
+// writes src/sw.js to the output as sw.js with that manifest filled in. Any
+// change to the app therefore changes sw.js, which is how browsers notice a
+// new version.
+
+import { readFileSync, readdirSync, statSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import path from 'node:path';
+
+const SOURCE = 'src/sw.js';
+const FILE_NAME = 'sw.js';
+
+const contentHash = (content) => createHash('sha256').update(content).digest('hex').slice(0, 12);
+
+/**
+ * @param {string} dir
+ * @returns {string[]} Paths relative to `dir`, with forward slashes
+ */
+function listFiles(dir) {
+  return readdirSync(dir).flatMap((name) => {
+    const full = path.join(dir, name);
+    return statSync(full).isDirectory()
+      ? listFiles(full).map((child) => `${name}/${child}`)
+      : [name];
+  });
+}
+
+/** @returns {import('vite').Plugin} */
+export default function serviceWorkerPlugin() {
+  let config;
+  return {
+    name: 'yourfit-service-worker',
+    apply: 'build',
+    // After Vite's own plugins, so index.html is already in the bundle.
+    enforce: 'post',
+    configResolved(resolved) {
+      config = resolved;
+    },
+    generateBundle(_options, bundle) {
+      const manifest = Object.values(bundle)
+        .filter((file) => !file.fileName.endsWith('.map'))
+        .map((file) => ({ url: file.fileName, revision: contentHash(file.type === 'chunk' ? file.code : file.source) }));
+
+      if (config.publicDir) {
+        listFiles(config.publicDir)
+          .filter((file) => file !== FILE_NAME)
+          .forEach((file) => manifest.push({ url: file, revision: contentHash(readFileSync(path.join(config.publicDir, file))) }));
+      }
+      manifest.sort((a, b) => a.url.localeCompare(b.url));
+
+      const source = readFileSync(path.resolve(config.root, SOURCE), 'utf8')
+        .replace('self.__PRECACHE_MANIFEST', JSON.stringify(manifest))
+        .replace('self.__BUILD_VERSION', JSON.stringify(contentHash(JSON.stringify(manifest))));
+      this.emitFile({ type: 'asset', fileName: FILE_NAME, source });
+    },
+  };
+}
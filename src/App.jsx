@@ -1,328 +1,313 @@
-import React, { useState, useEffect, useMemo } from "react";
-import { motion, AnimatePresence } from "framer-motion";
-import { Upload, ChevronLeft, ChevronRight, Shirt, Home, PlusSquare, Settings, Sun, Moon, Palette, X, Trash2 } from "lucide-react";
-
-// --- PWA SETUP ---
-const useServiceWorker = () => {
-  useEffect(() => {
-    if ('serviceWorker' in navigator) {
-      window.addEventListener('load', () => {
-        navigator.serviceWorker.register('/service-worker.js')
-          .then(registration => {
-            console.log('Service Worker registered: ', registration);
-          })
-          .catch(registrationError => {
-            console.log('Service Worker registration failed: ', registrationError);
-          });
-      });
-    }
-  }, []);
-};
-
-
-// --- TYPES & CONSTANTS ---
-const CATEGORIES = ["hat", "top", "bottom", "shoes"];
+import React, { useState, useEffect, useMemo, useRef, useCallback, useReducer } from "react";
+import { loadWardrobe, releaseClothingItem, requestPersistentStorage, describeStorageError, saveSessionDraft, takeSessionDraft } from "./storage";
+import { backfillItems, usePhotoIntake } from "./photoIntake";
+import { sortByLayer, getCategory } from "./categories";
+import { createBackup } from "./backup";
+import { importWardrobe, reloadWardrobe, syncWithDevice, transferItems } from "./wardrobeExchange";
+import { computeWearStats } from "./wearLog";
+import { outfitTitle } from "./outfits";
+import { planItemDeletion } from "./trash";
+import { onUpdateAvailable, applyUpdate } from "./serviceWorkerRegistration";
+import { hasSharedFiles, takeSharedFiles } from "./shareTarget";
+import { useHashRoute } from "./router";
+import { wardrobeReducer, actions, INITIAL_WARDROBE, categorizeClothes, selectCreatorItems, neighbourOutfit } from "./wardrobeStore";
+import { createPersistence } from "./persistence";
+import { useSettings, ACCENT_COLORS } from "./settings";
+import { useUndoShortcuts } from "./undoShortcuts";
+import { WEATHER_SOURCES } from "./weather";
+import { connectPeer } from "./peerTransport";
+import AppHeader from "./components/AppHeader";
+import StatusBanners from "./components/StatusBanners";
+import CurrentView from "./components/CurrentView";
+import ViewNav from "./components/ViewNav";
+import ItemDetailSheet from "./components/ItemDetailSheet";
+import ConfirmDialog from "./components/ConfirmDialog";
+import DeletionPreview from "./components/DeletionPreview";
+import UndoToast from "./components/UndoToast";
+import CameraCapture from "./components/CameraCapture";
+import ShareOutfitSheet from "./components/ShareOutfitSheet";
+import SettingsPanel from "./components/SettingsPanel";
+
+// --- TYPES ---
 /**
- * @typedef {"hat" | "top" | "bottom" | "shoes"} Category
+ * Id of a category in the registry (see categories.js), e.g. "top".
+ * @typedef {string} Category
  */
 
 /**
+ * Items also carry the descriptive fields of `ItemMetadata` (itemMetadata.js).
  * @typedef {Object} ClothingItem
  * @property {string} id
- * @property {string} image
+ * @property {string} image Object URL for `blob`, only valid for this session
+ * @property {string} thumb Object URL for `thumbBlob`, only valid for this session
+ * @property {Blob} blob Full-size image, only shown in the outfit viewer
+ * @property {Blob} thumbBlob Small image for grids and carousels
  * @property {Category} type
  */
 
 /**
+ * Outfits reference clothing items by id, keyed by category. Categories that
+ * were left empty (or replaced, like top/bottom by a dress) have no entry.
+ * They also carry the fields of `OutfitDetails` (outfits.js).
  * @typedef {Object} Outfit
  * @property {string} id
- * @property {ClothingItem | undefined} hat
- * @property {ClothingItem} top
- * @property {ClothingItem} bottom
- * @property {ClothingItem | undefined} shoes
- */
-
-/**
- * @typedef {'light' | 'dark'} Theme
- */
-/**
- * @typedef {'blue' | 'pink' | 'green' | 'purple' | 'orange'} AccentColor
+ * @property {Record<Category, string>} items
+ * @property {import('./outfitLayout').OutfitLayout | null} [layout] Where the pieces go when arranged; stacked head to toe without one
  */
 
-const ACCENT_COLORS = {
-  blue: 'hsl(221.2 83.2% 53.3%)',
-  pink: 'hsl(346.8 77.2% 49.8%)',
-  green: 'hsl(142.1 76.2% 36.3%)',
-  purple: 'hsl(262.1 83.3% 57.8%)',
-  orange: 'hsl(24.6 95% 53.1%)'
-};
-
-// --- HELPER FUNCTIONS ---
+// --- MAIN APP COMPONENT ---
 
 /**
- * @param {number} len
- * @param {number} current
- * @param {number} delta
- * @returns {number}
+ * One profile's wardrobe. Mounted again (see Root.jsx) when the profile
+ * changes, so everything below is read from that profile's storage.
+ * @param {{ profile: import('./profiles').Profile, otherProfiles: import('./profiles').Profile[], profileSection: React.ReactNode }} props
+ *   `profileSection` is the profile switcher shown in settings
  */
-const nextIndex = (len, current, delta) => {
-  if (len <= 0) return 0;
-  const safeCurrent = Number.isFinite(current) ? current : 0;
-  return (safeCurrent + delta + len) % len;
-};
+export default function App({ profile, otherProfiles, profileSection }) {
+  const profileId = profile.id;
+  // --- STATE MANAGEMENT ---
+  // Clothes, outfits, wear log, trash, the classifier queue, the creator and undo history (see wardrobeStore.js).
+  const [wardrobe, dispatch] = useReducer(wardrobeReducer, INITIAL_WARDROBE);
+  const { clothes, outfits: savedOutfits, wearLog, trash, pendingFiles, creator, history, toast } = wardrobe;
+  const [errorMessage, setErrorMessage] = useState(null);
+  // Whether the error shown is a failed save, which can be tried again.
+  const [isSaveFailed, setIsSaveFailed] = useState(false);
+  const [persistence] = useState(() => createPersistence({
+    profileId,
+    onError: (error, collection) => {
+      console.error(`Failed to save ${collection}`, error);
+      setErrorMessage(describeStorageError(error));
+      setIsSaveFailed(true);
+    },
+  }));
+  // Theme, accent colour, laundry, weather source, sync and categories (see settings.js).
+  const settings = useSettings(profileId);
+  const { theme, accentColor, categories, laundryAfter, weatherSource } = settings;
+  // { kind: 'item' | 'outfit', id, donated? } waiting for the user to confirm.
+  const [pendingDelete, setPendingDelete] = useState(null);
+
+  // The view, the open outfit and item, and whether settings are open live in the URL hash.
+  const { route, view: currentView, navigate, goBack } = useHashRoute();
+  const [isUpdateAvailable, setIsUpdateAvailable] = useState(false);
+  const [isCameraOpen, setIsCameraOpen] = useState(false);
+  const [sharingOutfitId, setSharingOutfitId] = useState(null);
+
+  const sortedCategories = useMemo(() => sortByLayer(categories), [categories]);
+  const categoryIds = useMemo(() => sortedCategories.map(cat => cat.id), [sortedCategories]);
+
+  // --- PERSISTENCE ---
+  useEffect(() => {
+    let cancelled = false;
+    // A missing draft must never keep the wardrobe from loading.
+    const draftPromise = takeSessionDraft(profileId).catch(error => {
+      console.warn("Could not restore the previous session", error);
+      return null;
+    });
+    Promise.all([loadWardrobe(profileId), draftPromise])
+      .then(([stored, draft]) => {
+        if (cancelled) {
+          stored.clothes.forEach(releaseClothingItem);
+          stored.trash.forEach(entry => releaseClothingItem(entry.item));
+          draft?.pendingFiles.forEach(file => { releaseClothingItem(file); releaseClothingItem(file.original); });
+          return;
+        }
+        const load = actions.load(stored, draft?.pendingFiles);
+        load.expired.forEach(entry => releaseClothingItem(entry.item));
+        // Expired entries count as stored, so the first save deletes them.
+        persistence.reset({ ...load, trash: stored.trash });
+        dispatch(load);
+        if (draft) dispatch(actions.restoreCreator(draft.creator, startup.current.sortedCategories));
+        requestPersistentStorage();
+        startup.current.backfillItems(load.clothes);
+        if (hasSharedFiles()) {
+          takeSharedFiles()
+            .then(files => startup.current.addPhotos(files))
+            .catch(error => {
+              console.error("Failed to receive shared photos", error);
+              setErrorMessage("The shared photos could not be added.");
+            });
+        }
+      })
+      .catch(error => {
+        if (cancelled) return;
+        console.error("Failed to load wardrobe from IndexedDB", error);
+        setErrorMessage(`Your wardrobe could not be loaded: ${error.message}`);
+      });
+    return () => { cancelled = true; };
+  }, [profileId, persistence]);
+
+  // Switching profiles unmounts the app, and its images go with it.
+  const wardrobeRef = useRef(wardrobe);
+  useEffect(() => { wardrobeRef.current = wardrobe; }, [wardrobe]);
+  useEffect(() => () => {
+    const { clothes: loadedClothes, trash: loadedTrash, pendingFiles: loadedFiles } = wardrobeRef.current;
+    loadedClothes.forEach(releaseClothingItem);
+    loadedTrash.forEach(entry => releaseClothingItem(entry.item));
+    loadedFiles.forEach(file => { releaseClothingItem(file); releaseClothingItem(file.original); });
+  }, []);
 
-// --- MAIN APP COMPONENT ---
+  // Writes only what changed; see persistence.js.
+  useEffect(() => {
+    if (wardrobe.isLoaded) persistence.save({ clothes, outfits: savedOutfits, wearLog, trash });
+  }, [persistence, wardrobe.isLoaded, clothes, savedOutfits, wearLog, trash]);
 
-export default function App() {
-  useServiceWorker();
+  const dismissError = () => { setErrorMessage(null); setIsSaveFailed(false); };
 
-  // --- STATE MANAGEMENT ---
-  const [clothes, setClothes] = useState(() => {
-    try {
-      const saved = localStorage.getItem('yourfit-clothes');
-      return saved ? JSON.parse(saved) : [];
-    } catch (error) {
-      console.error("Failed to parse clothes from localStorage", error);
-      return [];
-    }
-  });
+  // Writes whatever didn't make it last time; a new failure shows the error again.
+  const retrySave = () => {
+    dismissError();
+    persistence.save({ clothes, outfits: savedOutfits, wearLog, trash });
+  };
+
+  // --- APP UPDATES ---
+  useEffect(() => onUpdateAvailable(() => setIsUpdateAvailable(true)), []);
 
-  const [savedOutfits, setSavedOutfits] = useState(() => {
+  // The new version only takes over after a reload, so unsaved work goes to
+  // IndexedDB first and is picked up again by the load above.
+  const reloadForUpdate = async () => {
+    const { lockedParts, editingOutfitId, details, layout } = creator;
+    const items = selectCreatorItems(sortedCategories, categorizeClothes(clothes, sortedCategories), creator.partIndexes);
     try {
-      const saved = localStorage.getItem('yourfit-outfits');
-      return saved ? JSON.parse(saved) : [];
+      await saveSessionDraft({ pendingFiles, creator: { items, lockedParts, editingOutfitId, details, layout } }, profileId);
     } catch (error) {
-      console.error("Failed to parse outfits from localStorage", error);
-      return [];
+      console.error("Failed to save the session before updating", error);
+      setErrorMessage(`The update was postponed because your unsaved work could not be kept: ${error.message}`);
+      return;
     }
-  });
-
-  const [pendingFiles, setPendingFiles] = useState([]);
-  const [currentView, setCurrentView] = useState('home');
-  const [outfitIndex, setOutfitIndex] = useState(0);
-  const [partIndexes, setPartIndexes] = useState({ hat: 0, top: 0, bottom: 0, shoes: 0 });
-  const [animationDirection, setAnimationDirection] = useState(0);
-
-  // Settings State
-  const [isSettingsOpen, setIsSettingsOpen] = useState(false);
-  const [theme, setTheme] = useState(() => localStorage.getItem('yourfit-theme') || 'light');
-  const [accentColor, setAccentColor] = useState(() => localStorage.getItem('yourfit-color') || 'blue');
+    applyUpdate();
+  };
 
-  // --- PERSISTENCE & THEME ---
-  useEffect(() => {
-    localStorage.setItem('yourfit-clothes', JSON.stringify(clothes));
+  // --- DERIVED STATE & MEMOIZED VALUES ---
+  const clothesById = useMemo(() => new Map(clothes.map(item => [item.id, item])), [clothes]);
+
+  const wearStats = useMemo(() => computeWearStats(wearLog), [wearLog]);
+
+  // What the share sheet draws: the outfit's pieces head to toe.
+  const outfitShare = useMemo(() => {
+    const index = savedOutfits.findIndex(outfit => outfit.id === sharingOutfitId);
+    if (index < 0) return null;
+    const outfit = savedOutfits[index];
+    const pieces = sortByLayer(Object.keys(outfit.items).map(id => getCategory(categories, id)))
+      .map(cat => clothesById.get(outfit.items[cat.id]))
+      .filter(Boolean);
+    return { outfit, title: outfitTitle(outfit, index), pieces };
+  }, [savedOutfits, sharingOutfitId, categories, clothesById]);
+
+  const detailItemId = route.name === 'item' ? route.id : null;
+
+  const itemCounts = useMemo(() => {
+    const counts = {};
+    clothes.forEach(item => { counts[item.type] = (counts[item.type] || 0) + 1; });
+    return counts;
   }, [clothes]);
 
-  useEffect(() => {
-    localStorage.setItem('yourfit-outfits', JSON.stringify(savedOutfits));
-  }, [savedOutfits]);
-  
-  useEffect(() => {
-    document.documentElement.classList.toggle('dark', theme === 'dark');
-    localStorage.setItem('yourfit-theme', theme);
-  }, [theme]);
-  
-  useEffect(() => {
-    document.documentElement.style.setProperty('--accent-color', ACCENT_COLORS[accentColor]);
-    localStorage.setItem('yourfit-color', accentColor);
-  }, [accentColor]);
+  // --- UNDO / REDO ---
 
-  // --- DERIVED STATE & MEMOIZED VALUES ---
-  const categorizedClothes = useMemo(() => {
-    const result = { hat: [], top: [], bottom: [], shoes: [] };
-    clothes.forEach(item => {
-      if (result[item.type]) {
-        result[item.type].push(item);
-      }
-    });
-    result.hat.unshift({ id: 'no-hat', image: '', type: 'hat' });
-    return result;
-  }, [clothes]);
+  const undo = () => {
+    const entry = history.past[history.past.length - 1];
+    if (!entry) return;
+    dispatch(actions.undo());
+    if (entry.undoView) navigate({ name: entry.undoView });
+  };
 
-  const canSaveOutfit = useMemo(() => {
-    const hasTop = categorizedClothes.top.length > 0;
-    const hasBottom = categorizedClothes.bottom.length > 0;
-    const currentTop = categorizedClothes.top[partIndexes.top];
-    const currentBottom = categorizedClothes.bottom[partIndexes.bottom];
+  const redo = () => dispatch(actions.redo());
 
-    return hasTop && hasBottom && currentTop && currentBottom;
-  }, [categorizedClothes, partIndexes]);
+  const dismissToast = useCallback(() => dispatch(actions.dismissToast()), []);
+
+  useUndoShortcuts(undo, redo);
 
   // --- CORE LOGIC ---
-  const handleFileUpload = (event) => {
-    const files = event.target.files;
-    if (!files) return;
-
-    const newFiles = Array.from(files).map(file => {
-      return new Promise((resolve) => {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-          resolve({ id: `pending-${Date.now()}-${Math.random()}`, image: e.target?.result });
-        };
-        reader.readAsDataURL(file);
-      });
-    });
 
-    Promise.all(newFiles).then(processedFiles => {
-      setPendingFiles(prev => [...prev, ...processedFiles]);
-      setCurrentView('classifier');
-    });
-    event.target.value = "";
-  };
-  
-  const classifyPendingFile = (category) => {
-    if (pendingFiles.length === 0) return;
-    const [first, ...rest] = pendingFiles;
-    setClothes(prev => [...prev, { ...first, id: `cloth-${Date.now()}`, type: category }]);
-    setPendingFiles(rest);
-    if (rest.length === 0) {
-      setCurrentView('wardrobe');
-    }
+  const { processingCount, addPhotos: processPhotos } = usePhotoIntake({ dispatch, categoryIds, profileId, onError: setErrorMessage });
+
+  /**
+   * Adds photos to the classifier queue and shows it.
+   * @param {File[]} files
+   * @param {{ category?: Category }} [options] The category camera photos were framed for
+   */
+  const addPhotos = (files, options) => {
+    if (files.length === 0) return;
+    navigate({ name: 'classifier' });
+    processPhotos(files, options);
   };
 
-  const saveOutfit = () => {
-    const newOutfit = { id: `outfit-${Date.now()}` };
-    
-    CATEGORIES.forEach(cat => {
-      const items = categorizedClothes[cat];
-      if (items.length > 0) {
-        const currentIndex = partIndexes[cat];
-        const selectedItem = items[currentIndex];
-        if (cat === 'hat' && selectedItem.id === 'no-hat') return;
-        newOutfit[cat] = selectedItem;
-      }
-    });
+  // For the startup effect, which runs once but needs these as they are now.
+  const startup = useRef(null);
+  startup.current = { addPhotos, sortedCategories, backfillItems: (items) => backfillItems(items, dispatch) };
 
-    if (newOutfit.top && newOutfit.bottom) {
-      setSavedOutfits(prev => [...prev, newOutfit]);
-      setPartIndexes({ hat: 0, top: 0, bottom: 0, shoes: 0 });
-      setCurrentView('home');
-      setOutfitIndex(savedOutfits.length);
-    } else {
-      console.warn("Cannot save outfit without a top and bottom.");
+  // The carousel moves on to the next outfit, as it did before outfits had routes.
+  const deleteOutfit = (id) => {
+    const neighbour = neighbourOutfit(savedOutfits, id);
+    dispatch(actions.deleteOutfit(id));
+    if (route.name === 'outfit' && route.id === id) {
+      navigate(neighbour ? { name: 'outfit', id: neighbour.id } : { name: 'home' }, { replace: true });
     }
   };
-  
-  const deleteClothingItem = (id) => {
-    setClothes(prev => prev.filter(item => item.id !== id));
-    setSavedOutfits(prev => prev.map(outfit => {
-      const newOutfit = {...outfit};
-      let changed = false;
-      for (const key in newOutfit) {
-        if (typeof newOutfit[key] === 'object' && newOutfit[key]?.id === id) {
-          delete newOutfit[key];
-          changed = true;
-        }
-      }
-      return changed ? newOutfit : outfit;
-    }).filter(o => o.top && o.bottom));
-  }
-  
-  const deleteOutfit = (id) => {
-      setSavedOutfits(prev => prev.filter(outfit => outfit.id !== id));
-      if (outfitIndex >= savedOutfits.length - 1) {
-          setOutfitIndex(Math.max(0, savedOutfits.length - 2));
-      }
-  }
-
-  const changePart = (cat, delta) => {
-    setAnimationDirection(delta);
-    setPartIndexes(prev => ({
-      ...prev,
-      [cat]: nextIndex(categorizedClothes[cat].length, prev[cat], delta)
-    }));
+
+  const confirmPendingDelete = () => {
+    if (pendingDelete?.kind === 'item') {
+      dispatch(actions.deleteItem(pendingDelete.id, categories, { donated: pendingDelete.donated }));
+      // Donations come from the stats, which stay open.
+      if (!pendingDelete.donated) goBack({ name: currentView });
+    } else if (pendingDelete?.kind === 'outfit') {
+      deleteOutfit(pendingDelete.id);
+    }
+    setPendingDelete(null);
   };
 
-  const changeOutfit = (delta) => {
-    setAnimationDirection(delta);
-    setOutfitIndex(prev => nextIndex(savedOutfits.length, prev, delta));
+  const copyToProfile = async (ids, targetId, move) => {
+    const target = otherProfiles.find(p => p.id === targetId);
+    const items = ids.map(id => clothesById.get(id)).filter(Boolean);
+    if (!target || items.length === 0) return;
+    try {
+      await transferItems({ items, target, move, categories, dispatch });
+    } catch (error) {
+      console.error(`Failed to copy items to ${target.name}`, error);
+      setErrorMessage(describeStorageError(error));
+    }
   };
 
+  /**
+   * @param {import('./peerSync').SyncChannel} channel
+   * @param {(progress: import('./peerSync').SyncProgress) => void} onProgress
+   */
+  const syncDevice = (channel, onProgress) => syncWithDevice({
+    channel,
+    onProgress,
+    profileId,
+    persistence,
+    reload: () => reloadWardrobe({ profileId, wardrobe: wardrobeRef.current, persistence, dispatch }),
+  });
 
-  // --- UI COMPONENTS ---
-  const slideVariants = {
-    enter: (direction) => ({ x: direction > 0 ? '100%' : '-100%', opacity: 0, scale: 0.9 }),
-    center: { x: 0, opacity: 1, scale: 1 },
-    exit: (direction) => ({ x: direction < 0 ? '100%' : '-100%', opacity: 0, scale: 0.9 }),
+  const deleteForever = (entries) => {
+    entries.forEach(entry => releaseClothingItem(entry.item));
+    dispatch(actions.deleteForever(entries.map(entry => entry.id)));
   };
 
-  const UploadButton = ({ isPrimary = false }) => (
-    <label className={`
-      relative flex items-center justify-center gap-2 cursor-pointer transition-all w-full
-      rounded-xl text-sm font-semibold h-12
-      ${isPrimary
-        ? 'bg-accent text-white hover:opacity-90'
-        : 'bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600'
-      }`}
-    >
-      <Upload size={18} /> Upload Clothes
-      <input type="file" accept="image/*" multiple onChange={handleFileUpload} className="hidden" />
-    </label>
-  );
+  const exportWardrobe = () => createBackup({
+    clothes,
+    outfits: savedOutfits,
+    wearLog,
+    settings: { theme, accentColor, categories, laundryAfter, weatherSource },
+  });
 
-  const renderCurrentView = () => {
-    if (clothes.length === 0 && pendingFiles.length === 0) {
-      return (
-        <div className="flex flex-col items-center justify-center h-full text-center p-8">
-            <motion.div initial={{ scale: 0.5, opacity: 0 }} animate={{ scale: 1, opacity: 1 }} transition={{ type: 'spring', delay: 0.2 }}>
-              <Shirt size={80} className="text-accent mb-4" strokeWidth={1.5} />
-            </motion.div>
-            <h2 className="text-2xl font-bold mb-2">Welcome to YourFit</h2>
-            <p className="text-gray-500 dark:text-gray-400 mb-6 max-w-sm">
-                Start building your virtual wardrobe. Upload photos of your clothes to begin creating outfits.
-            </p>
-            <UploadButton isPrimary={true} />
-        </div>
-      );
-    }
-    
-    switch(currentView) {
-      case 'classifier':
-        const currentFile = pendingFiles[0];
-        if (!currentFile) return null;
-        return (
-          <ClassifierScreen key={currentFile.id} file={currentFile} onClassify={classifyPendingFile} remaining={pendingFiles.length - 1} />
-        );
-        
-      case 'wardrobe':
-        return (
-          <WardrobeScreen
-            clothes={clothes}
-            onDeleteItem={deleteClothingItem}
-            onCreateOutfit={() => setCurrentView('creator')}
-            UploadButton={<UploadButton />}
-          />
-        );
-
-      case 'creator':
-        return (
-          <OutfitCreator
-            categorizedClothes={categorizedClothes}
-            partIndexes={partIndexes}
-            onChangePart={changePart}
-            onSave={saveOutfit}
-            canSave={canSaveOutfit}
-            animationDirection={animationDirection}
-            slideVariants={slideVariants}
-          />
-        );
-
-      case 'home':
-      default:
-        return (
-            <HomeScreen
-              savedOutfits={savedOutfits}
-              outfitIndex={outfitIndex}
-              onChangeOutfit={changeOutfit}
-              onCreateNew={() => setCurrentView('creator')}
-              onDeleteOutfit={deleteOutfit}
-              animationDirection={animationDirection}
-              slideVariants={slideVariants}
-            />
-        );
-    }
+  /**
+   * @param {import('./backup').BackupContents} backup
+   * @param {'merge' | 'replace'} mode
+   */
+  const importBackup = async (backup, mode) => {
+    const { summary, settings: imported } = await importWardrobe({
+      backup,
+      mode,
+      wardrobe: { clothes, outfits: savedOutfits, wearLog },
+      categories,
+      accentColors: Object.keys(ACCENT_COLORS),
+      dispatch,
+    });
+    settings.applySettings(imported);
+    return summary;
   };
-  
+
   return (
     <div className="font-sans bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-100 h-screen w-full flex flex-col antialiased">
       <style>{`
@@ -331,286 +316,121 @@ export default function App() {
         .bg-accent { background-color: var(--accent-color); }
         .ring-current { --tw-ring-color: var(--accent-color); }
       `}</style>
-      
-      <header className="flex items-center justify-between px-4 py-2 w-full flex-shrink-0">
-        <h1 className="text-xl font-bold tracking-tight flex items-center gap-1">
-            <Shirt className="text-accent" /> Your<span className="font-light">Fit</span>
-        </h1>
-        <motion.button whileTap={{ scale: 0.9 }} onClick={() => setIsSettingsOpen(true)} className="p-1 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors text-gray-500 dark:text-gray-400">
-            <Settings size={20} />
-        </motion.button>
-      </header>
-        
-      {/* SOLVED: Added min-h-0 to prevent flexbox from collapsing on mobile */}
-      <main className="flex-1 p-1 pt-0 min-h-0">
-        <div className="bg-white dark:bg-gray-800/50 w-full h-full rounded-3xl shadow-sm overflow-hidden relative">
-          <AnimatePresence mode="wait">
-            <motion.div
-              key={currentView}
-              initial={{ opacity: 0, scale: 0.98 }}
-              animate={{ opacity: 1, scale: 1 }}
-              exit={{ opacity: 0, scale: 0.98 }}
-              transition={{ duration: 0.2 }}
-              className="w-full h-full"
-            >
-              {renderCurrentView()}
-            </motion.div>
-          </AnimatePresence>
-        </div>
-      </main>
-
-      <nav className="flex-shrink-0 px-2 py-4 flex justify-around items-center w-full max-w-md mx-auto">
-        {(['home', 'wardrobe', 'creator']).map((view) => {
-            const isActive = currentView === view;
-            const Icon = { home: Home, wardrobe: Shirt, creator: PlusSquare }[view];
-            return (
-                <button
-                    key={view}
-                    onClick={() => setCurrentView(view)}
-                    className={`flex flex-col items-center gap-1 transition-colors p-1 rounded-lg ${isActive ? 'text-accent' : 'text-gray-400 hover:text-gray-600 dark:hover:text-gray-300'}`}
-                >
-                    <Icon size={20} strokeWidth={isActive ? 2.5 : 2} />
-                    <span className={`text-xs font-bold ${isActive ? 'text-accent' : 'text-gray-500'}`}>{view.charAt(0).toUpperCase() + view.slice(1)}</span>
-                </button>
-            )
-        })}
-      </nav>
+
+      <AppHeader
+        canUndo={history.past.length > 0}
+        canRedo={history.future.length > 0}
+        onUndo={undo}
+        onRedo={redo}
+        onOpenSettings={() => navigate({ name: 'settings' })}
+      />
+
+      <StatusBanners
+        errorMessage={errorMessage}
+        onRetry={isSaveFailed ? retrySave : null}
+        onDismissError={dismissError}
+        isUpdateAvailable={isUpdateAvailable}
+        isUpdateBlocked={processingCount > 0}
+        onUpdate={reloadForUpdate}
+        onDismissUpdate={() => setIsUpdateAvailable(false)}
+      />
+
+      <CurrentView
+        view={currentView}
+        route={route}
+        navigate={navigate}
+        wardrobe={wardrobe}
+        dispatch={dispatch}
+        profileId={profileId}
+        categories={categories}
+        sortedCategories={sortedCategories}
+        clothesById={clothesById}
+        wearStats={wearStats}
+        laundryAfter={laundryAfter}
+        weatherSource={weatherSource}
+        hasError={Boolean(errorMessage)}
+        processingCount={processingCount}
+        onAddPhotos={addPhotos}
+        onOpenCamera={() => setIsCameraOpen(true)}
+        otherProfiles={otherProfiles}
+        onTransferItems={copyToProfile}
+        onDeleteOutfit={id => setPendingDelete({ kind: 'outfit', id })}
+        onDonateItem={id => setPendingDelete({ kind: 'item', id, donated: true })}
+        onShareOutfit={setSharingOutfitId}
+      />
+
+      <ViewNav currentView={currentView} onNavigate={navigate} />
 
       <SettingsPanel
-        isOpen={isSettingsOpen}
-        onClose={() => setIsSettingsOpen(false)}
+        isOpen={route.name === 'settings'}
+        profileSection={profileSection}
+        onClose={() => goBack({ name: currentView })}
         theme={theme}
-        setTheme={setTheme}
+        setTheme={settings.setTheme}
         accentColor={accentColor}
-        setAccentColor={setAccentColor}
+        setAccentColor={settings.setAccentColor}
+        accentColors={ACCENT_COLORS}
+        laundryAfter={laundryAfter}
+        setLaundryAfter={settings.setLaundryAfter}
+        weatherSources={WEATHER_SOURCES}
+        weatherSource={weatherSource}
+        setWeatherSource={settings.setWeatherSource}
+        categories={categories}
+        setCategories={settings.setCategories}
+        itemCounts={itemCounts}
+        syncAcrossNetworks={settings.syncAcrossNetworks}
+        setSyncAcrossNetworks={settings.setSyncAcrossNetworks}
+        onPair={connectPeer}
+        onSync={syncDevice}
+        onExport={exportWardrobe}
+        onImport={importBackup}
+        trash={trash}
+        clothesById={clothesById}
+        onRestore={(entry) => dispatch(actions.restoreFromTrash(entry.id, categories))}
+        onDeleteForever={(entry) => deleteForever([entry])}
+        onEmptyTrash={() => deleteForever(trash)}
       />
-    </div>
-  );
-}
-
 
-// --- VIEW COMPONENTS ---
-
-const ClassifierScreen = ({ file, onClassify, remaining }) => {
-    return (
-        <motion.div
-            className="flex flex-col items-center justify-center h-full w-full p-4"
-            initial={{ scale: 0.8, opacity: 0 }}
-            animate={{ scale: 1, opacity: 1 }}
-            exit={{ scale: 0.8, opacity: 0 }}
-            transition={{ type: 'spring' }}
-        >
-          <div className="w-full max-w-sm text-center">
-            <h2 className="text-2xl font-bold mb-1">Classify Your Item</h2>
-            <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">{remaining > 0 ? `${remaining} more to classify.` : 'This is the last one!'}</p>
-            <img src={file.image} alt="Pending classification" className="w-48 h-48 object-contain rounded-2xl mx-auto mb-4 border-2 border-dashed dark:border-gray-600 p-2" />
-            <div className="grid grid-cols-2 gap-3 w-full">
-              {CATEGORIES.map((cat) => (
-                <button key={cat} onClick={() => onClassify(cat)} className="w-full py-3 text-sm capitalize bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 rounded-xl font-semibold transition-colors">
-                  {cat}
-                </button>
-              ))}
-            </div>
-          </div>
-        </motion.div>
-    )
-}
+      <ShareOutfitSheet
+        share={outfitShare}
+        theme={theme}
+        accentColor={accentColor}
+        accentColors={ACCENT_COLORS}
+        onClose={() => setSharingOutfitId(null)}
+      />
 
-// SOLVED: Simplified by removing nested AnimatePresence and layout prop to prevent render bugs
-const WardrobeScreen = ({ clothes, onDeleteItem, onCreateOutfit, UploadButton }) => {
-    return (
-        <div className="w-full h-full flex flex-col">
-            <h2 className="text-xl font-bold p-4 pb-2 text-center flex-shrink-0">Your Wardrobe</h2>
-            <div className="flex-1 overflow-y-auto p-4 grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-4">
-                {clothes.map(item => (
-                    <motion.div
-                        key={item.id}
-                        initial={{ opacity: 0, scale: 0.8 }}
-                        animate={{ opacity: 1, scale: 1 }}
-                        exit={{ opacity: 0, scale: 0.8 }}
-                        className="flex flex-col items-center group relative"
-                    >
-                        <div className="w-full aspect-square bg-gray-100 dark:bg-gray-700/50 rounded-xl flex items-center justify-center overflow-hidden">
-                            <img src={item.image} alt={item.type} className="w-full h-full object-contain" />
-                        </div>
-                        <button onClick={() => onDeleteItem(item.id)} className="absolute top-1 right-1 bg-red-500/80 text-white p-1.5 rounded-full opacity-0 group-hover:opacity-100 transition-opacity backdrop-blur-sm">
-                            <Trash2 size={14} />
-                        </button>
-                    </motion.div>
-                ))}
-            </div>
-            <div className="p-4 flex flex-col gap-2 border-t dark:border-gray-700 flex-shrink-0">
-                <button onClick={onCreateOutfit} className="w-full h-12 bg-accent text-white rounded-xl font-semibold text-sm hover:opacity-90 transition-opacity">Create New Outfit</button>
-                {UploadButton}
-            </div>
-        </div>
-    )
-}
+      <ItemDetailSheet
+        item={detailItemId ? clothesById.get(detailItemId) : null}
+        categories={sortedCategories}
+        wearStats={detailItemId ? wearStats.get(detailItemId) : null}
+        onSave={(changes) => {
+          dispatch(actions.updateItem(detailItemId, changes));
+          goBack({ name: currentView });
+        }}
+        onDelete={() => setPendingDelete({ kind: 'item', id: detailItemId })}
+        onClose={() => goBack({ name: currentView })}
+      />
 
-const OutfitCreator = ({ categorizedClothes, partIndexes, onChangePart, onSave, canSave, animationDirection, slideVariants }) => (
-  <div className="flex flex-col h-full w-full">
-    <h2 className="text-xl font-bold p-4 pb-2 text-center flex-shrink-0">Create Outfit</h2>
-    <div className="flex-1 flex flex-col items-center justify-around overflow-y-auto p-2">
-      {CATEGORIES.map(cat => {
-        const items = categorizedClothes[cat];
-        if (!items || (items.length === 0)) return <div key={cat} className="h-full w-full flex items-center justify-center text-gray-400 capitalize">{cat}</div>;
-        
-        const currentIndex = partIndexes[cat];
-        const currentItem = items[currentIndex];
-
-        return (
-          <div key={cat} className="flex items-center w-full max-w-xs justify-between">
-            <button disabled={items.length <= 1} onClick={() => onChangePart(cat, -1)} className="p-2 rounded-full disabled:opacity-20 transition-opacity hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-500 dark:text-gray-400">
-              <ChevronLeft size={20} />
-            </button>
-            <div className="w-24 h-24 flex items-center justify-center relative overflow-hidden">
-                <AnimatePresence initial={false} custom={animationDirection}>
-                    <motion.div
-                        key={`${cat}-${currentItem.id}`}
-                        className="w-full h-full absolute flex items-center justify-center"
-                        variants={slideVariants}
-                        custom={animationDirection}
-                        initial="enter"
-                        animate="center"
-                        exit="exit"
-                        transition={{ duration: 0.25 }}
-                    >
-                        {currentItem.image ? (
-                            <img src={currentItem.image} alt={currentItem.type} className="w-full h-full object-contain" />
-                        ) : (
-                            <div className="w-full h-full flex items-center justify-center text-gray-400">
-                                <p className="text-sm font-semibold">None</p>
-                            </div>
-                        )}
-                    </motion.div>
-                </AnimatePresence>
-            </div>
-            <button disabled={items.length <= 1} onClick={() => onChangePart(cat, 1)} className="p-2 rounded-full disabled:opacity-20 transition-opacity hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-500 dark:text-gray-400">
-              <ChevronRight size={20} />
-            </button>
-          </div>
-        );
-      })}
-    </div>
-    <div className="p-4 border-t dark:border-gray-700 flex-shrink-0">
-      <button onClick={onSave} disabled={!canSave} className="w-full h-12 bg-accent text-white rounded-xl font-semibold text-sm hover:opacity-90 transition-opacity disabled:bg-gray-300 dark:disabled:bg-gray-600 disabled:cursor-not-allowed">
-        Save Outfit
-      </button>
+      <ConfirmDialog
+        isOpen={Boolean(pendingDelete)}
+        title={pendingDelete?.donated ? 'Donate this item?' : pendingDelete?.kind === 'item' ? 'Delete this item?' : 'Delete this outfit?'}
+        confirmLabel={pendingDelete?.donated ? 'Donate' : 'Move to Trash'}
+        onConfirm={confirmPendingDelete}
+        onCancel={() => setPendingDelete(null)}
+      >
+        {pendingDelete?.kind === 'item' && <DeletionPreview plan={planItemDeletion(savedOutfits, categories, pendingDelete.id)} />}
+        <p>You can restore it from the trash in Settings for 30 days.</p>
+      </ConfirmDialog>
+
+      {isCameraOpen && (
+        <CameraCapture
+          categories={sortedCategories}
+          onCapture={(file, category) => addPhotos([file], { category })}
+          onClose={() => setIsCameraOpen(false)}
+        />
+      )}
+
+      <UndoToast toast={toast} onAction={toast?.action === 'redo' ? redo : undo} onDismiss={dismissToast} />
     </div>
-  </div>
-);
-
-const HomeScreen = ({ savedOutfits, outfitIndex, onChangeOutfit, onCreateNew, onDeleteOutfit, animationDirection, slideVariants }) => {
-    const currentOutfit = savedOutfits[outfitIndex];
-    
-    if (savedOutfits.length === 0) {
-        return (
-            <div className="flex flex-col items-center justify-center h-full text-center p-8">
-                <h2 className="text-2xl font-bold mb-2">No Outfits Yet</h2>
-                <p className="text-gray-500 dark:text-gray-400 mb-6 max-w-sm">
-                    You haven't saved any outfits. Head over to the creator to make your first one!
-                </p>
-                <button onClick={onCreateNew} className="h-12 px-8 bg-accent text-white rounded-xl font-semibold text-sm hover:opacity-90 transition-opacity">
-                    Create Outfit
-                </button>
-            </div>
-        );
-    }
-    
-    return (
-        <div className="w-full h-full flex flex-col">
-            <div className="flex-1 flex items-center justify-between relative overflow-hidden p-2">
-                <button onClick={() => onChangeOutfit(-1)} className="absolute left-2 top-1/2 -translate-y-1/2 z-20 p-1 rounded-full bg-white/50 dark:bg-black/50 backdrop-blur-sm hover:bg-white/80 dark:hover:bg-black/80 text-gray-500 dark:text-gray-400">
-                    <ChevronLeft size={20} />
-                </button>
-                <AnimatePresence initial={false} custom={animationDirection}>
-                    <motion.div
-                        key={currentOutfit.id}
-                        className="absolute inset-0 flex flex-col items-center justify-center gap-2 p-4"
-                        variants={slideVariants}
-                        custom={animationDirection}
-                        initial="enter"
-                        animate="center"
-                        exit="exit"
-                        transition={{ duration: 0.35, type: 'spring', bounce: 0.3 }}
-                    >
-                        {CATEGORIES.map(cat => {
-                            const item = currentOutfit[cat];
-                            if (!item) return <div key={cat} className="h-32 w-32" />;
-                            return (
-                                <div key={cat} className="flex flex-col items-center">
-                                    <div className="h-32 w-32 flex items-center justify-center">
-                                        <img src={item.image} alt={item.type} className="max-w-full max-h-full object-contain" />
-                                    </div>
-                                </div>
-                            )
-                        })}
-                    </motion.div>
-                </AnimatePresence>
-                <button onClick={() => onChangeOutfit(1)} className="absolute right-2 top-1/2 -translate-y-1/2 z-20 p-1 rounded-full bg-white/50 dark:bg-black/50 backdrop-blur-sm hover:bg-white/80 dark:hover:bg-black/80 text-gray-500 dark:text-gray-400">
-                    <ChevronRight size={20} />
-                </button>
-            </div>
-            <div className="p-4 flex items-center justify-between border-t dark:border-gray-700">
-                <p className="font-semibold">{`Outfit ${outfitIndex + 1} of ${savedOutfits.length}`}</p>
-                <button onClick={() => onDeleteOutfit(currentOutfit.id)} className="p-2 text-red-500 hover:bg-red-100 dark:hover:bg-red-900/50 rounded-full transition-colors">
-                    <Trash2 size={20} />
-                </button>
-            </div>
-        </div>
-    );
+  );
 }
-
-const SettingsPanel = ({ isOpen, onClose, theme, setTheme, accentColor, setAccentColor }) => {
-    return (
-        <AnimatePresence>
-            {isOpen && (
-                <motion.div
-                    initial={{ opacity: 0 }}
-                    animate={{ opacity: 1 }}
-                    exit={{ opacity: 0 }}
-                    onClick={onClose}
-                    className="fixed inset-0 bg-black/50 z-40 backdrop-blur-sm"
-                >
-                    <motion.div
-                        initial={{ y: '100%' }}
-                        animate={{ y: '0%' }}
-                        exit={{ y: '100%' }}
-                        transition={{ type: 'spring', damping: 20, stiffness: 200 }}
-                        onClick={(e) => e.stopPropagation()}
-                        className="absolute bottom-0 left-0 right-0 bg-white dark:bg-gray-800 p-6 rounded-t-3xl shadow-2xl"
-                    >
-                        <div className="flex justify-between items-center mb-6">
-                            <h2 className="text-xl font-bold">Settings</h2>
-                            <button onClick={onClose} className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700 text-gray-500 dark:text-gray-400">
-                                <X />
-                            </button>
-                        </div>
-
-                        <div className="space-y-6">
-                            <div>
-                                <h3 className="font-semibold mb-2">Theme</h3>
-                                <div className="flex items-center justify-between bg-gray-100 dark:bg-gray-700 p-2 rounded-xl">
-                                    <button onClick={() => setTheme('light')} className={`w-1/2 flex items-center justify-center gap-2 p-2 rounded-lg transition-colors ${theme === 'light' ? 'bg-white dark:bg-gray-500 shadow-sm' : ''}`}>
-                                        <Sun size={18}/> Light
-                                    </button>
-                                    <button onClick={() => setTheme('dark')} className={`w-1/2 flex items-center justify-center gap-2 p-2 rounded-lg transition-colors ${theme === 'dark' ? 'bg-black text-white shadow-sm' : ''}`}>
-                                        <Moon size={18}/> Dark
-                                    </button>
-                                </div>
-                            </div>
-                            <div>
-                                <h3 className="font-semibold mb-3 flex items-center gap-2 text-accent"><Palette size={18}/> Accent Color</h3>
-                                <div className="flex justify-around">
-                                    {Object.entries(ACCENT_COLORS).map(([name, color]) => (
-                                        <button key={name} onClick={() => setAccentColor(name)} className={`w-10 h-10 rounded-full transition-transform transform hover:scale-110 ${accentColor === name ? 'ring-2 ring-offset-2 dark:ring-offset-gray-800 ring-current' : ''}`} style={{ backgroundColor: color }} />
-                                    ))}
-                                </div>
-                            </div>
-                        </div>
-                    </motion.div>
-                </motion.div>
-            )}
-        </AnimatePresence>
-    );
-};
\ No newline at end of file
@@ -0,0 +1,90 @@
+import React, { useState, useEffect } from "react";
+import App from "./App.jsx";
+import ProfileSection from "./components/ProfileSection";
+import ProfileLock from "./components/ProfileLock";
+import { loadProfiles, saveProfiles, createProfile, lockWithPin, checkPin, loadUnlockedId, saveUnlockedId, clearProfileSettings } from "./profiles";
+import { deleteProfileData } from "./storage";
+import { formatRoute } from "./router";
+
+/**
+ * Picks the profile to open (see profiles.js) and asks for its PIN. The app is
+ * keyed by profile, so switching starts it fresh on the other wardrobe.
+ */
+export default function Root() {
+  const [registry, setRegistry] = useState(loadProfiles);
+  const [unlockedId, setUnlockedId] = useState(loadUnlockedId);
+  const { profiles, activeId } = registry;
+  const active = profiles.find(profile => profile.id === activeId);
+
+  useEffect(() => {
+    saveProfiles(registry);
+  }, [registry]);
+
+  useEffect(() => {
+    saveUnlockedId(unlockedId);
+  }, [unlockedId]);
+
+  const updateProfile = (id, changes) => setRegistry(prev => ({
+    ...prev,
+    profiles: prev.profiles.map(profile => (profile.id === id ? { ...profile, ...changes } : profile)),
+  }));
+
+  // Routes point at the old profile's items and outfits, so start from home.
+  // Leaving a profile locks it again.
+  const switchProfile = (id) => {
+    if (id === activeId) return;
+    window.history.replaceState(null, '', formatRoute({ name: 'home' }));
+    setUnlockedId(null);
+    setRegistry(prev => ({ ...prev, activeId: id }));
+  };
+
+  const unlock = async (pin) => {
+    if (!(await checkPin(active, pin))) return false;
+    setUnlockedId(active.id);
+    return true;
+  };
+
+  const addProfile = (name) => setRegistry(prev => ({ ...prev, profiles: [...prev.profiles, createProfile(name)] }));
+
+  // Only ever set on the open profile, which stays unlocked.
+  const setPin = async (id, pin) => {
+    updateProfile(id, { pin: pin ? await lockWithPin(pin) : null });
+    setUnlockedId(id);
+  };
+
+  /**
+   * @returns {Promise<boolean>} False if the PIN was wrong
+   */
+  const deleteProfile = async (id, pin) => {
+    const profile = profiles.find(p => p.id === id);
+    if (!profile || id === activeId) return true;
+    if (!(await checkPin(profile, pin))) return false;
+    setRegistry(prev => ({ ...prev, profiles: prev.profiles.filter(p => p.id !== id) }));
+    clearProfileSettings(id);
+    deleteProfileData(id).catch(error => console.error(`Failed to delete the wardrobe of ${profile.name}`, error));
+    return true;
+  };
+
+  if (active.pin && unlockedId !== active.id) {
+    return <ProfileLock profile={active} profiles={profiles} onUnlock={unlock} onSwitch={switchProfile} />;
+  }
+
+  return (
+    <App
+      key={active.id}
+      profile={active}
+      otherProfiles={profiles.filter(profile => profile.id !== active.id)}
+      profileSection={
+        <ProfileSection
+          profiles={profiles}
+          activeId={activeId}
+          onSwitch={switchProfile}
+          onAdd={addProfile}
+          onRename={(id, name) => updateProfile(id, { name })}
+          onSetPin={setPin}
+          onDelete={deleteProfile}
+        />
+      }
+    />
+  );
+}
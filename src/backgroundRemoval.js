@@ -0,0 +1,150 @@
+// On-device background removal for clothing photos.
+//
+// The background is found with a flood fill that starts from the pixels on
+// the image border and spreads into neighbours whose colour stays close to the
+// border pixel it started from. That works well for the usual "item lying on a
+// bed or floor" photo; anything it gets wrong can be fixed with the brush,
+// whose strokes are kept apart from the automatic mask so changing the
+// tolerance doesn't throw them away.
+
+export const DEFAULT_TOLERANCE = 48;
+
+// Border colours that cover less than this share of the border, and aren't
+// close to the most common one, are treated as the item touching the edge of
+// the photo rather than as background.
+const MIN_SEED_SHARE = 0.2;
+
+/** Brush values stored in the overrides array. */
+export const BRUSH_AUTO = 0;
+export const BRUSH_KEEP = 1;
+export const BRUSH_ERASE = 2;
+
+/**
+ * Marks the pixels connected to the image border that look like background.
+ * @param {ImageData} imageData
+ * @param {number} [tolerance] Maximum RGB distance (0-441) from the border colour
+ * @returns {Uint8Array} 1 for background, 0 for foreground
+ */
+export function detectBackground({ data, width, height }, tolerance = DEFAULT_TOLERANCE) {
+  const size = width * height;
+  const background = new Uint8Array(size);
+  const origin = new Int32Array(size);
+  const queue = new Int32Array(size);
+  const limit = tolerance * tolerance;
+  let head = 0;
+  let tail = 0;
+
+  const enqueue = (index, from) => {
+    if (background[index]) return;
+    background[index] = 1;
+    origin[index] = from;
+    queue[tail++] = index;
+  };
+
+  const border = [];
+  for (let x = 0; x < width; x++) border.push(x, (height - 1) * width + x);
+  for (let y = 1; y < height - 1; y++) border.push(y * width, y * width + width - 1);
+
+  const distance2 = (a, r, g, b) => {
+    const dr = data[a] - r;
+    const dg = data[a + 1] - g;
+    const db = data[a + 2] - b;
+    return dr * dr + dg * dg + db * db;
+  };
+
+  // Histogram of border colours, 3 bits per channel.
+  const bucketOf = (index) =>
+    ((data[index * 4] >> 5) << 6) | ((data[index * 4 + 1] >> 5) << 3) | (data[index * 4 + 2] >> 5);
+  const counts = new Uint32Array(512);
+  border.forEach((index) => counts[bucketOf(index)]++);
+  let dominant = 0;
+  for (let i = 1; i < 512; i++) if (counts[i] > counts[dominant]) dominant = i;
+  const sum = [0, 0, 0];
+  border.forEach((index) => {
+    if (bucketOf(index) !== dominant) return;
+    for (let c = 0; c < 3; c++) sum[c] += data[index * 4 + c];
+  });
+  const [dr, dg, db] = sum.map((total) => total / counts[dominant]);
+
+  const minCount = border.length * MIN_SEED_SHARE;
+  border.forEach((index) => {
+    const isSeed = data[index * 4 + 3] < 16
+      || counts[bucketOf(index)] >= minCount
+      || distance2(index * 4, dr, dg, db) <= limit;
+    if (isSeed) enqueue(index, index);
+  });
+
+  const isSimilar = (index, seed) => {
+    // Pixels that are already transparent are background no matter the colour.
+    if (data[index * 4 + 3] < 16) return true;
+    return distance2(index * 4, data[seed * 4], data[seed * 4 + 1], data[seed * 4 + 2]) <= limit;
+  };
+
+  while (head < tail) {
+    const index = queue[head++];
+    const seed = origin[index];
+    const x = index % width;
+    if (x > 0 && !background[index - 1] && isSimilar(index - 1, seed)) enqueue(index - 1, seed);
+    if (x < width - 1 && !background[index + 1] && isSimilar(index + 1, seed)) enqueue(index + 1, seed);
+    if (index >= width && !background[index - width] && isSimilar(index - width, seed)) enqueue(index - width, seed);
+    if (index < size - width && !background[index + width] && isSimilar(index + width, seed)) enqueue(index + width, seed);
+  }
+
+  return background;
+}
+
+/**
+ * Paints a filled circle of `value` into the brush overrides.
+ * @param {Uint8Array} overrides
+ * @param {number} width
+ * @param {number} height
+ * @param {number} cx
+ * @param {number} cy
+ * @param {number} radius
+ * @param {number} value One of BRUSH_AUTO, BRUSH_KEEP, BRUSH_ERASE
+ */
+export function paintOverrides(overrides, width, height, cx, cy, radius, value) {
+  const r2 = radius * radius;
+  const minY = Math.max(0, Math.floor(cy - radius));
+  const maxY = Math.min(height - 1, Math.ceil(cy + radius));
+  const minX = Math.max(0, Math.floor(cx - radius));
+  const maxX = Math.min(width - 1, Math.ceil(cx + radius));
+  for (let y = minY; y <= maxY; y++) {
+    for (let x = minX; x <= maxX; x++) {
+      const dx = x - cx;
+      const dy = y - cy;
+      if (dx * dx + dy * dy <= r2) overrides[y * width + x] = value;
+    }
+  }
+}
+
+/**
+ * Builds the cut-out image: background pixels become transparent and the
+ * outline gets a half-transparent edge so it doesn't look jagged.
+ * @param {ImageData} imageData
+ * @param {Uint8Array} background Result of detectBackground
+ * @param {Uint8Array} overrides Brush strokes, same length as `background`
+ * @returns {ImageData}
+ */
+export function composeCutout({ data, width, height }, background, overrides) {
+  const size = width * height;
+  const removed = new Uint8Array(size);
+  for (let i = 0; i < size; i++) {
+    removed[i] = overrides[i] === BRUSH_AUTO ? background[i] : overrides[i] === BRUSH_ERASE ? 1 : 0;
+  }
+
+  const out = new Uint8ClampedArray(data);
+  for (let i = 0; i < size; i++) {
+    if (removed[i]) {
+      out[i * 4 + 3] = 0;
+      continue;
+    }
+    const x = i % width;
+    const onEdge = (x > 0 && removed[i - 1])
+      || (x < width - 1 && removed[i + 1])
+      || (i >= width && removed[i - width])
+      || (i < size - width && removed[i + width]);
+    if (onEdge) out[i * 4 + 3] = Math.min(out[i * 4 + 3], 128);
+  }
+  return new ImageData(out, width, height);
+}
@@ -0,0 +1,232 @@
+// Portable wardrobe backups: a ZIP archive with a versioned `manifest.json`
+// (items, outfits, wear log, settings) and one file per image under `images/`.
+
+import { zipSync, unzipSync, strToU8, strFromU8 } from 'fflate';
+import { normalizeOutfit } from './categories';
+
+export const BACKUP_FORMAT = 'yourfit-backup';
+export const BACKUP_VERSION = 1;
+
+const MANIFEST_PATH = 'manifest.json';
+
+const EXTENSIONS = { 'image/webp': 'webp', 'image/jpeg': 'jpg', 'image/png': 'png' };
+const MIME_TYPES = { webp: 'image/webp', jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png' };
+
+/**
+ * A backup that can't be imported. The message is meant for the user.
+ */
+export class BackupError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BackupError';
+  }
+}
+
+/**
+ * @typedef {Object} BackupSettings
+ * @property {import('./settings').Theme} theme
+ * @property {import('./settings').AccentColor} accentColor
+ * @property {import('./categories').CategoryDefinition[]} categories
+ * @property {number | null} [laundryAfter] Wears after which pieces go to the laundry
+ * @property {string} [weatherSource] Id from WEATHER_SOURCES (weather.js)
+ */
+
+/**
+ * @typedef {Object} BackupContents
+ * @property {string} exportedAt ISO timestamp
+ * @property {Object[]} clothes Items with `blob`, `thumbBlob` and `imageHash`, without object URLs
+ * @property {import('./App.jsx').Outfit[]} outfits
+ * @property {import('./wearLog').WearLogEntry[]} wearLog Empty for backups made before the wear log existed
+ * @property {BackupSettings} settings
+ */
+
+/**
+ * SHA-256 of the image bytes, used to spot the same photo imported twice.
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export async function hashBlob(blob) {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+const blobPath = (id, suffix, blob) => `images/${id}${suffix}.${EXTENSIONS[blob.type] || 'bin'}`;
+
+/**
+ * @param {{ clothes: import('./App.jsx').ClothingItem[], outfits: import('./App.jsx').Outfit[], wearLog: import('./wearLog').WearLogEntry[], settings: BackupSettings }} wardrobe
+ * @returns {Promise<Blob>} A ZIP file
+ */
+export async function createBackup({ clothes, outfits, wearLog, settings }) {
+  const files = {};
+  const items = [];
+
+  for (const item of clothes) {
+    const { image: _image, thumb: _thumb, blob, thumbBlob, ...fields } = item;
+    if (!blob) continue;
+    const entry = { ...fields, imageHash: await hashBlob(blob), imagePath: blobPath(item.id, '', blob) };
+    // Images are already compressed, so store them as-is.
+    files[entry.imagePath] = [new Uint8Array(await blob.arrayBuffer()), { level: 0 }];
+    if (thumbBlob) {
+      entry.thumbPath = blobPath(item.id, '-thumb', thumbBlob);
+      files[entry.thumbPath] = [new Uint8Array(await thumbBlob.arrayBuffer()), { level: 0 }];
+    }
+    items.push(entry);
+  }
+
+  const manifest = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings,
+    clothes: items,
+    outfits,
+    wearLog,
+  };
+  files[MANIFEST_PATH] = strToU8(JSON.stringify(manifest, null, 2));
+
+  return new Blob([zipSync(files)], { type: 'application/zip' });
+}
+
+/**
+ * @returns {string} e.g. "yourfit-backup-2024-05-01.zip"
+ */
+export function backupFileName() {
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  return `yourfit-backup-${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}.zip`;
+}
+
+const fileToBlob = (files, path) => {
+  const bytes = files[path];
+  if (!bytes) return null;
+  const extension = path.split('.').pop().toLowerCase();
+  return new Blob([bytes], { type: MIME_TYPES[extension] || 'application/octet-stream' });
+};
+
+/**
+ * Reads and validates a backup archive.
+ * @param {Blob} file
+ * @returns {Promise<BackupContents>}
+ * @throws {BackupError} If the file is not a backup, is from a newer version, or is incomplete
+ */
+export async function readBackup(file) {
+  let files;
+  try {
+    files = unzipSync(new Uint8Array(await file.arrayBuffer()));
+  } catch {
+    throw new BackupError('This file is not a YourFit backup, or it is corrupted.');
+  }
+
+  if (!files[MANIFEST_PATH]) {
+    throw new BackupError('This archive has no manifest.json, so it is not a YourFit backup.');
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(strFromU8(files[MANIFEST_PATH]));
+  } catch {
+    throw new BackupError('The backup manifest is damaged and could not be read.');
+  }
+
+  if (manifest?.format !== BACKUP_FORMAT || !Number.isInteger(manifest.version)) {
+    throw new BackupError('This archive is not a YourFit backup.');
+  }
+  if (manifest.version > BACKUP_VERSION) {
+    throw new BackupError('This backup was made by a newer version of YourFit. Update the app and try again.');
+  }
+  if (!Array.isArray(manifest.clothes) || !Array.isArray(manifest.outfits)) {
+    throw new BackupError('The backup manifest is incomplete.');
+  }
+
+  const missing = [];
+  const clothes = manifest.clothes.map(({ imagePath, thumbPath, ...item }) => {
+    const blob = fileToBlob(files, imagePath);
+    if (!blob) missing.push(imagePath);
+    return { ...item, blob, thumbBlob: thumbPath ? fileToBlob(files, thumbPath) : null };
+  });
+  if (missing.length > 0) {
+    throw new BackupError(`The backup is incomplete: ${missing.length} image${missing.length === 1 ? ' is' : 's are'} missing from the archive.`);
+  }
+
+  return {
+    exportedAt: manifest.exportedAt,
+    clothes,
+    outfits: manifest.outfits.map(normalizeOutfit),
+    wearLog: Array.isArray(manifest.wearLog) ? manifest.wearLog : [],
+    settings: manifest.settings || {},
+  };
+}
+
+/**
+ * Adds a backup to the current wardrobe. Items whose image is already in the
+ * wardrobe (or earlier in the backup) are skipped and outfits are pointed at
+ * the existing copy, as are outfits and wear log entries already present;
+ * clashing ids get new ones. Merging into an empty wardrobe is how a
+ * replacing import drops duplicates.
+ * @param {{ clothes: Object[], outfits: import('./App.jsx').Outfit[], wearLog: import('./wearLog').WearLogEntry[] }} current Items must have `imageHash`
+ * @param {BackupContents} incoming
+ * @returns {{ clothes: Object[], outfits: import('./App.jsx').Outfit[], wearLog: import('./wearLog').WearLogEntry[], duplicates: number }} Only the new records
+ */
+export function mergeBackup(current, incoming) {
+  const byHash = new Map(current.clothes.map((item) => [item.imageHash, item.id]));
+  const takenIds = new Set([current.clothes, current.outfits, current.wearLog].flatMap((records) => records.map((record) => record.id)));
+  const freshId = (id) => {
+    let candidate = id;
+    for (let n = 2; takenIds.has(candidate); n++) candidate = `${id}-${n}`;
+    takenIds.add(candidate);
+    return candidate;
+  };
+
+  const idMap = new Map();
+  const clothes = [];
+  let duplicates = 0;
+  incoming.clothes.forEach((item) => {
+    const existingId = item.imageHash && byHash.get(item.imageHash);
+    if (existingId) {
+      idMap.set(item.id, existingId);
+      duplicates++;
+      return;
+    }
+    const id = freshId(item.id);
+    idMap.set(item.id, id);
+    byHash.set(item.imageHash, id);
+    clothes.push({ ...item, id });
+  });
+
+  const remapItems = (source) => {
+    const items = {};
+    Object.entries(source || {}).forEach(([category, itemId]) => {
+      if (idMap.has(itemId)) items[category] = idMap.get(itemId);
+    });
+    return items;
+  };
+
+  const outfitKey = (items) => JSON.stringify(Object.entries(items).sort());
+  const outfitIdsByKey = new Map(current.outfits.map((outfit) => [outfitKey(outfit.items), outfit.id]));
+  const outfitIdMap = new Map();
+  const outfits = [];
+  incoming.outfits.forEach((outfit) => {
+    const items = remapItems(outfit.items);
+    const key = outfitKey(items);
+    if (Object.keys(items).length === 0) return;
+    if (!outfitIdsByKey.has(key)) {
+      const id = freshId(outfit.id);
+      outfitIdsByKey.set(key, id);
+      outfits.push({ ...outfit, id, items });
+    }
+    outfitIdMap.set(outfit.id, outfitIdsByKey.get(key));
+  });
+
+  const entryKey = (entry) => `${entry.date} ${outfitKey(entry.items)}`;
+  const existingEntries = new Set(current.wearLog.map(entryKey));
+  const wearLog = [];
+  incoming.wearLog.forEach((entry) => {
+    const items = remapItems(entry.items);
+    const key = entryKey({ date: entry.date, items });
+    if (Object.keys(items).length === 0 || existingEntries.has(key)) return;
+    existingEntries.add(key);
+    wearLog.push({ ...entry, id: freshId(entry.id), items, outfitId: outfitIdMap.get(entry.outfitId) ?? null });
+  });
+
+  return { clothes, outfits, wearLog, duplicates };
+}
@@ -0,0 +1,95 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { zipSync, strToU8 } from 'fflate';
+import { createBackup, readBackup, mergeBackup, BackupError, BACKUP_FORMAT, BACKUP_VERSION } from './backup';
+import { DEFAULT_CATEGORIES } from './categories';
+
+const image = (text) => new Blob([text], { type: 'image/webp' });
+const outfit = (id, items, fields = {}) => ({ id, items, order: 0, name: '', occasion: '', favorite: false, ...fields });
+const zipFile = (files) => new Blob([zipSync(files)]);
+const manifest = (fields) => strToU8(JSON.stringify({ format: BACKUP_FORMAT, version: BACKUP_VERSION, clothes: [], outfits: [], ...fields }));
+
+describe('readBackup', () => {
+  it('reads back what createBackup wrote', async () => {
+    const file = await createBackup({
+      clothes: [{ id: 'a', type: 'top', image: 'blob:a', thumb: 'blob:a-thumb', blob: image('top'), thumbBlob: image('top-thumb') }],
+      outfits: [outfit('o1', { top: 'a' })],
+      wearLog: [{ id: 'w1', date: '2024-05-01', items: { top: 'a' }, outfitId: 'o1', status: 'worn' }],
+      settings: { theme: 'dark', accentColor: 'pink', categories: DEFAULT_CATEGORIES },
+    });
+    const backup = await readBackup(file);
+
+    expect(backup.settings).toMatchObject({ theme: 'dark', accentColor: 'pink' });
+    expect(backup.clothes).toHaveLength(1);
+    const [item] = backup.clothes;
+    expect(item).toMatchObject({ id: 'a', type: 'top', imageHash: expect.stringMatching(/^[0-9a-f]{64}$/) });
+    expect(item).not.toHaveProperty('image');
+    expect(await item.blob.text()).toBe('top');
+    expect(item.blob.type).toBe('image/webp');
+    expect(await item.thumbBlob.text()).toBe('top-thumb');
+    expect(backup.outfits[0]).toMatchObject({ id: 'o1', items: { top: 'a' } });
+    expect(backup.wearLog).toHaveLength(1);
+  });
+
+  it('fills in what older backups lack', async () => {
+    const backup = await readBackup(zipFile({ 'manifest.json': manifest({}) }));
+    expect(backup.wearLog).toEqual([]);
+    expect(backup.settings).toEqual({});
+  });
+
+  it('explains why a file can’t be imported', async () => {
+    const rejects = (file, message) => expect(readBackup(file)).rejects.toThrow(expect.objectContaining({ name: 'BackupError', message: expect.stringMatching(message) }));
+    await rejects(new Blob(['not a zip']), /not a YourFit backup, or it is corrupted/);
+    await rejects(zipFile({ 'other.json': strToU8('{}') }), /no manifest.json/);
+    await rejects(zipFile({ 'manifest.json': strToU8('{') }), /damaged/);
+    await rejects(zipFile({ 'manifest.json': manifest({ version: BACKUP_VERSION + 1 }) }), /newer version/);
+    await rejects(zipFile({ 'manifest.json': manifest({ outfits: undefined }) }), /incomplete/);
+    await rejects(zipFile({ 'manifest.json': manifest({ clothes: [{ id: 'a', imagePath: 'images/a.webp' }] }) }), /1 image is missing/);
+    await expect(readBackup(new Blob(['not a zip']))).rejects.toBeInstanceOf(BackupError);
+  });
+});
+
+describe('mergeBackup', () => {
+  const current = {
+    clothes: [{ id: 'a', imageHash: 'hash-a' }],
+    outfits: [outfit('o1', { top: 'a' })],
+    wearLog: [{ id: 'w1', date: '2024-05-01', items: { top: 'a' } }],
+  };
+
+  it('skips images already in the wardrobe and points outfits at them', () => {
+    const merged = mergeBackup(current, {
+      clothes: [{ id: 'x', imageHash: 'hash-a' }, { id: 'a', imageHash: 'hash-b' }, { id: 'y', imageHash: 'hash-b' }],
+      outfits: [outfit('o1', { top: 'x', bottom: 'a' }), outfit('o2', { top: 'x' }), outfit('o3', { hat: 'gone' })],
+      wearLog: [],
+    });
+
+    expect(merged.duplicates).toBe(2);
+    // "a" is taken, so the new image gets a fresh id.
+    expect(merged.clothes).toEqual([{ id: 'a-2', imageHash: 'hash-b' }]);
+    // o2 is the same as the existing o1; o3 has none of its pieces left.
+    expect(merged.outfits).toEqual([outfit('o1-2', { top: 'a', bottom: 'a-2' })]);
+  });
+
+  it('adds only wear log entries that aren’t there yet', () => {
+    const merged = mergeBackup(current, {
+      clothes: [{ id: 'b', imageHash: 'hash-a' }],
+      outfits: [outfit('o9', { top: 'b' })],
+      wearLog: [
+        { id: 'w1', date: '2024-05-01', items: { top: 'b' }, outfitId: 'o9' },
+        { id: 'w2', date: '2024-05-02', items: { top: 'b' }, outfitId: 'o9' },
+      ],
+    });
+    expect(merged.outfits).toEqual([]);
+    expect(merged.wearLog).toEqual([{ id: 'w2', date: '2024-05-02', items: { top: 'a' }, outfitId: 'o1' }]);
+  });
+
+  it('drops duplicates within the backup when replacing everything', () => {
+    const merged = mergeBackup({ clothes: [], outfits: [], wearLog: [] }, {
+      clothes: [{ id: 'a', imageHash: 'same' }, { id: 'b', imageHash: 'same' }],
+      outfits: [],
+      wearLog: [],
+    });
+    expect(merged.clothes.map((item) => item.id)).toEqual(['a']);
+    expect(merged.duplicates).toBe(1);
+  });
+});
@@ -0,0 +1,136 @@
+// Category registry: which kinds of clothing exist, how they are ordered in a
+// stacked outfit, which ones an outfit needs and which ones replace others
+// (a dress replaces both top and bottom).
+
+import { DEFAULT_PROFILE_ID, scopedName } from './profiles';
+
+const STORAGE_KEY = 'yourfit-categories';
+
+/**
+ * @typedef {Object} CategoryDefinition
+ * @property {string} id Stored on items (`type`) and in `Outfit.items`, never changes
+ * @property {string} name
+ * @property {string} icon One of CATEGORY_ICON_NAMES
+ * @property {number} layer Position in the stacked outfit, lowest first (head to toe)
+ * @property {boolean} required Outfits need an item here unless another slot excludes it
+ * @property {string[]} excludes Categories this one replaces when an item is chosen
+ */
+
+export const CATEGORY_ICON_NAMES = [
+  'shirt', 'hard-hat', 'graduation-cap', 'crown', 'layers', 'footprints', 'sparkles', 'snowflake',
+  'shopping-bag', 'backpack', 'briefcase', 'watch', 'glasses', 'gem', 'umbrella', 'tag',
+];
+
+/** @type {CategoryDefinition[]} */
+export const DEFAULT_CATEGORIES = [
+  { id: 'hat', name: 'Hat', icon: 'hard-hat', layer: 10, required: false, excludes: [] },
+  { id: 'top', name: 'Top', icon: 'shirt', layer: 20, required: true, excludes: [] },
+  { id: 'bottom', name: 'Bottom', icon: 'layers', layer: 40, required: true, excludes: [] },
+  { id: 'shoes', name: 'Shoes', icon: 'footprints', layer: 60, required: false, excludes: [] },
+];
+
+/** Common extra categories offered in settings; `layer` is where they slot in by default. */
+export const CATEGORY_PRESETS = [
+  { id: 'jacket', name: 'Jacket', icon: 'snowflake', layer: 25, required: false, excludes: [] },
+  { id: 'dress', name: 'Dress', icon: 'sparkles', layer: 30, required: false, excludes: ['top', 'bottom'] },
+  { id: 'bag', name: 'Bag', icon: 'shopping-bag', layer: 70, required: false, excludes: [] },
+  { id: 'accessory', name: 'Accessory', icon: 'watch', layer: 80, required: false, excludes: [] },
+];
+
+// --- REGISTRY ---
+
+/**
+ * @param {string} [profileId]
+ * @returns {CategoryDefinition[]}
+ */
+export function loadCategories(profileId = DEFAULT_PROFILE_ID) {
+  try {
+    const saved = localStorage.getItem(scopedName(profileId, STORAGE_KEY));
+    const parsed = saved ? JSON.parse(saved) : null;
+    return Array.isArray(parsed) && parsed.length > 0 ? parsed : DEFAULT_CATEGORIES;
+  } catch (error) {
+    console.error('Failed to parse categories from localStorage', error);
+    return DEFAULT_CATEGORIES;
+  }
+}
+
+/**
+ * @param {CategoryDefinition[]} categories
+ * @param {string} [profileId]
+ */
+export function saveCategories(categories, profileId = DEFAULT_PROFILE_ID) {
+  localStorage.setItem(scopedName(profileId, STORAGE_KEY), JSON.stringify(categories));
+}
+
+/**
+ * @param {CategoryDefinition[]} categories
+ * @returns {CategoryDefinition[]}
+ */
+export const sortByLayer = (categories) => [...categories].sort((a, b) => a.layer - b.layer);
+
+/**
+ * Looks a category up by id. Items and outfits can still point at a category
+ * the user has since removed, so unknown ids get a stand-in definition.
+ * @param {CategoryDefinition[]} categories
+ * @param {string} id
+ * @returns {CategoryDefinition}
+ */
+export function getCategory(categories, id) {
+  return categories.find((category) => category.id === id)
+    || { id, name: id.charAt(0).toUpperCase() + id.slice(1), icon: 'tag', layer: Number.MAX_SAFE_INTEGER, required: false, excludes: [] };
+}
+
+/**
+ * @param {CategoryDefinition[]} categories
+ * @param {string} name
+ * @returns {string} A slug of `name` that no category uses yet
+ */
+export function uniqueCategoryId(categories, name) {
+  const base = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'category';
+  let id = base;
+  for (let n = 2; categories.some((category) => category.id === id); n++) id = `${base}-${n}`;
+  return id;
+}
+
+// --- OUTFIT RULES ---
+
+/**
+ * Categories replaced by the categories that currently have an item.
+ * @param {CategoryDefinition[]} categories
+ * @param {Record<string, string>} items Category id -> item id
+ * @returns {Set<string>}
+ */
+export function getExcludedCategories(categories, items) {
+  const excluded = new Set();
+  Object.keys(items).forEach((id) => {
+    getCategory(categories, id).excludes.forEach((other) => excluded.add(other));
+  });
+  return excluded;
+}
+
+/**
+ * Required categories that are neither filled nor replaced.
+ * @param {CategoryDefinition[]} categories
+ * @param {Record<string, string>} items Category id -> item id
+ * @returns {CategoryDefinition[]}
+ */
+export function getMissingCategories(categories, items) {
+  const excluded = getExcludedCategories(categories, items);
+  return categories.filter((category) => category.required && !items[category.id] && !excluded.has(category.id));
+}
+
+/**
+ * Brings outfits saved before the registry (`{ id, hat, top, ... }`) into the
+ * `{ id, items }` shape. Already normalized outfits are returned unchanged.
+ * @param {Object} outfit
+ * @returns {import('./App.jsx').Outfit}
+ */
+export function normalizeOutfit(outfit) {
+  if (outfit.items) return outfit;
+  const { id, ...slots } = outfit;
+  const items = {};
+  Object.entries(slots).forEach(([category, itemId]) => {
+    if (typeof itemId === 'string') items[category] = itemId;
+  });
+  return { id, items };
+}
@@ -0,0 +1,214 @@
+// On-device category suggestions for the classifier.
+//
+// A photo is reduced to a handful of shape features measured on its
+// foreground (the same border flood fill the cut-out tool uses). Hand-tuned
+// rules score those features for the built-in categories, and every
+// classification the user confirms is logged locally so later suggestions
+// can also lean on the nearest previously classified items.
+
+import { loadImageData } from './imagePipeline';
+import { detectBackground } from './backgroundRemoval';
+import { DEFAULT_PROFILE_ID, scopedName } from './profiles';
+
+const LOG_KEY = 'yourfit-classification-log';
+const MAX_LOG_ENTRIES = 300;
+const NEIGHBOURS = 5;
+
+/**
+ * @typedef {Object} ShapeFeatures
+ * @property {number} aspect Bounding box width / height
+ * @property {number} fill Share of the bounding box covered by the item
+ * @property {number} topWidth Item width near the top, relative to the box
+ * @property {number} middleWidth Item width halfway down, relative to the box
+ * @property {number} bottomWidth Item width near the bottom, relative to the box
+ * @property {number} bottomRuns Separate pieces near the bottom (legs, a pair of shoes)
+ * @property {number} middleRuns Separate pieces halfway down
+ */
+
+/**
+ * @typedef {Object} CategorySuggestion
+ * @property {string} category
+ * @property {number} confidence 0-1
+ */
+
+// --- FEATURES ---
+
+const measureRow = (foreground, width, y, left, right) => {
+  let first = -1;
+  let last = -1;
+  let runs = 0;
+  let inside = false;
+  for (let x = left; x <= right; x++) {
+    const isItem = foreground[y * width + x] === 1;
+    if (isItem) {
+      if (first < 0) first = x;
+      last = x;
+    }
+    if (isItem && !inside) runs++;
+    inside = isItem;
+  }
+  return { span: first < 0 ? 0 : last - first + 1, runs };
+};
+
+/**
+ * @param {Blob} blob Preferably the thumbnail: features don't need detail.
+ * @returns {Promise<ShapeFeatures | null>} null when no item could be found
+ */
+export async function extractShapeFeatures(blob) {
+  const imageData = await loadImageData(blob);
+  const { width, height } = imageData;
+  const background = detectBackground(imageData);
+
+  const foreground = new Uint8Array(width * height);
+  let left = width;
+  let right = -1;
+  let top = height;
+  let bottom = -1;
+  let count = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (background[y * width + x]) continue;
+      foreground[y * width + x] = 1;
+      count++;
+      if (x < left) left = x;
+      if (x > right) right = x;
+      if (y < top) top = y;
+      if (y > bottom) bottom = y;
+    }
+  }
+  // Less than 2% of the photo: the flood fill didn't find a usable outline.
+  if (count < width * height * 0.02) return null;
+
+  const boxWidth = right - left + 1;
+  const boxHeight = bottom - top + 1;
+  const rowAt = (share) => measureRow(foreground, width, Math.round(top + (boxHeight - 1) * share), left, right);
+  const topRow = rowAt(0.15);
+  const middleRow = rowAt(0.5);
+  const bottomRow = rowAt(0.85);
+
+  return {
+    aspect: boxWidth / boxHeight,
+    fill: count / (boxWidth * boxHeight),
+    topWidth: topRow.span / boxWidth,
+    middleWidth: middleRow.span / boxWidth,
+    bottomWidth: bottomRow.span / boxWidth,
+    bottomRuns: Math.min(bottomRow.runs, 3),
+    middleRuns: Math.min(middleRow.runs, 3),
+  };
+}
+
+// --- SCORING ---
+
+/** 1 at `center`, falling off smoothly with distance. */
+const near = (value, center, spread) => Math.exp(-((value - center) ** 2) / (2 * spread * spread));
+
+/** @type {Record<string, (f: ShapeFeatures) => number>} */
+const SHAPE_RULES = {
+  // Wider than tall, a brim that is wider than the crown, one solid piece.
+  hat: (f) => near(f.aspect, 1.4, 0.4) * (0.5 + 0.5 * near(f.bottomWidth - f.topWidth, 0.3, 0.25)) * (f.bottomRuns === 1 ? 1 : 0.4),
+  // Roughly square, sleeves/shoulders make the top at least as wide as the waist.
+  top: (f) => near(f.aspect, 1.05, 0.3) * (0.5 + 0.5 * near(f.topWidth - f.middleWidth, 0.25, 0.25)) * (f.bottomRuns === 1 ? 1 : 0.5),
+  // Tall and split into two legs towards the bottom.
+  bottom: (f) => near(f.aspect, 0.55, 0.2) * (f.bottomRuns >= 2 ? 1 : 0.45) * near(f.fill, 0.65, 0.2),
+  // Low and wide, often a pair sitting side by side.
+  shoes: (f) => near(f.aspect, 1.9, 0.6) * (f.middleRuns >= 2 ? 1 : 0.6) * near(f.fill, 0.55, 0.25),
+};
+
+const featureVector = (f) => [f.aspect / 2, f.fill, f.topWidth, f.middleWidth, f.bottomWidth, f.bottomRuns / 3, f.middleRuns / 3];
+
+const normalize = (scores) => {
+  const total = Object.values(scores).reduce((sum, value) => sum + value, 0);
+  if (total <= 0) return null;
+  return Object.fromEntries(Object.entries(scores).map(([category, value]) => [category, value / total]));
+};
+
+/**
+ * Distance-weighted vote among the closest logged classifications.
+ * @param {ShapeFeatures} features
+ * @param {string[]} categories
+ * @param {ClassificationLogEntry[]} log
+ */
+const scoreFromLog = (features, categories, log) => {
+  const target = featureVector(features);
+  const neighbours = log
+    .filter((entry) => categories.includes(entry.category))
+    .map((entry) => ({
+      category: entry.category,
+      distance: Math.hypot(...featureVector(entry.features).map((value, i) => value - target[i])),
+    }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, NEIGHBOURS);
+
+  const scores = Object.fromEntries(categories.map((category) => [category, 0]));
+  neighbours.forEach(({ category, distance }) => {
+    scores[category] += 1 / (distance + 0.05);
+  });
+  return normalize(scores);
+};
+
+/**
+ * @param {ShapeFeatures | null} features
+ * @param {string[]} categories Categories the user can pick from
+ * @param {ClassificationLogEntry[]} [log]
+ * @returns {CategorySuggestion | null}
+ */
+export function suggestCategory(features, categories, log = loadClassificationLog()) {
+  if (!features || categories.length === 0) return null;
+
+  // Categories without a rule get a small, equal prior until the log knows them.
+  const shapeScores = normalize(Object.fromEntries(
+    categories.map((category) => [category, SHAPE_RULES[category]?.(features) ?? 0.05])
+  ));
+  const logScores = scoreFromLog(features, categories, log);
+  // The more the user has classified, the more their own history counts.
+  const logWeight = logScores ? Math.min(0.8, log.length / 40) : 0;
+
+  let best = null;
+  categories.forEach((category) => {
+    const score = (1 - logWeight) * (shapeScores?.[category] ?? 0) + logWeight * (logScores?.[category] ?? 0);
+    if (!best || score > best.confidence) best = { category, confidence: score };
+  });
+  return best && best.confidence > 0 ? best : null;
+}
+
+// --- CLASSIFICATION LOG ---
+
+/**
+ * @typedef {Object} ClassificationLogEntry
+ * @property {ShapeFeatures} features
+ * @property {string} category What the user chose
+ * @property {string | null} suggested What we suggested, if anything
+ * @property {number} at Timestamp
+ */
+
+/**
+ * @param {string} [profileId]
+ * @returns {ClassificationLogEntry[]}
+ */
+export function loadClassificationLog(profileId = DEFAULT_PROFILE_ID) {
+  try {
+    const saved = localStorage.getItem(scopedName(profileId, LOG_KEY));
+    return saved ? JSON.parse(saved) : [];
+  } catch (error) {
+    console.error('Failed to parse classification log from localStorage', error);
+    return [];
+  }
+}
+
+/**
+ * Remembers a confirmed classification, including corrected suggestions.
+ * @param {ShapeFeatures | null} features
+ * @param {string} category
+ * @param {string | null} suggested
+ * @param {string} [profileId]
+ */
+export function recordClassification(features, category, suggested, profileId = DEFAULT_PROFILE_ID) {
+  if (!features) return;
+  const log = [...loadClassificationLog(profileId), { features, category, suggested, at: Date.now() }];
+  try {
+    localStorage.setItem(scopedName(profileId, LOG_KEY), JSON.stringify(log.slice(-MAX_LOG_ENTRIES)));
+  } catch (error) {
+    // Losing a log entry only makes suggestions a little less personal.
+    console.warn('Failed to save classification log', error);
+  }
+}
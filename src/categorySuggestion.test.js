@@ -0,0 +1,77 @@
+import { describe, it, expect, vi } from 'vitest';
+import { extractShapeFeatures, suggestCategory, loadClassificationLog, recordClassification } from './categorySuggestion';
+
+// Photos are drawn by hand below instead of decoded.
+vi.mock('./imagePipeline', () => ({ loadImageData: async (drawing) => drawing }));
+
+const SIZE = 40;
+
+/** A white photo with dark pixels wherever `isItem(x, y)` says. */
+const draw = (isItem) => {
+  const data = new Uint8ClampedArray(SIZE * SIZE * 4).fill(255);
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      if (!isItem(x, y)) continue;
+      data.set([30, 30, 60], (y * SIZE + x) * 4);
+    }
+  }
+  return { data, width: SIZE, height: SIZE };
+};
+
+// A waistband over two legs.
+const TROUSERS = draw((x, y) => y >= 5 && y < 35 && x >= 10 && x < 30 && (y < 15 || x < 18 || x >= 22));
+
+const CATEGORIES = ['hat', 'top', 'bottom', 'shoes'];
+
+describe('extractShapeFeatures', () => {
+  it('measures the outline of the item', async () => {
+    const features = await extractShapeFeatures(TROUSERS);
+    expect(features).toMatchObject({ topWidth: 1, bottomRuns: 2, middleRuns: 2 });
+    expect(features.aspect).toBeCloseTo(20 / 30);
+    expect(features.fill).toBeCloseTo(520 / 600);
+  });
+
+  it('gives up when there is hardly anything in the photo', async () => {
+    expect(await extractShapeFeatures(draw((x, y) => x === 20 && y === 20))).toBeNull();
+  });
+});
+
+describe('suggestCategory', () => {
+  it('goes by shape while nothing has been classified', async () => {
+    const features = await extractShapeFeatures(TROUSERS);
+    expect(suggestCategory(features, CATEGORIES, [])).toEqual({ category: 'bottom', confidence: expect.any(Number) });
+    // Categories without a shape rule still get a chance.
+    expect(suggestCategory(features, ['bag', 'accessory'], []).confidence).toBe(0.5);
+  });
+
+  it('leans on what the user picked for similar photos', async () => {
+    const features = await extractShapeFeatures(TROUSERS);
+    const log = Array.from({ length: 40 }, () => ({ features, category: 'shoes', suggested: 'bottom', at: 0 }));
+    expect(suggestCategory(features, CATEGORIES, log).category).toBe('shoes');
+    // Picks for categories no longer offered don't count.
+    expect(suggestCategory(features, ['hat', 'top', 'bottom'], log).category).toBe('bottom');
+  });
+
+  it('has nothing to say without features or categories', () => {
+    expect(suggestCategory(null, CATEGORIES, [])).toBeNull();
+    expect(suggestCategory({ aspect: 1, fill: 1, topWidth: 1, middleWidth: 1, bottomWidth: 1, bottomRuns: 1, middleRuns: 1 }, [], [])).toBeNull();
+  });
+});
+
+describe('classification log', () => {
+  it('keeps each profile’s classifications apart', async () => {
+    const features = await extractShapeFeatures(TROUSERS);
+    recordClassification(features, 'bottom', 'shoes', 'p2');
+    recordClassification(null, 'top', null, 'p2');
+    expect(loadClassificationLog('p2')).toEqual([{ features, category: 'bottom', suggested: 'shoes', at: expect.any(Number) }]);
+    expect(loadClassificationLog()).toEqual([]);
+  });
+
+  it('forgets the oldest entries past 300', () => {
+    const features = { aspect: 1, fill: 1, topWidth: 1, middleWidth: 1, bottomWidth: 1, bottomRuns: 1, middleRuns: 1 };
+    for (let i = 0; i < 301; i++) recordClassification(features, i === 0 ? 'hat' : 'top', null);
+    const log = loadClassificationLog();
+    expect(log).toHaveLength(300);
+    expect(log.every((entry) => entry.category === 'top')).toBe(true);
+  });
+});
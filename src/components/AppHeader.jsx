@@ -0,0 +1,29 @@
+import React from "react";
+import { motion } from "framer-motion";
+import { Shirt, Settings, Undo2, Redo2 } from "lucide-react";
+
+const iconButtonClass = "p-1 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors text-gray-500 dark:text-gray-400 disabled:opacity-30";
+
+/**
+ * The app's title with undo, redo and the way into settings.
+ */
+const AppHeader = ({ canUndo, canRedo, onUndo, onRedo, onOpenSettings }) => (
+    <header className="flex items-center justify-between px-4 py-2 w-full flex-shrink-0">
+        <h1 className="text-xl font-bold tracking-tight flex items-center gap-1">
+            <Shirt className="text-accent" /> Your<span className="font-light">Fit</span>
+        </h1>
+        <div className="flex items-center gap-1">
+            <button onClick={onUndo} disabled={!canUndo} aria-label="Undo" className={iconButtonClass}>
+                <Undo2 size={20} />
+            </button>
+            <button onClick={onRedo} disabled={!canRedo} aria-label="Redo" className={iconButtonClass}>
+                <Redo2 size={20} />
+            </button>
+            <motion.button whileTap={{ scale: 0.9 }} onClick={onOpenSettings} aria-label="Settings" className={iconButtonClass}>
+                <Settings size={20} />
+            </motion.button>
+        </div>
+    </header>
+);
+
+export default AppHeader;
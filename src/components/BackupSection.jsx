@@ -0,0 +1,100 @@
+import React, { useState } from "react";
+import { Download, Upload as UploadIcon } from "lucide-react";
+import { readBackup, backupFileName, BackupError } from "../backup";
+
+const buttonClass = "flex-1 flex items-center justify-center gap-2 h-11 rounded-xl text-sm font-semibold bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors cursor-pointer disabled:opacity-50";
+
+/**
+ * Settings section for exporting the wardrobe to a file and importing it back.
+ */
+const BackupSection = ({ onExport, onImport }) => {
+    const [isBusy, setIsBusy] = useState(false);
+    const [pendingBackup, setPendingBackup] = useState(null);
+    const [status, setStatus] = useState(null);
+
+    const handleExport = async () => {
+        setIsBusy(true);
+        setStatus(null);
+        try {
+            const blob = await onExport();
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = backupFileName();
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        } catch (error) {
+            console.error("Failed to export backup", error);
+            setStatus({ isError: true, text: `Export failed: ${error.message}` });
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const handleFile = async (event) => {
+        const file = event.target.files?.[0];
+        event.target.value = "";
+        if (!file) return;
+        setIsBusy(true);
+        setStatus(null);
+        try {
+            setPendingBackup(await readBackup(file));
+        } catch (error) {
+            console.error("Failed to read backup", error);
+            setStatus({ isError: true, text: error instanceof BackupError ? error.message : `The backup could not be read: ${error.message}` });
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const handleImport = async (mode) => {
+        const backup = pendingBackup;
+        setPendingBackup(null);
+        setIsBusy(true);
+        try {
+            const { added, duplicates, outfits } = await onImport(backup, mode);
+            const skipped = duplicates > 0 ? ` ${duplicates} duplicate item${duplicates === 1 ? ' was' : 's were'} skipped.` : '';
+            setStatus({ isError: false, text: `Imported ${added} item${added === 1 ? '' : 's'} and ${outfits} outfit${outfits === 1 ? '' : 's'}.${skipped}` });
+        } catch (error) {
+            console.error("Failed to import backup", error);
+            setStatus({ isError: true, text: `Import failed: ${error.message}` });
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    return (
+        <div className="space-y-3">
+            <div className="flex gap-2">
+                <button onClick={handleExport} disabled={isBusy} className={buttonClass}>
+                    <Download size={16} /> Export
+                </button>
+                <label className={`${buttonClass} ${isBusy ? 'pointer-events-none opacity-50' : ''}`}>
+                    <UploadIcon size={16} /> Import
+                    <input type="file" accept=".zip,application/zip" onChange={handleFile} className="hidden" />
+                </label>
+            </div>
+
+            {pendingBackup && (
+                <div className="rounded-xl border dark:border-gray-600 p-3 text-sm space-y-3">
+                    <p>
+                        Backup from <span className="font-semibold">{pendingBackup.exportedAt ? new Date(pendingBackup.exportedAt).toLocaleString() : 'an unknown date'}</span>
+                        {' '}with {pendingBackup.clothes.length} items and {pendingBackup.outfits.length} outfits.
+                    </p>
+                    <div className="flex gap-2">
+                        <button onClick={() => handleImport('merge')} className="flex-1 h-10 rounded-xl bg-accent text-white font-semibold hover:opacity-90">Merge</button>
+                        <button onClick={() => handleImport('replace')} className="flex-1 h-10 rounded-xl bg-red-500 text-white font-semibold hover:opacity-90">Replace all</button>
+                        <button onClick={() => setPendingBackup(null)} className="flex-1 h-10 rounded-xl bg-gray-100 dark:bg-gray-700 font-semibold">Cancel</button>
+                    </div>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">Replace deletes your current wardrobe, outfits and settings first.</p>
+                </div>
+            )}
+
+            {status && (
+                <p role="status" className={`text-sm ${status.isError ? 'text-red-500' : 'text-gray-600 dark:text-gray-300'}`}>{status.text}</p>
+            )}
+        </div>
+    );
+};
+
+export default BackupSection;
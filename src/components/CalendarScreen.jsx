@@ -0,0 +1,135 @@
+import React, { useMemo, useState } from "react";
+import { ChevronLeft, ChevronRight, CalendarCheck, Trash2 } from "lucide-react";
+import { todayKey, fromDateKey, monthWeeks, formatDateKey } from "../dates";
+import { groupByDate } from "../wearLog";
+import { outfitTitle } from "../outfits";
+import OutfitThumbnail from "./OutfitThumbnail";
+
+/**
+ * Month view of the wear log. Picking a day lists what was worn (or is
+ * planned) then, and lets the user log or plan one of their saved outfits.
+ */
+const CalendarScreen = ({ wearLog, savedOutfits, clothesById, categories, onAddEntry, onRemoveEntry, onMarkWorn }) => {
+    const today = todayKey();
+    const [selectedDate, setSelectedDate] = useState(today);
+    const [visibleMonth, setVisibleMonth] = useState(() => {
+        const date = fromDateKey(today);
+        return { year: date.getFullYear(), month: date.getMonth() };
+    });
+
+    const entriesByDate = useMemo(() => groupByDate(wearLog), [wearLog]);
+    const weeks = useMemo(() => monthWeeks(visibleMonth.year, visibleMonth.month), [visibleMonth]);
+    const monthPrefix = `${visibleMonth.year}-${String(visibleMonth.month + 1).padStart(2, '0')}-`;
+    const wornThisMonth = wearLog.filter(entry => entry.status === 'worn' && entry.date.startsWith(monthPrefix) && entry.date <= today).length;
+
+    const selectedEntries = entriesByDate.get(selectedDate) || [];
+    const isFuture = selectedDate > today;
+    const availableOutfits = savedOutfits.filter(outfit => !selectedEntries.some(entry => entry.outfitId === outfit.id));
+
+    const changeMonth = (delta) => {
+        setVisibleMonth(({ year, month }) => {
+            const date = new Date(year, month + delta, 1);
+            return { year: date.getFullYear(), month: date.getMonth() };
+        });
+    };
+
+    const goToToday = () => {
+        const date = fromDateKey(today);
+        setVisibleMonth({ year: date.getFullYear(), month: date.getMonth() });
+        setSelectedDate(today);
+    };
+
+    return (
+        <div className="w-full h-full flex flex-col overflow-y-auto">
+            <div className="flex items-center justify-between p-4 pb-2 flex-shrink-0">
+                <button onClick={() => changeMonth(-1)} className="p-2 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-500 dark:text-gray-400" aria-label="Previous month">
+                    <ChevronLeft size={20} />
+                </button>
+                <div className="text-center">
+                    <h2 className="text-xl font-bold">{new Date(visibleMonth.year, visibleMonth.month, 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' })}</h2>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">{wornThisMonth} outfit{wornThisMonth === 1 ? '' : 's'} worn</p>
+                </div>
+                <button onClick={() => changeMonth(1)} className="p-2 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-500 dark:text-gray-400" aria-label="Next month">
+                    <ChevronRight size={20} />
+                </button>
+            </div>
+
+            <div className="px-4 flex-shrink-0">
+                <div className="grid grid-cols-7 gap-1 text-center text-xs font-semibold text-gray-400 mb-1">
+                    {weeks[0].map(({ key }) => <span key={key}>{formatDateKey(key, { weekday: 'narrow' })}</span>)}
+                </div>
+                <div className="grid grid-cols-7 gap-1">
+                    {weeks.flat().map(({ key, inMonth }) => {
+                        const entries = entriesByDate.get(key) || [];
+                        const first = entries.find(entry => entry.status === 'worn') || entries[0];
+                        return (
+                            <button
+                                key={key}
+                                onClick={() => setSelectedDate(key)}
+                                className={`relative aspect-square rounded-lg flex flex-col items-center p-0.5 text-xs transition-colors
+                                    ${key === selectedDate ? 'ring-2 ring-current' : ''}
+                                    ${inMonth ? '' : 'opacity-40'}
+                                    ${first?.status === 'planned' ? 'border border-dashed dark:border-gray-500' : 'bg-gray-100 dark:bg-gray-700/50'}`}
+                                aria-label={formatDateKey(key, { day: 'numeric', month: 'long' })}
+                                aria-pressed={key === selectedDate}
+                            >
+                                <span className={`font-semibold ${key === today ? 'text-accent' : ''}`}>{fromDateKey(key).getDate()}</span>
+                                {first && <OutfitThumbnail items={first.items} clothesById={clothesById} categories={categories} className="flex-1 min-h-0 w-full" />}
+                                {entries.length > 1 && <span className="absolute top-0.5 right-1 text-[10px] text-gray-400">+{entries.length - 1}</span>}
+                            </button>
+                        );
+                    })}
+                </div>
+            </div>
+
+            <div className="p-4 space-y-3">
+                <div className="flex items-center justify-between">
+                    <h3 className="font-semibold">{formatDateKey(selectedDate, { weekday: 'long', day: 'numeric', month: 'long' })}</h3>
+                    {selectedDate !== today && <button onClick={goToToday} className="text-xs font-semibold text-accent hover:underline">Today</button>}
+                </div>
+
+                {selectedEntries.length === 0 && (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">{isFuture ? 'Nothing planned yet.' : 'Nothing logged for this day.'}</p>
+                )}
+                {selectedEntries.map(entry => (
+                    <div key={entry.id} className="flex items-center gap-3 p-2 rounded-xl bg-gray-100 dark:bg-gray-700/50">
+                        <OutfitThumbnail items={entry.items} clothesById={clothesById} categories={categories} />
+                        <p className="flex-1 text-sm font-semibold">{entry.status === 'worn' ? 'Worn' : 'Planned'}</p>
+                        {entry.status === 'planned' && !isFuture && (
+                            <button onClick={() => onMarkWorn(entry.id)} className="flex items-center gap-1 px-2 py-1 text-xs font-semibold rounded-full text-accent hover:bg-gray-200 dark:hover:bg-gray-600">
+                                <CalendarCheck size={14} /> Mark worn
+                            </button>
+                        )}
+                        <button onClick={() => onRemoveEntry(entry.id)} className="p-2 text-red-500 hover:bg-red-100 dark:hover:bg-red-900/50 rounded-full transition-colors" aria-label="Remove from calendar">
+                            <Trash2 size={16} />
+                        </button>
+                    </div>
+                ))}
+
+                {savedOutfits.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">Save an outfit to start logging what you wear.</p>
+                ) : availableOutfits.length > 0 && (
+                    <div>
+                        <h4 className="text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-2">
+                            {isFuture ? 'Plan an outfit' : 'Log an outfit you wore'}
+                        </h4>
+                        <div className="flex gap-2 overflow-x-auto pb-1">
+                            {availableOutfits.map(outfit => (
+                                <button
+                                    key={outfit.id}
+                                    onClick={() => onAddEntry(outfit, selectedDate)}
+                                    aria-label={`${isFuture ? 'Plan' : 'Log'} ${outfitTitle(outfit, savedOutfits.indexOf(outfit))}`}
+                                    className="flex-shrink-0 p-1 rounded-xl border-2 border-dashed dark:border-gray-600 hover:border-gray-400"
+                                >
+                                    <OutfitThumbnail items={outfit.items} clothesById={clothesById} categories={categories} className="w-14 h-20" />
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default CalendarScreen;
@@ -0,0 +1,65 @@
+import React from "react";
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import CalendarScreen from "./CalendarScreen";
+import { DEFAULT_CATEGORIES } from "../categories";
+import { todayKey, addDays, formatDateKey } from "../dates";
+
+const CLOTHES = new Map([['t1', { id: 't1', type: 'top', image: 'blob:t1' }]]);
+const OUTFIT = { id: 'o1', items: { top: 't1' }, name: '', occasion: '', favorite: false, order: 0 };
+
+const renderCalendar = (props = {}) => {
+    const handlers = { onAddEntry: vi.fn(), onRemoveEntry: vi.fn(), onMarkWorn: vi.fn() };
+    render(
+        <CalendarScreen
+            wearLog={[]}
+            savedOutfits={[OUTFIT]}
+            clothesById={CLOTHES}
+            categories={DEFAULT_CATEGORIES}
+            {...handlers}
+            {...props}
+        />
+    );
+    return handlers;
+};
+
+const dayButton = (key) => screen.getByRole("button", { name: formatDateKey(key, { day: 'numeric', month: 'long' }) });
+
+describe("CalendarScreen", () => {
+    it("logs an outfit for today", () => {
+        const { onAddEntry } = renderCalendar();
+        expect(screen.getByText("Nothing logged for this day.")).toBeInTheDocument();
+        expect(screen.getByText("Log an outfit you wore")).toBeInTheDocument();
+        fireEvent.click(screen.getByRole("img", { name: "Top" }).closest("button"));
+        expect(onAddEntry).toHaveBeenCalledWith(OUTFIT, todayKey());
+    });
+
+    it("plans outfits for later days", () => {
+        // Tomorrow may be in next month's grid, so step there when it isn't shown.
+        const tomorrow = addDays(todayKey(), 1);
+        const { onAddEntry } = renderCalendar();
+        if (!screen.queryByRole("button", { name: formatDateKey(tomorrow, { day: 'numeric', month: 'long' }) })) {
+            fireEvent.click(screen.getByRole("button", { name: "Next month" }));
+        }
+        fireEvent.click(dayButton(tomorrow));
+        expect(screen.getByText("Nothing planned yet.")).toBeInTheDocument();
+        fireEvent.click(screen.getByText("Plan an outfit").parentElement.querySelector("button"));
+        expect(onAddEntry).toHaveBeenCalledWith(OUTFIT, tomorrow);
+    });
+
+    it("marks a plan for today as worn or removes it", () => {
+        const { onMarkWorn, onRemoveEntry } = renderCalendar({
+            wearLog: [{ id: 'w1', date: todayKey(), outfitId: 'o1', items: OUTFIT.items, status: 'planned' }],
+        });
+        expect(screen.getByText("Planned")).toBeInTheDocument();
+        fireEvent.click(screen.getByRole("button", { name: "Mark worn" }));
+        expect(onMarkWorn).toHaveBeenCalledWith("w1");
+        fireEvent.click(screen.getByRole("button", { name: "Remove from calendar" }));
+        expect(onRemoveEntry).toHaveBeenCalledWith("w1");
+    });
+
+    it("asks for a saved outfit first", () => {
+        renderCalendar({ savedOutfits: [] });
+        expect(screen.getByText("Save an outfit to start logging what you wear.")).toBeInTheDocument();
+    });
+});
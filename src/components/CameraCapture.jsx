@@ -0,0 +1,144 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Camera, Check } from "lucide-react";
+import CategoryIcon from "./CategoryIcon";
+import { useModalFocus } from "../modalFocus";
+
+// How to lay each kind of item out. The shapes are close to the ones the
+// category suggestion expects (categorySuggestion.js), so framed photos are
+// also easier to classify.
+const CAPTURE_GUIDES = {
+    hat: { aspect: 1.4, hint: 'Lay the hat flat, brim at the bottom' },
+    top: { aspect: 1.05, hint: 'Lay the top flat with the sleeves spread out' },
+    jacket: { aspect: 1, hint: 'Lay the jacket flat, closed, sleeves out' },
+    dress: { aspect: 0.5, hint: 'Lay the dress flat from shoulders to hem' },
+    bottom: { aspect: 0.55, hint: 'Lay the trousers flat, legs side by side' },
+    shoes: { aspect: 1.9, hint: 'Place the pair side by side, seen from above' },
+    bag: { aspect: 1.1, hint: 'Stand the bag up with the strap tucked behind' },
+};
+const DEFAULT_GUIDE = { aspect: 1, hint: 'Lay the item flat on a plain background' };
+
+/**
+ * @param {unknown} error
+ * @returns {string}
+ */
+const describeCameraError = (error) => {
+    if (error?.name === 'NotAllowedError') return 'Camera access was denied. Allow it in your browser settings to take photos here.';
+    if (error?.name === 'NotFoundError') return 'No camera was found on this device.';
+    return 'The camera could not be started.';
+};
+
+/**
+ * Full-screen camera for photographing clothes one after another. The chosen
+ * category shows a framing guide and is passed along with every photo.
+ * Escape closes it like "Done".
+ */
+const CameraCapture = ({ categories, onCapture, onClose }) => {
+    const dialogRef = useRef(null);
+    const videoRef = useRef(null);
+    const [categoryId, setCategoryId] = useState(categories[0]?.id);
+    const [isReady, setIsReady] = useState(false);
+    const [error, setError] = useState(null);
+    const [capturedCount, setCapturedCount] = useState(0);
+
+    useEffect(() => {
+        let cancelled = false;
+        let stream = null;
+        navigator.mediaDevices.getUserMedia({
+            video: { facingMode: 'environment', width: { ideal: 1920 }, height: { ideal: 1920 } },
+            audio: false,
+        })
+            .then(result => {
+                stream = result;
+                if (cancelled) {
+                    stream.getTracks().forEach(track => track.stop());
+                    return;
+                }
+                videoRef.current.srcObject = stream;
+            })
+            .catch(err => {
+                if (!cancelled) setError(describeCameraError(err));
+            });
+        return () => {
+            cancelled = true;
+            stream?.getTracks().forEach(track => track.stop());
+        };
+    }, []);
+
+    const capture = () => {
+        const video = videoRef.current;
+        if (!video?.videoWidth) return;
+        const canvas = document.createElement('canvas');
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        canvas.getContext('2d').drawImage(video, 0, 0);
+        canvas.toBlob(blob => {
+            if (!blob) return;
+            onCapture(new File([blob], `camera-${Date.now()}.jpg`, { type: 'image/jpeg' }), categoryId);
+            setCapturedCount(count => count + 1);
+        }, 'image/jpeg', 0.92);
+    };
+
+    useModalFocus(dialogRef, true, onClose);
+
+    const guide = CAPTURE_GUIDES[categoryId] || DEFAULT_GUIDE;
+
+    return (
+        <div ref={dialogRef} role="dialog" aria-modal="true" aria-label="Camera" tabIndex={-1} className="fixed inset-0 z-40 bg-black text-white flex flex-col focus:outline-none">
+            <div className="relative flex-1 min-h-0 flex items-center justify-center overflow-hidden">
+                <video
+                    ref={videoRef}
+                    autoPlay
+                    playsInline
+                    muted
+                    onLoadedMetadata={() => setIsReady(true)}
+                    className="absolute inset-0 w-full h-full object-cover"
+                />
+                {error ? (
+                    <p className="relative text-sm text-center px-8">{error}</p>
+                ) : (
+                    <div
+                        className="relative max-w-[80%] max-h-[70%] rounded-2xl border-2 border-dashed border-white/80 shadow-[0_0_0_9999px_rgba(0,0,0,0.45)]"
+                        style={{ aspectRatio: guide.aspect, width: guide.aspect >= 1 ? '80%' : 'auto', height: guide.aspect >= 1 ? 'auto' : '70%' }}
+                    />
+                )}
+                <p className="absolute top-4 inset-x-4 text-center text-sm font-medium drop-shadow">
+                    {isReady && !error ? guide.hint : !error && 'Starting camera…'}
+                </p>
+            </div>
+
+            <div className="flex-shrink-0 p-4 space-y-4">
+                <div className="flex gap-2 overflow-x-auto justify-center">
+                    {categories.map(cat => (
+                        <button
+                            key={cat.id}
+                            onClick={() => setCategoryId(cat.id)}
+                            className={`flex items-center gap-1.5 px-3 h-9 rounded-full text-sm font-semibold flex-shrink-0 ${categoryId === cat.id ? 'bg-white text-black' : 'bg-white/15'}`}
+                        >
+                            <CategoryIcon icon={cat.icon} size={16} /> {cat.name}
+                        </button>
+                    ))}
+                </div>
+                <div className="flex items-center justify-between">
+                    {/* Photos are queued as they are taken, so closing is all "done" needs to do. */}
+                    <div className="w-12" />
+                    <button
+                        onClick={capture}
+                        disabled={!isReady || Boolean(error)}
+                        aria-label="Take photo"
+                        className="w-16 h-16 rounded-full bg-white text-black flex items-center justify-center ring-4 ring-white/30 disabled:opacity-40"
+                    >
+                        <Camera size={26} />
+                    </button>
+                    <button onClick={onClose} aria-label="Done" className="w-12 h-12 rounded-full bg-accent flex items-center justify-center relative">
+                        <Check size={22} />
+                        {capturedCount > 0 && (
+                            <span className="absolute -top-1 -right-1 min-w-5 h-5 px-1 rounded-full bg-white text-black text-xs font-bold flex items-center justify-center">{capturedCount}</span>
+                        )}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default CameraCapture;
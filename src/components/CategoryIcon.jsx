@@ -0,0 +1,31 @@
+import React from "react";
+import { Shirt, HardHat, GraduationCap, Crown, Layers, Footprints, Sparkles, Snowflake, ShoppingBag, Backpack, Briefcase, Watch, Glasses, Gem, Umbrella, Tag } from "lucide-react";
+
+const ICONS = {
+    'shirt': Shirt,
+    'hard-hat': HardHat,
+    'graduation-cap': GraduationCap,
+    'crown': Crown,
+    'layers': Layers,
+    'footprints': Footprints,
+    'sparkles': Sparkles,
+    'snowflake': Snowflake,
+    'shopping-bag': ShoppingBag,
+    'backpack': Backpack,
+    'briefcase': Briefcase,
+    'watch': Watch,
+    'glasses': Glasses,
+    'gem': Gem,
+    'umbrella': Umbrella,
+    'tag': Tag,
+};
+
+/**
+ * Renders the icon stored on a category definition by name.
+ */
+const CategoryIcon = ({ icon, ...props }) => {
+    const Icon = ICONS[icon] || Tag;
+    return <Icon {...props} />;
+};
+
+export default CategoryIcon;
@@ -0,0 +1,154 @@
+import React, { useState } from "react";
+import { ChevronUp, ChevronDown, Trash2, Plus } from "lucide-react";
+import CategoryIcon from "./CategoryIcon";
+import { CATEGORY_ICON_NAMES, CATEGORY_PRESETS, sortByLayer, uniqueCategoryId } from "../categories";
+
+/**
+ * Settings section for editing the category registry.
+ */
+const CategoryManager = ({ categories, onChange, itemCounts }) => {
+    const [newName, setNewName] = useState('');
+    const [iconPickerFor, setIconPickerFor] = useState(null);
+    const [expandedId, setExpandedId] = useState(null);
+    const sorted = sortByLayer(categories);
+    const presets = CATEGORY_PRESETS.filter(preset => !categories.some(c => c.id === preset.id));
+
+    const update = (id, changes) => onChange(categories.map(c => (c.id === id ? { ...c, ...changes } : c)));
+
+    // Moving swaps layers with the neighbour so every other category keeps its place.
+    const move = (index, delta) => {
+        const current = sorted[index];
+        const other = sorted[index + delta];
+        if (!other) return;
+        onChange(categories.map(c => {
+            if (c.id === current.id) return { ...c, layer: other.layer };
+            if (c.id === other.id) return { ...c, layer: current.layer };
+            return c;
+        }));
+    };
+
+    const remove = (category) => {
+        const count = itemCounts[category.id] || 0;
+        if (categories.length <= 1) return;
+        if (count > 0 && !window.confirm(`${count} item${count === 1 ? '' : 's'} use "${category.name}". They stay in your wardrobe and saved outfits, but you won't be able to pick them in the creator. Remove the category?`)) {
+            return;
+        }
+        onChange(categories
+            .filter(c => c.id !== category.id)
+            .map(c => (c.excludes.includes(category.id) ? { ...c, excludes: c.excludes.filter(id => id !== category.id) } : c)));
+    };
+
+    const add = (definition) => {
+        const maxLayer = Math.max(0, ...categories.map(c => c.layer));
+        onChange([...categories, { layer: maxLayer + 10, required: false, excludes: [], icon: 'tag', ...definition }]);
+    };
+
+    const handleAdd = (event) => {
+        event.preventDefault();
+        const name = newName.trim();
+        if (!name) return;
+        add({ id: uniqueCategoryId(categories, name), name });
+        setNewName('');
+    };
+
+    const toggleExclude = (category, otherId) => {
+        const excludes = category.excludes.includes(otherId)
+            ? category.excludes.filter(id => id !== otherId)
+            : [...category.excludes, otherId];
+        update(category.id, { excludes });
+    };
+
+    return (
+        <div className="space-y-2">
+            {sorted.map((category, index) => (
+                <div key={category.id} className="bg-gray-100 dark:bg-gray-700 rounded-xl p-2">
+                    <div className="flex items-center gap-2">
+                        <button
+                            onClick={() => setIconPickerFor(iconPickerFor === category.id ? null : category.id)}
+                            className="p-2 rounded-lg bg-white dark:bg-gray-600 text-accent"
+                            aria-label={`Change icon for ${category.name}`}
+                        >
+                            <CategoryIcon icon={category.icon} size={18} />
+                        </button>
+                        <input
+                            value={category.name}
+                            onChange={(e) => update(category.id, { name: e.target.value })}
+                            className="flex-1 min-w-0 bg-transparent font-semibold text-sm focus:outline-none"
+                            aria-label="Category name"
+                        />
+                        <label className="flex items-center gap-1 text-xs text-gray-500 dark:text-gray-400">
+                            <input type="checkbox" checked={category.required} onChange={(e) => update(category.id, { required: e.target.checked })} />
+                            Required
+                        </label>
+                        <button onClick={() => move(index, -1)} disabled={index === 0} className="p-1 disabled:opacity-20" aria-label="Move up">
+                            <ChevronUp size={16} />
+                        </button>
+                        <button onClick={() => move(index, 1)} disabled={index === sorted.length - 1} className="p-1 disabled:opacity-20" aria-label="Move down">
+                            <ChevronDown size={16} />
+                        </button>
+                        <button onClick={() => remove(category)} disabled={categories.length <= 1} className="p-1 text-red-500 disabled:opacity-20" aria-label={`Remove ${category.name}`}>
+                            <Trash2 size={16} />
+                        </button>
+                    </div>
+
+                    {iconPickerFor === category.id && (
+                        <div className="grid grid-cols-8 gap-1 mt-2">
+                            {CATEGORY_ICON_NAMES.map(icon => (
+                                <button
+                                    key={icon}
+                                    onClick={() => { update(category.id, { icon }); setIconPickerFor(null); }}
+                                    className={`p-2 rounded-lg flex items-center justify-center ${category.icon === icon ? 'bg-accent text-white' : 'hover:bg-white dark:hover:bg-gray-600'}`}
+                                    aria-label={icon}
+                                >
+                                    <CategoryIcon icon={icon} size={16} />
+                                </button>
+                            ))}
+                        </div>
+                    )}
+
+                    <button onClick={() => setExpandedId(expandedId === category.id ? null : category.id)} className="mt-1 text-xs text-gray-500 dark:text-gray-400 hover:underline">
+                        {category.excludes.length > 0
+                            ? `Replaces ${category.excludes.map(id => categories.find(c => c.id === id)?.name || id).join(', ')}`
+                            : 'Replaces nothing'}
+                    </button>
+                    {expandedId === category.id && (
+                        <div className="flex flex-wrap gap-1 mt-1">
+                            {sorted.filter(other => other.id !== category.id).map(other => (
+                                <button
+                                    key={other.id}
+                                    onClick={() => toggleExclude(category, other.id)}
+                                    className={`px-2 py-1 rounded-full text-xs font-semibold ${category.excludes.includes(other.id) ? 'bg-accent text-white' : 'bg-white dark:bg-gray-600'}`}
+                                >
+                                    {other.name}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            ))}
+
+            <form onSubmit={handleAdd} className="flex gap-2">
+                <input
+                    value={newName}
+                    onChange={(e) => setNewName(e.target.value)}
+                    placeholder="New category"
+                    className="flex-1 min-w-0 px-3 py-2 rounded-xl bg-gray-100 dark:bg-gray-700 text-sm focus:outline-none"
+                />
+                <button type="submit" disabled={!newName.trim()} className="px-3 rounded-xl bg-accent text-white disabled:opacity-50" aria-label="Add category">
+                    <Plus size={18} />
+                </button>
+            </form>
+            {presets.length > 0 && (
+                <div className="flex flex-wrap gap-2">
+                    {presets.map(preset => (
+                        <button key={preset.id} onClick={() => add(preset)} className="flex items-center gap-1 px-3 py-1.5 rounded-full text-xs font-semibold border dark:border-gray-600 hover:bg-gray-100 dark:hover:bg-gray-700">
+                            <Plus size={12} /> {preset.name}
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default CategoryManager;
@@ -0,0 +1,126 @@
+import React, { useEffect, useRef, useState } from "react";
+import { motion } from "framer-motion";
+import { Scissors, Undo2, Sparkles, CheckCheck, Camera } from "lucide-react";
+import { getCategory } from "../categories";
+import CutoutEditor from "./CutoutEditor";
+import CategoryIcon from "./CategoryIcon";
+import { isDialogOpen } from "../modalFocus";
+
+const SuggestionBadge = ({ suggestion, categoryName }) => {
+    if (suggestion.source === 'camera') {
+        return (
+            <p className="mb-3 flex items-center justify-center gap-1.5 text-sm text-gray-600 dark:text-gray-300">
+                <Camera size={14} className="text-accent" />
+                Photographed as <span className="font-semibold">{categoryName}</span>
+            </p>
+        );
+    }
+    const percent = Math.round(suggestion.confidence * 100);
+    return (
+        <div className="mb-3 text-sm">
+            <p className="flex items-center justify-center gap-1.5 text-gray-600 dark:text-gray-300">
+                <Sparkles size={14} className="text-accent" />
+                Looks like <span className="font-semibold">{categoryName}</span>
+                <span className="text-gray-400">· {percent}% sure</span>
+            </p>
+            <div className="mt-1.5 mx-auto w-32 h-1.5 rounded-full bg-gray-200 dark:bg-gray-700 overflow-hidden">
+                <div className={`h-full rounded-full ${percent >= 50 ? 'bg-accent' : 'bg-gray-400'}`} style={{ width: `${percent}%` }} />
+            </div>
+        </div>
+    );
+};
+
+// Number keys pick the first nine categories.
+const SHORTCUT_COUNT = 9;
+
+/**
+ * The first photo in the queue with a button per category, the suggested one
+ * highlighted. The background can be cut out before classifying. Keys 1 to 9
+ * pick a category too.
+ */
+const ClassifierScreen = ({ file, categories, onClassify, onConfirmAll, suggestedCount, onCutout, onRestoreOriginal, remaining }) => {
+    const [isCuttingOut, setIsCuttingOut] = useState(false);
+    const suggestion = file.suggestion;
+
+    const shortcuts = useRef(null);
+    shortcuts.current = { categories, onClassify };
+    useEffect(() => {
+        if (isCuttingOut) return undefined;
+        const handleKeyDown = (event) => {
+            if (event.ctrlKey || event.metaKey || event.altKey) return;
+            // Not while typing, or while a dialog (like the camera) is on top.
+            if (isDialogOpen() || event.target.closest?.('input, textarea, select, [contenteditable]')) return;
+            const number = Number(event.key);
+            const cat = Number.isInteger(number) && number >= 1 && number <= SHORTCUT_COUNT ? shortcuts.current.categories[number - 1] : null;
+            if (!cat) return;
+            event.preventDefault();
+            shortcuts.current.onClassify(cat.id);
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [isCuttingOut]);
+
+    if (isCuttingOut) {
+        return (
+            <div className="flex flex-col items-center justify-center h-full w-full p-4 overflow-y-auto">
+                <h2 className="text-2xl font-bold mb-3">Cut Out Background</h2>
+                <CutoutEditor
+                    blob={file.original?.blob || file.blob}
+                    onApply={(processed) => { onCutout(processed); setIsCuttingOut(false); }}
+                    onCancel={() => setIsCuttingOut(false)}
+                />
+            </div>
+        );
+    }
+
+    return (
+        <motion.div
+            className="flex flex-col items-center justify-center h-full w-full p-4"
+            initial={{ scale: 0.8, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.8, opacity: 0 }}
+            transition={{ type: 'spring' }}
+        >
+          <div className="w-full max-w-sm text-center">
+            <h2 className="text-2xl font-bold mb-1">Classify Your Item</h2>
+            <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">{remaining > 0 ? `${remaining} more to classify.` : 'This is the last one!'}</p>
+            <img src={file.image} alt="Pending classification" className="w-48 h-48 object-contain rounded-2xl mx-auto mb-2 border-2 border-dashed dark:border-gray-600 p-2" />
+            <div className="flex justify-center gap-2 mb-4">
+              <button onClick={() => setIsCuttingOut(true)} className="flex items-center gap-1.5 px-3 py-1.5 text-xs font-semibold rounded-full bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors">
+                <Scissors size={14} /> {file.original ? 'Edit cut-out' : 'Cut out background'}
+              </button>
+              {file.original && (
+                <button onClick={onRestoreOriginal} className="flex items-center gap-1.5 px-3 py-1.5 text-xs font-semibold rounded-full bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors">
+                  <Undo2 size={14} /> Restore original
+                </button>
+              )}
+            </div>
+            {suggestion && <SuggestionBadge suggestion={suggestion} categoryName={getCategory(categories, suggestion.category).name} />}
+            <div className="grid grid-cols-2 gap-3 w-full">
+              {categories.map((cat, i) => (
+                <button
+                  key={cat.id}
+                  onClick={() => onClassify(cat.id)}
+                  aria-keyshortcuts={i < SHORTCUT_COUNT ? String(i + 1) : undefined}
+                  className={`w-full py-3 text-sm flex items-center justify-center gap-2 rounded-xl font-semibold transition-colors ${
+                    suggestion?.category === cat.id
+                      ? 'bg-accent text-white hover:opacity-90'
+                      : 'bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600'
+                  }`}
+                >
+                  <CategoryIcon icon={cat.icon} size={16} /> {cat.name}
+                  {i < SHORTCUT_COUNT && <kbd aria-hidden="true" className="hidden sm:inline text-[10px] font-mono opacity-60">{i + 1}</kbd>}
+                </button>
+              ))}
+            </div>
+            {suggestedCount > 1 && (
+              <button onClick={onConfirmAll} className="mt-3 w-full flex items-center justify-center gap-2 py-2.5 text-sm font-semibold rounded-xl border-2 border-dashed dark:border-gray-600 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors">
+                <CheckCheck size={16} /> Confirm all {suggestedCount} suggestions
+              </button>
+            )}
+          </div>
+        </motion.div>
+    )
+};
+
+export default ClassifierScreen;
@@ -0,0 +1,88 @@
+import React from "react";
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import ClassifierScreen from "./ClassifierScreen";
+import CameraCapture from "./CameraCapture";
+import { DEFAULT_CATEGORIES } from "../categories";
+
+const renderScreen = (props = {}) => {
+    const handlers = { onClassify: vi.fn(), onConfirmAll: vi.fn(), onCutout: vi.fn(), onRestoreOriginal: vi.fn() };
+    render(
+        <ClassifierScreen
+            file={{ id: 'p1', image: 'blob:p1', suggestion: null }}
+            categories={DEFAULT_CATEGORIES}
+            suggestedCount={0}
+            remaining={0}
+            {...handlers}
+            {...props}
+        />
+    );
+    return handlers;
+};
+
+describe("ClassifierScreen", () => {
+    afterEach(() => {
+        delete navigator.mediaDevices;
+    });
+
+    it("classifies the photo as the category picked", () => {
+        const { onClassify } = renderScreen({ remaining: 2 });
+        expect(screen.getByText("2 more to classify.")).toBeInTheDocument();
+        fireEvent.click(screen.getByRole("button", { name: "Bottom" }));
+        expect(onClassify).toHaveBeenCalledWith("bottom");
+    });
+
+    it("shows how sure the suggestion is", () => {
+        renderScreen({ file: { id: 'p1', image: 'blob:p1', suggestion: { category: 'top', confidence: 0.82 } } });
+        expect(screen.getByText("Top", { selector: "span" })).toBeInTheDocument();
+        expect(screen.getByText("· 82% sure")).toBeInTheDocument();
+        expect(screen.getByRole("button", { name: "Top" })).toHaveClass("bg-accent");
+    });
+
+    it("names the category a camera photo was framed for", () => {
+        renderScreen({ file: { id: 'p1', image: 'blob:p1', suggestion: { category: 'shoes', confidence: 1, source: 'camera' } } });
+        expect(screen.getByText(/Photographed as/)).toHaveTextContent("Photographed as Shoes");
+    });
+
+    it("offers to confirm every suggestion at once", () => {
+        const { onConfirmAll } = renderScreen({ suggestedCount: 3 });
+        fireEvent.click(screen.getByRole("button", { name: "Confirm all 3 suggestions" }));
+        expect(onConfirmAll).toHaveBeenCalled();
+    });
+
+    it("can go back to the original photo after a cut-out", () => {
+        const { onRestoreOriginal } = renderScreen({ file: { id: 'p1', image: 'blob:cut', original: { image: 'blob:p1' } } });
+        expect(screen.getByRole("button", { name: "Edit cut-out" })).toBeInTheDocument();
+        fireEvent.click(screen.getByRole("button", { name: "Restore original" }));
+        expect(onRestoreOriginal).toHaveBeenCalled();
+    });
+
+    it("classifies with the number keys", () => {
+        const { onClassify } = renderScreen();
+        expect(screen.getByRole("button", { name: "Top" })).toHaveAttribute("aria-keyshortcuts", "2");
+        fireEvent.keyDown(window, { key: "2" });
+        expect(onClassify).toHaveBeenCalledWith("top");
+        fireEvent.keyDown(window, { key: "7" });
+        fireEvent.keyDown(window, { key: "2", ctrlKey: true });
+        expect(onClassify).toHaveBeenCalledTimes(1);
+    });
+
+    it("ignores the number keys while the camera is open", () => {
+        // A camera that never starts is enough to have the dialog up.
+        Object.defineProperty(navigator, 'mediaDevices', { value: { getUserMedia: () => new Promise(() => {}) }, configurable: true });
+        const { onClassify } = renderScreen();
+        const onClose = vi.fn();
+        const camera = render(<CameraCapture categories={DEFAULT_CATEGORIES} onCapture={vi.fn()} onClose={onClose} />);
+        expect(screen.getByRole("dialog", { name: "Camera" })).toHaveAttribute("aria-modal", "true");
+
+        fireEvent.keyDown(window, { key: "2" });
+        fireEvent.keyDown(document.body, { key: "3" });
+        expect(onClassify).not.toHaveBeenCalled();
+
+        fireEvent.keyDown(document, { key: "Escape" });
+        expect(onClose).toHaveBeenCalled();
+        camera.unmount();
+        fireEvent.keyDown(window, { key: "2" });
+        expect(onClassify).toHaveBeenCalledWith("top");
+    });
+});
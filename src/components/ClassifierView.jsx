@@ -0,0 +1,90 @@
+import React from "react";
+import { recordClassification } from "../categorySuggestion";
+import { toImageFields, withSuggestion, backfillItems } from "../photoIntake";
+import { releaseClothingItem } from "../storage";
+import { actions } from "../wardrobeStore";
+import ClassifierScreen from "./ClassifierScreen";
+
+/**
+ * The classifier queue, one photo at a time, turning each into an item once
+ * the user picks its category. Goes on to the wardrobe when the queue runs
+ * out; also reached through a link or a reload with nothing left in it.
+ */
+const ClassifierView = ({ pendingFiles, processingCount, categories, profileId, dispatch, navigate, uploadButton }) => {
+    const categoryIds = categories.map(cat => cat.id);
+
+    /**
+     * @param {{ file: Object, category: string }[]} entries
+     */
+    const addClassifiedFiles = (entries) => {
+        if (entries.length === 0) return;
+        entries.forEach(({ file: { features, suggestion }, category }) => {
+            // The category a photo was framed for is the user's choice, not a guess.
+            recordClassification(features, category, suggestion?.source === 'camera' ? null : suggestion?.category ?? null, profileId);
+        });
+        const action = actions.classify(entries.map(({ file, category }) => ({ fileId: file.id, category })));
+        dispatch(action);
+        // New items have no colours yet.
+        backfillItems(entries.map(({ file }, i) => ({ ...file, id: action.entries[i].itemId, colors: null })), dispatch);
+        // Replaced, so Back doesn't return to an empty classifier.
+        if (entries.length === pendingFiles.length && processingCount === 0) {
+            navigate({ name: 'wardrobe' }, { replace: true });
+        }
+    };
+
+    const classifyPendingFile = (category) => {
+        if (pendingFiles.length === 0) return;
+        addClassifiedFiles([{ file: pendingFiles[0], category }]);
+    };
+
+    const confirmAllSuggestions = () => {
+        addClassifiedFiles(pendingFiles.filter(f => f.suggestion).map(file => ({ file, category: file.suggestion.category })));
+    };
+
+    // The first cut-out keeps the uploaded photo in `original` so it can be restored.
+    const applyCutout = async (processed) => {
+        const [first] = pendingFiles;
+        if (!first) return;
+        const original = first.original || { blob: first.blob, thumbBlob: first.thumbBlob, image: first.image, thumb: first.thumb };
+        if (first.original) releaseClothingItem(first);
+        // The cut-out outline is cleaner than the photo's, so suggest again.
+        const updated = await withSuggestion({ ...first, ...toImageFields(processed), original }, categoryIds, profileId);
+        if (first.suggestion?.source === 'camera') updated.suggestion = first.suggestion;
+        dispatch(actions.replacePendingFile(updated));
+    };
+
+    const restoreOriginalPhoto = () => {
+        const [first] = pendingFiles;
+        if (!first?.original) return;
+        const { original, ...file } = first;
+        releaseClothingItem(file);
+        dispatch(actions.replacePendingFile({ ...file, ...original }));
+    };
+
+    const currentFile = pendingFiles[0];
+    if (!currentFile) {
+        return processingCount > 0 ? (
+            <div className="flex items-center justify-center h-full text-gray-400 text-sm">Preparing your photos…</div>
+        ) : (
+            <div className="flex flex-col items-center justify-center h-full text-center p-8 gap-4">
+                <p className="text-gray-500 dark:text-gray-400">There are no photos waiting to be classified.</p>
+                <div className="w-full max-w-xs">{uploadButton}</div>
+            </div>
+        );
+    }
+    return (
+        <ClassifierScreen
+            key={currentFile.id}
+            file={currentFile}
+            categories={categories}
+            onClassify={classifyPendingFile}
+            onConfirmAll={confirmAllSuggestions}
+            suggestedCount={pendingFiles.filter(f => f.suggestion).length}
+            onCutout={applyCutout}
+            onRestoreOriginal={restoreOriginalPhoto}
+            remaining={pendingFiles.length - 1 + processingCount}
+        />
+    );
+};
+
+export default ClassifierView;
@@ -0,0 +1,46 @@
+import React, { useRef } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { useModalFocus } from "../modalFocus";
+
+/**
+ * Small modal asking the user to confirm a destructive action. Escape cancels.
+ */
+const ConfirmDialog = ({ isOpen, title, children, confirmLabel, onConfirm, onCancel }) => {
+    const dialogRef = useRef(null);
+    useModalFocus(dialogRef, isOpen, onCancel);
+
+    return (
+        <AnimatePresence>
+            {isOpen && (
+                <motion.div
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    exit={{ opacity: 0 }}
+                    onClick={onCancel}
+                    className="fixed inset-0 bg-black/50 z-50 backdrop-blur-sm flex items-center justify-center p-6"
+                >
+                    <motion.div
+                        ref={dialogRef}
+                        role="alertdialog"
+                        aria-modal="true"
+                        aria-labelledby="confirm-dialog-title"
+                        initial={{ scale: 0.9, opacity: 0 }}
+                        animate={{ scale: 1, opacity: 1 }}
+                        exit={{ scale: 0.9, opacity: 0 }}
+                        onClick={(e) => e.stopPropagation()}
+                        className="w-full max-w-sm bg-white dark:bg-gray-800 rounded-3xl shadow-2xl p-6"
+                    >
+                        <h2 id="confirm-dialog-title" className="text-lg font-bold mb-2">{title}</h2>
+                        <div className="text-sm text-gray-600 dark:text-gray-300 space-y-2 mb-5">{children}</div>
+                        <div className="flex gap-2">
+                            <button onClick={onCancel} className="flex-1 h-11 rounded-xl font-semibold text-sm bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600">Cancel</button>
+                            <button onClick={onConfirm} autoFocus className="flex-1 h-11 rounded-xl font-semibold text-sm bg-red-500 text-white hover:opacity-90">{confirmLabel}</button>
+                        </div>
+                    </motion.div>
+                </motion.div>
+            )}
+        </AnimatePresence>
+    );
+};
+
+export default ConfirmDialog;
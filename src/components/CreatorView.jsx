@@ -0,0 +1,73 @@
+import React, { useMemo } from "react";
+import { actions, nextIndex, selectCreatorItems, isCompleteOutfit, shuffleCreator } from "../wardrobeStore";
+import OutfitCreator from "./OutfitCreator";
+
+/**
+ * The outfit creator wired to the store's creator state (see wardrobeStore.js),
+ * which outlives this view so a half-built outfit is still there on return.
+ * `onSaved` gets the id of the outfit once it is saved.
+ */
+const CreatorView = ({ wardrobe, dispatch, categories, categorizedClothes, shuffleOptions, onShuffleOptionsChange, animationDirection, onAnimationDirectionChange, slideVariants, onSaved }) => {
+    const { creator, outfits, wearLog } = wardrobe;
+    const { partIndexes, lockedParts } = creator;
+
+    // Category id -> item id for what the creator currently shows.
+    const selection = useMemo(() => (
+        selectCreatorItems(categories, categorizedClothes, partIndexes)
+    ), [categories, categorizedClothes, partIndexes]);
+
+    const update = (changes) => dispatch(actions.updateCreator(changes));
+
+    const changePart = (cat, delta) => {
+        onAnimationDirectionChange(delta);
+        update({
+            notice: null,
+            partIndexes: { ...partIndexes, [cat]: nextIndex(categorizedClothes[cat].length, partIndexes[cat], delta) },
+        });
+    };
+
+    const toggleLockedPart = (cat) => {
+        const { [cat]: wasLocked, ...rest } = lockedParts;
+        update({ lockedParts: wasLocked ? rest : { ...lockedParts, [cat]: true } });
+    };
+
+    const shuffle = () => {
+        const result = shuffleCreator({ sortedCategories: categories, categorizedClothes, partIndexes, lockedParts, options: shuffleOptions, wearLog });
+        if (result.partIndexes) onAnimationDirectionChange(1);
+        update(result.partIndexes ? { notice: result.notice, partIndexes: result.partIndexes } : { notice: result.notice });
+    };
+
+    const save = (options) => {
+        const action = actions.saveCreatorOutfit(wardrobe, categories, options);
+        dispatch(action);
+        if (action.type === 'saveOutfit') onSaved(action.outfit.id);
+    };
+
+    return (
+        <OutfitCreator
+            categories={categories}
+            categorizedClothes={categorizedClothes}
+            partIndexes={partIndexes}
+            selection={selection}
+            onChangePart={changePart}
+            lockedParts={lockedParts}
+            onToggleLock={toggleLockedPart}
+            onShuffle={shuffle}
+            shuffleOptions={shuffleOptions}
+            onShuffleOptionsChange={onShuffleOptionsChange}
+            shuffleNotice={creator.notice}
+            details={creator.details}
+            onDetailsChange={details => update({ details })}
+            layout={creator.layout}
+            onLayoutChange={layout => update({ layout })}
+            editingOutfit={outfits.find(outfit => outfit.id === creator.editingOutfitId)}
+            onCancelEdit={() => dispatch(actions.resetCreator())}
+            onSave={save}
+            canSave={isCompleteOutfit(categories, selection)}
+            animationDirection={animationDirection}
+            slideVariants={slideVariants}
+        />
+    );
+};
+
+export default CreatorView;
@@ -0,0 +1,196 @@
+import React, { useMemo, useRef, useState } from "react";
+import { motion, AnimatePresence, useReducedMotion } from "framer-motion";
+import { Shirt } from "lucide-react";
+import { actions, categorizeClothes } from "../wardrobeStore";
+import { DEFAULT_WARDROBE_FILTERS } from "../wardrobeFilters";
+import { DEFAULT_SHUFFLE_OPTIONS } from "../outfitShuffle";
+import ClassifierView from "./ClassifierView";
+import CreatorView from "./CreatorView";
+import HomeView from "./HomeView";
+import WardrobeScreen from "./WardrobeScreen";
+import CalendarScreen from "./CalendarScreen";
+import StatsScreen from "./StatsScreen";
+import UploadButton from "./UploadButton";
+
+// Slides the creator's pieces and the home carousel in the direction browsed.
+const slideVariants = {
+    enter: (direction) => ({ x: direction > 0 ? '100%' : '-100%', opacity: 0, scale: 0.9 }),
+    center: { x: 0, opacity: 1, scale: 1 },
+    exit: (direction) => ({ x: direction < 0 ? '100%' : '-100%', opacity: 0, scale: 0.9 }),
+};
+
+// With reduced motion the next outfit or piece simply takes the old one's place.
+const stillVariants = {
+    enter: { opacity: 0 },
+    center: { opacity: 1, transition: { duration: 0 } },
+    exit: { opacity: 0, transition: { duration: 0 } },
+};
+
+/**
+ * The main area: the view in the route, or the welcome screen for an empty
+ * wardrobe. What the views share across switching between them (the home
+ * layout, wardrobe filters, shuffle options) is kept here.
+ */
+const CurrentView = ({ view, route, navigate, wardrobe, dispatch, profileId, categories, sortedCategories, clothesById, wearStats, laundryAfter, weatherSource, hasError, processingCount, onAddPhotos, onOpenCamera, otherProfiles, onTransferItems, onDeleteOutfit, onDonateItem, onShareOutfit }) => {
+    const { isLoaded, clothes, outfits, wearLog, pendingFiles } = wardrobe;
+    const [homeLayout, setHomeLayout] = useState('carousel');
+    const [wardrobeFilters, setWardrobeFilters] = useState(DEFAULT_WARDROBE_FILTERS);
+    const [shuffleOptions, setShuffleOptions] = useState(DEFAULT_SHUFFLE_OPTIONS);
+    const [animationDirection, setAnimationDirection] = useState(0);
+    const pieceVariants = useReducedMotion() ? stillVariants : slideVariants;
+    // Focus moves to the new view, so screen readers and the keyboard start there.
+    const mainRef = useRef(null);
+
+    const categorizedClothes = useMemo(() => categorizeClothes(clothes, sortedCategories), [clothes, sortedCategories]);
+
+    const uploadButton = (isPrimary) => (
+        <UploadButton isPrimary={isPrimary} onFiles={onAddPhotos} onOpenCamera={onOpenCamera} />
+    );
+
+    const renderView = () => {
+        if (!isLoaded) {
+            return hasError ? null : (
+                <div className="flex items-center justify-center h-full text-gray-400 text-sm">Loading your wardrobe…</div>
+            );
+        }
+
+        if (clothes.length === 0 && pendingFiles.length === 0 && processingCount === 0) {
+            return (
+                <div className="flex flex-col items-center justify-center h-full text-center p-8">
+                    <motion.div initial={{ scale: 0.5, opacity: 0 }} animate={{ scale: 1, opacity: 1 }} transition={{ type: 'spring', delay: 0.2 }}>
+                        <Shirt size={80} className="text-accent mb-4" strokeWidth={1.5} />
+                    </motion.div>
+                    <h2 className="text-2xl font-bold mb-2">Welcome to YourFit</h2>
+                    <p className="text-gray-500 dark:text-gray-400 mb-6 max-w-sm">
+                        Start building your virtual wardrobe. Upload photos of your clothes to begin creating outfits.
+                    </p>
+                    {uploadButton(true)}
+                </div>
+            );
+        }
+
+        switch (view) {
+            case 'classifier':
+                return (
+                    <ClassifierView
+                        pendingFiles={pendingFiles}
+                        processingCount={processingCount}
+                        categories={sortedCategories}
+                        profileId={profileId}
+                        dispatch={dispatch}
+                        navigate={navigate}
+                        uploadButton={uploadButton(false)}
+                    />
+                );
+
+            case 'wardrobe':
+                return (
+                    <WardrobeScreen
+                        clothes={clothes}
+                        categories={sortedCategories}
+                        filters={wardrobeFilters}
+                        onFiltersChange={setWardrobeFilters}
+                        wearStats={wearStats}
+                        onOpenItem={id => navigate({ name: 'item', id })}
+                        onCreateOutfit={() => navigate({ name: 'creator' })}
+                        onSetStatus={(ids, status) => dispatch(actions.setItemStatus(ids, status))}
+                        onReturnFromLaundry={() => dispatch(actions.returnFromLaundry())}
+                        otherProfiles={otherProfiles}
+                        onTransferItems={onTransferItems}
+                        uploadButton={uploadButton(false)}
+                    />
+                );
+
+            case 'creator':
+                return (
+                    <CreatorView
+                        wardrobe={wardrobe}
+                        dispatch={dispatch}
+                        categories={sortedCategories}
+                        categorizedClothes={categorizedClothes}
+                        shuffleOptions={shuffleOptions}
+                        onShuffleOptionsChange={setShuffleOptions}
+                        animationDirection={animationDirection}
+                        onAnimationDirectionChange={setAnimationDirection}
+                        slideVariants={pieceVariants}
+                        onSaved={id => {
+                            setHomeLayout('carousel');
+                            navigate({ name: 'outfit', id }, { replace: true });
+                        }}
+                    />
+                );
+
+            case 'calendar':
+                return (
+                    <CalendarScreen
+                        wearLog={wearLog}
+                        savedOutfits={outfits}
+                        clothesById={clothesById}
+                        categories={categories}
+                        onAddEntry={(outfit, date) => dispatch(actions.addWearEntry(outfit, date, laundryAfter))}
+                        onRemoveEntry={(id) => dispatch(actions.removeWearEntry(id))}
+                        onMarkWorn={(id) => dispatch(actions.markWorn(id, laundryAfter))}
+                    />
+                );
+
+            case 'stats':
+                return (
+                    <StatsScreen
+                        clothes={clothes}
+                        outfits={outfits}
+                        wearStats={wearStats}
+                        categories={sortedCategories}
+                        onOpenItem={id => navigate({ name: 'item', id })}
+                        onDonate={onDonateItem}
+                        onArchive={id => dispatch(actions.setItemStatus([id], 'archived'))}
+                    />
+                );
+
+            case 'home':
+            default:
+                return (
+                    <HomeView
+                        wardrobe={wardrobe}
+                        dispatch={dispatch}
+                        route={route}
+                        navigate={navigate}
+                        profileId={profileId}
+                        categories={categories}
+                        sortedCategories={sortedCategories}
+                        clothesById={clothesById}
+                        laundryAfter={laundryAfter}
+                        weatherSource={weatherSource}
+                        layout={homeLayout}
+                        onLayoutChange={setHomeLayout}
+                        animationDirection={animationDirection}
+                        onAnimationDirectionChange={setAnimationDirection}
+                        slideVariants={pieceVariants}
+                        onDeleteOutfit={onDeleteOutfit}
+                        onShareOutfit={onShareOutfit}
+                    />
+                );
+        }
+    };
+
+    return (
+        // min-h-0 keeps flexbox from collapsing the main area on mobile.
+        <main ref={mainRef} tabIndex={-1} className="flex-1 p-1 pt-0 min-h-0 focus:outline-none">
+            <div className="bg-white dark:bg-gray-800/50 w-full h-full rounded-3xl shadow-sm overflow-hidden relative">
+                <AnimatePresence mode="wait" onExitComplete={() => mainRef.current?.focus({ preventScroll: true })}>
+                    <motion.div
+                        key={view}
+                        initial={{ opacity: 0, scale: 0.98 }}
+                        animate={{ opacity: 1, scale: 1 }}
+                        exit={{ opacity: 0, scale: 0.98 }}
+                        transition={{ duration: 0.2 }}
+                        className="w-full h-full"
+                    >
+                        {renderView()}
+                    </motion.div>
+                </AnimatePresence>
+            </div>
+        </main>
+    );
+};
+
+export default CurrentView;
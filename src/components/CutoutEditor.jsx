@@ -0,0 +1,171 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Eraser, Paintbrush, Eye, Check, X } from "lucide-react";
+import { loadImageData, encodeImage } from "../imagePipeline";
+import { detectBackground, composeCutout, paintOverrides, DEFAULT_TOLERANCE, BRUSH_KEEP, BRUSH_ERASE } from "../backgroundRemoval";
+
+const CHECKERBOARD = {
+    backgroundImage: 'conic-gradient(#e5e7eb 25%, #fff 0 50%, #e5e7eb 0 75%, #fff 0)',
+    backgroundSize: '16px 16px',
+};
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @param {{ imageData: ImageData, background: Uint8Array | null, overrides: Uint8Array }} state
+ * @param {boolean} showOriginal
+ */
+const drawCanvas = (canvas, state, showOriginal) => {
+    if (!canvas || !state?.background) return;
+    const image = showOriginal ? state.imageData : composeCutout(state.imageData, state.background, state.overrides);
+    canvas.getContext('2d').putImageData(image, 0, 0);
+};
+
+/**
+ * Removes the background of a pending photo. The automatic mask can be tuned
+ * with the tolerance slider and touched up with an erase/keep brush.
+ */
+const CutoutEditor = ({ blob, onApply, onCancel }) => {
+    const canvasRef = useRef(null);
+    const pixels = useRef(null);
+    const isPainting = useRef(false);
+    const frame = useRef(0);
+    const [isReady, setIsReady] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const [tolerance, setTolerance] = useState(DEFAULT_TOLERANCE);
+    const [brush, setBrush] = useState(BRUSH_ERASE);
+    const [brushSize, setBrushSize] = useState(20);
+    const [showOriginal, setShowOriginal] = useState(false);
+
+    useEffect(() => {
+        let cancelled = false;
+        loadImageData(blob)
+            .then(imageData => {
+                if (cancelled) return;
+                const canvas = canvasRef.current;
+                canvas.width = imageData.width;
+                canvas.height = imageData.height;
+                pixels.current = { imageData, background: null, overrides: new Uint8Array(imageData.width * imageData.height) };
+                setIsReady(true);
+            })
+            .catch(err => {
+                if (!cancelled) setError(err.message);
+            });
+        return () => {
+            cancelled = true;
+            cancelAnimationFrame(frame.current);
+        };
+    }, [blob]);
+
+    // The flood fill takes a moment on large photos, so wait for the slider to settle.
+    useEffect(() => {
+        if (!isReady) return;
+        const timer = setTimeout(() => {
+            pixels.current.background = detectBackground(pixels.current.imageData, tolerance);
+            drawCanvas(canvasRef.current, pixels.current, false);
+        }, 120);
+        return () => clearTimeout(timer);
+    }, [isReady, tolerance]);
+
+    useEffect(() => {
+        drawCanvas(canvasRef.current, pixels.current, showOriginal);
+    }, [showOriginal]);
+
+    const paintAt = (event) => {
+        const canvas = canvasRef.current;
+        const state = pixels.current;
+        if (!state?.background) return;
+        const rect = canvas.getBoundingClientRect();
+        const scale = canvas.width / rect.width;
+        const x = (event.clientX - rect.left) * scale;
+        const y = (event.clientY - rect.top) * scale;
+        paintOverrides(state.overrides, canvas.width, canvas.height, x, y, brushSize * scale, brush);
+        cancelAnimationFrame(frame.current);
+        frame.current = requestAnimationFrame(() => drawCanvas(canvas, state, false));
+    };
+
+    const handlePointerDown = (event) => {
+        event.currentTarget.setPointerCapture(event.pointerId);
+        isPainting.current = true;
+        paintAt(event);
+    };
+
+    const handlePointerMove = (event) => {
+        if (isPainting.current) paintAt(event);
+    };
+
+    const handlePointerUp = () => {
+        isPainting.current = false;
+    };
+
+    const handleApply = async () => {
+        const state = pixels.current;
+        if (!state?.background) return;
+        setIsSaving(true);
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = state.imageData.width;
+            canvas.height = state.imageData.height;
+            canvas.getContext('2d').putImageData(composeCutout(state.imageData, state.background, state.overrides), 0, 0);
+            onApply(await encodeImage(canvas, { alpha: true }));
+        } catch (err) {
+            setError(err.message);
+            setIsSaving(false);
+        }
+    };
+
+    const toolClass = (active) => `flex-1 flex items-center justify-center gap-1.5 py-2 rounded-lg text-sm font-semibold transition-colors ${active ? 'bg-white dark:bg-gray-500 shadow-sm' : ''}`;
+
+    return (
+        <div className="w-full max-w-sm flex flex-col items-center gap-3">
+            <div className="w-full h-64 flex items-center justify-center rounded-2xl overflow-hidden" style={CHECKERBOARD}>
+                {!isReady && !error && <p className="text-sm text-gray-500">Loading…</p>}
+                {error && <p className="text-sm text-red-500 p-4">{error}</p>}
+                <canvas
+                    ref={canvasRef}
+                    onPointerDown={handlePointerDown}
+                    onPointerMove={handlePointerMove}
+                    onPointerUp={handlePointerUp}
+                    onPointerCancel={handlePointerUp}
+                    className={`max-w-full max-h-full touch-none cursor-crosshair ${isReady ? '' : 'hidden'}`}
+                />
+            </div>
+
+            <label className="w-full flex items-center gap-3 text-sm">
+                <span className="w-20 text-left text-gray-500 dark:text-gray-400">Tolerance</span>
+                <input type="range" min="8" max="160" value={tolerance} onChange={(e) => setTolerance(Number(e.target.value))} className="flex-1" />
+            </label>
+            <label className="w-full flex items-center gap-3 text-sm">
+                <span className="w-20 text-left text-gray-500 dark:text-gray-400">Brush</span>
+                <input type="range" min="4" max="60" value={brushSize} onChange={(e) => setBrushSize(Number(e.target.value))} className="flex-1" />
+            </label>
+
+            <div className="w-full flex gap-2 bg-gray-100 dark:bg-gray-700 p-1 rounded-xl">
+                <button onClick={() => setBrush(BRUSH_ERASE)} className={toolClass(brush === BRUSH_ERASE)}>
+                    <Eraser size={16} /> Erase
+                </button>
+                <button onClick={() => setBrush(BRUSH_KEEP)} className={toolClass(brush === BRUSH_KEEP)}>
+                    <Paintbrush size={16} /> Keep
+                </button>
+                <button
+                    onPointerDown={() => setShowOriginal(true)}
+                    onPointerUp={() => setShowOriginal(false)}
+                    onPointerLeave={() => setShowOriginal(false)}
+                    className={toolClass(showOriginal)}
+                >
+                    <Eye size={16} /> Hold to compare
+                </button>
+            </div>
+
+            <div className="w-full grid grid-cols-2 gap-3">
+                <button onClick={onCancel} className="flex items-center justify-center gap-2 py-3 text-sm bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 rounded-xl font-semibold transition-colors">
+                    <X size={16} /> Cancel
+                </button>
+                <button onClick={handleApply} disabled={!isReady || isSaving} className="flex items-center justify-center gap-2 py-3 text-sm bg-accent text-white rounded-xl font-semibold hover:opacity-90 transition-opacity disabled:opacity-50">
+                    <Check size={16} /> {isSaving ? 'Saving…' : 'Use cut-out'}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default CutoutEditor;
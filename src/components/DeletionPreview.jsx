@@ -0,0 +1,17 @@
+import React from "react";
+
+// What deleting an item does to the saved outfits, for the confirmation dialog.
+const DeletionPreview = ({ plan }) => {
+    const { removed, detached } = plan;
+    if (removed.length === 0 && detached.length === 0) return <p>It isn't used in any saved outfit.</p>;
+    const outfits = (n) => `${n} outfit${n === 1 ? '' : 's'}`;
+    return (
+        <p>
+            It's used in {outfits(removed.length + new Set(detached.map(d => d.outfitId)).size)}.
+            {removed.length > 0 && ` ${outfits(removed.length)} would be missing a required piece and will move to the trash with it.`}
+            {detached.length > 0 && ` ${outfits(new Set(detached.map(d => d.outfitId)).size)} will keep the rest of their pieces.`}
+        </p>
+    );
+};
+
+export default DeletionPreview;
@@ -0,0 +1,149 @@
+import React from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { ChevronLeft, ChevronRight, List, Star, Pencil, Copy, Share2, CalendarCheck, Trash2, AlertTriangle } from "lucide-react";
+import { todayKey } from "../dates";
+import { sortByLayer, getCategory } from "../categories";
+import { outfitTitle } from "../outfits";
+import { displayName, isWearable, getItemStatus } from "../itemMetadata";
+import OutfitCanvas from "./OutfitCanvas";
+
+/**
+ * Carousel of the saved outfits, one at a time with the pieces where the
+ * user arranged them (or stacked head to toe), and the actions for the one
+ * showing. `todaysPick` goes above it. Browse with the arrows, the arrow keys
+ * or a sideways swipe; screen readers hear which outfit is showing.
+ */
+const HomeScreen = ({ todaysPick, savedOutfits, clothesById, categories, outfitIndex, onChangeOutfit, onCreateNew, onDeleteOutfit, onEditOutfit, onDuplicateOutfit, onShareOutfit, onToggleFavorite, onShowList, wearLog, onToggleWornToday, animationDirection, slideVariants }) => {
+    const currentOutfit = savedOutfits[outfitIndex];
+    const today = todayKey();
+    const wornToday = Boolean(currentOutfit) && wearLog.some(entry => entry.date === today && entry.outfitId === currentOutfit.id && entry.status === 'worn');
+    // Pieces are stacked head to toe; categories removed since saving still show, last.
+    const pieces = currentOutfit ? sortByLayer(Object.keys(currentOutfit.items).map(id => getCategory(categories, id))) : [];
+    const pieceSize = pieces.length > 4 ? 'h-24 w-24' : 'h-32 w-32';
+    const title = currentOutfit ? outfitTitle(currentOutfit, outfitIndex) : '';
+    const unavailable = pieces
+        .map(cat => ({ cat, item: clothesById.get(currentOutfit.items[cat.id]) }))
+        .filter(({ item }) => item && !isWearable(item));
+    
+    if (savedOutfits.length === 0) {
+        return (
+            <div className="flex flex-col items-center justify-center h-full text-center p-8">
+                <h2 className="text-2xl font-bold mb-2">No Outfits Yet</h2>
+                <p className="text-gray-500 dark:text-gray-400 mb-6 max-w-sm">
+                    You haven't saved any outfits. Head over to the creator to make your first one!
+                </p>
+                <button onClick={onCreateNew} className="h-12 px-8 bg-accent text-white rounded-xl font-semibold text-sm hover:opacity-90 transition-opacity">
+                    Create Outfit
+                </button>
+            </div>
+        );
+    }
+    
+    const handleKeyDown = (event) => {
+        const delta = { ArrowLeft: -1, ArrowRight: 1 }[event.key];
+        if (!delta) return;
+        event.preventDefault();
+        onChangeOutfit(delta);
+    };
+
+    // Same as the creator: a quick sideways swipe, not a vertical scroll.
+    const handlePanEnd = (event, info) => {
+        if (Math.abs(info.offset.x) > 100 && Math.abs(info.offset.x) > 2 * Math.abs(info.offset.y)) onChangeOutfit(info.offset.x < 0 ? 1 : -1);
+    };
+
+    return (
+        <div className="w-full h-full flex flex-col">
+            {todaysPick}
+            <motion.div
+                role="region"
+                aria-roledescription="carousel"
+                aria-label="Saved outfits"
+                tabIndex={0}
+                onKeyDown={handleKeyDown}
+                onPanEnd={handlePanEnd}
+                className="flex-1 flex items-center justify-between relative overflow-hidden p-2 touch-pan-y focus:outline-none focus-visible:ring-2 focus-visible:ring-inset ring-current"
+            >
+                <p aria-live="polite" className="sr-only">Outfit {outfitIndex + 1} of {savedOutfits.length}: {title}</p>
+                <button onClick={() => onChangeOutfit(-1)} aria-label="Previous outfit" className="absolute left-2 top-1/2 -translate-y-1/2 z-20 p-1 rounded-full bg-white/50 dark:bg-black/50 backdrop-blur-sm hover:bg-white/80 dark:hover:bg-black/80 text-gray-500 dark:text-gray-400">
+                    <ChevronLeft size={20} />
+                </button>
+                <AnimatePresence initial={false} custom={animationDirection}>
+                    <motion.div
+                        key={currentOutfit.id}
+                        className="absolute inset-0 flex flex-col items-center justify-center gap-2 p-4"
+                        variants={slideVariants}
+                        custom={animationDirection}
+                        initial="enter"
+                        animate="center"
+                        exit="exit"
+                        transition={{ duration: 0.35, type: 'spring', bounce: 0.3 }}
+                    >
+                        {currentOutfit.layout ? (
+                            <OutfitCanvas
+                                pieces={pieces.map(cat => ({ cat, item: clothesById.get(currentOutfit.items[cat.id]) })).filter(({ item }) => item)}
+                                layout={currentOutfit.layout}
+                                className="h-full max-w-full"
+                            />
+                        ) : pieces.map(cat => {
+                            const item = clothesById.get(currentOutfit.items[cat.id]);
+                            if (!item) return null;
+                            return (
+                                <div key={cat.id} className="flex flex-col items-center">
+                                    <div className={`${pieceSize} flex items-center justify-center`}>
+                                        <img src={item.image} alt={displayName(item, cat)} className={`max-w-full max-h-full object-contain ${isWearable(item) ? '' : 'opacity-40'}`} />
+                                    </div>
+                                </div>
+                            )
+                        })}
+                    </motion.div>
+                </AnimatePresence>
+                <button onClick={() => onChangeOutfit(1)} aria-label="Next outfit" className="absolute right-2 top-1/2 -translate-y-1/2 z-20 p-1 rounded-full bg-white/50 dark:bg-black/50 backdrop-blur-sm hover:bg-white/80 dark:hover:bg-black/80 text-gray-500 dark:text-gray-400">
+                    <ChevronRight size={20} />
+                </button>
+            </motion.div>
+            <div className="p-4 pb-2 flex items-center gap-2 border-t dark:border-gray-700">
+                <div className="flex-1 min-w-0">
+                    <p className="font-semibold truncate">{title}</p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                        {[currentOutfit.occasion, `${outfitIndex + 1} of ${savedOutfits.length}`].filter(Boolean).join(' · ')}
+                    </p>
+                </div>
+                <button onClick={onShowList} className="p-2 rounded-full text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700" aria-label="Show all outfits">
+                    <List size={20} />
+                </button>
+            </div>
+            {unavailable.length > 0 && (
+                <p className="px-4 pb-2 flex items-start gap-1.5 text-xs text-gray-500 dark:text-gray-400">
+                    <AlertTriangle size={14} className="flex-shrink-0 text-accent" />
+                    <span>Not available: {unavailable.map(({ cat, item }) => `${displayName(item, cat)} (${getItemStatus(item).phrase})`).join(', ')}</span>
+                </p>
+            )}
+            <div className="px-4 pb-4 flex items-center gap-1">
+                <button onClick={() => onToggleFavorite(currentOutfit.id)} aria-label="Favorite" aria-pressed={currentOutfit.favorite} className="p-2 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700">
+                    <Star size={20} className={currentOutfit.favorite ? 'fill-current text-accent' : 'text-gray-500 dark:text-gray-400'} />
+                </button>
+                <button onClick={() => onEditOutfit(currentOutfit.id)} aria-label="Edit outfit" className="p-2 rounded-full text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700">
+                    <Pencil size={20} />
+                </button>
+                <button onClick={() => onDuplicateOutfit(currentOutfit.id)} aria-label="Duplicate outfit" className="p-2 rounded-full text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700">
+                    <Copy size={20} />
+                </button>
+                <button onClick={() => onShareOutfit(currentOutfit.id)} aria-label="Share outfit" className="p-2 rounded-full text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700">
+                    <Share2 size={20} />
+                </button>
+                <button
+                    onClick={() => onToggleWornToday(currentOutfit)}
+                    aria-pressed={wornToday}
+                    className={`ml-auto mr-1 flex items-center gap-1.5 px-3 py-1.5 text-xs font-semibold rounded-full transition-colors ${wornToday ? 'bg-accent text-white' : 'bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600'}`}
+                >
+                    <CalendarCheck size={14} /> {wornToday ? 'Worn today' : 'Wore it today'}
+                </button>
+                <button onClick={() => onDeleteOutfit(currentOutfit.id)} aria-label="Delete outfit" className="p-2 text-red-500 hover:bg-red-100 dark:hover:bg-red-900/50 rounded-full transition-colors">
+                    <Trash2 size={20} />
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default HomeScreen;
@@ -0,0 +1,107 @@
+import React from "react";
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import HomeScreen from "./HomeScreen";
+import { DEFAULT_CATEGORIES } from "../categories";
+import { todayKey } from "../dates";
+
+const CLOTHES = new Map([
+    ['t1', { id: 't1', type: 'top', image: 'blob:t1' }],
+    ['b1', { id: 'b1', type: 'bottom', image: 'blob:b1' }],
+]);
+const OUTFITS = [
+    { id: 'o1', items: { top: 't1', bottom: 'b1' }, name: 'Work', occasion: 'Office', favorite: true, order: 0 },
+    { id: 'o2', items: { top: 't1' }, name: '', occasion: '', favorite: false, order: 1 },
+];
+
+const renderHome = (props = {}) => {
+    const handlers = {
+        onChangeOutfit: vi.fn(), onCreateNew: vi.fn(), onDeleteOutfit: vi.fn(), onEditOutfit: vi.fn(), onDuplicateOutfit: vi.fn(),
+        onShareOutfit: vi.fn(), onToggleFavorite: vi.fn(), onShowList: vi.fn(), onToggleWornToday: vi.fn(),
+    };
+    render(
+        <HomeScreen
+            savedOutfits={OUTFITS}
+            clothesById={CLOTHES}
+            categories={DEFAULT_CATEGORIES}
+            outfitIndex={0}
+            wearLog={[]}
+            animationDirection={0}
+            slideVariants={{}}
+            {...handlers}
+            {...props}
+        />
+    );
+    return handlers;
+};
+
+describe("HomeScreen", () => {
+    it("points to the creator when there are no outfits", () => {
+        const { onCreateNew } = renderHome({ savedOutfits: [] });
+        expect(screen.getByText("No Outfits Yet")).toBeInTheDocument();
+        fireEvent.click(screen.getByRole("button", { name: "Create Outfit" }));
+        expect(onCreateNew).toHaveBeenCalled();
+    });
+
+    it("shows the current outfit head to toe", () => {
+        renderHome();
+        expect(screen.getAllByRole("img").map(img => img.getAttribute("alt"))).toEqual(["Top", "Bottom"]);
+        expect(screen.getByText("Work")).toBeInTheDocument();
+        expect(screen.getByText("Office · 1 of 2")).toBeInTheDocument();
+        expect(screen.getByRole("button", { name: "Favorite" })).toHaveAttribute("aria-pressed", "true");
+    });
+
+    it("shows an arranged outfit where its pieces were put", () => {
+        const layout = {
+            top: { x: 0.3, y: 0.4, scale: 1.5, rotation: -15, z: 1 },
+            bottom: { x: 0.6, y: 0.7, scale: 1, rotation: 0, z: 0 },
+        };
+        renderHome({ savedOutfits: [{ ...OUTFITS[0], layout }] });
+        // Back to front: the bottom is behind the top.
+        expect(screen.getAllByRole("img").map(img => img.getAttribute("alt"))).toEqual(["Bottom", "Top"]);
+        const top = screen.getByRole("img", { name: "Top" }).parentElement;
+        expect(top).toHaveStyle({ left: "30%", top: "40%", transform: "rotate(-15deg) scale(1.5)" });
+    });
+
+    it("falls back to a numbered title", () => {
+        renderHome({ outfitIndex: 1 });
+        expect(screen.getByText("Outfit 2")).toBeInTheDocument();
+    });
+
+    it("acts on the outfit showing", () => {
+        const handlers = renderHome({ outfitIndex: 1 });
+        fireEvent.click(screen.getByRole("button", { name: "Edit outfit" }));
+        fireEvent.click(screen.getByRole("button", { name: "Duplicate outfit" }));
+        fireEvent.click(screen.getByRole("button", { name: "Share outfit" }));
+        fireEvent.click(screen.getByRole("button", { name: "Wore it today" }));
+        expect(handlers.onEditOutfit).toHaveBeenCalledWith("o2");
+        expect(handlers.onDuplicateOutfit).toHaveBeenCalledWith("o2");
+        expect(handlers.onShareOutfit).toHaveBeenCalledWith("o2");
+        expect(handlers.onToggleWornToday).toHaveBeenCalledWith(OUTFITS[1]);
+    });
+
+    it("flags pieces that aren't available", () => {
+        const clothes = new Map(CLOTHES);
+        clothes.set('b1', { ...CLOTHES.get('b1'), name: 'Jeans', status: 'laundry' });
+        renderHome({ clothesById: clothes });
+        expect(screen.getByText("Not available: Jeans (in the laundry)")).toBeInTheDocument();
+        // Named pieces go by their name.
+        expect(screen.getByRole("img", { name: "Jeans" })).toHaveClass("opacity-40");
+    });
+
+    it("browses with the arrow keys and says which outfit is showing", () => {
+        const { onChangeOutfit } = renderHome();
+        expect(screen.getByText("Outfit 1 of 2: Work")).toHaveAttribute("aria-live", "polite");
+        const carousel = screen.getByRole("region", { name: "Saved outfits" });
+        fireEvent.keyDown(carousel, { key: "ArrowRight" });
+        fireEvent.keyDown(carousel, { key: "ArrowLeft" });
+        expect(onChangeOutfit.mock.calls).toEqual([[1], [-1]]);
+        fireEvent.click(screen.getByRole("button", { name: "Previous outfit" }));
+        expect(onChangeOutfit).toHaveBeenLastCalledWith(-1);
+    });
+
+    it("marks outfits worn today", () => {
+        renderHome({ wearLog: [{ id: 'w1', date: todayKey(), outfitId: 'o1', items: {}, status: 'worn' }] });
+        expect(screen.getByRole("button", { name: "Worn today" })).toHaveAttribute("aria-pressed", "true");
+    });
+});
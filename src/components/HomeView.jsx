@@ -0,0 +1,99 @@
+import React, { useMemo } from "react";
+import { actions, nextIndex } from "../wardrobeStore";
+import { outfitTitle } from "../outfits";
+import { useForecast } from "../weatherForecast";
+import { suggestOutfit } from "../weatherSuggestions";
+import HomeScreen from "./HomeScreen";
+import OutfitList from "./OutfitList";
+import TodaysPick from "./TodaysPick";
+
+/**
+ * The saved outfits, as a carousel under today's pick or as a list to
+ * reorder. The carousel shows the outfit in the route, or the first one.
+ */
+const HomeView = ({ wardrobe, dispatch, route, navigate, profileId, categories, sortedCategories, clothesById, laundryAfter, weatherSource, layout, onLayoutChange, animationDirection, onAnimationDirectionChange, slideVariants, onDeleteOutfit, onShareOutfit }) => {
+    const { outfits, wearLog } = wardrobe;
+    const weather = useForecast(profileId, weatherSource);
+
+    const suggestion = useMemo(() => (
+        weather.forecast ? suggestOutfit({ outfits, clothesById, categories, forecast: weather.forecast }) : null
+    ), [weather.forecast, outfits, clothesById, categories]);
+
+    const outfitIndex = route.name === 'outfit' ? Math.max(0, outfits.findIndex(outfit => outfit.id === route.id)) : 0;
+
+    const openOutfit = (id) => {
+        onLayoutChange('carousel');
+        navigate({ name: 'outfit', id });
+    };
+
+    // Replaces the route, so Back leaves the carousel instead of stepping through it.
+    const changeOutfit = (delta) => {
+        const outfit = outfits[nextIndex(outfits.length, outfitIndex, delta)];
+        if (!outfit) return;
+        onAnimationDirectionChange(delta);
+        navigate({ name: 'outfit', id: outfit.id }, { replace: true });
+    };
+
+    const editOutfit = (id) => {
+        dispatch(actions.editOutfit(id, sortedCategories));
+        navigate({ name: 'creator' });
+    };
+
+    const duplicateOutfit = (id) => {
+        const action = actions.duplicateOutfit(id);
+        dispatch(action);
+        onAnimationDirectionChange(1);
+        navigate({ name: 'outfit', id: action.copyId }, { replace: true });
+    };
+
+    const toggleFavoriteOutfit = (id) => dispatch(actions.toggleFavorite(id));
+
+    if (layout === 'list' && outfits.length > 0) {
+        return (
+            <OutfitList
+                outfits={outfits}
+                clothesById={clothesById}
+                categories={categories}
+                onOpen={openOutfit}
+                onReorder={reordered => dispatch(actions.reorderOutfits(reordered))}
+                onToggleFavorite={toggleFavoriteOutfit}
+                onShowCarousel={() => onLayoutChange('carousel')}
+            />
+        );
+    }
+    return (
+        <HomeScreen
+            todaysPick={
+                <TodaysPick
+                    forecast={weather.forecast}
+                    isManual={weather.isManual}
+                    isLoading={weather.isLoading}
+                    error={weather.error}
+                    suggestion={suggestion}
+                    title={suggestion && outfitTitle(suggestion.outfit, outfits.indexOf(suggestion.outfit))}
+                    onSetWeather={weather.setManualWeather}
+                    onRefresh={weather.refresh}
+                    onShow={openOutfit}
+                />
+            }
+            savedOutfits={outfits}
+            clothesById={clothesById}
+            categories={categories}
+            outfitIndex={Math.min(outfitIndex, outfits.length - 1)}
+            onChangeOutfit={changeOutfit}
+            onCreateNew={() => navigate({ name: 'creator' })}
+            onDeleteOutfit={onDeleteOutfit}
+            onEditOutfit={editOutfit}
+            onDuplicateOutfit={duplicateOutfit}
+            onShareOutfit={onShareOutfit}
+            onToggleFavorite={toggleFavoriteOutfit}
+            onShowList={() => onLayoutChange('list')}
+            wearLog={wearLog}
+            onToggleWornToday={(outfit) => dispatch(actions.toggleWornToday(outfit, laundryAfter))}
+            animationDirection={animationDirection}
+            slideVariants={slideVariants}
+        />
+    );
+};
+
+export default HomeView;
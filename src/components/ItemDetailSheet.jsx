@@ -0,0 +1,235 @@
+import React, { useRef, useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { X, Wand2, Check, Trash2 } from "lucide-react";
+import { SEASONS, WARMTH_LEVELS, FORMALITY_LEVELS, COLOR_PALETTE, ITEM_STATUSES, getItemStatus, extractDominantColors, normalizeTag } from "../itemMetadata";
+import { formatDateKey } from "../dates";
+import { useModalFocus } from "../modalFocus";
+
+const inputClass = "w-full px-3 py-2 rounded-xl bg-gray-100 dark:bg-gray-700 text-sm focus:outline-none focus:ring-2 ring-current";
+const chipClass = (active) => `px-3 py-1.5 rounded-full text-xs font-semibold capitalize transition-colors ${active ? 'bg-accent text-white' : 'bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600'}`;
+
+const Field = ({ label, children }) => (
+    <div>
+        <h3 className="text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-1.5">{label}</h3>
+        {children}
+    </div>
+);
+
+const toggle = (list, value) => (list.includes(value) ? list.filter(v => v !== value) : [...list, value]);
+
+/**
+ * Edit form for one item. Keeps a local draft so Cancel discards changes.
+ */
+const ItemDetailForm = ({ item, categories, wearStats, onSave, onDelete, onClose }) => {
+    const [draft, setDraft] = useState(() => ({
+        name: item.name,
+        type: item.type,
+        status: getItemStatus(item).id,
+        colors: item.colors || [],
+        seasons: item.seasons,
+        warmth: item.warmth ?? null,
+        formality: item.formality,
+        brand: item.brand,
+        purchasePrice: item.purchasePrice ?? '',
+        purchaseDate: item.purchaseDate ?? '',
+        tags: item.tags,
+        notes: item.notes,
+    }));
+    const [tagInput, setTagInput] = useState('');
+    const [isDetecting, setIsDetecting] = useState(false);
+
+    const set = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+    const detectColors = async () => {
+        setIsDetecting(true);
+        try {
+            set({ colors: await extractDominantColors(item.thumbBlob || item.blob) });
+        } catch (error) {
+            console.error("Failed to detect colors", error);
+        } finally {
+            setIsDetecting(false);
+        }
+    };
+
+    const addTag = (event) => {
+        event.preventDefault();
+        const tag = normalizeTag(tagInput);
+        if (tag && !draft.tags.includes(tag)) set({ tags: [...draft.tags, tag] });
+        setTagInput('');
+    };
+
+    const handleSave = () => {
+        const price = parseFloat(draft.purchasePrice);
+        onSave({
+            ...draft,
+            name: draft.name.trim(),
+            brand: draft.brand.trim(),
+            purchasePrice: Number.isFinite(price) && price >= 0 ? price : null,
+            purchaseDate: draft.purchaseDate || null,
+        });
+    };
+
+    return (
+        <>
+            <div className="flex justify-between items-center mb-4">
+                <h2 id="item-detail-title" className="text-xl font-bold">Item Details</h2>
+                <button onClick={onClose} className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700 text-gray-500 dark:text-gray-400" aria-label="Close">
+                    <X />
+                </button>
+            </div>
+
+            <div className="space-y-4">
+                <div className="flex gap-4 items-center">
+                    <img src={item.thumb || item.image} alt={item.name || "Item photo"} className="w-24 h-24 object-contain rounded-xl bg-gray-100 dark:bg-gray-700/50 flex-shrink-0" />
+                    <div className="flex-1 space-y-2">
+                        <input value={draft.name} onChange={(e) => set({ name: e.target.value })} placeholder="Name" className={inputClass} aria-label="Name" />
+                        <select value={draft.type} onChange={(e) => set({ type: e.target.value })} className={inputClass} aria-label="Category">
+                            {categories.map(cat => <option key={cat.id} value={cat.id}>{cat.name}</option>)}
+                            {!categories.some(cat => cat.id === draft.type) && <option value={draft.type}>{draft.type}</option>}
+                        </select>
+                        <p className="text-xs text-gray-500 dark:text-gray-400">
+                            {wearStats?.count
+                                ? `Worn ${wearStats.count} time${wearStats.count === 1 ? '' : 's'} · last on ${formatDateKey(wearStats.lastWorn, { day: 'numeric', month: 'short', year: 'numeric' })}`
+                                : 'Not worn yet'}
+                        </p>
+                    </div>
+                </div>
+
+                <Field label="Status">
+                    <div className="flex flex-wrap gap-2">
+                        {ITEM_STATUSES.map(status => (
+                            <button key={status.id} onClick={() => set({ status: status.id })} aria-pressed={draft.status === status.id} className={chipClass(draft.status === status.id)}>
+                                {status.name}
+                            </button>
+                        ))}
+                    </div>
+                </Field>
+
+                <Field label="Colors">
+                    <div className="flex flex-wrap gap-2 items-center">
+                        {Object.entries(COLOR_PALETTE).map(([name, hex]) => (
+                            <button
+                                key={name}
+                                onClick={() => set({ colors: toggle(draft.colors, name) })}
+                                className={`w-7 h-7 rounded-full border dark:border-gray-600 transition-transform ${draft.colors.includes(name) ? 'ring-2 ring-offset-2 dark:ring-offset-gray-800 ring-current scale-110' : ''}`}
+                                style={{ backgroundColor: hex }}
+                                aria-label={name}
+                                aria-pressed={draft.colors.includes(name)}
+                            />
+                        ))}
+                        <button onClick={detectColors} disabled={isDetecting} className="flex items-center gap-1 px-2 py-1 text-xs font-semibold rounded-full text-accent hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50">
+                            <Wand2 size={14} /> {isDetecting ? 'Detecting…' : 'Detect'}
+                        </button>
+                    </div>
+                </Field>
+
+                <Field label="Seasons">
+                    <div className="flex flex-wrap gap-2">
+                        {SEASONS.map(season => (
+                            <button key={season} onClick={() => set({ seasons: toggle(draft.seasons, season) })} className={chipClass(draft.seasons.includes(season))}>
+                                {season}
+                            </button>
+                        ))}
+                    </div>
+                </Field>
+
+                <Field label="Warmth">
+                    <div className="flex flex-wrap gap-2">
+                        {WARMTH_LEVELS.map(level => (
+                            <button key={level.id} onClick={() => set({ warmth: draft.warmth === level.id ? null : level.id })} className={chipClass(draft.warmth === level.id)}>
+                                {level.name}
+                            </button>
+                        ))}
+                    </div>
+                </Field>
+
+                <Field label="Formality">
+                    <div className="flex flex-wrap gap-2">
+                        {FORMALITY_LEVELS.map(level => (
+                            <button key={level.id} onClick={() => set({ formality: draft.formality === level.id ? null : level.id })} className={chipClass(draft.formality === level.id)}>
+                                {level.name}
+                            </button>
+                        ))}
+                    </div>
+                </Field>
+
+                <Field label="Brand">
+                    <input value={draft.brand} onChange={(e) => set({ brand: e.target.value })} className={inputClass} />
+                </Field>
+
+                <div className="grid grid-cols-2 gap-3">
+                    <Field label="Price">
+                        <input type="number" min="0" step="0.01" inputMode="decimal" value={draft.purchasePrice} onChange={(e) => set({ purchasePrice: e.target.value })} className={inputClass} />
+                    </Field>
+                    <Field label="Bought on">
+                        <input type="date" value={draft.purchaseDate} onChange={(e) => set({ purchaseDate: e.target.value })} className={inputClass} />
+                    </Field>
+                </div>
+
+                <Field label="Tags">
+                    <div className="flex flex-wrap gap-2 mb-2">
+                        {draft.tags.map(tag => (
+                            <span key={tag} className="flex items-center gap-1 pl-3 pr-1.5 py-1 rounded-full text-xs font-semibold bg-gray-100 dark:bg-gray-700">
+                                {tag}
+                                <button onClick={() => set({ tags: draft.tags.filter(t => t !== tag) })} aria-label={`Remove tag ${tag}`}>
+                                    <X size={12} />
+                                </button>
+                            </span>
+                        ))}
+                    </div>
+                    <form onSubmit={addTag}>
+                        <input value={tagInput} onChange={(e) => setTagInput(e.target.value)} onBlur={addTag} placeholder="Add a tag and press Enter" className={inputClass} />
+                    </form>
+                </Field>
+
+                <Field label="Notes">
+                    <textarea value={draft.notes} onChange={(e) => set({ notes: e.target.value })} rows={3} className={inputClass} />
+                </Field>
+
+                <button onClick={handleSave} className="w-full h-12 flex items-center justify-center gap-2 bg-accent text-white rounded-xl font-semibold text-sm hover:opacity-90 transition-opacity">
+                    <Check size={18} /> Save
+                </button>
+                <button onClick={onDelete} className="w-full h-10 flex items-center justify-center gap-2 text-red-500 rounded-xl font-semibold text-sm hover:bg-red-100 dark:hover:bg-red-900/50 transition-colors">
+                    <Trash2 size={16} /> Delete item
+                </button>
+            </div>
+        </>
+    );
+};
+
+const ItemDetailSheet = ({ item, categories, wearStats, onSave, onDelete, onClose }) => {
+    const sheetRef = useRef(null);
+    useModalFocus(sheetRef, Boolean(item), onClose);
+
+    return (
+        <AnimatePresence>
+            {item && (
+                <motion.div
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    exit={{ opacity: 0 }}
+                    onClick={onClose}
+                    className="fixed inset-0 bg-black/50 z-40 backdrop-blur-sm"
+                >
+                    <motion.div
+                        ref={sheetRef}
+                        role="dialog"
+                        aria-modal="true"
+                        aria-labelledby="item-detail-title"
+                        tabIndex={-1}
+                        initial={{ y: '100%' }}
+                        animate={{ y: '0%' }}
+                        exit={{ y: '100%' }}
+                        transition={{ type: 'spring', damping: 20, stiffness: 200 }}
+                        onClick={(e) => e.stopPropagation()}
+                        className="absolute bottom-0 left-0 right-0 max-h-[90vh] overflow-y-auto bg-white dark:bg-gray-800 p-6 rounded-t-3xl shadow-2xl focus:outline-none"
+                    >
+                        <ItemDetailForm key={item.id} item={item} categories={categories} wearStats={wearStats} onSave={onSave} onDelete={onDelete} onClose={onClose} />
+                    </motion.div>
+                </motion.div>
+            )}
+        </AnimatePresence>
+    );
+};
+
+export default ItemDetailSheet;
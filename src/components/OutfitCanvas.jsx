@@ -0,0 +1,208 @@
+import React, { useId, useLayoutEffect, useRef, useState } from "react";
+import { motion, useMotionValue } from "framer-motion";
+import { ZoomIn, ZoomOut, RotateCcw, RotateCw, BringToFront, SendToBack } from "lucide-react";
+import { displayName, isWearable } from "../itemMetadata";
+import { CANVAS_ASPECT, PIECE_SIZE, SCALE_STEP, ROTATION_STEP, MOVE_STEP, resolveLayout, layerOrder, updatePiece, moveLayer } from "../outfitLayout";
+
+const ARROW_KEYS = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+
+// Keys that scale and turn the focused piece, like the toolbar buttons.
+const TRANSFORM_KEYS = {
+    '+': (transform) => ({ scale: transform.scale * SCALE_STEP }),
+    '=': (transform) => ({ scale: transform.scale * SCALE_STEP }),
+    '-': (transform) => ({ scale: transform.scale / SCALE_STEP }),
+    '[': (transform) => ({ rotation: transform.rotation - ROTATION_STEP }),
+    ']': (transform) => ({ rotation: transform.rotation + ROTATION_STEP }),
+};
+
+const KEYBOARD_HINT = "Arrow keys move, + and - resize, [ and ] rotate.";
+
+const percent = (fraction) => `${Math.round(fraction * 100)}%`;
+
+/** Where a piece is, in words, for screen readers. */
+const describePosition = (transform) => {
+    const turn = transform.rotation ? `, turned ${Math.round(transform.rotation)}°` : '';
+    return `${percent(transform.x)} from the left, ${percent(transform.y)} from the top, ${percent(transform.scale)} size${turn}`;
+};
+
+// Percentages in margins are of the canvas width, like the piece's own width,
+// so these center the square piece on (x, y).
+const pieceStyle = (transform) => ({
+    left: `${transform.x * 100}%`,
+    top: `${transform.y * 100}%`,
+    width: `${PIECE_SIZE * 100}%`,
+    marginLeft: `${-PIECE_SIZE * 50}%`,
+    marginTop: `${-PIECE_SIZE * 50}%`,
+    zIndex: transform.z,
+});
+
+const PieceImage = ({ cat, item }) => (
+    <img src={item.image} alt={displayName(item, cat)} draggable={false} className={`w-full h-full object-contain pointer-events-none ${isWearable(item) ? '' : 'opacity-40'}`} />
+);
+
+/**
+ * One piece the user can drag. The drag offset is folded into the saved
+ * position when the drag ends and dropped again once that position shows.
+ */
+const DraggablePiece = ({ cat, item, transform, isSelected, hintId, onPointerDown, onFocus, onMove, onKeyDown }) => {
+    const positionId = useId();
+    const x = useMotionValue(0);
+    const y = useMotionValue(0);
+    const reset = () => { x.set(0); y.set(0); };
+    useLayoutEffect(reset, [transform.x, transform.y, x, y]);
+
+    return (
+        <motion.button
+            type="button"
+            drag
+            dragMomentum={false}
+            onDragEnd={(event, info) => { if (!onMove(info.offset)) reset(); }}
+            onPointerDown={onPointerDown}
+            onFocus={onFocus}
+            onKeyDown={onKeyDown}
+            aria-label={cat.name}
+            aria-pressed={isSelected}
+            aria-describedby={`${positionId} ${hintId}`}
+            className={`absolute aspect-square touch-none cursor-grab active:cursor-grabbing rounded-xl focus:outline-none ${isSelected ? 'ring-2 ring-accent ring-offset-2 dark:ring-offset-gray-900' : ''}`}
+            style={{ ...pieceStyle(transform), x, y, rotate: transform.rotation, scale: transform.scale }}
+        >
+            <PieceImage cat={cat} item={item} />
+            <span id={positionId} className="sr-only">{describePosition(transform)}</span>
+        </motion.button>
+    );
+};
+
+const ToolButton = ({ label, onClick, disabled, children }) => (
+    <button type="button" onClick={onClick} disabled={disabled} aria-label={label} title={label} className="p-2 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-30">
+        {children}
+    </button>
+);
+
+/**
+ * An outfit laid out freely: each piece where its `layout` puts it, pieces
+ * without a place yet stacked head to toe. With `onChange` the pieces can be
+ * dragged, pinched to scale and rotate, moved, scaled and turned with the
+ * keyboard, and scaled, turned or moved between layers from a toolbar.
+ */
+const OutfitCanvas = ({ pieces, layout, onChange, className = "w-full" }) => {
+    const canvasRef = useRef(null);
+    const hintId = useId();
+    const [selectedId, setSelectedId] = useState(null);
+    // Pointers down on the selected piece; with two of them it is a pinch.
+    const pointers = useRef(new Map());
+    const pinch = useRef(null);
+
+    const resolved = resolveLayout(layout, pieces.map(({ cat }) => cat.id));
+    const order = layerOrder(resolved);
+    const byId = new Map(pieces.map(piece => [piece.cat.id, piece]));
+    const selected = onChange && byId.has(selectedId) ? byId.get(selectedId) : null;
+
+    const change = (id, changes) => onChange(updatePiece(resolved, id, changes));
+
+    // Returns whether the piece actually moved; it can't leave the canvas.
+    const moveBy = (id, offset) => {
+        const { width, height } = canvasRef.current.getBoundingClientRect();
+        if (!width || !height) return false;
+        const current = resolved[id];
+        const next = updatePiece(resolved, id, { x: current.x + offset.x / width, y: current.y + offset.y / height });
+        if (next[id].x === current.x && next[id].y === current.y) return false;
+        onChange(next);
+        return true;
+    };
+
+    const pinchGeometry = () => {
+        const [a, b] = [...pointers.current.values()];
+        return { distance: Math.hypot(b.x - a.x, b.y - a.y), angle: Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI };
+    };
+
+    const handlePiecePointerDown = (id, event) => {
+        if (id !== selectedId) pointers.current.clear();
+        setSelectedId(id);
+        pointers.current.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        if (pointers.current.size === 2) {
+            pinch.current = { id, ...pinchGeometry(), scale: resolved[id].scale, rotation: resolved[id].rotation };
+        }
+    };
+
+    const handlePointerMove = (event) => {
+        if (!pointers.current.has(event.pointerId)) return;
+        pointers.current.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        const start = pinch.current;
+        if (!start || pointers.current.size !== 2) return;
+        const { distance, angle } = pinchGeometry();
+        if (!start.distance) return;
+        change(start.id, { scale: start.scale * distance / start.distance, rotation: start.rotation + angle - start.angle });
+    };
+
+    const handlePointerUp = (event) => {
+        pointers.current.delete(event.pointerId);
+        if (pointers.current.size < 2) pinch.current = null;
+    };
+
+    const handleKeyDown = (id, event) => {
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        const direction = ARROW_KEYS[event.key];
+        const transformBy = TRANSFORM_KEYS[event.key];
+        if (!direction && !transformBy) return;
+        event.preventDefault();
+        const current = resolved[id];
+        change(id, direction ? { x: current.x + direction[0] * MOVE_STEP, y: current.y + direction[1] * MOVE_STEP } : transformBy(current));
+    };
+
+    return (
+        <div
+            ref={canvasRef}
+            className={`relative overflow-hidden ${className}`}
+            style={{ aspectRatio: CANVAS_ASPECT }}
+            onPointerDown={onChange ? (event) => { if (event.target === event.currentTarget) setSelectedId(null); } : undefined}
+            onPointerMove={onChange ? handlePointerMove : undefined}
+            onPointerUp={onChange ? handlePointerUp : undefined}
+            onPointerCancel={onChange ? handlePointerUp : undefined}
+        >
+            {order.map(id => {
+                const { cat, item } = byId.get(id);
+                const transform = resolved[id];
+                if (!onChange) {
+                    return (
+                        <div key={id} className="absolute aspect-square" style={{ ...pieceStyle(transform), transform: `rotate(${transform.rotation}deg) scale(${transform.scale})` }}>
+                            <PieceImage cat={cat} item={item} />
+                        </div>
+                    );
+                }
+                return (
+                    <DraggablePiece
+                        key={id}
+                        cat={cat}
+                        item={item}
+                        transform={transform}
+                        isSelected={id === selectedId}
+                        hintId={hintId}
+                        onPointerDown={(event) => handlePiecePointerDown(id, event)}
+                        onFocus={() => setSelectedId(id)}
+                        onMove={(offset) => moveBy(id, offset)}
+                        onKeyDown={(event) => handleKeyDown(id, event)}
+                    />
+                );
+            })}
+            {onChange && (
+                <>
+                    <p id={hintId} className="sr-only">{KEYBOARD_HINT}</p>
+                    {/* Read out where the selected piece ends up after each change. */}
+                    <p aria-live="polite" className="sr-only">{selected ? `${selected.cat.name}: ${describePosition(resolved[selectedId])}` : ''}</p>
+                </>
+            )}
+            {selected && (
+                <div role="toolbar" aria-label={`Arrange ${selected.cat.name}`} className="absolute bottom-2 left-1/2 -translate-x-1/2 flex items-center gap-0.5 px-1 rounded-full bg-white/90 dark:bg-gray-800/90 shadow text-gray-600 dark:text-gray-300" style={{ zIndex: resolved[order[order.length - 1]].z + 1 }}>
+                    <ToolButton label="Smaller" onClick={() => change(selectedId, { scale: resolved[selectedId].scale / SCALE_STEP })}><ZoomOut size={18} /></ToolButton>
+                    <ToolButton label="Larger" onClick={() => change(selectedId, { scale: resolved[selectedId].scale * SCALE_STEP })}><ZoomIn size={18} /></ToolButton>
+                    <ToolButton label="Rotate left" onClick={() => change(selectedId, { rotation: resolved[selectedId].rotation - ROTATION_STEP })}><RotateCcw size={18} /></ToolButton>
+                    <ToolButton label="Rotate right" onClick={() => change(selectedId, { rotation: resolved[selectedId].rotation + ROTATION_STEP })}><RotateCw size={18} /></ToolButton>
+                    <ToolButton label="Send backward" disabled={order[0] === selectedId} onClick={() => onChange(moveLayer(resolved, selectedId, -1))}><SendToBack size={18} /></ToolButton>
+                    <ToolButton label="Bring forward" disabled={order[order.length - 1] === selectedId} onClick={() => onChange(moveLayer(resolved, selectedId, 1))}><BringToFront size={18} /></ToolButton>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default OutfitCanvas;
@@ -0,0 +1,66 @@
+import React from "react";
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import OutfitCanvas from "./OutfitCanvas";
+import { MOVE_STEP, SCALE_STEP, ROTATION_STEP } from "../outfitLayout";
+
+const PIECES = [
+    { cat: { id: 'top', name: 'Top' }, item: { id: 'c1', image: 'blob:c1' } },
+    { cat: { id: 'bottom', name: 'Bottom' }, item: { id: 'c2', image: 'blob:c2' } },
+];
+const LAYOUT = {
+    top: { x: 0.5, y: 0.3, scale: 1, rotation: 0, z: 0 },
+    bottom: { x: 0.5, y: 0.7, scale: 1, rotation: 0, z: 1 },
+};
+
+const renderCanvas = () => {
+    const onChange = vi.fn();
+    render(<OutfitCanvas pieces={PIECES} layout={LAYOUT} onChange={onChange} />);
+    return onChange;
+};
+
+describe("OutfitCanvas", () => {
+    it("moves the focused piece with the arrow keys", () => {
+        const onChange = renderCanvas();
+        const top = screen.getByRole("button", { name: "Top" });
+        expect(top).toHaveAccessibleDescription(/50% from the left, 30% from the top, 100% size.*Arrow keys move/);
+
+        fireEvent.keyDown(top, { key: "ArrowRight" });
+        expect(onChange).toHaveBeenLastCalledWith({ ...LAYOUT, top: { ...LAYOUT.top, x: 0.5 + MOVE_STEP } });
+        fireEvent.keyDown(top, { key: "ArrowUp" });
+        expect(onChange).toHaveBeenLastCalledWith({ ...LAYOUT, top: { ...LAYOUT.top, y: 0.3 - MOVE_STEP } });
+    });
+
+    it("resizes and turns the focused piece with + - [ and ]", () => {
+        const onChange = renderCanvas();
+        const top = screen.getByRole("button", { name: "Top" });
+        fireEvent.keyDown(top, { key: "+" });
+        expect(onChange).toHaveBeenLastCalledWith({ ...LAYOUT, top: { ...LAYOUT.top, scale: SCALE_STEP } });
+        fireEvent.keyDown(top, { key: "]" });
+        expect(onChange).toHaveBeenLastCalledWith({ ...LAYOUT, top: { ...LAYOUT.top, rotation: ROTATION_STEP } });
+        fireEvent.keyDown(top, { key: "+", ctrlKey: true });
+        expect(onChange).toHaveBeenCalledTimes(2);
+    });
+
+    it("arranges the focused piece from the toolbar", () => {
+        const onChange = renderCanvas();
+        expect(screen.queryByRole("toolbar")).not.toBeInTheDocument();
+        fireEvent.focus(screen.getByRole("button", { name: "Top" }));
+        expect(screen.getByRole("button", { name: "Top" })).toHaveAttribute("aria-pressed", "true");
+
+        expect(screen.getByRole("toolbar", { name: "Arrange Top" })).toBeInTheDocument();
+        expect(screen.getByRole("button", { name: "Send backward" })).toBeDisabled();
+        fireEvent.click(screen.getByRole("button", { name: "Smaller" }));
+        expect(onChange).toHaveBeenLastCalledWith({ ...LAYOUT, top: { ...LAYOUT.top, scale: 1 / SCALE_STEP } });
+        fireEvent.click(screen.getByRole("button", { name: "Rotate left" }));
+        expect(onChange).toHaveBeenLastCalledWith({ ...LAYOUT, top: { ...LAYOUT.top, rotation: -ROTATION_STEP } });
+        fireEvent.click(screen.getByRole("button", { name: "Bring forward" }));
+        expect(onChange).toHaveBeenLastCalledWith({ top: { ...LAYOUT.top, z: 1 }, bottom: { ...LAYOUT.bottom, z: 0 } });
+    });
+
+    it("only shows the pieces without onChange", () => {
+        render(<OutfitCanvas pieces={PIECES} layout={LAYOUT} />);
+        expect(screen.queryByRole("button")).not.toBeInTheDocument();
+        expect(screen.getByRole("img", { name: "Top" })).toBeInTheDocument();
+    });
+});
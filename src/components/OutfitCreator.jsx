@@ -0,0 +1,228 @@
+import React, { useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { ChevronLeft, ChevronRight, Shuffle, SlidersHorizontal, Lock, LockOpen, Copy, Rows3, Move } from "lucide-react";
+import { getExcludedCategories } from "../categories";
+import { SEASONS, displayName, isWearable, getItemStatus } from "../itemMetadata";
+import { OCCASIONS } from "../outfits";
+import { useShake, requestMotionPermission } from "../shakeGesture";
+import { useIsDialogOpen } from "../modalFocus";
+import OutfitCanvas from "./OutfitCanvas";
+
+const chipClass = (active) => `px-3 py-1 rounded-full text-xs font-semibold capitalize whitespace-nowrap transition-colors ${active ? 'bg-accent text-white' : 'bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600'}`;
+
+/**
+ * Builds an outfit one category at a time, or by shuffling (button, shake or
+ * a sideways swipe). Locked categories keep their piece when shuffling. In
+ * arrange mode the chosen pieces are laid out freely on a canvas; `layout` is
+ * null until the user does.
+ */
+const OutfitCreator = ({ categories, categorizedClothes, partIndexes, selection, onChangePart, lockedParts, onToggleLock, onShuffle, shuffleOptions, onShuffleOptionsChange, shuffleNotice, details, onDetailsChange, layout, onLayoutChange, editingOutfit, onCancelEdit, onSave, canSave, animationDirection, slideVariants }) => {
+  const [showShuffleOptions, setShowShuffleOptions] = useState(false);
+  const [isArranging, setIsArranging] = useState(Boolean(layout));
+  const [changedPart, setChangedPart] = useState(null);
+  const excluded = getExcludedCategories(categories, selection);
+  const canvasPieces = categories
+    .filter(cat => selection[cat.id])
+    .map(cat => ({ cat, item: categorizedClothes[cat.id]?.find(item => item.id === selection[cat.id]) }))
+    .filter(({ item }) => item);
+  const isCovered = useIsDialogOpen();
+  // Not while pieces are being placed by hand, or with a sheet or dialog on top.
+  useShake(onShuffle, !isArranging && !isCovered);
+
+  const handleShuffle = () => {
+    // Asking from a tap is the only way iOS enables shake detection.
+    requestMotionPermission();
+    onShuffle();
+  };
+
+  const changePart = (cat, delta) => {
+    setChangedPart(cat);
+    onChangePart(cat, delta);
+  };
+
+  // Left and right browse the category of whichever of its buttons has focus.
+  const handleRowKeyDown = (cat, items, event) => {
+    const delta = { ArrowLeft: -1, ArrowRight: 1 }[event.key];
+    if (!delta || items.length <= 1) return;
+    event.preventDefault();
+    changePart(cat, delta);
+  };
+
+  // What screen readers hear after browsing a category: "Top 2 of 5: Linen shirt".
+  const changed = categories.find(cat => cat.id === changedPart);
+  const changedItems = changed ? categorizedClothes[changed.id] || [] : [];
+  const changedIndex = changed ? Math.min(partIndexes[changed.id] ?? 0, changedItems.length - 1) : -1;
+  const announcement = changedIndex >= 0
+    ? `${changed.name} ${changedIndex + 1} of ${changedItems.length}: ${changedItems[changedIndex].none ? 'None' : displayName(changedItems[changedIndex], changed)}`
+    : '';
+
+  // A quick sideways swipe anywhere on the outfit shuffles it. `touch-pan-y`
+  // leaves vertical scrolling to the browser and sideways swipes to us.
+  const handlePanEnd = (event, info) => {
+    if (Math.abs(info.offset.x) > 100 && Math.abs(info.offset.x) > 2 * Math.abs(info.offset.y)) onShuffle();
+  };
+
+  return (
+  <div className="flex flex-col h-full w-full">
+    <h2 className="text-xl font-bold p-4 pb-2 text-center flex-shrink-0">{editingOutfit ? 'Edit Outfit' : 'Create Outfit'}</h2>
+    {editingOutfit && (
+      <p className="text-xs text-center text-gray-500 dark:text-gray-400 -mt-1 mb-1 flex-shrink-0">
+        Changing an existing outfit. <button onClick={onCancelEdit} className="font-semibold text-accent hover:underline">Start a new one instead</button>
+      </p>
+    )}
+    <div className="flex gap-2 px-4 flex-shrink-0">
+      <input
+        value={details.name}
+        onChange={(e) => onDetailsChange({ ...details, name: e.target.value })}
+        placeholder="Name (optional)"
+        aria-label="Outfit name"
+        className="flex-1 min-w-0 h-9 px-3 rounded-xl bg-gray-100 dark:bg-gray-700 text-sm focus:outline-none focus:ring-2 ring-current"
+      />
+      <input
+        value={details.occasion}
+        onChange={(e) => onDetailsChange({ ...details, occasion: e.target.value })}
+        placeholder="Occasion"
+        aria-label="Occasion"
+        list="outfit-occasions"
+        className="w-32 h-9 px-3 rounded-xl bg-gray-100 dark:bg-gray-700 text-sm focus:outline-none focus:ring-2 ring-current"
+      />
+      <datalist id="outfit-occasions">
+        {OCCASIONS.map(occasion => <option key={occasion} value={occasion} />)}
+      </datalist>
+    </div>
+    <div className="flex justify-center gap-2 px-4 pt-2 flex-shrink-0">
+      <button onClick={() => setIsArranging(false)} aria-pressed={!isArranging} className={`flex items-center gap-1.5 ${chipClass(!isArranging)}`}>
+        <Rows3 size={14} /> Pieces
+      </button>
+      <button onClick={() => setIsArranging(true)} aria-pressed={isArranging} className={`flex items-center gap-1.5 ${chipClass(isArranging)}`}>
+        <Move size={14} /> Arrange
+      </button>
+    </div>
+    {isArranging ? (
+      <div className="flex-1 min-h-0 flex flex-col items-center gap-1 p-2">
+        <p className="text-xs text-gray-500 dark:text-gray-400 text-center flex-shrink-0">
+          Drag pieces around and pinch to resize or turn them. Tap one for more.
+          {layout && <> <button onClick={() => onLayoutChange(null)} className="font-semibold text-accent hover:underline">Stack them again</button></>}
+        </p>
+        <div className="flex-1 min-h-0 w-full flex items-center justify-center">
+          <OutfitCanvas pieces={canvasPieces} layout={layout} onChange={onLayoutChange} className="h-full max-w-full" />
+        </div>
+      </div>
+    ) : (
+    <motion.div onPanEnd={handlePanEnd} className="flex-1 flex flex-col items-center justify-around overflow-y-auto p-2 touch-pan-y">
+      <p aria-live="polite" className="sr-only">{announcement}</p>
+      {categories.map((category) => {
+        const { id: cat, name } = category;
+        const items = categorizedClothes[cat];
+        if (!items || items.every(item => item.none)) return <div key={cat} className="h-full w-full flex items-center justify-center text-gray-400">{name}</div>;
+
+        if (excluded.has(cat)) {
+          const replacedBy = categories.find(other => selection[other.id] && other.excludes.includes(cat));
+          return (
+            <div key={cat} className="h-full w-full flex items-center justify-center text-sm text-gray-400">
+              {name} replaced by {replacedBy?.name}
+            </div>
+          );
+        }
+
+        const currentIndex = partIndexes[cat] ?? 0;
+        const currentItem = items[currentIndex] || items[0];
+
+        return (
+          <div key={cat} role="group" aria-label={name} onKeyDown={(event) => handleRowKeyDown(cat, items, event)} className="flex items-center w-full max-w-xs justify-between">
+            <button disabled={items.length <= 1} onClick={() => changePart(cat, -1)} aria-label={`Previous ${name}`} className="p-2 rounded-full disabled:opacity-20 transition-opacity hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-500 dark:text-gray-400">
+              <ChevronLeft size={20} />
+            </button>
+            <div className="w-24 h-24 flex items-center justify-center relative overflow-hidden">
+                <AnimatePresence initial={false} custom={animationDirection}>
+                    <motion.div
+                        key={`${cat}-${currentItem.id}`}
+                        className="w-full h-full absolute flex items-center justify-center"
+                        variants={slideVariants}
+                        custom={animationDirection}
+                        initial="enter"
+                        animate="center"
+                        exit="exit"
+                        transition={{ duration: 0.25 }}
+                    >
+                        {currentItem.image ? (
+                            <>
+                                <img src={currentItem.thumb || currentItem.image} alt={displayName(currentItem, category)} className={`w-full h-full object-contain ${isWearable(currentItem) ? '' : 'opacity-40'}`} />
+                                {!isWearable(currentItem) && (
+                                    <span className="absolute bottom-0 px-2 py-0.5 rounded-full text-[10px] font-semibold bg-white/90 dark:bg-gray-900/90">{getItemStatus(currentItem).name}</span>
+                                )}
+                            </>
+                        ) : (
+                            <div className="w-full h-full flex items-center justify-center text-gray-400">
+                                <p className="text-sm font-semibold">None</p>
+                            </div>
+                        )}
+                    </motion.div>
+                </AnimatePresence>
+            </div>
+            <button disabled={items.length <= 1} onClick={() => changePart(cat, 1)} aria-label={`Next ${name}`} className="p-2 rounded-full disabled:opacity-20 transition-opacity hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-500 dark:text-gray-400">
+              <ChevronRight size={20} />
+            </button>
+            <button
+              onClick={() => onToggleLock(cat)}
+              aria-label={`${lockedParts[cat] ? 'Unlock' : 'Lock'} ${name}`}
+              aria-pressed={Boolean(lockedParts[cat])}
+              className={`p-2 rounded-full transition-colors hover:bg-gray-100 dark:hover:bg-gray-700 ${lockedParts[cat] ? 'text-accent' : 'text-gray-300 dark:text-gray-600'}`}
+            >
+              {lockedParts[cat] ? <Lock size={16} /> : <LockOpen size={16} />}
+            </button>
+          </div>
+        );
+      })}
+    </motion.div>
+    )}
+    <div className="p-4 border-t dark:border-gray-700 flex-shrink-0 space-y-2">
+      {showShuffleOptions && (
+        <div className="flex flex-wrap gap-2 items-center">
+          <select
+            value={shuffleOptions.season ?? ''}
+            onChange={(e) => onShuffleOptionsChange({ ...shuffleOptions, season: e.target.value || null })}
+            className="h-8 px-2 rounded-full bg-gray-100 dark:bg-gray-700 text-xs font-semibold capitalize focus:outline-none"
+            aria-label="Season"
+          >
+            <option value="">Any season</option>
+            {SEASONS.map(season => <option key={season} value={season}>{season}</option>)}
+          </select>
+          <button onClick={() => onShuffleOptionsChange({ ...shuffleOptions, matchColors: !shuffleOptions.matchColors })} aria-pressed={shuffleOptions.matchColors} className={chipClass(shuffleOptions.matchColors)}>
+            Matching colors
+          </button>
+          <button onClick={() => onShuffleOptionsChange({ ...shuffleOptions, avoidRecent: !shuffleOptions.avoidRecent })} aria-pressed={shuffleOptions.avoidRecent} className={chipClass(shuffleOptions.avoidRecent)}>
+            Skip recently worn
+          </button>
+        </div>
+      )}
+      {shuffleNotice && <p role="status" className="text-xs text-gray-500 dark:text-gray-400">{shuffleNotice}</p>}
+      <div className="flex gap-2">
+        <button onClick={handleShuffle} className="flex-1 h-12 flex items-center justify-center gap-2 rounded-xl font-semibold text-sm bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors">
+          <Shuffle size={18} /> Shuffle
+        </button>
+        <button
+          onClick={() => setShowShuffleOptions(open => !open)}
+          aria-label="Shuffle options"
+          aria-expanded={showShuffleOptions}
+          className={`w-12 h-12 flex items-center justify-center rounded-xl transition-colors ${showShuffleOptions ? 'bg-accent text-white' : 'bg-gray-100 dark:bg-gray-700'}`}
+        >
+          <SlidersHorizontal size={18} />
+        </button>
+      </div>
+      <div className="flex gap-2">
+        <button onClick={() => onSave()} disabled={!canSave} className="flex-1 h-12 bg-accent text-white rounded-xl font-semibold text-sm hover:opacity-90 transition-opacity disabled:bg-gray-300 dark:disabled:bg-gray-600 disabled:cursor-not-allowed">
+          {editingOutfit ? 'Save Changes' : 'Save Outfit'}
+        </button>
+        {editingOutfit && (
+          <button onClick={() => onSave({ asCopy: true })} disabled={!canSave} className="flex-1 h-12 flex items-center justify-center gap-2 rounded-xl font-semibold text-sm bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed">
+            <Copy size={16} /> Save as Copy
+          </button>
+        )}
+      </div>
+    </div>
+  </div>
+  );
+};
+
+export default OutfitCreator;
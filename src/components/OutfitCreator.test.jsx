@@ -0,0 +1,198 @@
+import React, { useRef } from "react";
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent, act } from "@testing-library/react";
+import OutfitCreator from "./OutfitCreator";
+import { DEFAULT_CATEGORIES, CATEGORY_PRESETS, sortByLayer } from "../categories";
+import { DEFAULT_SHUFFLE_OPTIONS } from "../outfitShuffle";
+import { categorizeClothes, selectCreatorItems } from "../wardrobeStore";
+import { stackedLayout } from "../outfitLayout";
+import { useModalFocus } from "../modalFocus";
+
+const CATEGORIES = sortByLayer([...DEFAULT_CATEGORIES, CATEGORY_PRESETS.find(cat => cat.id === 'dress')]);
+const CLOTHES = [
+    { id: 't1', type: 'top', image: 'blob:t1' },
+    { id: 't2', type: 'top', image: 'blob:t2' },
+    { id: 'b1', type: 'bottom', image: 'blob:b1' },
+    { id: 'd1', type: 'dress', image: 'blob:d1' },
+];
+const categorized = categorizeClothes(CLOTHES, CATEGORIES);
+
+const renderCreator = (props = {}) => {
+    const partIndexes = props.partIndexes || {};
+    const handlers = {
+        onChangePart: vi.fn(), onToggleLock: vi.fn(), onShuffle: vi.fn(), onShuffleOptionsChange: vi.fn(),
+        onDetailsChange: vi.fn(), onLayoutChange: vi.fn(), onCancelEdit: vi.fn(), onSave: vi.fn(),
+    };
+    render(
+        <OutfitCreator
+            categories={CATEGORIES}
+            categorizedClothes={categorized}
+            partIndexes={partIndexes}
+            selection={selectCreatorItems(CATEGORIES, categorized, partIndexes)}
+            lockedParts={{}}
+            shuffleOptions={DEFAULT_SHUFFLE_OPTIONS}
+            shuffleNotice={null}
+            details={{ name: '', occasion: '' }}
+            layout={null}
+            canSave={true}
+            animationDirection={0}
+            slideVariants={{}}
+            {...handlers}
+            {...props}
+        />
+    );
+    return handlers;
+};
+
+// A device motion reading, as the shake detector sees it.
+const motion = (x, timeStamp) => {
+    const event = Object.assign(new Event("devicemotion"), { accelerationIncludingGravity: { x, y: 0, z: 0 } });
+    Object.defineProperty(event, "timeStamp", { value: timeStamp });
+    return event;
+};
+
+// jsdom has no PointerEvent, so this is a mouse event dressed up as a touch.
+const touch = (type, x, y) => {
+    const event = new MouseEvent(type, { bubbles: true, clientX: x, clientY: y });
+    Object.defineProperties(event, { pageX: { value: x }, pageY: { value: y }, pointerType: { value: "touch" }, isPrimary: { value: true } });
+    return event;
+};
+
+// Framer Motion reports pans a frame late.
+const nextFrame = () => act(() => new Promise(resolve => setTimeout(resolve, 50)));
+
+const Dialog = () => {
+    const ref = useRef(null);
+    useModalFocus(ref, true, () => {});
+    return <div ref={ref} role="dialog" tabIndex={-1} />;
+};
+
+// Each shake comes well after the last, past the detector's cooldown.
+let shakeTime = 0;
+const shake = () => {
+    shakeTime += 5000;
+    fireEvent(window, motion(0, shakeTime));
+    fireEvent(window, motion(40, shakeTime + 100));
+};
+
+describe("OutfitCreator", () => {
+    it("shows the selected piece of each category", () => {
+        renderCreator({ partIndexes: { top: 1 } });
+        expect(screen.getByRole("img", { name: "Top" })).toHaveAttribute("src", "blob:t2");
+        expect(screen.getByRole("img", { name: "Bottom" })).toHaveAttribute("src", "blob:b1");
+        // Hat and shoes have no items yet.
+        expect(screen.getByText("Hat")).toBeInTheDocument();
+    });
+
+    it("says which categories a dress replaces", () => {
+        renderCreator({ partIndexes: { dress: 1 } });
+        expect(screen.getByText("Top replaced by Dress")).toBeInTheDocument();
+        expect(screen.getByText("Bottom replaced by Dress")).toBeInTheDocument();
+    });
+
+    it("browses, locks and shuffles", () => {
+        const { onChangePart, onToggleLock, onShuffle } = renderCreator();
+        fireEvent.click(screen.getByRole("button", { name: "Next Top" }));
+        expect(onChangePart).toHaveBeenCalledWith("top", 1);
+        fireEvent.click(screen.getByRole("button", { name: "Lock Top" }));
+        expect(onToggleLock).toHaveBeenCalledWith("top");
+        fireEvent.click(screen.getByRole("button", { name: "Shuffle" }));
+        expect(onShuffle).toHaveBeenCalled();
+    });
+
+    it("browses a category with the arrow keys and reads out the piece", () => {
+        const { onChangePart } = renderCreator({ partIndexes: { top: 1 } });
+        fireEvent.keyDown(screen.getByRole("button", { name: "Lock Top" }), { key: "ArrowRight" });
+        expect(onChangePart).toHaveBeenCalledWith("top", 1);
+        expect(screen.getByText("Top 2 of 2: Top")).toHaveAttribute("aria-live", "polite");
+        // Bottom has nothing else to show.
+        fireEvent.keyDown(screen.getByRole("button", { name: "Lock Bottom" }), { key: "ArrowLeft" });
+        expect(onChangePart).toHaveBeenCalledTimes(1);
+    });
+
+    it("shuffles on a sideways swipe but leaves vertical scrolling to the browser", async () => {
+        const { onShuffle } = renderCreator();
+        const outfit = screen.getByRole("group", { name: "Top" }).parentElement;
+        expect(outfit).toHaveClass("touch-pan-y");
+
+        fireEvent(outfit, touch("pointerdown", 300, 200));
+        fireEvent(window, touch("pointermove", 150, 210));
+        await nextFrame();
+        fireEvent(window, touch("pointerup", 100, 210));
+        await nextFrame();
+        expect(onShuffle).toHaveBeenCalledTimes(1);
+
+        // Mostly vertical: scrolling, not shuffling.
+        fireEvent(outfit, touch("pointerdown", 300, 100));
+        fireEvent(window, touch("pointermove", 250, 300));
+        await nextFrame();
+        fireEvent(window, touch("pointerup", 200, 400));
+        await nextFrame();
+        expect(onShuffle).toHaveBeenCalledTimes(1);
+    });
+
+    it("shuffles on a shake, except under a dialog or while arranging", () => {
+        window.DeviceMotionEvent ??= class {};
+        const { onShuffle } = renderCreator();
+        shake();
+        expect(onShuffle).toHaveBeenCalledTimes(1);
+
+        const dialog = render(<Dialog />);
+        shake();
+        expect(onShuffle).toHaveBeenCalledTimes(1);
+        dialog.unmount();
+
+        fireEvent.click(screen.getByRole("button", { name: "Arrange" }));
+        shake();
+        expect(onShuffle).toHaveBeenCalledTimes(1);
+    });
+
+    it("shows the shuffle rules on request", () => {
+        const { onShuffleOptionsChange } = renderCreator();
+        expect(screen.queryByRole("combobox", { name: "Season" })).not.toBeInTheDocument();
+        fireEvent.click(screen.getByRole("button", { name: "Shuffle options" }));
+        fireEvent.click(screen.getByRole("button", { name: "Matching colors" }));
+        expect(onShuffleOptionsChange).toHaveBeenCalledWith({ ...DEFAULT_SHUFFLE_OPTIONS, matchColors: !DEFAULT_SHUFFLE_OPTIONS.matchColors });
+    });
+
+    it("only saves complete outfits", () => {
+        renderCreator({ canSave: false });
+        expect(screen.getByRole("button", { name: "Save Outfit" })).toBeDisabled();
+    });
+
+    it("saves changes to an outfit being edited, or a copy of it", () => {
+        const { onSave, onDetailsChange } = renderCreator({ editingOutfit: { id: 'o1' }, details: { name: 'Work', occasion: '' } });
+        expect(screen.getByRole("heading", { name: "Edit Outfit" })).toBeInTheDocument();
+        fireEvent.change(screen.getByRole("textbox", { name: "Outfit name" }), { target: { value: "Office" } });
+        expect(onDetailsChange).toHaveBeenCalledWith({ name: "Office", occasion: "" });
+        fireEvent.click(screen.getByRole("button", { name: "Save Changes" }));
+        expect(onSave).toHaveBeenCalledWith();
+        fireEvent.click(screen.getByRole("button", { name: "Save as Copy" }));
+        expect(onSave).toHaveBeenCalledWith({ asCopy: true });
+    });
+
+    it("arranges the chosen pieces on a canvas", () => {
+        const { onLayoutChange } = renderCreator();
+        fireEvent.click(screen.getByRole("button", { name: "Arrange" }));
+        expect(screen.queryByRole("button", { name: "Next Top" })).not.toBeInTheDocument();
+        expect(screen.queryByRole("button", { name: "Stack them again" })).not.toBeInTheDocument();
+
+        fireEvent.pointerDown(screen.getByRole("button", { name: "Top" }));
+        expect(screen.getByRole("button", { name: "Top" })).toHaveAttribute("aria-pressed", "true");
+        fireEvent.click(screen.getByRole("button", { name: "Larger" }));
+        const stacked = stackedLayout(["top", "bottom"]);
+        expect(onLayoutChange).toHaveBeenLastCalledWith({ ...stacked, top: { ...stacked.top, scale: stacked.top.scale * 1.2 } });
+        expect(screen.getByRole("button", { name: "Bring forward" })).toBeEnabled();
+        expect(screen.getByRole("button", { name: "Send backward" })).toBeDisabled();
+
+        fireEvent.keyDown(screen.getByRole("button", { name: "Top" }), { key: "ArrowRight" });
+        expect(onLayoutChange.mock.lastCall[0].top.x).toBeCloseTo(0.52);
+    });
+
+    it("opens arranged outfits on the canvas", () => {
+        const { onLayoutChange } = renderCreator({ layout: stackedLayout(["top", "bottom"]) });
+        expect(screen.getByRole("button", { name: "Arrange" })).toHaveAttribute("aria-pressed", "true");
+        fireEvent.click(screen.getByRole("button", { name: "Stack them again" }));
+        expect(onLayoutChange).toHaveBeenCalledWith(null);
+    });
+});
@@ -0,0 +1,81 @@
+import React, { useState } from "react";
+import { Reorder, useDragControls } from "framer-motion";
+import { GripVertical, Star, GalleryHorizontal } from "lucide-react";
+import { outfitTitle } from "../outfits";
+import OutfitThumbnail from "./OutfitThumbnail";
+
+const OutfitRow = ({ outfit, index, canDrag, clothesById, categories, onOpen, onToggleFavorite }) => {
+    const dragControls = useDragControls();
+    return (
+        <Reorder.Item
+            value={outfit}
+            dragListener={false}
+            dragControls={dragControls}
+            className="flex items-center gap-2 p-2 rounded-xl bg-gray-100 dark:bg-gray-700/50 select-none"
+        >
+            {canDrag && (
+                // Dragging starts from the handle only, so the list still scrolls on touch.
+                <button onPointerDown={(e) => dragControls.start(e)} className="p-1 text-gray-400 cursor-grab touch-none" aria-label="Drag to reorder">
+                    <GripVertical size={18} />
+                </button>
+            )}
+            <button onClick={() => onOpen(outfit.id)} className="flex-1 flex items-center gap-3 text-left min-w-0">
+                <OutfitThumbnail items={outfit.items} clothesById={clothesById} categories={categories} />
+                <span className="min-w-0">
+                    <span className="block font-semibold truncate">{outfitTitle(outfit, index)}</span>
+                    {outfit.occasion && <span className="block text-xs text-gray-500 dark:text-gray-400 truncate">{outfit.occasion}</span>}
+                </span>
+            </button>
+            <button onClick={() => onToggleFavorite(outfit.id)} aria-label="Favorite" aria-pressed={outfit.favorite} className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-600">
+                <Star size={18} className={outfit.favorite ? 'fill-current text-accent' : 'text-gray-400'} />
+            </button>
+        </Reorder.Item>
+    );
+};
+
+/**
+ * All saved outfits at once, reorderable by dragging. Filtering to favourites
+ * turns dragging off, since the hidden outfits' positions would be ambiguous.
+ */
+const OutfitList = ({ outfits, clothesById, categories, onOpen, onReorder, onToggleFavorite, onShowCarousel }) => {
+    const [favoritesOnly, setFavoritesOnly] = useState(false);
+    const visible = favoritesOnly ? outfits.filter(outfit => outfit.favorite) : outfits;
+
+    return (
+        <div className="w-full h-full flex flex-col">
+            <div className="flex gap-2 px-4 pt-4 pb-2 flex-shrink-0">
+                <button onClick={() => setFavoritesOnly(false)} className={`px-3 py-1 rounded-full text-xs font-semibold ${!favoritesOnly ? 'bg-accent text-white' : 'bg-gray-100 dark:bg-gray-700'}`}>
+                    All {outfits.length}
+                </button>
+                <button onClick={() => setFavoritesOnly(true)} className={`flex items-center gap-1 px-3 py-1 rounded-full text-xs font-semibold ${favoritesOnly ? 'bg-accent text-white' : 'bg-gray-100 dark:bg-gray-700'}`}>
+                    <Star size={12} /> Favorites {outfits.filter(outfit => outfit.favorite).length}
+                </button>
+                <button onClick={onShowCarousel} className="ml-auto p-1.5 rounded-full text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700" aria-label="Show one at a time">
+                    <GalleryHorizontal size={18} />
+                </button>
+            </div>
+            <div className="flex-1 overflow-y-auto px-4 pb-4">
+                {visible.length === 0 ? (
+                    <p className="text-sm text-center text-gray-500 dark:text-gray-400 mt-8">Star an outfit to see it here.</p>
+                ) : (
+                    <Reorder.Group axis="y" values={visible} onReorder={onReorder} className="space-y-2">
+                        {visible.map(outfit => (
+                            <OutfitRow
+                                key={outfit.id}
+                                outfit={outfit}
+                                index={outfits.indexOf(outfit)}
+                                canDrag={!favoritesOnly}
+                                clothesById={clothesById}
+                                categories={categories}
+                                onOpen={onOpen}
+                                onToggleFavorite={onToggleFavorite}
+                            />
+                        ))}
+                    </Reorder.Group>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default OutfitList;
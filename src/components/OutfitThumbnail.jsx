@@ -0,0 +1,23 @@
+import React from "react";
+import { sortByLayer, getCategory } from "../categories";
+import { displayName } from "../itemMetadata";
+
+/**
+ * Small head-to-toe preview of an outfit's pieces. Items that no longer
+ * exist are left out.
+ */
+const OutfitThumbnail = ({ items, clothesById, categories, className = "w-12 h-16" }) => {
+    const pieces = sortByLayer(Object.keys(items).map(id => getCategory(categories, id)))
+        .map(cat => ({ cat, item: clothesById.get(items[cat.id]) }))
+        .filter(({ item }) => item);
+
+    return (
+        <div className={`${className} flex flex-col items-center justify-center gap-0.5 overflow-hidden`}>
+            {pieces.map(({ cat, item }) => (
+                <img key={cat.id} src={item.thumb || item.image} alt={displayName(item, cat)} className="min-h-0 flex-1 w-full object-contain" />
+            ))}
+        </div>
+    );
+};
+
+export default OutfitThumbnail;
@@ -0,0 +1,57 @@
+import React, { useState } from "react";
+import { Lock, Shirt } from "lucide-react";
+import { PIN_LENGTH } from "../profiles";
+
+/**
+ * Shown instead of the app while the current profile's PIN hasn't been
+ * entered. Other profiles can be opened from here.
+ */
+const ProfileLock = ({ profile, profiles, onUnlock, onSwitch }) => {
+    const [pin, setPin] = useState('');
+    const [error, setError] = useState(null);
+
+    const handleSubmit = async (event) => {
+        event.preventDefault();
+        if (await onUnlock(pin)) return;
+        setError('Wrong PIN. Try again.');
+        setPin('');
+    };
+
+    return (
+        <div className="font-sans bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-100 h-screen w-full flex flex-col items-center justify-center gap-6 p-8 antialiased">
+            <h1 className="text-xl font-bold tracking-tight flex items-center gap-1">
+                <Shirt /> Your<span className="font-light">Fit</span>
+            </h1>
+            <form onSubmit={handleSubmit} className="w-full max-w-xs flex flex-col gap-3 text-center">
+                <Lock className="mx-auto text-gray-500 dark:text-gray-400" />
+                <p className="font-semibold">Enter the PIN for {profile.name}</p>
+                <input
+                    type="password"
+                    inputMode="numeric"
+                    autoComplete="off"
+                    autoFocus
+                    maxLength={PIN_LENGTH.max}
+                    value={pin}
+                    onChange={(e) => { setPin(e.target.value.replace(/\D/g, '')); setError(null); }}
+                    aria-label="PIN"
+                    className="h-12 px-3 rounded-xl bg-gray-100 dark:bg-gray-700 text-center text-lg tracking-widest focus:outline-none"
+                />
+                {error && <p role="alert" className="text-sm text-red-500">{error}</p>}
+                <button type="submit" disabled={!pin} className="h-12 rounded-xl bg-gray-900 text-white dark:bg-gray-100 dark:text-gray-900 font-semibold text-sm disabled:opacity-50">
+                    Unlock
+                </button>
+            </form>
+            {profiles.length > 1 && (
+                <div className="flex flex-wrap justify-center gap-2">
+                    {profiles.filter(other => other.id !== profile.id).map(other => (
+                        <button key={other.id} onClick={() => onSwitch(other.id)} className="px-3 py-1.5 rounded-full text-xs font-semibold bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600">
+                            Open {other.name}
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ProfileLock;
@@ -0,0 +1,33 @@
+import React from "react";
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import ProfileLock from "./ProfileLock";
+
+const PROFILES = [
+    { id: 'default', name: 'Me', pin: null, createdAt: 1 },
+    { id: 'p1', name: 'Sam', pin: { salt: 's', hash: 'h' }, createdAt: 2 },
+];
+
+describe("ProfileLock", () => {
+    it("unlocks with the right PIN", async () => {
+        const onUnlock = vi.fn(pin => Promise.resolve(pin === '2468'));
+        render(<ProfileLock profile={PROFILES[1]} profiles={PROFILES} onUnlock={onUnlock} onSwitch={vi.fn()} />);
+        expect(screen.getByText("Enter the PIN for Sam")).toBeInTheDocument();
+
+        fireEvent.change(screen.getByLabelText("PIN"), { target: { value: "1111" } });
+        fireEvent.click(screen.getByRole("button", { name: "Unlock" }));
+        expect(await screen.findByRole("alert")).toHaveTextContent("Wrong PIN");
+        expect(screen.getByLabelText("PIN")).toHaveValue("");
+
+        fireEvent.change(screen.getByLabelText("PIN"), { target: { value: "2468" } });
+        fireEvent.click(screen.getByRole("button", { name: "Unlock" }));
+        expect(onUnlock).toHaveBeenLastCalledWith("2468");
+    });
+
+    it("opens another profile instead", () => {
+        const onSwitch = vi.fn();
+        render(<ProfileLock profile={PROFILES[1]} profiles={PROFILES} onUnlock={vi.fn()} onSwitch={onSwitch} />);
+        fireEvent.click(screen.getByRole("button", { name: "Open Me" }));
+        expect(onSwitch).toHaveBeenCalledWith("default");
+    });
+});
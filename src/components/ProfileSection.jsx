@@ -0,0 +1,132 @@
+import React, { useState } from "react";
+import { Lock, Trash2, Check } from "lucide-react";
+import { DEFAULT_PROFILE_ID, PIN_LENGTH, isValidPin } from "../profiles";
+
+const inputClass = "flex-1 min-w-0 h-10 px-3 rounded-xl bg-gray-100 dark:bg-gray-700 text-sm focus:outline-none focus:ring-2 ring-current";
+const buttonClass = "h-10 px-4 rounded-xl text-sm font-semibold bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors disabled:opacity-50";
+
+const PinInput = ({ value, onChange, label }) => (
+    <input
+        type="password"
+        inputMode="numeric"
+        autoComplete="off"
+        maxLength={PIN_LENGTH.max}
+        value={value}
+        onChange={(e) => onChange(e.target.value.replace(/\D/g, ''))}
+        aria-label={label}
+        placeholder={`${PIN_LENGTH.min}–${PIN_LENGTH.max} digits`}
+        className={inputClass}
+    />
+);
+
+/**
+ * Asks before deleting a profile, and for its PIN if it has one.
+ */
+const DeleteProfile = ({ profile, onDelete, onCancel }) => {
+    const [pin, setPin] = useState('');
+    const [error, setError] = useState(null);
+
+    const handleSubmit = async (event) => {
+        event.preventDefault();
+        if (!(await onDelete(profile.id, pin))) setError('Wrong PIN.');
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="rounded-xl border dark:border-gray-600 p-3 text-sm space-y-2">
+            <p>Delete <strong>{profile.name}</strong> with all its clothes and outfits? This can't be undone.</p>
+            {profile.pin && <PinInput value={pin} onChange={setPin} label={`PIN for ${profile.name}`} />}
+            {error && <p role="alert" className="text-xs text-red-500">{error}</p>}
+            <div className="flex gap-2">
+                <button type="submit" disabled={Boolean(profile.pin) && !pin} className="flex-1 h-10 rounded-xl text-sm font-semibold bg-red-500 text-white hover:bg-red-600 disabled:opacity-50">Delete</button>
+                <button type="button" onClick={onCancel} className={`flex-1 ${buttonClass}`}>Cancel</button>
+            </div>
+        </form>
+    );
+};
+
+/**
+ * Settings section listing the profiles on this device: switch between them,
+ * add one, rename the current one, lock it with a PIN or delete another.
+ * The default profile holds the data from before profiles and can't be deleted.
+ */
+const ProfileSection = ({ profiles, activeId, onSwitch, onAdd, onRename, onSetPin, onDelete }) => {
+    const active = profiles.find(profile => profile.id === activeId);
+    const [name, setName] = useState(active.name);
+    const [newName, setNewName] = useState('');
+    const [newPin, setNewPin] = useState(null);
+    const [deletingId, setDeletingId] = useState(null);
+
+    const rename = (event) => {
+        event.preventDefault();
+        const trimmed = name.trim();
+        if (trimmed && trimmed !== active.name) onRename(active.id, trimmed);
+        else setName(active.name);
+    };
+
+    const add = (event) => {
+        event.preventDefault();
+        if (!newName.trim()) return;
+        onAdd(newName.trim());
+        setNewName('');
+    };
+
+    const savePin = async (event) => {
+        event.preventDefault();
+        if (!isValidPin(newPin)) return;
+        await onSetPin(active.id, newPin);
+        setNewPin(null);
+    };
+
+    return (
+        <div className="space-y-3">
+            <ul className="space-y-1">
+                {profiles.map(profile => (
+                    <li key={profile.id} className="flex items-center gap-2 h-10 px-3 rounded-xl bg-gray-100 dark:bg-gray-700 text-sm">
+                        <span className="flex-1 min-w-0 truncate font-semibold">{profile.name}</span>
+                        {profile.pin && <Lock size={14} className="text-gray-500 dark:text-gray-400" aria-label="Has a PIN" />}
+                        {profile.id === activeId ? (
+                            <span className="flex items-center gap-1 text-xs font-semibold text-accent"><Check size={14} /> Current</span>
+                        ) : (
+                            <>
+                                <button onClick={() => onSwitch(profile.id)} className="text-xs font-semibold text-accent hover:underline">Switch</button>
+                                {profile.id !== DEFAULT_PROFILE_ID && (
+                                    <button onClick={() => setDeletingId(profile.id)} aria-label={`Delete ${profile.name}`} className="p-1 rounded-full text-red-500 hover:bg-red-100 dark:hover:bg-red-900/50">
+                                        <Trash2 size={14} />
+                                    </button>
+                                )}
+                            </>
+                        )}
+                    </li>
+                ))}
+            </ul>
+
+            {deletingId && (
+                <DeleteProfile key={deletingId} profile={profiles.find(profile => profile.id === deletingId)} onDelete={onDelete} onCancel={() => setDeletingId(null)} />
+            )}
+
+            <form onSubmit={rename} className="flex gap-2">
+                <input value={name} onChange={(e) => setName(e.target.value)} onBlur={rename} aria-label="Profile name" className={inputClass} />
+            </form>
+
+            {newPin === null ? (
+                <div className="flex gap-2">
+                    <button onClick={() => setNewPin('')} className={`flex-1 ${buttonClass}`}>{active.pin ? 'Change PIN' : 'Set a PIN'}</button>
+                    {active.pin && <button onClick={() => onSetPin(active.id, null)} className={`flex-1 ${buttonClass}`}>Remove PIN</button>}
+                </div>
+            ) : (
+                <form onSubmit={savePin} className="flex gap-2">
+                    <PinInput value={newPin} onChange={setNewPin} label="New PIN" />
+                    <button type="submit" disabled={!isValidPin(newPin)} className={buttonClass}>Save</button>
+                    <button type="button" onClick={() => setNewPin(null)} className={buttonClass}>Cancel</button>
+                </form>
+            )}
+
+            <form onSubmit={add} className="flex gap-2">
+                <input value={newName} onChange={(e) => setNewName(e.target.value)} placeholder="Someone else's name" aria-label="New profile name" className={inputClass} />
+                <button type="submit" disabled={!newName.trim()} className={buttonClass}>Add</button>
+            </form>
+        </div>
+    );
+};
+
+export default ProfileSection;
@@ -0,0 +1,62 @@
+import React from "react";
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import ProfileSection from "./ProfileSection";
+
+const PROFILES = [
+    { id: 'default', name: 'Me', pin: null, createdAt: 1 },
+    { id: 'p1', name: 'Sam', pin: { salt: 's', hash: 'h' }, createdAt: 2 },
+];
+
+const renderSection = (props = {}) => {
+    const handlers = {
+        onSwitch: vi.fn(), onAdd: vi.fn(), onRename: vi.fn(),
+        onSetPin: vi.fn(() => Promise.resolve()), onDelete: vi.fn(() => Promise.resolve(true)),
+    };
+    render(<ProfileSection profiles={PROFILES} activeId="default" {...handlers} {...props} />);
+    return handlers;
+};
+
+describe("ProfileSection", () => {
+    it("switches to and adds profiles", () => {
+        const { onSwitch, onAdd } = renderSection();
+        expect(screen.getByText("Current")).toBeInTheDocument();
+        fireEvent.click(screen.getByRole("button", { name: "Switch" }));
+        expect(onSwitch).toHaveBeenCalledWith("p1");
+        fireEvent.change(screen.getByLabelText("New profile name"), { target: { value: " Alex " } });
+        fireEvent.click(screen.getByRole("button", { name: "Add" }));
+        expect(onAdd).toHaveBeenCalledWith("Alex");
+    });
+
+    it("renames the current profile", () => {
+        const { onRename } = renderSection();
+        const input = screen.getByLabelText("Profile name");
+        fireEvent.change(input, { target: { value: "Jo" } });
+        fireEvent.blur(input);
+        expect(onRename).toHaveBeenCalledWith("default", "Jo");
+    });
+
+    it("sets a PIN of the right length", async () => {
+        const { onSetPin } = renderSection();
+        fireEvent.click(screen.getByRole("button", { name: "Set a PIN" }));
+        const save = screen.getByRole("button", { name: "Save" });
+        fireEvent.change(screen.getByLabelText("New PIN"), { target: { value: "12a" } });
+        expect(screen.getByLabelText("New PIN")).toHaveValue("12");
+        expect(save).toBeDisabled();
+        fireEvent.change(screen.getByLabelText("New PIN"), { target: { value: "1234" } });
+        fireEvent.click(save);
+        expect(onSetPin).toHaveBeenCalledWith("default", "1234");
+        await waitFor(() => expect(screen.getByRole("button", { name: "Set a PIN" })).toBeInTheDocument());
+    });
+
+    it("asks for the PIN before deleting a locked profile", async () => {
+        const onDelete = vi.fn(() => Promise.resolve(false));
+        renderSection({ onDelete });
+        expect(screen.queryByRole("button", { name: "Delete Me" })).not.toBeInTheDocument();
+        fireEvent.click(screen.getByRole("button", { name: "Delete Sam" }));
+        fireEvent.change(screen.getByLabelText("PIN for Sam"), { target: { value: "0000" } });
+        fireEvent.click(screen.getByRole("button", { name: "Delete" }));
+        expect(onDelete).toHaveBeenCalledWith("p1", "0000");
+        expect(await screen.findByRole("alert")).toHaveTextContent("Wrong PIN.");
+    });
+});
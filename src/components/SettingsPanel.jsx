@@ -0,0 +1,142 @@
+import React, { useRef } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { X, Sun, Moon, Palette } from "lucide-react";
+import CategoryManager from "./CategoryManager";
+import BackupSection from "./BackupSection";
+import SyncSection from "./SyncSection";
+import TrashSection from "./TrashSection";
+import { useModalFocus } from "../modalFocus";
+
+const LAUNDRY_AFTER_OPTIONS = [1, 2, 3, 5, 10];
+
+/**
+ * Bottom sheet with the profiles, the appearance settings, the categories,
+ * syncing, backups and the trash. `profileSection` is the profile switcher.
+ * Keeps focus inside while open and closes on Escape.
+ */
+const SettingsPanel = ({ isOpen, onClose, profileSection, theme, setTheme, accentColor, setAccentColor, accentColors, laundryAfter, setLaundryAfter, weatherSources, weatherSource, setWeatherSource, categories, setCategories, itemCounts, syncAcrossNetworks, setSyncAcrossNetworks, onPair, onSync, onExport, onImport, trash, clothesById, onRestore, onDeleteForever, onEmptyTrash }) => {
+    const sheetRef = useRef(null);
+    useModalFocus(sheetRef, isOpen, onClose);
+
+    return (
+        <AnimatePresence>
+            {isOpen && (
+                <motion.div
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    exit={{ opacity: 0 }}
+                    onClick={onClose}
+                    className="fixed inset-0 bg-black/50 z-40 backdrop-blur-sm"
+                >
+                    <motion.div
+                        ref={sheetRef}
+                        role="dialog"
+                        aria-modal="true"
+                        aria-labelledby="settings-title"
+                        tabIndex={-1}
+                        initial={{ y: '100%' }}
+                        animate={{ y: '0%' }}
+                        exit={{ y: '100%' }}
+                        transition={{ type: 'spring', damping: 20, stiffness: 200 }}
+                        onClick={(e) => e.stopPropagation()}
+                        className="absolute bottom-0 left-0 right-0 max-h-[85vh] overflow-y-auto bg-white dark:bg-gray-800 p-6 rounded-t-3xl shadow-2xl focus:outline-none"
+                    >
+                        <div className="flex justify-between items-center mb-6">
+                            <h2 id="settings-title" className="text-xl font-bold">Settings</h2>
+                            <button onClick={onClose} aria-label="Close settings" className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700 text-gray-500 dark:text-gray-400">
+                                <X />
+                            </button>
+                        </div>
+
+                        <div className="space-y-6">
+                            {profileSection && (
+                                <div>
+                                    <h3 className="font-semibold mb-1">Profiles</h3>
+                                    <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">Everyone sharing this device can have their own clothes, outfits and settings.</p>
+                                    {profileSection}
+                                </div>
+                            )}
+                            <div>
+                                <h3 className="font-semibold mb-2">Theme</h3>
+                                <div className="flex items-center justify-between bg-gray-100 dark:bg-gray-700 p-2 rounded-xl">
+                                    <button onClick={() => setTheme('light')} aria-pressed={theme === 'light'} className={`w-1/2 flex items-center justify-center gap-2 p-2 rounded-lg transition-colors ${theme === 'light' ? 'bg-white dark:bg-gray-500 shadow-sm' : ''}`}>
+                                        <Sun size={18}/> Light
+                                    </button>
+                                    <button onClick={() => setTheme('dark')} aria-pressed={theme === 'dark'} className={`w-1/2 flex items-center justify-center gap-2 p-2 rounded-lg transition-colors ${theme === 'dark' ? 'bg-black text-white shadow-sm' : ''}`}>
+                                        <Moon size={18}/> Dark
+                                    </button>
+                                </div>
+                            </div>
+                            <div>
+                                <h3 className="font-semibold mb-3 flex items-center gap-2 text-accent"><Palette size={18}/> Accent Color</h3>
+                                <div className="flex justify-around" role="radiogroup" aria-label="Accent color">
+                                    {Object.entries(accentColors).map(([name, color]) => (
+                                        <button key={name} onClick={() => setAccentColor(name)} role="radio" aria-checked={accentColor === name} aria-label={name.charAt(0).toUpperCase() + name.slice(1)} className={`w-10 h-10 rounded-full transition-transform transform hover:scale-110 ${accentColor === name ? 'ring-2 ring-offset-2 dark:ring-offset-gray-800 ring-current' : ''}`} style={{ backgroundColor: color }} />
+                                    ))}
+                                </div>
+                            </div>
+                            <div>
+                                <h3 className="font-semibold mb-1">Categories</h3>
+                                <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">Listed in the order outfits are stacked, head to toe.</p>
+                                <CategoryManager categories={categories} onChange={setCategories} itemCounts={itemCounts} />
+                            </div>
+                            <div>
+                                <h3 className="font-semibold mb-1">Laundry</h3>
+                                <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">Logging an outfit as worn can send its pieces to the laundry, so they're left out until they're back.</p>
+                                <select
+                                    value={laundryAfter ?? ''}
+                                    onChange={(e) => setLaundryAfter(Number(e.target.value) || null)}
+                                    aria-label="Send to the laundry"
+                                    className="w-full h-10 px-3 rounded-xl bg-gray-100 dark:bg-gray-700 text-sm focus:outline-none"
+                                >
+                                    <option value="">Never on its own</option>
+                                    {LAUNDRY_AFTER_OPTIONS.map(wears => (
+                                        <option key={wears} value={wears}>After {wears === 1 ? 'every wear' : `${wears} wears`}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div>
+                                <h3 className="font-semibold mb-1">Weather</h3>
+                                <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">Today's pick matches your outfits to the weather. The forecast needs your location; the last one is kept for when you're offline.</p>
+                                <select
+                                    value={weatherSource}
+                                    onChange={(e) => setWeatherSource(e.target.value)}
+                                    aria-label="Weather source"
+                                    className="w-full h-10 px-3 rounded-xl bg-gray-100 dark:bg-gray-700 text-sm focus:outline-none"
+                                >
+                                    {weatherSources.map(source => (
+                                        <option key={source.id} value={source.id}>{source.name}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div>
+                                <h3 className="font-semibold mb-1">Sync</h3>
+                                <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">Keep this wardrobe the same on your phone and laptop. Show the code on one and scan it on the other; changes go straight between them over your network.</p>
+                                <SyncSection onPair={onPair} onSync={onSync} acrossNetworks={syncAcrossNetworks} onAcrossNetworksChange={setSyncAcrossNetworks} />
+                            </div>
+                            <div>
+                                <h3 className="font-semibold mb-1">Backup</h3>
+                                <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">Everything lives only in this browser. Export a backup to keep it safe or move it to another device.</p>
+                                <BackupSection onExport={onExport} onImport={onImport} />
+                            </div>
+                            <div>
+                                <h3 className="font-semibold mb-1">Trash</h3>
+                                <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">Deleted items and outfits are kept for 30 days.</p>
+                                <TrashSection
+                                    entries={trash}
+                                    clothesById={clothesById}
+                                    categories={categories}
+                                    onRestore={onRestore}
+                                    onDeleteForever={onDeleteForever}
+                                    onEmpty={onEmptyTrash}
+                                />
+                            </div>
+                        </div>
+                    </motion.div>
+                </motion.div>
+            )}
+        </AnimatePresence>
+    );
+};
+
+export default SettingsPanel;
@@ -0,0 +1,99 @@
+import React from "react";
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import SettingsPanel from "./SettingsPanel";
+import { DEFAULT_CATEGORIES } from "../categories";
+import { WEATHER_SOURCES } from "../weather";
+
+const ACCENT_COLORS = { blue: 'hsl(221.2 83.2% 53.3%)', pink: 'hsl(346.8 77.2% 49.8%)' };
+const SHIRT = { id: 'c1', type: 'top', image: 'blob:c1', name: 'Linen shirt' };
+
+const renderPanel = (props = {}) => {
+    const handlers = {
+        onClose: vi.fn(), setTheme: vi.fn(), setAccentColor: vi.fn(), setCategories: vi.fn(),
+        onExport: vi.fn(), onImport: vi.fn(), onRestore: vi.fn(), onDeleteForever: vi.fn(), onEmptyTrash: vi.fn(),
+        setLaundryAfter: vi.fn(), setWeatherSource: vi.fn(),
+    };
+    render(
+        <SettingsPanel
+            isOpen={true}
+            theme="light"
+            accentColor="blue"
+            accentColors={ACCENT_COLORS}
+            laundryAfter={null}
+            weatherSources={WEATHER_SOURCES}
+            weatherSource="manual"
+            categories={DEFAULT_CATEGORIES}
+            itemCounts={{}}
+            trash={[]}
+            clothesById={new Map()}
+            {...handlers}
+            {...props}
+        />
+    );
+    return handlers;
+};
+
+describe("SettingsPanel", () => {
+    it("renders nothing while closed", () => {
+        renderPanel({ isOpen: false });
+        expect(screen.queryByText("Settings")).not.toBeInTheDocument();
+    });
+
+    it("switches the theme", () => {
+        const { setTheme } = renderPanel();
+        fireEvent.click(screen.getByRole("button", { name: "Dark" }));
+        expect(setTheme).toHaveBeenCalledWith("dark");
+    });
+
+    it("chooses where the weather comes from and when clothes go to the laundry", () => {
+        const { setWeatherSource, setLaundryAfter } = renderPanel();
+        fireEvent.change(screen.getByRole("combobox", { name: "Weather source" }), { target: { value: "open-meteo" } });
+        expect(setWeatherSource).toHaveBeenCalledWith("open-meteo");
+        fireEvent.change(screen.getByRole("combobox", { name: "Send to the laundry" }), { target: { value: "3" } });
+        expect(setLaundryAfter).toHaveBeenCalledWith(3);
+    });
+
+    it("lists the trash with restore and delete", () => {
+        const entry = { id: 't1', kind: 'item', deletedAt: Date.now(), item: SHIRT, outfits: [], detached: [] };
+        const { onRestore, onDeleteForever, onEmptyTrash } = renderPanel({ trash: [entry] });
+        fireEvent.click(screen.getByRole("button", { name: "Restore Linen shirt" }));
+        expect(onRestore).toHaveBeenCalledWith(entry);
+        fireEvent.click(screen.getByRole("button", { name: "Delete Linen shirt forever" }));
+        expect(onDeleteForever).toHaveBeenCalledWith(entry);
+        fireEvent.click(screen.getByRole("button", { name: "Empty trash" }));
+        expect(onEmptyTrash).toHaveBeenCalled();
+    });
+
+    it("closes from the backdrop but not from inside the sheet", () => {
+        const { onClose } = renderPanel();
+        fireEvent.click(screen.getByText("Settings"));
+        expect(onClose).not.toHaveBeenCalled();
+        fireEvent.click(screen.getByText("Settings").closest(".fixed"));
+        expect(onClose).toHaveBeenCalled();
+    });
+
+    it("keeps focus inside while open and closes on Escape", () => {
+        const { onClose } = renderPanel();
+        const dialog = screen.getByRole("dialog", { name: "Settings" });
+        const close = screen.getByRole("button", { name: "Close settings" });
+        expect(close).toHaveFocus();
+
+        const focusable = dialog.querySelectorAll("button:not([disabled]), input:not([disabled]), select:not([disabled])");
+        focusable[focusable.length - 1].focus();
+        fireEvent.keyDown(document.activeElement, { key: "Tab" });
+        expect(close).toHaveFocus();
+        fireEvent.keyDown(close, { key: "Tab", shiftKey: true });
+        expect(focusable[focusable.length - 1]).toHaveFocus();
+
+        fireEvent.keyDown(document.activeElement, { key: "Escape" });
+        expect(onClose).toHaveBeenCalled();
+    });
+
+    it("names the accent colors", () => {
+        const { setAccentColor } = renderPanel();
+        expect(screen.getByRole("radio", { name: "Blue" })).toHaveAttribute("aria-checked", "true");
+        fireEvent.click(screen.getByRole("radio", { name: "Pink" }));
+        expect(setAccentColor).toHaveBeenCalledWith("pink");
+    });
+});
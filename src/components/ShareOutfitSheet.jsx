@@ -0,0 +1,205 @@
+import React, { useEffect, useRef, useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { X, Download, Share2 } from "lucide-react";
+import { renderOutfitImage, SHARE_LAYOUTS } from "../outfitImage";
+import { useModalFocus } from "../modalFocus";
+
+const chipClass = (active) => `px-3 py-1.5 rounded-full text-xs font-semibold capitalize transition-colors ${active ? 'bg-accent text-white' : 'bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600'}`;
+
+const Field = ({ label, children }) => (
+    <div>
+        <h3 className="text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-1.5">{label}</h3>
+        {children}
+    </div>
+);
+
+const fileNameFor = (title) => `${title.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'outfit'}.png`;
+
+/**
+ * Options and preview for the outfit picture. The preview is rendered again
+ * (shortly after typing stops) whenever an option changes.
+ */
+const ShareOutfitForm = ({ outfit, title, pieces, theme, accentColor, accentColors, onClose }) => {
+    const [layout, setLayout] = useState('stack');
+    const [showCaption, setShowCaption] = useState(true);
+    const [caption, setCaption] = useState(title);
+    const [imageTheme, setImageTheme] = useState(theme);
+    const [imageAccent, setImageAccent] = useState(accentColor);
+    const [image, setImage] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        const timer = setTimeout(() => {
+            renderOutfitImage({
+                pieces,
+                layout,
+                caption: showCaption ? { title: caption.trim() || title, subtitle: outfit.occasion } : null,
+                theme: imageTheme,
+                accent: accentColors[imageAccent],
+            })
+                .then(blob => {
+                    if (cancelled) return;
+                    const file = new File([blob], fileNameFor(caption || title), { type: 'image/png' });
+                    setImage({ file, url: URL.createObjectURL(blob) });
+                    setError(null);
+                })
+                .catch(err => {
+                    console.error("Failed to render outfit image", err);
+                    if (!cancelled) setError('The picture could not be created.');
+                });
+        }, 250);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [pieces, layout, showCaption, caption, title, outfit.occasion, imageTheme, imageAccent, accentColors]);
+
+    // Releases each preview once it is replaced, and the last one when the sheet closes.
+    useEffect(() => () => {
+        if (image) URL.revokeObjectURL(image.url);
+    }, [image]);
+
+    const canShare = Boolean(image && navigator.canShare?.({ files: [image.file] }));
+
+    const share = async () => {
+        try {
+            await navigator.share({ files: [image.file], title: caption.trim() || title });
+        } catch (err) {
+            // Closing the share sheet rejects with AbortError; that's not a failure.
+            if (err?.name !== 'AbortError') {
+                console.error("Failed to share outfit image", err);
+                setError('The picture could not be shared.');
+            }
+        }
+    };
+
+    return (
+        <>
+            <div className="flex justify-between items-center mb-4">
+                <h2 id="share-outfit-title" className="text-xl font-bold">Share Outfit</h2>
+                <button onClick={onClose} className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700 text-gray-500 dark:text-gray-400" aria-label="Close">
+                    <X />
+                </button>
+            </div>
+
+            <div className="space-y-4">
+                <div className="h-64 flex items-center justify-center rounded-2xl bg-gray-100 dark:bg-gray-700/50 overflow-hidden">
+                    {error ? (
+                        <p className="text-sm text-red-500 p-4">{error}</p>
+                    ) : image ? (
+                        <img src={image.url} alt="Preview of the outfit picture" className="max-w-full max-h-full object-contain shadow" />
+                    ) : (
+                        <p className="text-sm text-gray-500">Creating picture…</p>
+                    )}
+                </div>
+
+                <Field label="Layout">
+                    <div className="flex flex-wrap gap-2">
+                        {SHARE_LAYOUTS.map(option => (
+                            <button key={option.id} onClick={() => setLayout(option.id)} className={chipClass(layout === option.id)}>{option.name}</button>
+                        ))}
+                    </div>
+                </Field>
+
+                <Field label="Caption">
+                    <label className="flex items-center gap-2 text-sm mb-2">
+                        <input type="checkbox" checked={showCaption} onChange={(e) => setShowCaption(e.target.checked)} className="accent-current" />
+                        Show a caption
+                    </label>
+                    {showCaption && (
+                        <input
+                            value={caption}
+                            onChange={(e) => setCaption(e.target.value)}
+                            placeholder={title}
+                            className="w-full px-3 py-2 rounded-xl bg-gray-100 dark:bg-gray-700 text-sm focus:outline-none focus:ring-2 ring-current"
+                        />
+                    )}
+                </Field>
+
+                <Field label="Colors">
+                    <div className="flex flex-wrap items-center gap-2">
+                        {['light', 'dark'].map(option => (
+                            <button key={option} onClick={() => setImageTheme(option)} className={chipClass(imageTheme === option)}>{option}</button>
+                        ))}
+                        <span className="w-px h-6 bg-gray-200 dark:bg-gray-700 mx-1" />
+                        {Object.entries(accentColors).map(([name, color]) => (
+                            <button
+                                key={name}
+                                onClick={() => setImageAccent(name)}
+                                aria-label={`${name} accent`}
+                                aria-pressed={imageAccent === name}
+                                className={`w-7 h-7 rounded-full ${imageAccent === name ? 'ring-2 ring-offset-2 ring-current dark:ring-offset-gray-800' : ''}`}
+                                style={{ backgroundColor: color }}
+                            />
+                        ))}
+                    </div>
+                </Field>
+
+                <div className="flex gap-2 pt-2">
+                    <a
+                        href={image?.url}
+                        download={image?.file.name}
+                        aria-disabled={!image}
+                        className={`flex-1 h-11 rounded-xl font-semibold text-sm flex items-center justify-center gap-2 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 ${image ? '' : 'pointer-events-none opacity-50'}`}
+                    >
+                        <Download size={16} /> Download PNG
+                    </a>
+                    {canShare && (
+                        <button onClick={share} className="flex-1 h-11 rounded-xl font-semibold text-sm flex items-center justify-center gap-2 bg-accent text-white hover:opacity-90">
+                            <Share2 size={16} /> Share
+                        </button>
+                    )}
+                </div>
+            </div>
+        </>
+    );
+};
+
+/**
+ * Bottom sheet that turns an outfit into a picture to download or share.
+ * `share` is `{ outfit, title, pieces }` with the pieces in layer order.
+ */
+const ShareOutfitSheet = ({ share, theme, accentColor, accentColors, onClose }) => {
+    const sheetRef = useRef(null);
+    useModalFocus(sheetRef, Boolean(share), onClose);
+
+    return (
+        <AnimatePresence>
+            {share && (
+                <motion.div
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    exit={{ opacity: 0 }}
+                    onClick={onClose}
+                    className="fixed inset-0 bg-black/50 z-40 backdrop-blur-sm"
+                >
+                    <motion.div
+                        ref={sheetRef}
+                        role="dialog"
+                        aria-modal="true"
+                        aria-labelledby="share-outfit-title"
+                        tabIndex={-1}
+                        initial={{ y: '100%' }}
+                        animate={{ y: '0%' }}
+                        exit={{ y: '100%' }}
+                        transition={{ type: 'spring', damping: 20, stiffness: 200 }}
+                        onClick={(e) => e.stopPropagation()}
+                        className="absolute bottom-0 left-0 right-0 max-h-[90vh] overflow-y-auto bg-white dark:bg-gray-800 p-6 rounded-t-3xl shadow-2xl focus:outline-none"
+                    >
+                        <ShareOutfitForm
+                            key={share.outfit.id}
+                            {...share}
+                            theme={theme}
+                            accentColor={accentColor}
+                            accentColors={accentColors}
+                            onClose={onClose}
+                        />
+                    </motion.div>
+                </motion.div>
+            )}
+        </AnimatePresence>
+    );
+};
+
+export default ShareOutfitSheet;
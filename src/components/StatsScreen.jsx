@@ -0,0 +1,184 @@
+import React, { useMemo } from "react";
+import { Gift, Archive } from "lucide-react";
+import { displayName, COLOR_PALETTE } from "../itemMetadata";
+import { getCategory } from "../categories";
+import { computeWardrobeStats } from "../wardrobeStats";
+import { formatDateKey } from "../dates";
+import CategoryIcon from "./CategoryIcon";
+
+const formatPrice = (value) => value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const wears = (count) => (count === 1 ? '1 wear' : `${count} wears`);
+
+const Section = ({ title, hint, children }) => (
+    <section className="space-y-2">
+        <div>
+            <h3 className="font-semibold">{title}</h3>
+            {hint && <p className="text-xs text-gray-500 dark:text-gray-400">{hint}</p>}
+        </div>
+        {children}
+    </section>
+);
+
+const Empty = ({ children }) => <p className="text-sm text-gray-500 dark:text-gray-400">{children}</p>;
+
+/**
+ * One item in a list: thumbnail and name open it, `detail` goes underneath,
+ * and `children` (buttons) sit on the right.
+ */
+const ItemRow = ({ item, categories, detail, onOpen, children }) => {
+    const name = displayName(item, getCategory(categories, item.type));
+    return (
+        <li className="flex items-center gap-3">
+            <button onClick={() => onOpen(item.id)} className="flex-1 min-w-0 flex items-center gap-3 text-left">
+                <img src={item.thumb || item.image} alt="" className="w-10 h-10 flex-shrink-0 rounded-lg object-contain bg-gray-100 dark:bg-gray-700/50" />
+                <span className="min-w-0">
+                    <span className="block text-sm font-semibold truncate">{name}</span>
+                    {detail && <span className="block text-xs text-gray-500 dark:text-gray-400">{detail}</span>}
+                </span>
+            </button>
+            {children}
+        </li>
+    );
+};
+
+/**
+ * Items per colour as a ring. Drawn as SVG here, so it works offline.
+ */
+const ColorRing = ({ colors }) => {
+    const total = colors.reduce((sum, { count }) => sum + count, 0);
+    let offset = 0;
+    return (
+        <svg viewBox="0 0 42 42" role="img" aria-label={`Colors: ${colors.map(({ color, count }) => `${color} ${count}`).join(', ')}`} className="w-28 h-28 flex-shrink-0 -rotate-90">
+            <circle cx="21" cy="21" r="15.915" fill="none" strokeWidth="6" className="stroke-gray-100 dark:stroke-gray-700" />
+            {colors.map(({ color, count }) => {
+                // The circumference is 100, so lengths are percentages.
+                const length = (count / total) * 100;
+                const segment = (
+                    <circle key={color} cx="21" cy="21" r="15.915" fill="none" stroke={COLOR_PALETTE[color]} strokeWidth="6" strokeDasharray={`${length} ${100 - length}`} strokeDashoffset={-offset} />
+                );
+                offset += length;
+                return segment;
+            })}
+        </svg>
+    );
+};
+
+/**
+ * What the wardrobe holds and what actually gets worn: items per category,
+ * colours, the most and least worn items, items nobody wears or uses in an
+ * outfit (with shortcuts to donate or archive them) and cost per wear.
+ */
+const StatsScreen = ({ clothes, outfits, wearStats, categories, onOpenItem, onDonate, onArchive }) => {
+    const stats = useMemo(() => computeWardrobeStats({ clothes, outfits, wearStats, categories }), [clothes, outfits, wearStats, categories]);
+    const largestCategory = Math.max(1, ...stats.categoryCounts.map(({ count }) => count));
+    const lastWorn = (entry) => `${wears(entry.count)} · last ${formatDateKey(entry.lastWorn, { day: 'numeric', month: 'short' })}`;
+
+    return (
+        <div className="w-full h-full overflow-y-auto p-4 space-y-6">
+            <div>
+                <h2 className="text-xl font-bold">Stats</h2>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                    {stats.itemCount} item{stats.itemCount === 1 ? '' : 's'} · {outfits.length} outfit{outfits.length === 1 ? '' : 's'}
+                    {stats.archivedCount > 0 && ` · ${stats.archivedCount} archived, not counted`}
+                </p>
+            </div>
+
+            <Section title="Items per category">
+                <ul className="space-y-1.5">
+                    {stats.categoryCounts.map(({ category, type, count }) => (
+                        <li key={type} className="flex items-center gap-2 text-sm">
+                            <span className="w-28 flex items-center gap-1.5 truncate">
+                                <CategoryIcon icon={category.icon} size={14} className="flex-shrink-0" /> {category.name}
+                            </span>
+                            <span className="flex-1 h-3 rounded-full bg-gray-100 dark:bg-gray-700 overflow-hidden">
+                                <span className="block h-full rounded-full bg-accent" style={{ width: `${(count / largestCategory) * 100}%` }} />
+                            </span>
+                            <span className="w-6 text-right text-xs font-semibold">{count}</span>
+                        </li>
+                    ))}
+                </ul>
+            </Section>
+
+            <Section title="Colors" hint={stats.uncoloredCount > 0 ? `${stats.uncoloredCount} item${stats.uncoloredCount === 1 ? ' has' : 's have'} no colors yet.` : null}>
+                {stats.colors.length === 0 ? <Empty>No colors yet.</Empty> : (
+                    <div className="flex items-center gap-4">
+                        <ColorRing colors={stats.colors} />
+                        <ul className="flex-1 grid grid-cols-2 gap-x-3 gap-y-1 text-xs">
+                            {stats.colors.map(({ color, count }) => (
+                                <li key={color} className="flex items-center gap-1.5 capitalize">
+                                    <span className="w-3 h-3 rounded-full border dark:border-gray-600" style={{ backgroundColor: COLOR_PALETTE[color] }} />
+                                    {color} <span className="ml-auto font-semibold">{count}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+            </Section>
+
+            <Section title="Most worn">
+                {stats.mostWorn.length === 0 ? <Empty>Nothing has been logged as worn yet.</Empty> : (
+                    <ul className="space-y-2">
+                        {stats.mostWorn.map(entry => <ItemRow key={entry.item.id} item={entry.item} categories={categories} detail={lastWorn(entry)} onOpen={onOpenItem} />)}
+                    </ul>
+                )}
+            </Section>
+
+            {stats.leastWorn.length > 0 && (
+                <Section title="Least worn">
+                    <ul className="space-y-2">
+                        {stats.leastWorn.map(entry => <ItemRow key={entry.item.id} item={entry.item} categories={categories} detail={lastWorn(entry)} onOpen={onOpenItem} />)}
+                    </ul>
+                </Section>
+            )}
+
+            <Section title="Never worn" hint="Still not for you? Give it away or archive it.">
+                {stats.neverWorn.length === 0 ? <Empty>Everything has been worn at least once.</Empty> : (
+                    <ul className="space-y-2">
+                        {stats.neverWorn.map(item => {
+                            const name = displayName(item, getCategory(categories, item.type));
+                            return (
+                                <ItemRow key={item.id} item={item} categories={categories} detail={`Added ${new Date(item.createdAt).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' })}`} onOpen={onOpenItem}>
+                                    <button onClick={() => onDonate(item.id)} aria-label={`Donate ${name}`} className="p-2 rounded-full text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700">
+                                        <Gift size={16} />
+                                    </button>
+                                    <button onClick={() => onArchive(item.id)} aria-label={`Archive ${name}`} className="p-2 rounded-full text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700">
+                                        <Archive size={16} />
+                                    </button>
+                                </ItemRow>
+                            );
+                        })}
+                    </ul>
+                )}
+            </Section>
+
+            <Section title="Not in any outfit">
+                {stats.notInOutfits.length === 0 ? <Empty>Every item is part of a saved outfit.</Empty> : (
+                    <ul className="space-y-2">
+                        {stats.notInOutfits.map(item => <ItemRow key={item.id} item={item} categories={categories} onOpen={onOpenItem} />)}
+                    </ul>
+                )}
+            </Section>
+
+            <Section title="Cost per wear" hint="For items with a price. Add one in an item's details.">
+                {stats.cost.items.length === 0 ? <Empty>No prices yet.</Empty> : (
+                    <>
+                        <p className="text-sm">
+                            Spent <span className="font-semibold">{formatPrice(stats.cost.totalSpent)}</span>
+                            {stats.cost.costPerWear !== null && <>, <span className="font-semibold">{formatPrice(stats.cost.costPerWear)}</span> per wear so far</>}
+                        </p>
+                        <ul className="space-y-2">
+                            {stats.cost.items.map(({ item, price, count, costPerWear }) => (
+                                <ItemRow key={item.id} item={item} categories={categories} detail={`${formatPrice(price)} · ${wears(count)}`} onOpen={onOpenItem}>
+                                    <span className="text-sm font-semibold whitespace-nowrap">{costPerWear === null ? 'Not worn' : `${formatPrice(costPerWear)} / wear`}</span>
+                                </ItemRow>
+                            ))}
+                        </ul>
+                    </>
+                )}
+            </Section>
+        </div>
+    );
+};
+
+export default StatsScreen;
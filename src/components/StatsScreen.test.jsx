@@ -0,0 +1,52 @@
+import React from "react";
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent, within } from "@testing-library/react";
+import StatsScreen from "./StatsScreen";
+import { DEFAULT_CATEGORIES } from "../categories";
+
+const CLOTHES = [
+    { id: 't1', type: 'top', name: 'Linen shirt', image: 'blob:t1', colors: ['white'], purchasePrice: 30, createdAt: 1 },
+    { id: 'b1', type: 'bottom', name: 'Jeans', image: 'blob:b1', colors: ['blue'], purchasePrice: null, createdAt: 2 },
+    { id: 'b2', type: 'bottom', name: 'Chinos', image: 'blob:b2', colors: ['beige'], purchasePrice: 60, createdAt: 3 },
+];
+const OUTFITS = [{ id: 'o1', items: { top: 't1', bottom: 'b1' } }];
+const WEAR_STATS = new Map([['t1', { count: 3, lastWorn: '2026-10-01' }], ['b1', { count: 3, lastWorn: '2026-10-01' }]]);
+
+const renderStats = (props = {}) => {
+    const handlers = { onOpenItem: vi.fn(), onDonate: vi.fn(), onArchive: vi.fn() };
+    render(<StatsScreen clothes={CLOTHES} outfits={OUTFITS} wearStats={WEAR_STATS} categories={DEFAULT_CATEGORIES} {...handlers} {...props} />);
+    return handlers;
+};
+
+const section = (title) => screen.getByRole("heading", { name: title }).closest("section");
+
+describe("StatsScreen", () => {
+    it("shows what the wardrobe holds", () => {
+        renderStats();
+        expect(screen.getByText("3 items · 1 outfit")).toBeInTheDocument();
+        expect(within(section("Items per category")).getAllByRole("listitem").map(li => li.textContent.trim())).toEqual(["Top1", "Bottom2"]);
+        expect(screen.getByRole("img", { name: "Colors: white 1, blue 1, beige 1" })).toBeInTheDocument();
+        expect(within(section("Not in any outfit")).getByText("Chinos")).toBeInTheDocument();
+    });
+
+    it("offers to donate or archive items that were never worn", () => {
+        const { onDonate, onArchive, onOpenItem } = renderStats();
+        const neverWorn = section("Never worn");
+        expect(within(neverWorn).queryByText("Jeans")).not.toBeInTheDocument();
+        fireEvent.click(within(neverWorn).getByRole("button", { name: "Donate Chinos" }));
+        expect(onDonate).toHaveBeenCalledWith('b2');
+        fireEvent.click(within(neverWorn).getByRole("button", { name: "Archive Chinos" }));
+        expect(onArchive).toHaveBeenCalledWith('b2');
+        fireEvent.click(within(neverWorn).getByText("Chinos"));
+        expect(onOpenItem).toHaveBeenCalledWith('b2');
+    });
+
+    it("shows the cost per wear of items with a price", () => {
+        renderStats();
+        const cost = section("Cost per wear");
+        expect(within(cost).getByText("10.00 / wear")).toBeInTheDocument();
+        expect(within(cost).getByText("Not worn")).toBeInTheDocument();
+        expect(within(cost).queryByText("Jeans")).not.toBeInTheDocument();
+        expect(cost).toHaveTextContent("Spent 90.00, 30.00 per wear so far");
+    });
+});
@@ -0,0 +1,61 @@
+import React from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { AlertTriangle, RefreshCw, X } from "lucide-react";
+
+const bannerMotion = {
+    initial: { opacity: 0, y: -10 },
+    animate: { opacity: 1, y: 0 },
+    exit: { opacity: 0, y: -10 },
+};
+
+/**
+ * Banners under the header: what went wrong, with "Try again" when there is
+ * an `onRetry` (failed saves), and a new version waiting to take over.
+ * Updating waits while photos are still being processed, as they would be
+ * lost in the reload.
+ */
+const StatusBanners = ({ errorMessage, onRetry, onDismissError, isUpdateAvailable, isUpdateBlocked, onUpdate, onDismissUpdate }) => (
+    <AnimatePresence>
+        {errorMessage && (
+            <motion.div
+                key="error"
+                role="alert"
+                {...bannerMotion}
+                className="mx-2 mb-2 flex items-start gap-2 rounded-xl bg-red-100 dark:bg-red-900/50 text-red-700 dark:text-red-200 px-3 py-2 text-sm flex-shrink-0"
+            >
+                <AlertTriangle size={18} className="flex-shrink-0 mt-0.5" />
+                <p className="flex-1">{errorMessage}</p>
+                {onRetry && (
+                    <button onClick={onRetry} className="font-semibold underline flex-shrink-0">Try again</button>
+                )}
+                <button onClick={onDismissError} aria-label="Dismiss" className="p-0.5 rounded-full hover:bg-red-200 dark:hover:bg-red-800">
+                    <X size={16} />
+                </button>
+            </motion.div>
+        )}
+        {isUpdateAvailable && (
+            <motion.div
+                key="update"
+                role="status"
+                {...bannerMotion}
+                className="mx-2 mb-2 flex items-center gap-2 rounded-xl bg-gray-100 dark:bg-gray-800 px-3 py-2 text-sm flex-shrink-0"
+            >
+                <RefreshCw size={16} className="flex-shrink-0 text-accent" />
+                <p className="flex-1">Update available</p>
+                <button
+                    onClick={onUpdate}
+                    disabled={isUpdateBlocked}
+                    title={isUpdateBlocked ? 'Wait until your photos are processed' : undefined}
+                    className="px-3 py-1 rounded-full bg-accent text-white font-semibold text-xs disabled:opacity-50"
+                >
+                    Reload
+                </button>
+                <button onClick={onDismissUpdate} aria-label="Dismiss" className="p-0.5 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700">
+                    <X size={16} />
+                </button>
+            </motion.div>
+        )}
+    </AnimatePresence>
+);
+
+export default StatusBanners;
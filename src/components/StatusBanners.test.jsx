@@ -0,0 +1,32 @@
+import React from "react";
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import StatusBanners from "./StatusBanners";
+
+const renderBanners = (props = {}) => {
+    const handlers = { onDismissError: vi.fn(), onUpdate: vi.fn(), onDismissUpdate: vi.fn() };
+    render(<StatusBanners errorMessage={null} onRetry={null} isUpdateAvailable={false} isUpdateBlocked={false} {...handlers} {...props} />);
+    return handlers;
+};
+
+describe("StatusBanners", () => {
+    it("offers to try again only when that could help", () => {
+        const onRetry = vi.fn();
+        renderBanners({ errorMessage: "Storage is full.", onRetry });
+        expect(screen.getByRole("alert")).toHaveTextContent("Storage is full.");
+        fireEvent.click(screen.getByRole("button", { name: "Try again" }));
+        expect(onRetry).toHaveBeenCalled();
+    });
+
+    it("shows an error without a retry", () => {
+        const { onDismissError } = renderBanners({ errorMessage: "The shared photos could not be added." });
+        expect(screen.queryByRole("button", { name: "Try again" })).not.toBeInTheDocument();
+        fireEvent.click(screen.getByRole("button", { name: "Dismiss" }));
+        expect(onDismissError).toHaveBeenCalled();
+    });
+
+    it("holds the update back while photos are processed", () => {
+        renderBanners({ isUpdateAvailable: true, isUpdateBlocked: true });
+        expect(screen.getByRole("button", { name: "Reload" })).toBeDisabled();
+    });
+});
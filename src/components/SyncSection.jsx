@@ -0,0 +1,257 @@
+import React, { useState, useEffect, useRef } from "react";
+import { QrCode, ScanLine } from "lucide-react";
+import QRCode from "qrcode";
+import { createManualSignaling, decodeSignal, STUN_ICE_SERVERS } from "../peerTransport";
+import { SyncError } from "../peerSync";
+
+const buttonClass = "flex-1 flex items-center justify-center gap-2 h-11 rounded-xl text-sm font-semibold bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors disabled:opacity-50";
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const canScan = () => typeof window.BarcodeDetector !== 'undefined' && Boolean(navigator.mediaDevices?.getUserMedia);
+
+// What to do with a code that isn't the one this step needs.
+const WRONG_CODE = {
+    offer: "That isn't a pairing code. Tap “Show pairing code” on the other device and scan what it shows.",
+    answer: "That isn't the other device's reply. Scan the code it shows once it has scanned this one.",
+};
+
+/**
+ * Camera preview that reports the first pairing code of `type` it sees.
+ */
+const QrScanner = ({ type, onScan }) => {
+    const videoRef = useRef(null);
+    const onScanRef = useRef(onScan);
+    const [error, setError] = useState(null);
+
+    useEffect(() => { onScanRef.current = onScan; }, [onScan]);
+
+    useEffect(() => {
+        let stream = null;
+        let timer = null;
+        let cancelled = false;
+        const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+        navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+            .then(s => {
+                if (cancelled) {
+                    s.getTracks().forEach(track => track.stop());
+                    return;
+                }
+                stream = s;
+                videoRef.current.srcObject = s;
+                timer = setInterval(async () => {
+                    try {
+                        const codes = await detector.detect(videoRef.current);
+                        const signal = codes.map(found => decodeSignal(found.rawValue)).find(found => found?.type === type);
+                        if (signal && !cancelled) {
+                            cancelled = true;
+                            onScanRef.current(signal);
+                        }
+                    } catch {
+                        // The video isn't ready yet; try again on the next tick.
+                    }
+                }, 300);
+            })
+            .catch(() => setError("The camera isn't available. Paste the code instead."));
+        return () => {
+            cancelled = true;
+            clearInterval(timer);
+            stream?.getTracks().forEach(track => track.stop());
+        };
+    }, [type]);
+
+    if (error) return <p className="text-sm text-red-500">{error}</p>;
+    return <video ref={videoRef} autoPlay playsInline muted aria-label="Camera for scanning the pairing code" className="w-full aspect-square object-cover rounded-xl bg-black" />;
+};
+
+/**
+ * Takes the other device's code of `type`, scanned or pasted in.
+ */
+const CodeEntry = ({ type, onSignal }) => {
+    const [text, setText] = useState('');
+    const [error, setError] = useState(null);
+
+    const submit = (event) => {
+        event.preventDefault();
+        const signal = decodeSignal(text);
+        if (signal?.type === type) onSignal(signal);
+        else setError(WRONG_CODE[type]);
+    };
+
+    return (
+        <div className="space-y-2">
+            {canScan() && <QrScanner type={type} onScan={onSignal} />}
+            <form onSubmit={submit} className="flex gap-2">
+                <input
+                    value={text}
+                    onChange={(e) => { setText(e.target.value); setError(null); }}
+                    placeholder="Or paste the code"
+                    autoComplete="off"
+                    aria-label="Code from the other device"
+                    aria-invalid={Boolean(error)}
+                    className="flex-1 min-w-0 h-10 px-3 rounded-xl bg-gray-100 dark:bg-gray-700 text-sm font-mono focus:outline-none focus:ring-2 ring-current"
+                />
+                <button type="submit" disabled={!text.trim()} className="h-10 px-4 rounded-xl text-sm font-semibold bg-accent text-white hover:opacity-90 disabled:opacity-50">Connect</button>
+            </form>
+            {error && <p role="alert" className="text-sm text-red-500">{error}</p>}
+        </div>
+    );
+};
+
+/**
+ * This device's code as a QR code, and as text to copy where there is no
+ * camera on the other side.
+ */
+const CodeDisplay = ({ code, instructions }) => {
+    const [qrImage, setQrImage] = useState(null);
+    const [isCopied, setIsCopied] = useState(false);
+
+    useEffect(() => {
+        let cancelled = false;
+        QRCode.toString(code, { type: 'svg', margin: 1, errorCorrectionLevel: 'L' })
+            .then(svg => { if (!cancelled) setQrImage(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`); })
+            .catch(error => console.error("Failed to draw the pairing QR code", error));
+        return () => { cancelled = true; };
+    }, [code]);
+
+    const copy = () => {
+        navigator.clipboard.writeText(code)
+            .then(() => setIsCopied(true))
+            .catch(error => console.error("Failed to copy the pairing code", error));
+    };
+
+    return (
+        <div className="flex flex-col items-center gap-2">
+            {qrImage && <img src={qrImage} alt="QR code for pairing" className="w-56 h-56 rounded-xl bg-white" />}
+            <p className="text-xs text-center text-gray-500 dark:text-gray-400">{instructions}</p>
+            {navigator.clipboard && (
+                <button onClick={copy} className="text-xs font-semibold text-accent">{isCopied ? 'Copied' : 'Copy code'}</button>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Settings section for syncing with another device. There is no server in
+ * between: the first device shows a code, the second scans it and shows one
+ * back, and once the first has scanned that they exchange their changes.
+ * `onPair` opens the channel (connectPeer in peerTransport.js) and `onSync`
+ * runs the sync over it. Devices only find each other on the same network
+ * unless `acrossNetworks` is on.
+ */
+const SyncSection = ({ onPair, onSync, acrossNetworks, onAcrossNetworksChange }) => {
+    // { initiator, signaling, code, hasReply } while pairing, or null. `code` is
+    // this device's once there is one, and `hasReply` says the first device has
+    // scanned the second one's. `isScanning` comes first on the second device.
+    const [pairing, setPairing] = useState(null);
+    const [isScanning, setIsScanning] = useState(false);
+    const [progress, setProgress] = useState(null);
+    const [status, setStatus] = useState(null);
+    const abortRef = useRef(null);
+
+    useEffect(() => () => abortRef.current?.abort(), []);
+
+    /**
+     * @param {boolean} initiator
+     * @param {{ type: string, sdp: string }} [offer] Scanned on the second device
+     */
+    const start = async (initiator, offer) => {
+        const controller = new AbortController();
+        abortRef.current = controller;
+        const signaling = createManualSignaling(code => {
+            if (abortRef.current === controller) setPairing(current => current && { ...current, code });
+        });
+        if (offer) signaling.receive(offer);
+        setIsScanning(false);
+        setPairing({ initiator, signaling, code: null });
+        setProgress(null);
+        setStatus(null);
+        try {
+            const channel = await onPair({ initiator, signaling, iceServers: acrossNetworks ? STUN_ICE_SERVERS : [], signal: controller.signal });
+            if (controller.signal.aborted) {
+                channel.close();
+                return;
+            }
+            setProgress({ done: 0, total: null });
+            const { received, sent } = await onSync(channel, setProgress);
+            if (!controller.signal.aborted) setStatus({ isError: false, text: `Synced. Received ${plural(received, 'change')} and sent ${plural(sent, 'change')}.` });
+        } catch (error) {
+            if (controller.signal.aborted) return;
+            console.error("Failed to sync", error);
+            setStatus({ isError: true, text: error instanceof SyncError ? error.message : `Sync failed: ${error.message}` });
+        } finally {
+            if (abortRef.current === controller) {
+                abortRef.current = null;
+                setPairing(null);
+                setProgress(null);
+            }
+        }
+    };
+
+    const cancel = () => {
+        abortRef.current?.abort();
+        abortRef.current = null;
+        setPairing(null);
+        setIsScanning(false);
+    };
+
+    if (pairing) {
+        const isSyncing = progress !== null;
+        // The first device scans the reply once it has shown its own code.
+        const isWaitingForReply = pairing.initiator && pairing.code && !pairing.hasReply;
+        return (
+            <div className="space-y-3 text-sm">
+                {pairing.code && !pairing.hasReply && !isSyncing && (
+                    <CodeDisplay
+                        code={pairing.code}
+                        instructions={pairing.initiator
+                            ? 'On your other device, open Sync and tap “Scan a code”. Then scan the code it shows below.'
+                            : 'Now scan this with your first device.'}
+                    />
+                )}
+                {isWaitingForReply && !isSyncing && (
+                    <CodeEntry type="answer" onSignal={signal => { pairing.signaling.receive(signal); setPairing({ ...pairing, hasReply: true }); }} />
+                )}
+                <p role="status" className="text-gray-600 dark:text-gray-300">
+                    {!isSyncing && (!pairing.code ? 'Preparing…' : pairing.hasReply ? 'Connecting…' : 'Waiting for the other device…')}
+                    {isSyncing && (progress.total === null ? 'Comparing wardrobes…' : `Receiving ${progress.done} of ${plural(progress.total, 'change')}…`)}
+                </p>
+                {!isSyncing && <button onClick={cancel} className={`w-full ${buttonClass}`}>Cancel</button>}
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-3">
+            {isScanning ? (
+                <div className="space-y-2">
+                    <CodeEntry type="offer" onSignal={offer => start(false, offer)} />
+                    <button onClick={cancel} className={`w-full ${buttonClass}`}>Cancel</button>
+                </div>
+            ) : (
+                <div className="flex gap-2">
+                    <button onClick={() => start(true)} className={buttonClass}>
+                        <QrCode size={16} /> Show pairing code
+                    </button>
+                    <button onClick={() => { setIsScanning(true); setStatus(null); }} className={buttonClass}>
+                        <ScanLine size={16} /> Scan a code
+                    </button>
+                </div>
+            )}
+
+            <label className="flex items-start gap-2 text-sm">
+                <input type="checkbox" checked={acrossNetworks} onChange={(e) => onAcrossNetworksChange(e.target.checked)} className="mt-1 accent-current" />
+                <span>
+                    Connect across networks
+                    <span className="block text-xs text-gray-500 dark:text-gray-400">Asks Google's public STUN server for this device's address. Your wardrobe still goes straight between the devices.</span>
+                </span>
+            </label>
+
+            {status && (
+                <p role="status" className={`text-sm ${status.isError ? 'text-red-500' : 'text-gray-600 dark:text-gray-300'}`}>{status.text}</p>
+            )}
+        </div>
+    );
+};
+
+export default SyncSection;
@@ -0,0 +1,97 @@
+import React from "react";
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import SyncSection from "./SyncSection";
+import { SyncError } from "../peerSync";
+import { encodeSignal, STUN_ICE_SERVERS } from "../peerTransport";
+
+const CHANNEL = { close: vi.fn() };
+const OFFER = { type: 'offer', sdp: 'v=0\r\no=- offer\r\n' };
+const ANSWER = { type: 'answer', sdp: 'v=0\r\no=- answer\r\n' };
+
+const pasteCode = (code) => {
+    fireEvent.change(screen.getByLabelText("Code from the other device"), { target: { value: code } });
+    fireEvent.click(screen.getByRole("button", { name: "Connect" }));
+};
+
+describe("SyncSection", () => {
+    it("shows a pairing code, takes the reply and reports the sync", async () => {
+        let finishSync;
+        let reportProgress;
+        const onPair = vi.fn(async ({ signaling }) => {
+            signaling.send(OFFER);
+            expect(await signaling.next()).toEqual(ANSWER);
+            return CHANNEL;
+        });
+        const onSync = vi.fn((channel, onProgress) => {
+            reportProgress = onProgress;
+            return new Promise(resolve => { finishSync = resolve; });
+        });
+        render(<SyncSection onPair={onPair} onSync={onSync} acrossNetworks={false} onAcrossNetworksChange={vi.fn()} />);
+
+        fireEvent.click(screen.getByRole("button", { name: "Show pairing code" }));
+        expect(onPair).toHaveBeenCalledWith(expect.objectContaining({ initiator: true, iceServers: [] }));
+        expect(await screen.findByRole("img", { name: "QR code for pairing" })).toHaveAttribute("src", expect.stringMatching(/^data:image\/svg\+xml/));
+        expect(screen.getByRole("status")).toHaveTextContent("Waiting for the other device…");
+
+        pasteCode(encodeSignal(OFFER));
+        expect(screen.getByRole("alert")).toHaveTextContent("That isn't the other device's reply.");
+        expect(onSync).not.toHaveBeenCalled();
+
+        pasteCode(encodeSignal(ANSWER));
+        await vi.waitFor(() => expect(onSync).toHaveBeenCalledWith(CHANNEL, expect.any(Function)));
+        expect(screen.getByRole("status")).toHaveTextContent("Comparing wardrobes…");
+
+        reportProgress({ done: 1, total: 3 });
+        expect(await screen.findByText("Receiving 1 of 3 changes…")).toBeInTheDocument();
+        finishSync({ received: 3, sent: 1 });
+        expect(await screen.findByText("Synced. Received 3 changes and sent 1 change.")).toBeInTheDocument();
+    });
+
+    it("answers a scanned code with its own", async () => {
+        let fail;
+        const onPair = vi.fn(async ({ signaling }) => {
+            expect(await signaling.next()).toEqual(OFFER);
+            signaling.send(ANSWER);
+            return new Promise((resolve, reject) => { fail = reject; });
+        });
+        render(<SyncSection onPair={onPair} onSync={vi.fn()} acrossNetworks={false} onAcrossNetworksChange={vi.fn()} />);
+
+        fireEvent.click(screen.getByRole("button", { name: "Scan a code" }));
+        pasteCode("abcd-efgh");
+        expect(screen.getByRole("alert")).toHaveTextContent("That isn't a pairing code.");
+        expect(onPair).not.toHaveBeenCalled();
+
+        pasteCode(encodeSignal(OFFER));
+        expect(onPair).toHaveBeenCalledWith(expect.objectContaining({ initiator: false }));
+        expect(await screen.findByText("Now scan this with your first device.")).toBeInTheDocument();
+        expect(screen.getByRole("img", { name: "QR code for pairing" })).toBeInTheDocument();
+
+        fail(new SyncError("Pairing took too long. Start again on both devices."));
+        expect(await screen.findByText("Pairing took too long. Start again on both devices.")).toBeInTheDocument();
+        expect(screen.getByRole("button", { name: "Show pairing code" })).toBeInTheDocument();
+    });
+
+    it("cancels pairing", () => {
+        const onPair = vi.fn(() => new Promise(() => {}));
+        render(<SyncSection onPair={onPair} onSync={vi.fn()} acrossNetworks={false} onAcrossNetworksChange={vi.fn()} />);
+        fireEvent.click(screen.getByRole("button", { name: "Show pairing code" }));
+        const { signal } = onPair.mock.calls[0][0];
+
+        fireEvent.click(screen.getByRole("button", { name: "Cancel" }));
+        expect(signal.aborted).toBe(true);
+        expect(screen.getByRole("button", { name: "Show pairing code" })).toBeInTheDocument();
+    });
+
+    it("only uses a STUN server across networks when that is on", () => {
+        const onPair = vi.fn(() => new Promise(() => {}));
+        const onAcrossNetworksChange = vi.fn();
+        const { rerender } = render(<SyncSection onPair={onPair} onSync={vi.fn()} acrossNetworks={false} onAcrossNetworksChange={onAcrossNetworksChange} />);
+        fireEvent.click(screen.getByRole("checkbox", { name: /Connect across networks/ }));
+        expect(onAcrossNetworksChange).toHaveBeenCalledWith(true);
+
+        rerender(<SyncSection onPair={onPair} onSync={vi.fn()} acrossNetworks={true} onAcrossNetworksChange={onAcrossNetworksChange} />);
+        fireEvent.click(screen.getByRole("button", { name: "Show pairing code" }));
+        expect(onPair).toHaveBeenCalledWith(expect.objectContaining({ iceServers: STUN_ICE_SERVERS }));
+    });
+});
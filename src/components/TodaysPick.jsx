@@ -0,0 +1,94 @@
+import React, { useState } from "react";
+import { CloudRain, Thermometer, Pencil, RefreshCw, Sparkles } from "lucide-react";
+import { todayKey, formatDateKey } from "../dates";
+import { WATERPROOF_TAG } from "../weatherSuggestions";
+
+const inputClass = "px-3 h-9 rounded-xl bg-white dark:bg-gray-700 text-sm focus:outline-none focus:ring-2 ring-current";
+
+/**
+ * Inline form for entering today's weather by hand.
+ */
+const WeatherForm = ({ forecast, onSubmit }) => {
+    const [temperature, setTemperature] = useState(forecast ? String(forecast.temperature) : '');
+    const [rain, setRain] = useState(forecast?.rain ?? false);
+    const value = parseFloat(temperature);
+
+    const handleSubmit = (event) => {
+        event.preventDefault();
+        if (Number.isFinite(value)) onSubmit({ temperature: value, rain });
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="flex items-center gap-2 mt-2">
+            <input type="number" inputMode="decimal" step="1" value={temperature} onChange={(e) => setTemperature(e.target.value)} aria-label="Temperature (°C)" placeholder="°C" className={`${inputClass} w-20`} />
+            <label className="flex items-center gap-1.5 text-xs font-semibold">
+                <input type="checkbox" checked={rain} onChange={(e) => setRain(e.target.checked)} /> Rain
+            </label>
+            <button type="submit" disabled={!Number.isFinite(value)} className="ml-auto h-9 px-4 rounded-xl bg-accent text-white text-xs font-semibold disabled:opacity-50">
+                Save
+            </button>
+        </form>
+    );
+};
+
+/**
+ * Today's weather and the saved outfit that suits it, with the reasons it was
+ * picked. The weather is typed in or comes from a forecast, depending on the
+ * source chosen in settings.
+ */
+const TodaysPick = ({ forecast, isManual, isLoading, error, suggestion, title, onSetWeather, onRefresh, onShow }) => {
+    const [isEditing, setIsEditing] = useState(false);
+    const showForm = isManual && (isEditing || !forecast);
+    const isStale = forecast && forecast.date !== todayKey();
+
+    const saveWeather = (weather) => {
+        onSetWeather(weather);
+        setIsEditing(false);
+    };
+
+    return (
+        <section aria-label="Today's pick" className="mx-4 mt-2 p-3 rounded-2xl bg-gray-100 dark:bg-gray-800 text-sm">
+            <div className="flex items-center gap-2">
+                {forecast?.rain ? <CloudRain size={16} className="text-accent" /> : <Thermometer size={16} className="text-accent" />}
+                <p className="flex-1 min-w-0 font-semibold truncate">
+                    {forecast ? `${forecast.temperature}°${forecast.rain ? ' · Rain likely' : ''}` : "Today's weather"}
+                    {isStale && <span className="font-normal text-gray-500 dark:text-gray-400"> · from {formatDateKey(forecast.date)}</span>}
+                </p>
+                {isManual ? (
+                    forecast && (
+                        <button onClick={() => setIsEditing(prev => !prev)} aria-label="Change the weather" aria-expanded={isEditing} className="p-1 rounded-full text-gray-500 dark:text-gray-400 hover:bg-gray-200 dark:hover:bg-gray-700">
+                            <Pencil size={16} />
+                        </button>
+                    )
+                ) : (
+                    <button onClick={onRefresh} disabled={isLoading} aria-label="Update the forecast" className="p-1 rounded-full text-gray-500 dark:text-gray-400 hover:bg-gray-200 dark:hover:bg-gray-700 disabled:opacity-50">
+                        <RefreshCw size={16} className={isLoading ? 'animate-spin' : ''} />
+                    </button>
+                )}
+            </div>
+
+            {showForm && <WeatherForm forecast={forecast} onSubmit={saveWeather} />}
+            {error && <p role="alert" className="mt-2 text-xs text-red-500">{error}</p>}
+            {!isManual && !forecast && !error && <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">{isLoading ? 'Getting the forecast…' : 'No forecast yet.'}</p>}
+
+            {forecast && !showForm && (suggestion ? (
+                <div className="mt-2">
+                    <p className="flex items-center gap-1.5">
+                        <Sparkles size={14} className="text-accent flex-shrink-0" />
+                        <span className="text-gray-500 dark:text-gray-400">Today's pick:</span>
+                        <button onClick={() => onShow(suggestion.outfit.id)} className="font-semibold text-accent truncate hover:underline">{title}</button>
+                    </p>
+                    <ul className="mt-1 ml-5 list-disc text-xs text-gray-500 dark:text-gray-400">
+                        {suggestion.reasons.map(reason => <li key={reason}>{reason}</li>)}
+                    </ul>
+                </div>
+            ) : (
+                <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                    None of your outfits is marked for this weather yet. Give your clothes seasons and a warmth{forecast.rain ? `, and tag rain gear “${WATERPROOF_TAG}”` : ''}.
+                </p>
+            ))}
+        </section>
+    );
+};
+
+export default TodaysPick;
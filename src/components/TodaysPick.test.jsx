@@ -0,0 +1,60 @@
+import React from "react";
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import TodaysPick from "./TodaysPick";
+import { todayKey, addDays } from "../dates";
+
+const FORECAST = { temperature: 8, rain: true, date: todayKey(), source: 'manual', fetchedAt: 1 };
+const SUGGESTION = { outfit: { id: 'o1' }, reasons: ['Raincoat is waterproof', 'Wool jumper is warm enough for 8°'] };
+
+const renderPick = (props = {}) => {
+    const handlers = { onSetWeather: vi.fn(), onRefresh: vi.fn(), onShow: vi.fn() };
+    render(<TodaysPick forecast={FORECAST} isManual={true} isLoading={false} error={null} suggestion={SUGGESTION} title="Rainy day" {...handlers} {...props} />);
+    return handlers;
+};
+
+describe("TodaysPick", () => {
+    it("shows the pick and why it was picked", () => {
+        const { onShow } = renderPick();
+        expect(screen.getByText("8° · Rain likely")).toBeInTheDocument();
+        expect(screen.getAllByRole("listitem").map(li => li.textContent)).toEqual(SUGGESTION.reasons);
+        fireEvent.click(screen.getByRole("button", { name: "Rainy day" }));
+        expect(onShow).toHaveBeenCalledWith('o1');
+    });
+
+    it("asks for the weather when none was entered today", () => {
+        const { onSetWeather } = renderPick({ forecast: null, suggestion: null });
+        const save = screen.getByRole("button", { name: "Save" });
+        expect(save).toBeDisabled();
+        fireEvent.change(screen.getByLabelText("Temperature (°C)"), { target: { value: "21" } });
+        fireEvent.click(screen.getByLabelText("Rain"));
+        fireEvent.click(save);
+        expect(onSetWeather).toHaveBeenCalledWith({ temperature: 21, rain: true });
+    });
+
+    it("lets the entered weather be changed", () => {
+        const { onSetWeather } = renderPick();
+        fireEvent.click(screen.getByRole("button", { name: "Change the weather" }));
+        expect(screen.getByLabelText("Temperature (°C)")).toHaveValue(8);
+        fireEvent.click(screen.getByRole("button", { name: "Save" }));
+        expect(onSetWeather).toHaveBeenCalledWith({ temperature: 8, rain: true });
+        expect(screen.queryByLabelText("Temperature (°C)")).not.toBeInTheDocument();
+    });
+
+    it("explains when no outfit fits", () => {
+        renderPick({ suggestion: null });
+        expect(screen.getByText(/None of your outfits is marked for this weather yet/)).toHaveTextContent("tag rain gear “waterproof”");
+    });
+
+    it("falls back to the last forecast when it can't be updated", () => {
+        const { onRefresh } = renderPick({
+            isManual: false,
+            forecast: { ...FORECAST, source: 'open-meteo', date: addDays(todayKey(), -1) },
+            error: "Couldn’t reach the forecast service. Check your connection.",
+        });
+        expect(screen.getByRole("alert")).toHaveTextContent("Couldn’t reach the forecast service");
+        expect(screen.getByText(/· from/)).toBeInTheDocument();
+        fireEvent.click(screen.getByRole("button", { name: "Update the forecast" }));
+        expect(onRefresh).toHaveBeenCalled();
+    });
+});
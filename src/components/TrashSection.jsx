@@ -0,0 +1,53 @@
+import React from "react";
+import { RotateCcw, Trash2 } from "lucide-react";
+import { TRASH_DAYS } from "../trash";
+import { displayName } from "../itemMetadata";
+import { getCategory } from "../categories";
+import { outfitTitle } from "../outfits";
+import OutfitThumbnail from "./OutfitThumbnail";
+
+const daysLeft = (deletedAt) => Math.max(0, TRASH_DAYS - Math.floor((Date.now() - deletedAt) / (24 * 60 * 60 * 1000)));
+
+/**
+ * Settings section listing deleted items and outfits.
+ */
+const TrashSection = ({ entries, clothesById, categories, onRestore, onDeleteForever, onEmpty }) => {
+    if (entries.length === 0) {
+        return <p className="text-sm text-gray-500 dark:text-gray-400">The trash is empty.</p>;
+    }
+
+    return (
+        <div className="space-y-2">
+            {[...entries].sort((a, b) => b.deletedAt - a.deletedAt).map(entry => {
+                const title = entry.item
+                    ? displayName(entry.item, getCategory(categories, entry.item.type))
+                    : outfitTitle(entry.outfits[0], 0);
+                return (
+                    <div key={entry.id} className="flex items-center gap-3 p-2 rounded-xl bg-gray-100 dark:bg-gray-700/50">
+                        {entry.item ? (
+                            <img src={entry.item.thumb || entry.item.image} alt="" className="w-12 h-12 object-contain flex-shrink-0" />
+                        ) : (
+                            <OutfitThumbnail items={entry.outfits[0].items} clothesById={clothesById} categories={categories} className="w-12 h-12 flex-shrink-0" />
+                        )}
+                        <div className="flex-1 min-w-0">
+                            <p className="text-sm font-semibold truncate">{title}</p>
+                            <p className="text-xs text-gray-500 dark:text-gray-400">
+                                {entry.item && entry.outfits.length > 0 && `With ${entry.outfits.length} outfit${entry.outfits.length === 1 ? '' : 's'} · `}
+                                {daysLeft(entry.deletedAt)} days left
+                            </p>
+                        </div>
+                        <button onClick={() => onRestore(entry)} className="p-2 rounded-full text-accent hover:bg-gray-200 dark:hover:bg-gray-600" aria-label={`Restore ${title}`}>
+                            <RotateCcw size={16} />
+                        </button>
+                        <button onClick={() => onDeleteForever(entry)} className="p-2 rounded-full text-red-500 hover:bg-red-100 dark:hover:bg-red-900/50" aria-label={`Delete ${title} forever`}>
+                            <Trash2 size={16} />
+                        </button>
+                    </div>
+                );
+            })}
+            <button onClick={onEmpty} className="text-xs font-semibold text-red-500 hover:underline">Empty trash</button>
+        </div>
+    );
+};
+
+export default TrashSection;
@@ -0,0 +1,40 @@
+import React, { useEffect } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+
+const TOAST_DURATION_MS = 6000;
+
+/**
+ * Short-lived message after an action, with a button to undo (or redo) it.
+ * `toast.id` changes for every new message so the timer restarts.
+ */
+const UndoToast = ({ toast, onAction, onDismiss }) => {
+    useEffect(() => {
+        if (!toast) return undefined;
+        const timer = setTimeout(onDismiss, TOAST_DURATION_MS);
+        return () => clearTimeout(timer);
+    }, [toast, onDismiss]);
+
+    return (
+        <AnimatePresence>
+            {toast && (
+                <motion.div
+                    key={toast.id}
+                    role="status"
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    exit={{ opacity: 0, y: 20 }}
+                    className="fixed bottom-24 left-1/2 -translate-x-1/2 z-30 flex items-center gap-3 max-w-[90vw] pl-4 pr-2 py-2 rounded-full bg-gray-900 text-white dark:bg-gray-100 dark:text-gray-900 shadow-lg text-sm"
+                >
+                    <span className="truncate">{toast.message}</span>
+                    {toast.action && (
+                        <button onClick={onAction} className="px-3 py-1 rounded-full font-semibold text-accent hover:bg-white/10 dark:hover:bg-black/10 capitalize">
+                            {toast.action}
+                        </button>
+                    )}
+                </motion.div>
+            )}
+        </AnimatePresence>
+    );
+};
+
+export default UndoToast;
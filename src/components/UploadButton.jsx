@@ -0,0 +1,41 @@
+import React from "react";
+import { Upload, Camera } from "lucide-react";
+
+// Not available on insecure origins or in some in-app browsers.
+const CAN_USE_CAMERA = Boolean(navigator.mediaDevices?.getUserMedia);
+
+/**
+ * Picks photos from the device, with a camera button next to it where the
+ * browser allows it.
+ */
+const UploadButton = ({ isPrimary = false, onFiles, onOpenCamera }) => {
+    const colors = isPrimary
+        ? 'bg-accent text-white hover:opacity-90'
+        : 'bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600';
+
+    const handleChange = (event) => {
+        const files = Array.from(event.target.files || []);
+        // Cleared so picking the same photos again still fires a change.
+        event.target.value = "";
+        onFiles(files);
+    };
+
+    return (
+        <div className="flex gap-2 w-full">
+            <label className={`
+                relative flex items-center justify-center gap-2 cursor-pointer transition-all flex-1
+                rounded-xl text-sm font-semibold h-12 ${colors}`}
+            >
+                <Upload size={18} /> Upload Clothes
+                <input type="file" accept="image/*" multiple onChange={handleChange} className="hidden" />
+            </label>
+            {CAN_USE_CAMERA && (
+                <button onClick={onOpenCamera} aria-label="Take photos" className={`flex items-center justify-center w-12 h-12 rounded-xl transition-all ${colors}`}>
+                    <Camera size={18} />
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default UploadButton;
@@ -0,0 +1,36 @@
+import React from "react";
+import { Shirt, Home, PlusSquare, CalendarDays, ChartColumn } from "lucide-react";
+
+const NAV_VIEWS = [
+    { id: 'home', label: 'Home', Icon: Home },
+    { id: 'wardrobe', label: 'Wardrobe', Icon: Shirt },
+    { id: 'creator', label: 'Creator', Icon: PlusSquare },
+    { id: 'calendar', label: 'Calendar', Icon: CalendarDays },
+    { id: 'stats', label: 'Stats', Icon: ChartColumn },
+];
+
+/**
+ * The tab bar along the bottom. The classifier has no tab; it opens when
+ * photos are added.
+ */
+const ViewNav = ({ currentView, onNavigate }) => (
+    <nav aria-label="Views" className="flex-shrink-0 px-2 py-4 flex justify-around items-center w-full max-w-md mx-auto">
+        {NAV_VIEWS.map((navView) => {
+            const { id, label, Icon } = navView;
+            const isActive = currentView === id;
+            return (
+                <button
+                    key={id}
+                    onClick={() => onNavigate({ name: id })}
+                    aria-current={isActive ? 'page' : undefined}
+                    className={`flex flex-col items-center gap-1 transition-colors p-1 rounded-lg ${isActive ? 'text-accent' : 'text-gray-400 hover:text-gray-600 dark:hover:text-gray-300'}`}
+                >
+                    <Icon size={20} strokeWidth={isActive ? 2.5 : 2} />
+                    <span className={`text-xs font-bold ${isActive ? 'text-accent' : 'text-gray-500'}`}>{label}</span>
+                </button>
+            );
+        })}
+    </nav>
+);
+
+export default ViewNav;
@@ -0,0 +1,249 @@
+import React, { useState, useMemo } from "react";
+import { motion } from "framer-motion";
+import { Search, SlidersHorizontal, CheckSquare, Check, WashingMachine } from "lucide-react";
+import { displayName, getItemStatus, isWearable, COLOR_PALETTE, SEASONS, ITEM_STATUSES } from "../itemMetadata";
+import { SORT_OPTIONS, filterClothes, collectTags, hasActiveFilters } from "../wardrobeFilters";
+import { getCategory } from "../categories";
+import CategoryIcon from "./CategoryIcon";
+
+// SOLVED: Simplified by removing nested AnimatePresence and layout prop to prevent render bugs
+// While selecting, a tap selects the item instead of opening it.
+const WardrobeItem = ({ item, category, onOpenItem, isSelecting, isSelected, onToggleSelect }) => (
+    <motion.div
+        initial={{ opacity: 0, scale: 0.8 }}
+        animate={{ opacity: 1, scale: 1 }}
+        exit={{ opacity: 0, scale: 0.8 }}
+        className="flex flex-col items-center"
+    >
+        <button
+            onClick={() => (isSelecting ? onToggleSelect(item.id) : onOpenItem(item.id))}
+            aria-pressed={isSelecting ? isSelected : undefined}
+            className={`relative w-full aspect-square bg-gray-100 dark:bg-gray-700/50 rounded-xl flex items-center justify-center overflow-hidden ${isSelected ? 'ring-2 ring-current' : ''}`}
+        >
+            <img src={item.thumb || item.image} alt={displayName(item, category)} loading="lazy" className={`w-full h-full object-contain ${isWearable(item) ? '' : 'opacity-40'}`} />
+            {!isWearable(item) && (
+                <span className="absolute bottom-1.5 left-1.5 px-2 py-0.5 rounded-full text-[10px] font-semibold bg-white/90 dark:bg-gray-900/90">{getItemStatus(item).name}</span>
+            )}
+            {isSelecting && (
+                <span className={`absolute top-1.5 right-1.5 w-5 h-5 rounded-full border-2 flex items-center justify-center ${isSelected ? 'bg-accent border-transparent text-white' : 'border-gray-400 bg-white/70 dark:bg-gray-900/70'}`}>
+                    {isSelected && <Check size={12} strokeWidth={3} />}
+                </span>
+            )}
+        </button>
+        {item.name && <p className="mt-1 text-xs font-semibold truncate w-full text-center">{item.name}</p>}
+    </motion.div>
+);
+
+const filterChipClass = (active) => `px-3 py-1 rounded-full text-xs font-semibold capitalize whitespace-nowrap transition-colors ${active ? 'bg-accent text-white' : 'bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600'}`;
+
+/**
+ * All items, searchable and filterable. The filters are owned by the caller so
+ * they survive switching views; `uploadButton` is rendered under the grid.
+ * Items can be selected to change where they are (laundry, lent out, ...) at
+ * once, or to copy or move them to another profile.
+ */
+const WardrobeScreen = ({ clothes, categories, filters, onFiltersChange, wearStats, onOpenItem, onCreateOutfit, onSetStatus, onReturnFromLaundry, otherProfiles = [], onTransferItems, uploadButton }) => {
+    const [showFilters, setShowFilters] = useState(false);
+    // Ids of the selected items, or null when not selecting.
+    const [selectedIds, setSelectedIds] = useState(null);
+    const isSelecting = selectedIds !== null;
+    const [targetProfileId, setTargetProfileId] = useState(null);
+    const targetProfile = otherProfiles.find(profile => profile.id === targetProfileId) || otherProfiles[0];
+    const laundryCount = clothes.filter(item => item.status === 'laundry').length;
+    const visibleClothes = useMemo(() => filterClothes(clothes, filters, wearStats), [clothes, filters, wearStats]);
+    const allTags = useMemo(() => collectTags(clothes), [clothes]);
+    const isFiltered = hasActiveFilters(filters);
+
+    const setFilters = (changes) => onFiltersChange({ ...filters, ...changes });
+    const toggleFilter = (key, value) => setFilters({
+        [key]: filters[key].includes(value) ? filters[key].filter(v => v !== value) : [...filters[key], value],
+    });
+    const clearFilters = () => setFilters({ query: '', colors: [], seasons: [], tags: [], statuses: [] });
+
+    const toggleSelected = (id) => setSelectedIds(prev => (prev.includes(id) ? prev.filter(i => i !== id) : [...prev, id]));
+    const setSelectedStatus = (status) => {
+        onSetStatus(selectedIds, status);
+        setSelectedIds(null);
+    };
+    const transferSelected = (move) => {
+        onTransferItems(selectedIds, targetProfile.id, move);
+        setSelectedIds(null);
+    };
+
+    const countFor = (categoryId) => clothes.filter(item => item.type === categoryId).length;
+    // "All" is split into one section per category, in stacking order.
+    const sections = filters.category === 'all'
+        ? categories
+            .map(category => ({ category, items: visibleClothes.filter(item => item.type === category.id) }))
+            .concat([{ category: null, items: visibleClothes.filter(item => !categories.some(c => c.id === item.type)) }])
+            .filter(section => section.items.length > 0)
+        : [{ category: getCategory(categories, filters.category), items: visibleClothes }];
+
+    return (
+        <div className="w-full h-full flex flex-col">
+            <h2 className="text-xl font-bold p-4 pb-2 text-center flex-shrink-0">Your Wardrobe</h2>
+            <div className="px-4 flex flex-col gap-2 flex-shrink-0">
+                <div className="flex gap-2">
+                    <label className="flex-1 flex items-center gap-2 px-3 h-10 rounded-xl bg-gray-100 dark:bg-gray-700 text-sm">
+                        <Search size={16} className="text-gray-400" />
+                        <input
+                            type="search"
+                            value={filters.query}
+                            onChange={(e) => setFilters({ query: e.target.value })}
+                            placeholder="Search names, brands, tags"
+                            className="flex-1 min-w-0 bg-transparent focus:outline-none"
+                        />
+                    </label>
+                    <button
+                        onClick={() => setShowFilters(open => !open)}
+                        className={`relative w-10 h-10 flex items-center justify-center rounded-xl transition-colors ${showFilters ? 'bg-accent text-white' : 'bg-gray-100 dark:bg-gray-700'}`}
+                        aria-label="Filters"
+                        aria-expanded={showFilters}
+                    >
+                        <SlidersHorizontal size={16} />
+                        {isFiltered && !showFilters && <span className="absolute top-1.5 right-1.5 w-2 h-2 rounded-full bg-accent" />}
+                    </button>
+                    <select
+                        value={filters.sort}
+                        onChange={(e) => setFilters({ sort: e.target.value })}
+                        className="h-10 px-2 rounded-xl bg-gray-100 dark:bg-gray-700 text-xs font-semibold focus:outline-none"
+                        aria-label="Sort by"
+                    >
+                        {SORT_OPTIONS.map(option => <option key={option.id} value={option.id}>{option.name}</option>)}
+                    </select>
+                    <button
+                        onClick={() => setSelectedIds(isSelecting ? null : [])}
+                        className={`w-10 h-10 flex items-center justify-center rounded-xl transition-colors ${isSelecting ? 'bg-accent text-white' : 'bg-gray-100 dark:bg-gray-700'}`}
+                        aria-label="Select items"
+                        aria-pressed={isSelecting}
+                    >
+                        <CheckSquare size={16} />
+                    </button>
+                </div>
+
+                <div className="flex gap-2 overflow-x-auto pb-1 -mx-1 px-1">
+                    <button onClick={() => setFilters({ category: 'all' })} className={filterChipClass(filters.category === 'all')}>
+                        All {clothes.length}
+                    </button>
+                    {categories.map(category => (
+                        <button key={category.id} onClick={() => setFilters({ category: category.id })} className={`${filterChipClass(filters.category === category.id)} flex items-center gap-1`}>
+                            <CategoryIcon icon={category.icon} size={12} /> {category.name} {countFor(category.id)}
+                        </button>
+                    ))}
+                </div>
+
+                {showFilters && (
+                    <div className="flex flex-col gap-2 pb-2 text-left">
+                        <div className="flex flex-wrap gap-2 items-center">
+                            {Object.entries(COLOR_PALETTE).map(([name, hex]) => (
+                                <button
+                                    key={name}
+                                    onClick={() => toggleFilter('colors', name)}
+                                    className={`w-6 h-6 rounded-full border dark:border-gray-600 ${filters.colors.includes(name) ? 'ring-2 ring-offset-2 dark:ring-offset-gray-800 ring-current' : ''}`}
+                                    style={{ backgroundColor: hex }}
+                                    aria-label={name}
+                                    aria-pressed={filters.colors.includes(name)}
+                                />
+                            ))}
+                        </div>
+                        <div className="flex flex-wrap gap-2">
+                            {SEASONS.map(season => (
+                                <button key={season} onClick={() => toggleFilter('seasons', season)} className={filterChipClass(filters.seasons.includes(season))}>{season}</button>
+                            ))}
+                        </div>
+                        <div className="flex flex-wrap gap-2">
+                            {ITEM_STATUSES.map(status => (
+                                <button key={status.id} onClick={() => toggleFilter('statuses', status.id)} className={filterChipClass(filters.statuses.includes(status.id))}>{status.name}</button>
+                            ))}
+                        </div>
+                        {allTags.length > 0 && (
+                            <div className="flex flex-wrap gap-2">
+                                {allTags.map(tag => (
+                                    <button key={tag} onClick={() => toggleFilter('tags', tag)} className={filterChipClass(filters.tags.includes(tag))}>#{tag}</button>
+                                ))}
+                            </div>
+                        )}
+                        {isFiltered && (
+                            <button onClick={clearFilters} className="self-start text-xs font-semibold text-accent hover:underline">Clear filters</button>
+                        )}
+                    </div>
+                )}
+            </div>
+
+            <div className="flex-1 overflow-y-auto p-4 pt-2">
+                {laundryCount > 0 && !isSelecting && (
+                    <div className="mb-3 flex items-center gap-2 px-3 py-2 rounded-xl bg-gray-100 dark:bg-gray-700/50 text-sm">
+                        <WashingMachine size={16} className="text-accent flex-shrink-0" />
+                        <p className="flex-1">{laundryCount === 1 ? '1 item' : `${laundryCount} items`} in the laundry</p>
+                        <button onClick={onReturnFromLaundry} className="px-3 py-1 rounded-full bg-accent text-white font-semibold text-xs">Back from laundry</button>
+                    </div>
+                )}
+                {visibleClothes.length === 0 ? (
+                    <div className="h-full flex flex-col items-center justify-center text-center text-sm text-gray-500 dark:text-gray-400 gap-2">
+                        <p>No items match.</p>
+                        {isFiltered && <button onClick={clearFilters} className="font-semibold text-accent hover:underline">Clear filters</button>}
+                    </div>
+                ) : sections.map(({ category, items }) => (
+                    <section key={category?.id ?? 'other'} className="mb-4">
+                        {filters.category === 'all' && (
+                            <h3 className="flex items-center gap-1.5 text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-2">
+                                {category ? <><CategoryIcon icon={category.icon} size={14} /> {category.name}</> : 'Other'}
+                                <span className="font-normal">{items.length}</span>
+                            </h3>
+                        )}
+                        <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-4">
+                            {items.map(item => (
+                                <WardrobeItem
+                                    key={item.id}
+                                    item={item}
+                                    category={getCategory(categories, item.type)}
+                                    onOpenItem={onOpenItem}
+                                    isSelecting={isSelecting}
+                                    isSelected={isSelecting && selectedIds.includes(item.id)}
+                                    onToggleSelect={toggleSelected}
+                                />
+                            ))}
+                        </div>
+                    </section>
+                ))}
+            </div>
+            {isSelecting ? (
+                <div className="p-4 flex flex-col gap-2 border-t dark:border-gray-700 flex-shrink-0">
+                    <div className="flex items-center justify-between text-sm">
+                        <p className="font-semibold">{selectedIds.length} selected</p>
+                        <button onClick={() => setSelectedIds(visibleClothes.map(item => item.id))} className="text-xs font-semibold text-accent hover:underline">Select all</button>
+                    </div>
+                    <div className="flex flex-wrap items-center gap-2">
+                        <span className="text-xs text-gray-500 dark:text-gray-400">Mark as</span>
+                        {ITEM_STATUSES.map(status => (
+                            <button key={status.id} onClick={() => setSelectedStatus(status.id)} disabled={selectedIds.length === 0} className={`${filterChipClass(false)} disabled:opacity-50`}>
+                                {status.name}
+                            </button>
+                        ))}
+                    </div>
+                    {targetProfile && (
+                        <div className="flex items-center gap-2">
+                            <select
+                                value={targetProfile.id}
+                                onChange={(e) => setTargetProfileId(e.target.value)}
+                                aria-label="Profile"
+                                className="flex-1 min-w-0 h-8 px-2 rounded-full bg-gray-100 dark:bg-gray-700 text-xs font-semibold focus:outline-none"
+                            >
+                                {otherProfiles.map(profile => <option key={profile.id} value={profile.id}>{profile.name}</option>)}
+                            </select>
+                            <button onClick={() => transferSelected(false)} disabled={selectedIds.length === 0} className={`${filterChipClass(false)} disabled:opacity-50`}>Copy</button>
+                            <button onClick={() => transferSelected(true)} disabled={selectedIds.length === 0} className={`${filterChipClass(false)} disabled:opacity-50`}>Move</button>
+                        </div>
+                    )}
+                </div>
+            ) : (
+                <div className="p-4 flex flex-col gap-2 border-t dark:border-gray-700 flex-shrink-0">
+                    <button onClick={onCreateOutfit} className="w-full h-12 bg-accent text-white rounded-xl font-semibold text-sm hover:opacity-90 transition-opacity">Create New Outfit</button>
+                    {uploadButton}
+                </div>
+            )}
+        </div>
+    )
+};
+
+export default WardrobeScreen;
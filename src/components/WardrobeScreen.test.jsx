@@ -0,0 +1,112 @@
+import React from "react";
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent, within } from "@testing-library/react";
+import WardrobeScreen from "./WardrobeScreen";
+import { DEFAULT_CATEGORIES } from "../categories";
+import { DEFAULT_WARDROBE_FILTERS } from "../wardrobeFilters";
+
+const item = (id, type, fields = {}) => ({ id, type, image: `blob:${id}`, name: '', brand: '', notes: '', tags: [], colors: [], seasons: [], createdAt: 1, ...fields });
+const CLOTHES = [item('t1', 'top', { name: 'Striped tee', tags: ['summer'] }), item('t2', 'top'), item('b1', 'bottom', { name: 'Jeans' })];
+
+const renderScreen = (props = {}) => {
+    const handlers = { onFiltersChange: vi.fn(), onOpenItem: vi.fn(), onCreateOutfit: vi.fn(), onSetStatus: vi.fn(), onReturnFromLaundry: vi.fn(), onTransferItems: vi.fn() };
+    render(
+        <WardrobeScreen
+            clothes={CLOTHES}
+            categories={DEFAULT_CATEGORIES}
+            filters={DEFAULT_WARDROBE_FILTERS}
+            wearStats={new Map()}
+            uploadButton={<button>Upload</button>}
+            {...handlers}
+            {...props}
+        />
+    );
+    return handlers;
+};
+
+describe("WardrobeScreen", () => {
+    it("lists items per category with counts", () => {
+        renderScreen();
+        expect(screen.getByRole("button", { name: "All 3" })).toBeInTheDocument();
+        expect(screen.getByRole("button", { name: "Top 2" })).toBeInTheDocument();
+        const tops = screen.getByRole("heading", { name: "Top 2" }).closest("section");
+        expect(within(tops).getAllByRole("img")).toHaveLength(2);
+        expect(screen.getByText("Jeans")).toBeInTheDocument();
+    });
+
+    it("opens an item", () => {
+        const { onOpenItem } = renderScreen();
+        fireEvent.click(screen.getByRole("img", { name: "Jeans" }));
+        expect(onOpenItem).toHaveBeenCalledWith("b1");
+    });
+
+    it("reports filter changes to the caller", () => {
+        const { onFiltersChange } = renderScreen();
+        fireEvent.change(screen.getByPlaceholderText("Search names, brands, tags"), { target: { value: "tee" } });
+        expect(onFiltersChange).toHaveBeenCalledWith({ ...DEFAULT_WARDROBE_FILTERS, query: "tee" });
+        fireEvent.click(screen.getByRole("button", { name: "Top 2" }));
+        expect(onFiltersChange).toHaveBeenCalledWith({ ...DEFAULT_WARDROBE_FILTERS, category: "top" });
+    });
+
+    it("shows only what matches the filters", () => {
+        renderScreen({ filters: { ...DEFAULT_WARDROBE_FILTERS, query: "striped" } });
+        expect(screen.getAllByRole("img")).toHaveLength(1);
+        expect(screen.getByText("Striped tee")).toBeInTheDocument();
+    });
+
+    it("offers to clear filters when nothing matches", () => {
+        const { onFiltersChange } = renderScreen({ filters: { ...DEFAULT_WARDROBE_FILTERS, query: "coat" } });
+        expect(screen.getByText("No items match.")).toBeInTheDocument();
+        fireEvent.click(screen.getByRole("button", { name: "Clear filters" }));
+        expect(onFiltersChange).toHaveBeenCalledWith(DEFAULT_WARDROBE_FILTERS);
+    });
+
+    it("changes the status of the selected items", () => {
+        const { onSetStatus, onOpenItem } = renderScreen();
+        fireEvent.click(screen.getByRole("button", { name: "Select items" }));
+        fireEvent.click(screen.getByRole("img", { name: "Jeans" }));
+        fireEvent.click(screen.getByRole("img", { name: "Striped tee" }));
+        expect(onOpenItem).not.toHaveBeenCalled();
+        expect(screen.getByText("2 selected")).toBeInTheDocument();
+        fireEvent.click(screen.getByRole("button", { name: "Lent out" }));
+        expect(onSetStatus).toHaveBeenCalledWith(["b1", "t1"], "lent");
+        // Back to browsing.
+        expect(screen.getByRole("button", { name: "Create New Outfit" })).toBeInTheDocument();
+    });
+
+    it("copies or moves the selected items to another profile", () => {
+        const profiles = [{ id: 'p1', name: 'Sam' }, { id: 'p2', name: 'Alex' }];
+        const { onTransferItems } = renderScreen({ otherProfiles: profiles });
+        fireEvent.click(screen.getByRole("button", { name: "Select items" }));
+        fireEvent.click(screen.getByRole("img", { name: "Jeans" }));
+        fireEvent.click(screen.getByRole("button", { name: "Copy" }));
+        expect(onTransferItems).toHaveBeenCalledWith(["b1"], "p1", false);
+
+        fireEvent.click(screen.getByRole("button", { name: "Select items" }));
+        fireEvent.click(screen.getByRole("img", { name: "Jeans" }));
+        fireEvent.change(screen.getByRole("combobox", { name: "Profile" }), { target: { value: "p2" } });
+        fireEvent.click(screen.getByRole("button", { name: "Move" }));
+        expect(onTransferItems).toHaveBeenLastCalledWith(["b1"], "p2", true);
+    });
+
+    it("only offers other profiles when there are some", () => {
+        renderScreen();
+        fireEvent.click(screen.getByRole("button", { name: "Select items" }));
+        expect(screen.queryByRole("button", { name: "Copy" })).not.toBeInTheDocument();
+    });
+
+    it("flags unavailable items and offers to bring the laundry back", () => {
+        const { onReturnFromLaundry } = renderScreen({ clothes: [...CLOTHES, item('s1', 'shoes', { status: 'laundry' })] });
+        expect(screen.getByText("Laundry")).toBeInTheDocument();
+        expect(screen.getByText("1 item in the laundry")).toBeInTheDocument();
+        fireEvent.click(screen.getByRole("button", { name: "Back from laundry" }));
+        expect(onReturnFromLaundry).toHaveBeenCalled();
+    });
+
+    it("renders the upload button it is given", () => {
+        const { onCreateOutfit } = renderScreen();
+        expect(screen.getByRole("button", { name: "Upload" })).toBeInTheDocument();
+        fireEvent.click(screen.getByRole("button", { name: "Create New Outfit" }));
+        expect(onCreateOutfit).toHaveBeenCalled();
+    });
+});
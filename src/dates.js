@@ -0,0 +1,74 @@
+// Calendar dates as "YYYY-MM-DD" strings in the device's local time zone.
+// Keys never go through UTC, so an outfit logged late in the evening stays on
+// the day it was worn, and everything works offline.
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * @param {Date} [date]
+ * @returns {string} YYYY-MM-DD in local time
+ */
+export const toDateKey = (date = new Date()) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/**
+ * @param {string} key YYYY-MM-DD
+ * @returns {Date} Local midnight of that day
+ */
+export const fromDateKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+export const todayKey = () => toDateKey(new Date());
+
+/**
+ * @param {string} key
+ * @param {number} days May be negative
+ * @returns {string}
+ */
+export const addDays = (key, days) => {
+  const date = fromDateKey(key);
+  date.setDate(date.getDate() + days);
+  return toDateKey(date);
+};
+
+/**
+ * Whole days from `from` to `to` (positive when `to` is later), DST-safe.
+ * @param {string} from
+ * @param {string} to
+ */
+export const daysBetween = (from, to) => {
+  const [a, b] = [fromDateKey(from), fromDateKey(to)];
+  return Math.round((Date.UTC(b.getFullYear(), b.getMonth(), b.getDate()) - Date.UTC(a.getFullYear(), a.getMonth(), a.getDate())) / 86400000);
+};
+
+/**
+ * Weeks (Monday first) covering a month, padded with days of the neighbouring
+ * months so every week has seven entries.
+ * @param {number} year
+ * @param {number} month 0-11
+ * @returns {{ key: string, inMonth: boolean }[][]}
+ */
+export function monthWeeks(year, month) {
+  const first = new Date(year, month, 1);
+  const offset = (first.getDay() + 6) % 7;
+  let key = addDays(toDateKey(first), -offset);
+  const weeks = [];
+  do {
+    const week = [];
+    for (let i = 0; i < 7; i++) {
+      week.push({ key, inMonth: fromDateKey(key).getMonth() === month });
+      key = addDays(key, 1);
+    }
+    weeks.push(week);
+  } while (fromDateKey(key).getMonth() === month);
+  return weeks;
+}
+
+/**
+ * @param {string} key
+ * @param {Intl.DateTimeFormatOptions} [options]
+ */
+export const formatDateKey = (key, options = { weekday: 'short', day: 'numeric', month: 'short' }) =>
+  fromDateKey(key).toLocaleDateString(undefined, options);
@@ -0,0 +1,110 @@
+// Undo/redo for user actions.
+//
+// An entry stores, per collection (clothes, outfits, ...), the records the
+// action changed as before/after pairs. Undoing puts the "before" records back
+// and leaves every other record alone, so background updates (new thumbnails,
+// detected colours) and unrelated edits survive an undo.
+
+export const HISTORY_LIMIT = 50;
+
+/**
+ * @typedef {Object} RecordChange
+ * @property {string} id
+ * @property {Object | null} before Null if the action created the record
+ * @property {Object | null} after Null if the action removed the record
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} label Describes the action, e.g. "Saved outfit"
+ * @property {Record<string, RecordChange[]>} changes Collection name -> changes
+ * @property {string} [undoView] View to show after undoing
+ */
+
+/**
+ * @typedef {Object} History
+ * @property {HistoryEntry[]} past Most recent last
+ * @property {HistoryEntry[]} future Next to redo first
+ */
+
+/** @type {History} */
+export const EMPTY_HISTORY = { past: [], future: [] };
+
+/**
+ * Compares two versions of a list by record identity, like syncRecords.
+ * @param {Array<{ id: string }>} previous
+ * @param {Array<{ id: string }>} next
+ * @returns {RecordChange[]}
+ */
+export function diffRecords(previous, next) {
+  const previousById = new Map(previous.map((record) => [record.id, record]));
+  const nextIds = new Set(next.map((record) => record.id));
+  const changes = [];
+  next.forEach((record) => {
+    const before = previousById.get(record.id) ?? null;
+    if (before !== record) changes.push({ id: record.id, before, after: record });
+  });
+  previous.forEach((record) => {
+    if (!nextIds.has(record.id)) changes.push({ id: record.id, before: record, after: null });
+  });
+  return changes;
+}
+
+/**
+ * @param {Array<{ id: string }>} records
+ * @param {RecordChange[]} changes
+ * @param {'undo' | 'redo'} direction
+ * @param {{ prepend?: boolean }} [options] Put re-added records first instead of last
+ * @returns {Array<{ id: string }>}
+ */
+export function applyChanges(records, changes, direction, { prepend = false } = {}) {
+  const targets = new Map(changes.map((change) => [change.id, direction === 'undo' ? change.before : change.after]));
+  const result = records
+    .map((record) => (targets.has(record.id) ? targets.get(record.id) : record))
+    .filter(Boolean);
+  const existing = new Set(records.map((record) => record.id));
+  const inserted = [...targets].filter(([id, target]) => target && !existing.has(id)).map(([, target]) => target);
+  return prepend ? [...inserted, ...result] : [...result, ...inserted];
+}
+
+/**
+ * @param {History} history
+ * @param {HistoryEntry} entry
+ * @returns {History}
+ */
+export const pushEntry = (history, entry) => ({
+  past: [...history.past, entry].slice(-HISTORY_LIMIT),
+  future: [],
+});
+
+/**
+ * Drops the entries that changed any of the given records, e.g. ones deleted
+ * for good whose images are gone. The rest still undo and redo, as each entry
+ * only touches its own records.
+ * @param {History} history
+ * @param {Set<string>} ids Record ids, from any collection
+ * @returns {History}
+ */
+export const withoutRecords = (history, ids) => {
+  const isUnrelated = (entry) => Object.values(entry.changes).every((changes) => changes.every((change) => !ids.has(change.id)));
+  return { past: history.past.filter(isUnrelated), future: history.future.filter(isUnrelated) };
+};
+
+/**
+ * Moves the latest entry to the redo list. Apply it with direction "undo".
+ * @param {History} history
+ * @returns {History}
+ */
+export const undoEntry = (history) => (history.past.length === 0 ? history : {
+  past: history.past.slice(0, -1),
+  future: [history.past[history.past.length - 1], ...history.future],
+});
+
+/**
+ * @param {History} history
+ * @returns {History}
+ */
+export const redoEntry = (history) => (history.future.length === 0 ? history : {
+  past: [...history.past, history.future[0]],
+  future: history.future.slice(1),
+});
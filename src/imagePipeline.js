@@ -0,0 +1,204 @@
+// Client-side processing for uploaded photos: decode with the right EXIF
+// orientation, downscale, re-encode as WebP (JPEG, or PNG for transparent
+// images, where WebP encoding is not supported) and derive a small thumbnail
+// for grid views.
+
+export const MAX_IMAGE_SIZE = 1600;
+export const THUMBNAIL_SIZE = 320;
+const IMAGE_QUALITY = 0.85;
+const THUMBNAIL_QUALITY = 0.75;
+
+/**
+ * @typedef {Object} ProcessedImage
+ * @property {Blob} blob Full-size image, at most MAX_IMAGE_SIZE on its longest side
+ * @property {Blob} thumbBlob Thumbnail, at most THUMBNAIL_SIZE on its longest side
+ * @property {number} width
+ * @property {number} height
+ */
+
+const hasOffscreenCanvas = typeof OffscreenCanvas !== 'undefined'
+  && typeof OffscreenCanvas.prototype.convertToBlob === 'function';
+
+const createCanvas = (width, height) => {
+  if (hasOffscreenCanvas) return new OffscreenCanvas(width, height);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+const canvasToBlob = (canvas, type, quality) => {
+  if (typeof canvas.convertToBlob === 'function') {
+    return canvas.convertToBlob({ type, quality });
+  }
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error('The image could not be encoded.'))),
+      type,
+      quality
+    );
+  });
+};
+
+// Browsers that can't encode WebP silently return PNG, so remember the result
+// of the first attempt instead of paying for it on every image.
+let canEncodeWebp = null;
+
+const encodeCanvas = async (canvas, quality, alpha) => {
+  if (canEncodeWebp !== false) {
+    const blob = await canvasToBlob(canvas, 'image/webp', quality);
+    canEncodeWebp = blob.type === 'image/webp';
+    if (canEncodeWebp) return blob;
+  }
+  return alpha ? canvasToBlob(canvas, 'image/png') : canvasToBlob(canvas, 'image/jpeg', quality);
+};
+
+// --- ORIENTATION ---
+
+/**
+ * Reads the EXIF orientation tag (1-8) from a JPEG. Returns 1 when there is
+ * none or the file is not a JPEG.
+ * @param {Blob} blob
+ * @returns {Promise<number>}
+ */
+export async function readExifOrientation(blob) {
+  try {
+    const view = new DataView(await blob.slice(0, 128 * 1024).arrayBuffer());
+    if (view.getUint16(0) !== 0xffd8) return 1;
+
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+      const marker = view.getUint16(offset);
+      if ((marker & 0xff00) !== 0xff00) return 1;
+      if (marker === 0xffe1 && view.getUint32(offset + 4) === 0x45786966) { // "Exif"
+        const tiff = offset + 10;
+        const little = view.getUint16(tiff) === 0x4949;
+        const ifd = tiff + view.getUint32(tiff + 4, little);
+        const entries = view.getUint16(ifd, little);
+        for (let i = 0; i < entries; i++) {
+          const entry = ifd + 2 + i * 12;
+          if (view.getUint16(entry, little) === 0x0112) {
+            return view.getUint16(entry + 8, little);
+          }
+        }
+        return 1;
+      }
+      offset += 2 + view.getUint16(offset + 2);
+    }
+  } catch {
+    // Truncated or malformed EXIF data: treat as upright.
+  }
+  return 1;
+}
+
+const loadImageElement = (url) =>
+  new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('The file is not an image this browser can read.'));
+    img.src = url;
+  });
+
+/**
+ * Decodes a blob into something drawable. `orientation` is the EXIF rotation
+ * that still has to be applied when drawing (1 if the browser already did).
+ * @param {Blob} blob
+ */
+export async function decodeImage(blob) {
+  if (typeof createImageBitmap === 'function') {
+    try {
+      const bitmap = await createImageBitmap(blob, { imageOrientation: 'from-image' });
+      return { source: bitmap, width: bitmap.width, height: bitmap.height, orientation: 1, close: () => bitmap.close() };
+    } catch {
+      // Older engines reject the options bag or the format; fall back to <img>.
+    }
+  }
+
+  const url = URL.createObjectURL(blob);
+  try {
+    const img = await loadImageElement(url);
+    const autoOriented = typeof CSS !== 'undefined' && CSS.supports?.('image-orientation', 'from-image');
+    const orientation = autoOriented ? 1 : await readExifOrientation(blob);
+    return { source: img, width: img.naturalWidth, height: img.naturalHeight, orientation, close: () => {} };
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// --- RESIZING ---
+
+/**
+ * Draws `source` onto a new canvas so its longest side is at most `maxSize`,
+ * applying the EXIF orientation on the way.
+ */
+function drawScaled(source, width, height, maxSize, orientation = 1) {
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  const w = Math.max(1, Math.round(width * scale));
+  const h = Math.max(1, Math.round(height * scale));
+  const swapsAxes = orientation >= 5 && orientation <= 8;
+
+  const canvas = createCanvas(swapsAxes ? h : w, swapsAxes ? w : h);
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+
+  switch (orientation) {
+    case 2: ctx.transform(-1, 0, 0, 1, w, 0); break;
+    case 3: ctx.transform(-1, 0, 0, -1, w, h); break;
+    case 4: ctx.transform(1, 0, 0, -1, 0, h); break;
+    case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+    case 6: ctx.transform(0, 1, -1, 0, h, 0); break;
+    case 7: ctx.transform(0, -1, -1, 0, h, w); break;
+    case 8: ctx.transform(0, -1, 1, 0, 0, w); break;
+    default: break;
+  }
+  ctx.drawImage(source, 0, 0, w, h);
+  return canvas;
+}
+
+/**
+ * Encodes a canvas that is already at its final size, plus its thumbnail.
+ * Pass `alpha` for images with transparency so they never fall back to JPEG.
+ * @param {HTMLCanvasElement | OffscreenCanvas} canvas
+ * @param {{ alpha?: boolean }} [options]
+ * @returns {Promise<ProcessedImage>}
+ */
+export async function encodeImage(canvas, { alpha = false } = {}) {
+  // Scaling the already-reduced canvas looks better than one big jump.
+  const thumb = drawScaled(canvas, canvas.width, canvas.height, THUMBNAIL_SIZE);
+  const [blob, thumbBlob] = await Promise.all([
+    encodeCanvas(canvas, IMAGE_QUALITY, alpha),
+    encodeCanvas(thumb, THUMBNAIL_QUALITY, alpha),
+  ]);
+  return { blob, thumbBlob, width: canvas.width, height: canvas.height };
+}
+
+/**
+ * Runs an uploaded photo through the pipeline.
+ * @param {Blob} file
+ * @returns {Promise<ProcessedImage>}
+ */
+export async function processImage(file) {
+  const decoded = await decodeImage(file);
+  try {
+    const full = drawScaled(decoded.source, decoded.width, decoded.height, MAX_IMAGE_SIZE, decoded.orientation);
+    return await encodeImage(full);
+  } finally {
+    decoded.close();
+  }
+}
+
+/**
+ * Decodes an image into raw pixels, scaled down like `processImage` would.
+ * @param {Blob} blob
+ * @returns {Promise<ImageData>}
+ */
+export async function loadImageData(blob) {
+  const decoded = await decodeImage(blob);
+  try {
+    const canvas = drawScaled(decoded.source, decoded.width, decoded.height, MAX_IMAGE_SIZE, decoded.orientation);
+    return canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+  } finally {
+    decoded.close();
+  }
+}
@@ -0,0 +1,181 @@
+// Descriptive fields for clothing items (name, colours, seasons, ...) and the
+// defaults that let items saved before these fields existed load unchanged.
+
+import { loadImageData } from './imagePipeline';
+import { detectBackground } from './backgroundRemoval';
+
+export const SEASONS = ['spring', 'summer', 'autumn', 'winter'];
+
+export const FORMALITY_LEVELS = [
+  { id: 'casual', name: 'Casual' },
+  { id: 'smart-casual', name: 'Smart casual' },
+  { id: 'business', name: 'Business' },
+  { id: 'formal', name: 'Formal' },
+];
+
+/** How warm an item is to wear, lightest first. Used to match items to the weather. */
+export const WARMTH_LEVELS = [
+  { id: 'light', name: 'Light' },
+  { id: 'medium', name: 'Medium' },
+  { id: 'warm', name: 'Warm' },
+];
+
+/**
+ * Where an item is. Anything other than "available" keeps it out of the
+ * shuffle and gets it flagged in outfits. `phrase` completes "3 items …".
+ * Archived items are kept for the record but left out of the stats.
+ */
+export const ITEM_STATUSES = [
+  { id: 'available', name: 'Available', phrase: 'available' },
+  { id: 'laundry', name: 'Laundry', phrase: 'in the laundry' },
+  { id: 'lent', name: 'Lent out', phrase: 'lent out' },
+  { id: 'repair', name: 'Repair', phrase: 'being repaired' },
+  { id: 'stored', name: 'Stored', phrase: 'stored for the season' },
+  { id: 'archived', name: 'Archived', phrase: 'archived' },
+];
+
+/**
+ * @param {import('./App.jsx').ClothingItem} item
+ * @returns {typeof ITEM_STATUSES[number]} Items saved before statuses existed are available
+ */
+export const getItemStatus = (item) => ITEM_STATUSES.find((status) => status.id === item.status) || ITEM_STATUSES[0];
+
+/**
+ * Items in the laundry (or otherwise away) can't be worn.
+ * @param {import('./App.jsx').ClothingItem} item
+ */
+export const isWearable = (item) => !item.status || item.status === 'available';
+
+/**
+ * Named colours items are tagged with. Keeping a small fixed palette (instead
+ * of raw hex values) makes colours easy to filter and compare.
+ */
+export const COLOR_PALETTE = {
+  black: '#1f2937',
+  white: '#f9fafb',
+  gray: '#9ca3af',
+  beige: '#d8c8a8',
+  brown: '#8b5a2b',
+  red: '#dc2626',
+  orange: '#f97316',
+  yellow: '#facc15',
+  green: '#16a34a',
+  blue: '#2563eb',
+  navy: '#1e3a8a',
+  purple: '#9333ea',
+  pink: '#ec4899',
+};
+
+const MAX_COLORS = 3;
+const MIN_COLOR_SHARE = 0.1;
+
+/**
+ * @typedef {Object} ItemMetadata
+ * @property {string} name
+ * @property {string[] | null} colors Keys of COLOR_PALETTE, most dominant first; null until detected
+ * @property {string[]} seasons Values of SEASONS
+ * @property {string | null} formality Id from FORMALITY_LEVELS
+ * @property {string} brand
+ * @property {number | null} purchasePrice
+ * @property {string | null} purchaseDate Local date, YYYY-MM-DD
+ * @property {string[]} tags
+ * @property {string} notes
+ * @property {number} createdAt Timestamp the item was added
+ * @property {string | null} [warmth] Id from WARMTH_LEVELS; missing means unknown
+ * @property {string} [status] Id from ITEM_STATUSES; missing means available
+ * @property {number} [wearsSinceWash] Logged wears since it last went to the laundry
+ */
+
+/**
+ * Fills in metadata fields missing from older items. Returns the same object
+ * when nothing was missing.
+ * @param {import('./App.jsx').ClothingItem} item
+ * @returns {import('./App.jsx').ClothingItem}
+ */
+export function withMetadataDefaults(item) {
+  if (item.tags && item.createdAt) return item;
+  // Ids have always been "cloth-<timestamp>", which is the best guess we have.
+  const idTimestamp = Number(item.id.match(/^cloth-(\d+)/)?.[1]);
+  return {
+    name: '',
+    colors: null,
+    seasons: [],
+    formality: null,
+    brand: '',
+    purchasePrice: null,
+    purchaseDate: null,
+    tags: [],
+    notes: '',
+    ...item,
+    createdAt: item.createdAt || (Number.isFinite(idTimestamp) ? idTimestamp : 0),
+  };
+}
+
+/**
+ * @param {import('./App.jsx').ClothingItem} item
+ * @param {import('./categories').CategoryDefinition} [category]
+ * @returns {string} The item's name, or a fallback based on its category
+ */
+export const displayName = (item, category) => item.name || category?.name || item.type;
+
+/**
+ * Normalizes a free-form tag the way tags are stored.
+ * @param {string} tag
+ */
+export const normalizeTag = (tag) => tag.trim().toLowerCase().replace(/\s+/g, ' ');
+
+// --- COLOUR DETECTION ---
+
+const PALETTE_RGB = Object.entries(COLOR_PALETTE).map(([name, hex]) => [
+  name,
+  parseInt(hex.slice(1, 3), 16),
+  parseInt(hex.slice(3, 5), 16),
+  parseInt(hex.slice(5, 7), 16),
+]);
+
+/**
+ * Closest palette colour using the "redmean" weighted RGB distance, which is
+ * cheap and much closer to perception than plain RGB distance.
+ * @returns {string}
+ */
+export function nearestPaletteColor(r, g, b) {
+  let best = PALETTE_RGB[0][0];
+  let bestDistance = Infinity;
+  for (const [name, pr, pg, pb] of PALETTE_RGB) {
+    const mean = (r + pr) / 2;
+    const dr = r - pr;
+    const dg = g - pg;
+    const db = b - pb;
+    const distance = (2 + mean / 256) * dr * dr + 4 * dg * dg + (2 + (255 - mean) / 256) * db * db;
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = name;
+    }
+  }
+  return best;
+}
+
+/**
+ * Finds the palette colours covering most of the item, ignoring the background.
+ * @param {Blob} blob Preferably the thumbnail
+ * @returns {Promise<string[]>}
+ */
+export async function extractDominantColors(blob) {
+  const imageData = await loadImageData(blob);
+  const background = detectBackground(imageData);
+  const { data } = imageData;
+  const counts = {};
+  let total = 0;
+  for (let i = 0; i < background.length; i++) {
+    if (background[i] || data[i * 4 + 3] < 128) continue;
+    const name = nearestPaletteColor(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+    counts[name] = (counts[name] || 0) + 1;
+    total++;
+  }
+  if (total === 0) return [];
+  return Object.entries(counts)
+    .filter(([, count]) => count / total >= MIN_COLOR_SHARE)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_COLORS)
+    .map(([name]) => name);
+}
@@ -1,10 +1,17 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
+import { MotionConfig } from 'framer-motion'
 import './index.css'
-import App from './App.jsx'
+import Root from './Root.jsx'
+import { register as registerServiceWorker } from './serviceWorkerRegistration'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {/* Sheets and screens appear without sliding or scaling for people who prefer reduced motion. */}
+    <MotionConfig reducedMotion="user">
+      <Root />
+    </MotionConfig>
   </StrictMode>,
 )
+
+registerServiceWorker()
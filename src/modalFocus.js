@@ -0,0 +1,100 @@
+// Keyboard behaviour shared by the sheets and dialogs: focus moves into one
+// when it opens and Tab keeps it there, Escape closes it, and focus goes back
+// to whatever opened it. With one dialog over another only the top one reacts.
+
+import { useEffect, useRef, useSyncExternalStore } from 'react';
+
+const FOCUSABLE = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])',
+].join(', ');
+
+/** Open dialogs, the top one last. */
+const openDialogs = [];
+/** Called whenever a dialog opens or closes. */
+const dialogListeners = new Set();
+
+const notifyDialogListeners = () => dialogListeners.forEach((listener) => listener());
+
+const subscribeToDialogs = (listener) => {
+  dialogListeners.add(listener);
+  return () => dialogListeners.delete(listener);
+};
+
+/**
+ * @param {HTMLElement} container
+ * @returns {HTMLElement[]}
+ */
+const focusableElements = (container) => [...container.querySelectorAll(FOCUSABLE)];
+
+/**
+ * Whether a dialog is open, for page-wide shortcuts that shouldn't act
+ * behind one.
+ * @returns {boolean}
+ */
+export const isDialogOpen = () => openDialogs.length > 0;
+
+/**
+ * `isDialogOpen` for rendering: re-renders when a dialog opens or closes.
+ * @returns {boolean}
+ */
+export const useIsDialogOpen = () => useSyncExternalStore(subscribeToDialogs, isDialogOpen);
+
+/**
+ * @param {import('react').RefObject<HTMLElement>} ref The dialog; give it `tabIndex={-1}` so it can take focus when it has nothing else
+ * @param {boolean} isOpen
+ * @param {() => void} onClose Called on Escape
+ */
+export function useModalFocus(ref, isOpen, onClose) {
+  const close = useRef(onClose);
+  close.current = onClose;
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const token = {};
+    openDialogs.push(token);
+    notifyDialogListeners();
+    const opener = document.activeElement;
+    // An element with autoFocus has already taken focus.
+    if (ref.current && !ref.current.contains(document.activeElement)) {
+      (focusableElements(ref.current)[0] || ref.current).focus();
+    }
+
+    const handleKeyDown = (event) => {
+      const dialog = ref.current;
+      if (!dialog || openDialogs[openDialogs.length - 1] !== token) return;
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        close.current();
+        return;
+      }
+      if (event.key !== 'Tab') return;
+      const elements = focusableElements(dialog);
+      const first = elements[0];
+      const last = elements[elements.length - 1];
+      const active = document.activeElement;
+      if (!first || !dialog.contains(active)) {
+        event.preventDefault();
+        (first || dialog).focus();
+      } else if (event.shiftKey && (active === first || active === dialog)) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && active === last) {
+        event.preventDefault();
+        first.focus();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+      openDialogs.splice(openDialogs.indexOf(token), 1);
+      notifyDialogListeners();
+      if (opener instanceof HTMLElement && opener.isConnected) opener.focus();
+    };
+  }, [isOpen, ref]);
+}
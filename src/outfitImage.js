@@ -0,0 +1,207 @@
+// Composes an outfit into a single picture for sharing: its pieces drawn onto a
+// canvas in one of a few layouts, optionally with a caption underneath.
+
+import { decodeImage } from './imagePipeline';
+
+/**
+ * @typedef {'stack' | 'grid' | 'collage'} ShareLayout
+ */
+
+/**
+ * @typedef {Object} OutfitImageOptions
+ * @property {{ blob: Blob }[]} pieces Items in layer order (head to toe)
+ * @property {ShareLayout} layout
+ * @property {{ title: string, subtitle?: string } | null} caption
+ * @property {import('./settings').Theme} theme
+ * @property {string} accent CSS color
+ */
+
+/** @type {{ id: ShareLayout, name: string }[]} */
+export const SHARE_LAYOUTS = [
+  { id: 'stack', name: 'Stack' },
+  { id: 'grid', name: 'Flat lay' },
+  { id: 'collage', name: 'Collage' },
+];
+
+const WIDTH = 1080;
+const PADDING = 72;
+const GAP = 24;
+const CAPTION_HEIGHT = 200;
+const CONTENT_WIDTH = WIDTH - PADDING * 2;
+
+const PALETTES = {
+  light: { background: '#ffffff', card: '#f3f4f6', text: '#111827', muted: '#6b7280' },
+  dark: { background: '#111827', card: '#1f2937', text: '#f9fafb', muted: '#9ca3af' },
+};
+
+// Fixed tilts keep the collage the same every time it is rendered.
+const COLLAGE_TILTS = [-6, 5, -3, 7, -5, 3, -7, 4];
+
+// --- LAYOUTS ---
+
+/**
+ * @typedef {Object} Slot
+ * @property {number} x Center
+ * @property {number} y Center
+ * @property {number} width
+ * @property {number} height
+ * @property {number} [rotation] Degrees
+ * @property {boolean} [card] Draw a rounded background behind the piece
+ */
+
+/**
+ * Each layout places `count` pieces below `top` and returns where they go and
+ * how tall the content is.
+ * @type {Record<ShareLayout, (count: number, top: number) => { slots: Slot[], height: number }>}
+ */
+const LAYOUTS = {
+  // One piece per row, like the outfit on the home screen.
+  stack: (count, top) => {
+    const size = count > 4 ? 280 : 360;
+    const slots = Array.from({ length: count }, (_, i) => ({
+      x: WIDTH / 2,
+      y: top + i * (size + GAP) + size / 2,
+      width: CONTENT_WIDTH,
+      height: size,
+    }));
+    return { slots, height: count * size + (count - 1) * GAP };
+  },
+
+  // Two columns of cards; an odd last piece is centered.
+  grid: (count, top) => {
+    const size = (CONTENT_WIDTH - GAP) / 2;
+    const slots = Array.from({ length: count }, (_, i) => {
+      const row = Math.floor(i / 2);
+      const isAlone = i === count - 1 && count % 2 === 1;
+      const column = isAlone ? 0.5 : i % 2;
+      return {
+        x: PADDING + size / 2 + column * (size + GAP),
+        y: top + row * (size + GAP) + size / 2,
+        width: size,
+        height: size,
+        card: true,
+      };
+    });
+    const rows = Math.ceil(count / 2);
+    return { slots, height: rows * size + (rows - 1) * GAP };
+  },
+
+  // Overlapping, slightly tilted pieces on a square.
+  collage: (count, top) => {
+    const columns = Math.ceil(Math.sqrt(count));
+    const rows = Math.ceil(count / columns);
+    const cell = CONTENT_WIDTH / columns;
+    // Pieces overlap their neighbours by reaching into the padding between cells.
+    const size = columns > 1 ? cell * 1.2 : cell;
+    const slots = Array.from({ length: count }, (_, i) => {
+      const row = Math.floor(i / columns);
+      // Center the pieces of a last row that isn't full.
+      const inRow = row === rows - 1 ? count - row * columns : columns;
+      const column = (i % columns) + (columns - inRow) / 2;
+      return {
+        x: PADDING + (column + 0.5) * cell,
+        y: top + (row + 0.5) * cell,
+        width: size,
+        height: size,
+        rotation: COLLAGE_TILTS[i % COLLAGE_TILTS.length],
+      };
+    });
+    return { slots, height: rows * cell };
+  },
+};
+
+// --- DRAWING ---
+
+/**
+ * Draws a decoded image as large as fits in the slot, keeping its proportions.
+ * @param {CanvasRenderingContext2D} ctx
+ */
+const drawInSlot = (ctx, { source, width, height }, slot) => {
+  const scale = Math.min(slot.width / width, slot.height / height);
+  ctx.save();
+  ctx.translate(slot.x, slot.y);
+  if (slot.rotation) ctx.rotate((slot.rotation * Math.PI) / 180);
+  ctx.drawImage(source, (-width * scale) / 2, (-height * scale) / 2, width * scale, height * scale);
+  ctx.restore();
+};
+
+/**
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Slot} slot
+ * @param {string} color
+ */
+const drawCard = (ctx, slot, color) => {
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  ctx.roundRect(slot.x - slot.width / 2, slot.y - slot.height / 2, slot.width, slot.height, 32);
+  ctx.fill();
+};
+
+/**
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string} text
+ * @param {number} maxWidth
+ */
+const fitText = (ctx, text, maxWidth) => {
+  if (ctx.measureText(text).width <= maxWidth) return text;
+  let end = text.length;
+  while (end > 0 && ctx.measureText(`${text.slice(0, end)}…`).width > maxWidth) end--;
+  return `${text.slice(0, end)}…`;
+};
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @returns {Promise<Blob>}
+ */
+const toPng = (canvas) =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('The image could not be created.'))), 'image/png');
+  });
+
+// --- PUBLIC API ---
+
+/**
+ * Renders the outfit as a PNG. Images are decoded one at a time to keep
+ * memory low on phones.
+ * @param {OutfitImageOptions} options
+ * @returns {Promise<Blob>}
+ */
+export async function renderOutfitImage({ pieces, layout, caption, theme, accent }) {
+  const palette = PALETTES[theme] || PALETTES.light;
+  const { slots, height } = (LAYOUTS[layout] || LAYOUTS.stack)(pieces.length, PADDING);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = WIDTH;
+  canvas.height = PADDING * 2 + height + (caption ? CAPTION_HEIGHT : 0);
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.fillStyle = palette.background;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  for (let i = 0; i < pieces.length; i++) {
+    const slot = slots[i];
+    if (slot.card) drawCard(ctx, slot, palette.card);
+    const decoded = await decodeImage(pieces[i].blob);
+    try {
+      // Leave a margin inside cards so pieces don't touch their edges.
+      drawInSlot(ctx, decoded, slot.card ? { ...slot, width: slot.width * 0.85, height: slot.height * 0.85 } : slot);
+    } finally {
+      decoded.close();
+    }
+  }
+
+  if (caption) {
+    const top = PADDING + height + PADDING;
+    ctx.fillStyle = accent;
+    ctx.fillRect(PADDING, top, 64, 8);
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = palette.text;
+    ctx.font = 'bold 56px system-ui, sans-serif';
+    ctx.fillText(fitText(ctx, caption.title, CONTENT_WIDTH), PADDING, top + 32);
+    ctx.fillStyle = palette.muted;
+    ctx.font = '32px system-ui, sans-serif';
+    ctx.fillText(fitText(ctx, [caption.subtitle, 'YourFit'].filter(Boolean).join(' · '), CONTENT_WIDTH), PADDING, top + 104);
+  }
+
+  return toPng(canvas);
+}
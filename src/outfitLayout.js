@@ -0,0 +1,117 @@
+// Free-form arrangement of an outfit's pieces on a canvas, saved with the
+// outfit as `layout`. Positions are fractions of the canvas, so a layout looks
+// the same in the creator and in the carousel on the home screen. Outfits
+// without a layout are shown stacked head to toe.
+
+/**
+ * @typedef {Object} PieceTransform
+ * @property {number} x Center, from 0 (left edge) to 1 (right edge)
+ * @property {number} y Center, from 0 (top) to 1 (bottom)
+ * @property {number} scale 1 is PIECE_SIZE
+ * @property {number} rotation Degrees, clockwise
+ * @property {number} z Drawing order, higher is in front
+ */
+
+/**
+ * @typedef {Record<string, PieceTransform>} OutfitLayout Category id -> transform
+ */
+
+/** Width over height of the canvas. */
+export const CANVAS_ASPECT = 3 / 4;
+
+/** Width of a piece at scale 1, as a fraction of the canvas width. */
+export const PIECE_SIZE = 0.5;
+
+export const MIN_SCALE = 0.25;
+export const MAX_SCALE = 3;
+
+/** How far the buttons and arrow keys change a piece. */
+export const SCALE_STEP = 1.2;
+export const ROTATION_STEP = 15;
+export const MOVE_STEP = 0.02;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Keeps rotations within (-180, 180] so they don't grow with every turn.
+const normalizeRotation = (degrees) => {
+  const turned = ((degrees % 360) + 360) % 360;
+  return turned > 180 ? turned - 360 : turned;
+};
+
+// --- BUILDING LAYOUTS ---
+
+/**
+ * Where the pieces go before anyone has arranged them: one column head to
+ * toe, shrunk to fit, like the stacked outfit.
+ * @param {string[]} categoryIds In layer order
+ * @returns {OutfitLayout}
+ */
+export function stackedLayout(categoryIds) {
+  const count = categoryIds.length;
+  // Each piece gets an equal share of the canvas height, in canvas widths.
+  const rowHeight = 1 / CANVAS_ASPECT / Math.max(1, count);
+  const scale = Math.min(1, (rowHeight * 0.95) / PIECE_SIZE);
+  return Object.fromEntries(categoryIds.map((id, i) => [id, { x: 0.5, y: (i + 0.5) / count, scale, rotation: 0, z: i }]));
+}
+
+/**
+ * The layout for exactly these categories: saved transforms where there are
+ * some, and a place in the stacked column, in front of the rest, for pieces
+ * added since the outfit was arranged.
+ * @param {OutfitLayout | null | undefined} layout
+ * @param {string[]} categoryIds In layer order
+ * @returns {OutfitLayout}
+ */
+export function resolveLayout(layout, categoryIds) {
+  const saved = layout || {};
+  const stacked = stackedLayout(categoryIds);
+  let front = Math.max(-1, ...categoryIds.filter((id) => saved[id]).map((id) => saved[id].z));
+  return Object.fromEntries(categoryIds.map((id) => [id, saved[id] || { ...stacked[id], z: ++front }]));
+}
+
+/**
+ * @param {OutfitLayout} layout
+ * @returns {string[]} Category ids from back to front
+ */
+export const layerOrder = (layout) => Object.keys(layout).sort((a, b) => layout[a].z - layout[b].z);
+
+// --- EDITING ---
+
+/**
+ * Changes one piece, keeping its center on the canvas and its scale within
+ * MIN_SCALE and MAX_SCALE.
+ * @param {OutfitLayout} layout
+ * @param {string} id
+ * @param {Partial<PieceTransform>} changes
+ * @returns {OutfitLayout}
+ */
+export function updatePiece(layout, id, changes) {
+  const next = { ...layout[id], ...changes };
+  return {
+    ...layout,
+    [id]: {
+      ...next,
+      x: clamp(next.x, 0, 1),
+      y: clamp(next.y, 0, 1),
+      scale: clamp(next.scale, MIN_SCALE, MAX_SCALE),
+      rotation: normalizeRotation(next.rotation),
+    },
+  };
+}
+
+/**
+ * Moves a piece one step forward (1) or back (-1) in the drawing order.
+ * Renumbers `z` from 0 so the values stay small.
+ * @param {OutfitLayout} layout
+ * @param {string} id
+ * @param {1 | -1} direction
+ * @returns {OutfitLayout}
+ */
+export function moveLayer(layout, id, direction) {
+  const order = layerOrder(layout);
+  const from = order.indexOf(id);
+  const to = from + direction;
+  if (from < 0 || to < 0 || to >= order.length) return layout;
+  [order[from], order[to]] = [order[to], order[from]];
+  return Object.fromEntries(order.map((key, z) => [key, { ...layout[key], z }]));
+}
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { stackedLayout, resolveLayout, layerOrder, updatePiece, moveLayer, MAX_SCALE } from './outfitLayout';
+
+describe('stackedLayout', () => {
+  it('puts the pieces in one column, head to toe', () => {
+    const layout = stackedLayout(['hat', 'top', 'bottom', 'shoes']);
+    expect(Object.values(layout).map(({ x }) => x)).toEqual([0.5, 0.5, 0.5, 0.5]);
+    expect(Object.values(layout).map(({ y }) => y)).toEqual([0.125, 0.375, 0.625, 0.875]);
+    expect(layerOrder(layout)).toEqual(['hat', 'top', 'bottom', 'shoes']);
+    // Four rows don't leave room for full-size pieces.
+    expect(layout.top.scale).toBeLessThan(1);
+    expect(stackedLayout(['top']).top.scale).toBe(1);
+  });
+});
+
+describe('resolveLayout', () => {
+  it('keeps saved places, drops removed pieces and puts new ones in front', () => {
+    const saved = { top: { x: 0.3, y: 0.3, scale: 1, rotation: 10, z: 1 }, bottom: { x: 0.6, y: 0.7, scale: 1, rotation: 0, z: 0 }, hat: { x: 0.5, y: 0.1, scale: 1, rotation: 0, z: 2 } };
+    const layout = resolveLayout(saved, ['top', 'bottom', 'accessory']);
+    expect(Object.keys(layout)).toEqual(['top', 'bottom', 'accessory']);
+    expect(layout.top).toBe(saved.top);
+    expect(layout.accessory).toMatchObject({ x: 0.5, rotation: 0, z: 2 });
+    expect(layerOrder(layout)).toEqual(['bottom', 'top', 'accessory']);
+  });
+
+  it('stacks outfits that were never arranged', () => {
+    expect(resolveLayout(null, ['top', 'bottom'])).toEqual(stackedLayout(['top', 'bottom']));
+  });
+});
+
+describe('editing', () => {
+  const layout = stackedLayout(['top', 'bottom', 'shoes']);
+
+  it('keeps pieces on the canvas and within the scale limits', () => {
+    const moved = updatePiece(layout, 'top', { x: 1.4, y: -0.2, scale: 10, rotation: 190 });
+    expect(moved.top).toEqual({ x: 1, y: 0, scale: MAX_SCALE, rotation: -170, z: 0 });
+    expect(moved.bottom).toBe(layout.bottom);
+  });
+
+  it('moves pieces one layer at a time', () => {
+    expect(layerOrder(moveLayer(layout, 'top', 1))).toEqual(['bottom', 'top', 'shoes']);
+    expect(layerOrder(moveLayer(layout, 'shoes', -1))).toEqual(['top', 'shoes', 'bottom']);
+    expect(moveLayer(layout, 'shoes', 1)).toBe(layout);
+  });
+});
@@ -0,0 +1,145 @@
+// Random outfit generator for the creator. Fills every unlocked category with
+// an item, following the user's constraints where the items' metadata allows.
+
+import { getCategory, getMissingCategories } from './categories';
+import { SEASONS, isWearable } from './itemMetadata';
+import { todayKey, addDays } from './dates';
+
+/** Days a worn combination is kept out of the shuffle. */
+export const RECENT_DAYS = 7;
+
+/** Chance an optional category is left empty; higher for ones that replace others. */
+const OPTIONAL_SKIP_CHANCE = 0.3;
+const REPLACING_SKIP_CHANCE = 0.5;
+const ATTEMPTS = 60;
+
+/**
+ * Hue angle of the chromatic palette colours. The others (black, white, gray,
+ * beige, brown, navy) are neutrals and go with anything.
+ */
+const HUES = { red: 0, orange: 30, yellow: 55, green: 130, blue: 220, purple: 280, pink: 330 };
+
+/**
+ * @typedef {Object} ShuffleOptions
+ * @property {string | null} season Season from SEASONS, or null for any
+ * @property {boolean} matchColors Only combine harmonious colours
+ * @property {boolean} avoidRecent Skip combinations worn in the last RECENT_DAYS days
+ */
+
+/**
+ * @typedef {Object} ShuffleResult
+ * @property {Record<string, string>} items Category id -> item id
+ * @property {string[]} relaxed Constraints that had to be dropped: "colors", "recent", "season"
+ */
+
+/**
+ * @param {Date} [date]
+ * @returns {string} Meteorological season, northern hemisphere
+ */
+export const seasonOf = (date = new Date()) => SEASONS[Math.floor(((date.getMonth() + 10) % 12) / 3)];
+
+/** @type {ShuffleOptions} */
+export const DEFAULT_SHUFFLE_OPTIONS = { season: seasonOf(), matchColors: true, avoidRecent: true };
+
+const hueDistance = (a, b) => {
+  const diff = Math.abs(HUES[a] - HUES[b]);
+  return Math.min(diff, 360 - diff);
+};
+
+/**
+ * Neighbouring (analogous), triadic or opposite (complementary) hues match;
+ * items without detected colours match anything.
+ * @param {string[]} colorsA
+ * @param {string[]} colorsB
+ */
+export function colorsMatch(colorsA, colorsB) {
+  const hues = (colors) => (colors || []).filter((color) => color in HUES);
+  return hues(colorsA).every((a) => hues(colorsB).every((b) => {
+    const distance = hueDistance(a, b);
+    return distance <= 60 || distance >= 120;
+  }));
+}
+
+const combinationKey = (items) => Object.values(items).sort().join('|');
+
+/**
+ * @param {import('./wearLog').WearLogEntry[]} wearLog
+ * @returns {Set<string>} Keys of combinations worn in the last RECENT_DAYS days
+ */
+export function recentCombinations(wearLog) {
+  const today = todayKey();
+  const since = addDays(today, -RECENT_DAYS);
+  return new Set(wearLog
+    .filter((entry) => entry.status === 'worn' && entry.date > since && entry.date <= today)
+    .map((entry) => combinationKey(entry.items)));
+}
+
+const pick = (list, random) => list[Math.floor(random() * list.length)];
+
+/**
+ * @param {Object} params
+ * @param {import('./categories').CategoryDefinition[]} params.categories In stacking order
+ * @param {Record<string, import('./App.jsx').ClothingItem[]>} params.clothesByCategory Real items only
+ * @param {Record<string, string | null>} params.locked Category id -> item id to keep, or null to keep it empty
+ * @param {ShuffleOptions} params.options
+ * @param {Set<string>} [params.recent] From recentCombinations
+ * @param {() => number} [params.random]
+ * @returns {ShuffleResult | null} Null when no valid outfit can be made from wearable items
+ */
+export function shuffleOutfit({ categories, clothesByCategory, locked, options, recent = new Set(), random = Math.random }) {
+  // Categories that replace others (a dress) are decided first, so the ones
+  // they replace are simply skipped.
+  const order = [...categories].sort((a, b) => (b.excludes.length > 0) - (a.excludes.length > 0));
+
+  const attempt = ({ season, matchColors, avoidRecent }) => {
+    const items = {};
+    const excluded = new Set();
+    Object.entries(locked).forEach(([id, itemId]) => {
+      if (itemId) {
+        items[id] = itemId;
+        getCategory(categories, id).excludes.forEach((other) => excluded.add(other));
+      }
+    });
+    const chosenColors = () => Object.entries(items).map(([id, itemId]) => clothesByCategory[id]?.find((item) => item.id === itemId)?.colors);
+
+    for (const category of order) {
+      if (category.id in locked || excluded.has(category.id)) continue;
+      // A category can't replace one the user locked.
+      if (category.excludes.some((other) => locked[other])) continue;
+      if (!category.required && random() < (category.excludes.length > 0 ? REPLACING_SKIP_CHANCE : OPTIONAL_SKIP_CHANCE)) continue;
+
+      const candidates = (clothesByCategory[category.id] || []).filter((item) => (
+        isWearable(item)
+        && (!season || !item.seasons?.length || item.seasons.includes(season))
+        && (!matchColors || chosenColors().every((colors) => colorsMatch(item.colors, colors)))
+      ));
+      if (candidates.length === 0) continue;
+      items[category.id] = pick(candidates, random).id;
+      category.excludes.forEach((other) => excluded.add(other));
+    }
+
+    if (Object.keys(items).length === 0 || getMissingCategories(categories, items).length > 0) return null;
+    if (avoidRecent && recent.has(combinationKey(items))) return null;
+    return items;
+  };
+
+  // Drop constraints one at a time, least important first, until something fits.
+  const active = [
+    options.matchColors && 'colors',
+    options.avoidRecent && 'recent',
+    options.season && 'season',
+  ].filter(Boolean);
+  for (let n = 0; n <= active.length; n++) {
+    const relaxed = active.slice(0, n);
+    const rules = {
+      season: relaxed.includes('season') ? null : options.season,
+      matchColors: options.matchColors && !relaxed.includes('colors'),
+      avoidRecent: options.avoidRecent && !relaxed.includes('recent'),
+    };
+    for (let i = 0; i < ATTEMPTS; i++) {
+      const items = attempt(rules);
+      if (items) return { items, relaxed };
+    }
+  }
+  return null;
+}
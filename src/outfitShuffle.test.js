@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { shuffleOutfit, colorsMatch, recentCombinations, seasonOf } from './outfitShuffle';
+import { DEFAULT_CATEGORIES, CATEGORY_PRESETS, sortByLayer } from './categories';
+import { todayKey, addDays } from './dates';
+
+const CATEGORIES = sortByLayer([...DEFAULT_CATEGORIES, CATEGORY_PRESETS.find((cat) => cat.id === 'dress')]);
+const OPTIONS = { season: null, matchColors: false, avoidRecent: false };
+
+const item = (id, fields = {}) => ({ id, colors: null, seasons: [], ...fields });
+// Never skips an optional category and always takes the last candidate.
+const random = () => 0.99;
+
+const shuffle = (clothesByCategory, params = {}) => shuffleOutfit({
+  categories: CATEGORIES, clothesByCategory, locked: {}, options: OPTIONS, random, ...params,
+});
+
+describe('colorsMatch', () => {
+  it('matches neighbouring, triadic and opposite hues', () => {
+    expect(colorsMatch(['red'], ['orange'])).toBe(true);
+    expect(colorsMatch(['red'], ['blue'])).toBe(true);
+    expect(colorsMatch(['blue'], ['orange'])).toBe(true);
+    expect(colorsMatch(['orange'], ['green'])).toBe(false);
+    expect(colorsMatch(['blue'], ['pink'])).toBe(false);
+  });
+
+  it('lets neutrals and undetected colours go with anything', () => {
+    expect(colorsMatch(['black', 'white'], ['pink'])).toBe(true);
+    expect(colorsMatch(null, ['green'])).toBe(true);
+    expect(colorsMatch(['orange', 'navy'], ['green'])).toBe(false);
+  });
+});
+
+describe('shuffleOutfit', () => {
+  it('fills every category and keeps the locked ones', () => {
+    const result = shuffle({
+      hat: [item('h1')],
+      top: [item('t1'), item('t2')],
+      bottom: [item('b1')],
+      shoes: [item('s1')],
+      dress: [],
+    }, { locked: { top: 't1', hat: null } });
+    expect(result).toEqual({ items: { top: 't1', bottom: 'b1', shoes: 's1' }, relaxed: [] });
+  });
+
+  it('lets a dress stand in for top and bottom', () => {
+    const result = shuffle({ top: [item('t1')], bottom: [item('b1')], dress: [item('d1')] });
+    expect(result.items).toEqual({ dress: 'd1' });
+  });
+
+  it('only picks wearable items', () => {
+    expect(shuffle({ top: [item('t1'), item('t2', { status: 'laundry' })], bottom: [item('b1')] }).items).toMatchObject({ top: 't1' });
+    expect(shuffle({ top: [item('t1', { status: 'lent' })], bottom: [item('b1')] })).toBeNull();
+  });
+
+  it('combines matching colours', () => {
+    const result = shuffle({
+      top: [item('t1', { colors: ['orange'] })],
+      bottom: [item('b1', { colors: ['blue'] }), item('b2', { colors: ['green'] })],
+    }, { options: { ...OPTIONS, matchColors: true }, random: () => 0.5 });
+    expect(result).toEqual({ items: { top: 't1', bottom: 'b1' }, relaxed: [] });
+  });
+
+  it('drops rules, least important first, when nothing fits them all', () => {
+    const clothes = {
+      top: [item('t1', { colors: ['orange'], seasons: ['winter'] })],
+      bottom: [item('b1', { colors: ['green'], seasons: ['winter'] })],
+    };
+    const recent = new Set(['b1|t1']);
+    expect(shuffle(clothes, { options: { season: 'winter', matchColors: true, avoidRecent: true }, recent }).relaxed).toEqual(['colors', 'recent']);
+    expect(shuffle(clothes, { options: { season: 'summer', matchColors: false, avoidRecent: false } }).relaxed).toEqual(['season']);
+  });
+});
+
+describe('recentCombinations', () => {
+  it('keeps what was worn in the last week', () => {
+    const today = todayKey();
+    const recent = recentCombinations([
+      { date: today, items: { top: 't1', bottom: 'b1' }, status: 'worn' },
+      { date: addDays(today, -3), items: { top: 't2', bottom: 'b2' }, status: 'planned' },
+      { date: addDays(today, -10), items: { top: 't3', bottom: 'b3' }, status: 'worn' },
+    ]);
+    expect([...recent]).toEqual(['b1|t1']);
+  });
+});
+
+describe('seasonOf', () => {
+  it('uses meteorological seasons', () => {
+    expect(seasonOf(new Date(2024, 0, 15))).toBe('winter');
+    expect(seasonOf(new Date(2024, 2, 1))).toBe('spring');
+    expect(seasonOf(new Date(2024, 7, 31))).toBe('summer');
+    expect(seasonOf(new Date(2024, 10, 30))).toBe('autumn');
+  });
+});
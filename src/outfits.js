@@ -0,0 +1,47 @@
+// Descriptive fields and ordering for saved outfits.
+
+/** Suggestions for the occasion field; any text is allowed. */
+export const OCCASIONS = ['Everyday', 'Work', 'Party', 'Date', 'Sport', 'Travel', 'Formal'];
+
+/**
+ * @typedef {Object} OutfitDetails
+ * @property {string} name
+ * @property {string} occasion
+ * @property {boolean} favorite
+ * @property {number} order Position in the user's list, lowest first
+ */
+
+/**
+ * Fills in fields missing from outfits saved before they existed. Returns the
+ * same object when nothing was missing.
+ * @param {import('./App.jsx').Outfit} outfit
+ * @param {number} index Fallback position
+ * @returns {import('./App.jsx').Outfit}
+ */
+export function withOutfitDefaults(outfit, index) {
+  if (typeof outfit.order === 'number') return outfit;
+  return { name: '', occasion: '', favorite: false, ...outfit, order: index };
+}
+
+/**
+ * IndexedDB returns records by id, so the user's order is restored from `order`.
+ * @param {import('./App.jsx').Outfit[]} outfits
+ */
+export const sortOutfits = (outfits) => [...outfits].sort((a, b) => a.order - b.order);
+
+/**
+ * Sets `order` to each outfit's index, keeping the objects whose position
+ * didn't change so only moved outfits are written back.
+ * @param {import('./App.jsx').Outfit[]} outfits
+ */
+export const renumberOutfits = (outfits) =>
+  outfits.map((outfit, index) => (outfit.order === index ? outfit : { ...outfit, order: index }));
+
+/**
+ * @param {import('./App.jsx').Outfit} outfit
+ * @param {number} index Position in the list
+ * @returns {string} The outfit's name, or "Outfit 3" for unnamed ones
+ */
+export function outfitTitle(outfit, index) {
+  return outfit.name || `Outfit ${index + 1}`;
+}
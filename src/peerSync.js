@@ -0,0 +1,290 @@
+// Syncs one profile's wardrobe with another device over a channel, such as
+// the WebRTC one from peerTransport.js. Both devices run the same code: each
+// pulls the records that are newer on the other side (see syncMerge.js) while
+// answering the other's requests, and the channel closes once both are done.
+//
+// Images travel apart from their records, in chunks. What has arrived of an
+// image is kept, so after a dropped connection the next sync only asks for
+// the rest, and images this device already has never travel at all.
+
+import { hashBlob } from './backup';
+import { wantedKeys } from './syncMerge';
+
+/** Both devices must speak the same version. */
+export const PROTOCOL_VERSION = 1;
+
+/** Image bytes per message. As base64 inside JSON they stay under the 16 KB every browser's data channel accepts. */
+export const CHUNK_SIZE = 12 * 1024;
+
+/** Records asked for at once. */
+const RECORD_BATCH = 25;
+
+/** Stands in for a Blob field of a record on the wire. */
+const IMAGE_REF = '$image';
+
+/**
+ * Syncing failed. The message is meant for the user.
+ */
+export class SyncError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SyncError';
+  }
+}
+
+/**
+ * A connection to the other device that carries text messages in order.
+ * @typedef {Object} SyncChannel
+ * @property {(message: string) => void} send
+ * @property {(handler: (message: string) => void) => void} onMessage
+ * @property {(handler: () => void) => void} onClose Called when either side closes it or the connection drops
+ * @property {() => void} close
+ */
+
+/**
+ * @typedef {Object} SyncProgress
+ * @property {number} done Changes received so far
+ * @property {number} total Changes this device is receiving
+ */
+
+/**
+ * @typedef {Object} SyncResult
+ * @property {number} received Changes stored on this device
+ * @property {number} sent Changes the other device stored
+ */
+
+const lostConnection = () => new SyncError('The connection to the other device was lost. Sync again to pick up where it stopped.');
+
+// --- ENCODING ---
+
+const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+};
+
+/**
+ * Replaces a record's images with references the other device can fetch.
+ * @param {Object} record
+ * @param {Map<string, Blob>} offered Hash -> image, filled in here
+ */
+async function withImageRefs(record, offered) {
+  const sent = { ...record };
+  await Promise.all(Object.entries(record).map(async ([field, value]) => {
+    if (!(value instanceof Blob)) return;
+    const hash = await hashBlob(value);
+    offered.set(hash, value);
+    sent[field] = { [IMAGE_REF]: { hash, size: value.size, type: value.type } };
+  }));
+  return sent;
+}
+
+// --- CONNECTION ---
+
+/**
+ * Requests and answers over a channel. Either side can call the other's
+ * methods; notifications get no answer.
+ * @param {SyncChannel} channel
+ * @param {Object<string, (params: any) => any>} methods
+ * @param {() => void} onLost
+ */
+function createConnection(channel, methods, onLost) {
+  const pending = new Map();
+  let nextId = 1;
+  let isClosed = false;
+
+  const lose = () => {
+    if (isClosed) return;
+    isClosed = true;
+    pending.forEach((call) => call.reject(lostConnection()));
+    pending.clear();
+    onLost();
+  };
+
+  // A data channel that closes mid-sync throws here before its close event
+  // arrives; that is a lost connection too.
+  const send = (message) => {
+    if (isClosed) return;
+    try {
+      channel.send(JSON.stringify(message));
+    } catch (error) {
+      console.warn('Failed to send to the other device', error);
+      lose();
+    }
+  };
+
+  channel.onMessage(async (text) => {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch {
+      return;
+    }
+    if (message.type === 'response') {
+      const call = pending.get(message.id);
+      if (!call) return;
+      pending.delete(message.id);
+      if (message.error) call.reject(new SyncError(message.error));
+      else call.resolve(message.result);
+      return;
+    }
+    const method = Object.hasOwn(methods, message.method) ? methods[message.method] : null;
+    if (message.type === 'notify') {
+      method?.(message.params);
+      return;
+    }
+    try {
+      if (!method) throw new SyncError(`The other device asked for something unknown (${message.method}).`);
+      send({ type: 'response', id: message.id, result: await method(message.params) });
+    } catch (error) {
+      if (!(error instanceof SyncError)) console.error(`Failed to answer ${message.method}`, error);
+      send({ type: 'response', id: message.id, error: error instanceof SyncError ? error.message : 'The other device could not read its wardrobe.' });
+    }
+  });
+
+  channel.onClose(lose);
+
+  return {
+    call(method, params) {
+      if (isClosed) return Promise.reject(lostConnection());
+      return new Promise((resolve, reject) => {
+        const id = nextId++;
+        pending.set(id, { resolve, reject });
+        send({ type: 'request', id, method, params });
+      });
+    },
+    notify(method, params) {
+      send({ type: 'notify', method, params });
+    },
+  };
+}
+
+// --- IMAGES ---
+
+/**
+ * Fetches an image chunk by chunk, starting after what an earlier sync
+ * already received.
+ * @param {ReturnType<typeof createConnection>} connection
+ * @param {import('./storage').SyncStore} store
+ * @param {{ hash: string, size: number, type: string }} ref
+ * @returns {Promise<Blob>}
+ */
+async function fetchImage(connection, store, { hash, size, type }) {
+  const transfer = (await store.loadTransfer(hash)) || { hash, size, type, data: new Blob([], { type }) };
+  let { data } = transfer;
+  while (data.size < size) {
+    const chunk = fromBase64(await connection.call('chunk', { hash, offset: data.size }));
+    if (chunk.length === 0) throw new SyncError('An image from the other device ended early. Sync again to fetch it once more.');
+    data = new Blob([data, chunk], { type });
+    await store.saveTransfer({ ...transfer, data });
+  }
+  if (data.size !== size || (await hashBlob(data)) !== hash) {
+    await store.deleteTransfer(hash);
+    throw new SyncError('An image from the other device arrived damaged. Sync again to fetch it once more.');
+  }
+  return data;
+}
+
+/**
+ * Puts the images back into records from the other device, reusing the ones
+ * this device already has.
+ * @param {ReturnType<typeof createConnection>} connection
+ * @param {import('./storage').SyncStore} store
+ * @param {import('./storage').SyncChange[]} changes
+ * @returns {Promise<{ changes: import('./storage').SyncChange[], fetched: string[] }>} `fetched` are the hashes of images that travelled
+ */
+async function receiveImages(connection, store, changes) {
+  const known = new Map();
+  const ours = await store.readRecords(changes.map(({ version }) => version.key));
+  await Promise.all(ours
+    .flatMap(({ record }) => (record ? Object.values(record).filter((value) => value instanceof Blob) : []))
+    .map(async (blob) => known.set(await hashBlob(blob), blob)));
+
+  const fetched = [];
+  const restored = [];
+  for (const { version, record } of changes) {
+    if (!record) {
+      restored.push({ version, record: null });
+      continue;
+    }
+    const withImages = { ...record };
+    for (const [field, value] of Object.entries(record)) {
+      const ref = value?.[IMAGE_REF];
+      if (!ref) continue;
+      if (!known.has(ref.hash)) {
+        known.set(ref.hash, await fetchImage(connection, store, ref));
+        fetched.push(ref.hash);
+      }
+      withImages[field] = known.get(ref.hash);
+    }
+    restored.push({ version, record: withImages });
+  }
+  return { changes: restored, fetched };
+}
+
+// --- SYNC ---
+
+/**
+ * Exchanges changes with the device on the other end of `channel`, then
+ * closes it.
+ * @param {{ channel: SyncChannel, store: import('./storage').SyncStore, deviceId: string, onProgress?: (progress: SyncProgress) => void }} options
+ * @returns {Promise<SyncResult>}
+ * @throws {SyncError}
+ */
+export async function syncWithPeer({ channel, store, deviceId, onProgress = () => {} }) {
+  // Images offered to the other device, by hash.
+  const offered = new Map();
+  let peerDone;
+  let peerLost;
+  const peerFinished = new Promise((resolve, reject) => { peerDone = resolve; peerLost = reject; });
+  peerFinished.catch(() => {});
+
+  const connection = createConnection(channel, {
+    hello: () => ({ protocol: PROTOCOL_VERSION, deviceId }),
+    manifest: () => store.manifest(),
+    records: async ({ keys }) => Promise.all((await store.readRecords(keys)).map(async ({ version, record }) => ({
+      version,
+      record: record && await withImageRefs(record, offered),
+    }))),
+    chunk: async ({ hash, offset }) => {
+      const image = offered.get(hash);
+      if (!image) throw new SyncError('The other device asked for an image it wasn’t offered. Sync again.');
+      return toBase64(await image.slice(offset, offset + CHUNK_SIZE).arrayBuffer());
+    },
+    done: ({ received }) => peerDone(received),
+  }, () => peerLost(lostConnection()));
+
+  try {
+    const hello = await connection.call('hello');
+    if (hello?.protocol !== PROTOCOL_VERSION) {
+      throw new SyncError('The other device runs a different version of YourFit. Update both and try again.');
+    }
+    if (hello.deviceId === deviceId) throw new SyncError('That is this wardrobe. Pair with another device or profile.');
+
+    const [ours, theirs] = await Promise.all([store.manifest(), connection.call('manifest')]);
+    const keys = wantedKeys(ours, theirs);
+    let received = 0;
+    onProgress({ done: 0, total: keys.length });
+    for (let i = 0; i < keys.length; i += RECORD_BATCH) {
+      const batch = await connection.call('records', { keys: keys.slice(i, i + RECORD_BATCH) });
+      const { changes, fetched } = await receiveImages(connection, store, batch);
+      received += await store.applyChanges(changes);
+      await Promise.all(fetched.map((hash) => store.deleteTransfer(hash)));
+      onProgress({ done: Math.min(i + RECORD_BATCH, keys.length), total: keys.length });
+    }
+
+    // Stay connected until the other device has everything it wants from us.
+    connection.notify('done', { received });
+    return { received, sent: await peerFinished };
+  } finally {
+    channel.close();
+  }
+}
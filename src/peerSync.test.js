@@ -0,0 +1,213 @@
+// @vitest-environment node
+import { describe, it, expect, vi } from 'vitest';
+import { syncWithPeer, SyncError, CHUNK_SIZE } from './peerSync';
+import { versionKey, localEdit, isNewer, mergedVersion } from './syncMerge';
+
+/** A SyncStore (see storage.js) kept in memory. */
+function createMemoryStore(deviceId) {
+  const records = new Map();
+  const versions = new Map();
+  const transfers = new Map();
+  const stamp = (store, id, deleted, now) => {
+    const key = versionKey(store, id);
+    versions.set(key, localEdit(versions.get(key), { store, id, deleted, deviceId, now }));
+    return key;
+  };
+
+  return {
+    deviceId,
+    transfers,
+    put(store, record, now = Date.now()) {
+      records.set(stamp(store, record.id, false, now), record);
+    },
+    remove(store, id, now = Date.now()) {
+      records.delete(stamp(store, id, true, now));
+    },
+    get: (store, id) => records.get(versionKey(store, id)),
+    manifest: async () => [...versions.values()],
+    readRecords: async (keys) => keys.map((key) => ({ version: versions.get(key), record: records.get(key) || null })),
+    async applyChanges(changes) {
+      let applied = 0;
+      changes.forEach(({ version, record }) => {
+        const local = versions.get(version.key);
+        if (!isNewer(version, local)) return;
+        versions.set(version.key, mergedVersion(local, version));
+        if (record) records.set(version.key, record);
+        else records.delete(version.key);
+        applied++;
+      });
+      return applied;
+    },
+    loadTransfer: async (hash) => transfers.get(hash) || null,
+    saveTransfer: async (transfer) => { transfers.set(transfer.hash, transfer); },
+    deleteTransfer: async (hash) => { transfers.delete(hash); },
+  };
+}
+
+/**
+ * Two connected channels that deliver in order, like a data channel. Closing
+ * one end reaches the other after the messages already sent.
+ */
+function createChannelPair() {
+  const ends = [0, 1].map(() => ({ onMessage: [], onClose: [], isClosed: false, sent: [] }));
+  const closeEnd = (end) => {
+    if (end.isClosed) return;
+    end.isClosed = true;
+    end.onClose.forEach((handler) => handler());
+  };
+  const channel = (self, other) => ({
+    send(message) {
+      self.sent.push(message);
+      setTimeout(() => { if (!other.isClosed) other.onMessage.forEach((handler) => handler(message)); });
+    },
+    sent: self.sent,
+    onMessage: (handler) => self.onMessage.push(handler),
+    onClose: (handler) => self.onClose.push(handler),
+    close() {
+      closeEnd(self);
+      setTimeout(() => closeEnd(other));
+    },
+    /** Drops the connection the moment `predicate` has matched `count` sent messages. */
+    dropAfter(predicate, count) {
+      const send = this.send;
+      let matched = 0;
+      this.send = (message) => {
+        send(message);
+        if (predicate(message) && ++matched === count) [self, other].forEach(closeEnd);
+      };
+    },
+    /** Sending throws from the `count`th message on, like a data channel that closed unannounced. */
+    breakAfter(count) {
+      const send = this.send;
+      let sentCount = 0;
+      this.send = (message) => {
+        if (++sentCount >= count) throw new DOMException('The data channel is closed', 'InvalidStateError');
+        send(message);
+      };
+    },
+  });
+  return [channel(ends[0], ends[1]), channel(ends[1], ends[0])];
+}
+
+const startSync = (a, b, pair = createChannelPair()) => [
+  syncWithPeer({ channel: pair[0], store: a, deviceId: a.deviceId }),
+  syncWithPeer({ channel: pair[1], store: b, deviceId: b.deviceId }),
+];
+
+const sync = (...args) => Promise.all(startSync(...args));
+
+const image = (size) => {
+  const bytes = new Uint8Array(size);
+  crypto.getRandomValues(bytes);
+  return new Blob([bytes], { type: 'image/webp' });
+};
+
+const bytesOf = async (blob) => Array.from(new Uint8Array(await blob.arrayBuffer()));
+
+describe('syncWithPeer', () => {
+  it('sends new records both ways, images included', async () => {
+    const phone = createMemoryStore('phone');
+    const laptop = createMemoryStore('laptop');
+    const blob = image(CHUNK_SIZE * 2 + 5);
+    phone.put('clothes', { id: 'c1', type: 'top', blob });
+    laptop.put('outfits', { id: 'o1', top: 'c1' });
+
+    const [fromPhone, fromLaptop] = await sync(phone, laptop);
+
+    expect(fromPhone).toEqual({ received: 1, sent: 1 });
+    expect(fromLaptop).toEqual({ received: 1, sent: 1 });
+    expect(phone.get('outfits', 'o1')).toEqual({ id: 'o1', top: 'c1' });
+    expect(laptop.get('clothes', 'c1').type).toBe('top');
+    expect(await bytesOf(laptop.get('clothes', 'c1').blob)).toEqual(await bytesOf(blob));
+    expect(laptop.transfers.size).toBe(0);
+  });
+
+  it('passes deletions on as tombstones', async () => {
+    const phone = createMemoryStore('phone');
+    const laptop = createMemoryStore('laptop');
+    phone.put('wearLog', { id: 'w1', date: '2026-10-01' });
+    await sync(phone, laptop);
+
+    phone.remove('wearLog', 'w1');
+    const [, fromLaptop] = await sync(phone, laptop);
+
+    expect(fromLaptop.received).toBe(1);
+    expect(laptop.get('wearLog', 'w1')).toBeUndefined();
+    // Syncing again changes nothing: the record doesn't come back.
+    expect(await sync(phone, laptop)).toEqual([{ received: 0, sent: 0 }, { received: 0, sent: 0 }]);
+  });
+
+  it('settles an outfit edited on both devices the same way on each', async () => {
+    const phone = createMemoryStore('phone');
+    const laptop = createMemoryStore('laptop');
+    phone.put('outfits', { id: 'o1', name: 'Office' }, 1000);
+    await sync(phone, laptop);
+
+    phone.put('outfits', { id: 'o1', name: 'Office (phone)' }, 2000);
+    laptop.put('outfits', { id: 'o1', name: 'Office (laptop)' }, 3000);
+    await sync(phone, laptop);
+
+    expect(phone.get('outfits', 'o1').name).toBe('Office (laptop)');
+    expect(laptop.get('outfits', 'o1').name).toBe('Office (laptop)');
+  });
+
+  it('doesn’t send images the other device already has', async () => {
+    const phone = createMemoryStore('phone');
+    const laptop = createMemoryStore('laptop');
+    const blob = image(CHUNK_SIZE + 1);
+    phone.put('clothes', { id: 'c1', status: 'available', blob });
+    await sync(phone, laptop);
+
+    phone.put('clothes', { id: 'c1', status: 'laundry', blob });
+    const pair = createChannelPair();
+    await sync(phone, laptop, pair);
+
+    expect(laptop.get('clothes', 'c1').status).toBe('laundry');
+    expect(pair[1].sent.some((message) => message.includes('"chunk"'))).toBe(false);
+  });
+
+  it('picks up an image where a dropped connection left it', async () => {
+    const phone = createMemoryStore('phone');
+    const laptop = createMemoryStore('laptop');
+    const blob = image(CHUNK_SIZE * 3 + 100);
+    phone.put('clothes', { id: 'c1', blob });
+
+    const dropped = createChannelPair();
+    const isChunkRequest = (message) => message.includes('"method":"chunk"');
+    dropped[1].dropAfter(isChunkRequest, 3);
+    const results = await Promise.allSettled(startSync(phone, laptop, dropped));
+    expect(results[1].reason).toBeInstanceOf(SyncError);
+    expect(laptop.get('clothes', 'c1')).toBeUndefined();
+    const [partial] = laptop.transfers.values();
+    expect(partial.data.size).toBe(CHUNK_SIZE * 2);
+
+    const resumed = createChannelPair();
+    await sync(phone, laptop, resumed);
+    expect(resumed[1].sent.filter(isChunkRequest)).toHaveLength(2);
+    expect(await bytesOf(laptop.get('clothes', 'c1').blob)).toEqual(await bytesOf(blob));
+    expect(laptop.transfers.size).toBe(0);
+  });
+
+  it('gives up on both sides when sending fails mid-sync', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const phone = createMemoryStore('phone');
+    const laptop = createMemoryStore('laptop');
+    phone.put('clothes', { id: 'c1', blob: image(CHUNK_SIZE * 3) });
+
+    const pair = createChannelPair();
+    pair[0].breakAfter(5);
+    const results = await Promise.allSettled(startSync(phone, laptop, pair));
+    results.forEach((result) => {
+      expect(result.reason).toBeInstanceOf(SyncError);
+      expect(result.reason.message).toMatch(/connection to the other device was lost/);
+    });
+    vi.restoreAllMocks();
+  });
+
+  it('refuses to sync a wardrobe with itself', async () => {
+    const store = createMemoryStore('phone');
+    const results = await Promise.allSettled(startSync(store, store));
+    expect(results[0].reason).toBeInstanceOf(SyncError);
+    expect(results[0].reason.message).toMatch(/this wardrobe/);
+  });
+});
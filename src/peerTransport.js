@@ -0,0 +1,220 @@
+// The channel peerSync.js talks over: a WebRTC data channel straight between
+// two devices. Before it opens, the devices have to swap an offer and an
+// answer ("signaling"). There is no server for that: each device shows its
+// part as a QR code and the other scans it, so the first device shows the
+// offer, the second scans it and shows the answer, and the first scans that.
+// Both codes can be copied and pasted instead where there is no camera.
+//
+// Without ICE servers the descriptions only hold local addresses, so both
+// devices have to be on the same network. Sync settings can opt in to
+// STUN_ICE_SERVERS, whose public address often lets devices on different
+// networks reach each other too.
+
+import { deflateSync, inflateSync, strToU8, strFromU8 } from 'fflate';
+import { SyncError } from './peerSync';
+
+const CHANNEL_LABEL = 'yourfit-sync';
+const CODE_PREFIXES = { offer: 'yourfit-offer:', answer: 'yourfit-answer:' };
+
+/** Used to find this device's public address; no wardrobe data goes through it. */
+export const STUN_ICE_SERVERS = [{ urls: 'stun:stun.l.google.com:19302' }];
+
+/** Candidates gathered after this long are left out of the offer. */
+const GATHERING_TIMEOUT = 5000;
+
+/** Pairing gives up after this long, scanning both codes included. */
+export const PAIRING_TIMEOUT = 3 * 60 * 1000;
+
+/**
+ * Carries the offer and answer between the two devices. Signals are plain
+ * objects with a `type` ('offer' or 'answer') and an `sdp`.
+ * @typedef {Object} Signaling
+ * @property {(signal: { type: string, sdp: string }) => void} send
+ * @property {() => Promise<{ type: string, sdp: string }>} next The next signal from the other device
+ * @property {() => void} close Rejects a pending `next`
+ */
+
+// --- PAIRING CODES ---
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+};
+
+/**
+ * The text a signal travels as, short enough for a QR code.
+ * @param {{ type: string, sdp: string }} signal
+ * @returns {string}
+ */
+export const encodeSignal = ({ type, sdp }) => `${CODE_PREFIXES[type]}${toBase64Url(deflateSync(strToU8(sdp), { level: 9 }))}`;
+
+/**
+ * Reads a code scanned from a QR code or pasted in.
+ * @param {string} text
+ * @returns {{ type: string, sdp: string } | null} Null if it isn't a pairing code
+ */
+export function decodeSignal(text) {
+  const trimmed = text.trim();
+  const type = Object.keys(CODE_PREFIXES).find((key) => trimmed.startsWith(CODE_PREFIXES[key]));
+  if (!type) return null;
+  try {
+    const sdp = strFromU8(inflateSync(fromBase64Url(trimmed.slice(CODE_PREFIXES[type].length))));
+    return sdp.startsWith('v=') ? { type, sdp } : null;
+  } catch {
+    return null;
+  }
+}
+
+// --- SIGNALING ---
+
+/**
+ * Signaling by hand: what this device sends is handed to `show` as a code
+ * for the other device to scan, and what was scanned from the other device
+ * goes to `receive`.
+ * @param {(code: string) => void} show
+ * @returns {Signaling & { receive: (signal: { type: string, sdp: string }) => void }}
+ *   `receive` takes a signal read with decodeSignal
+ */
+export function createManualSignaling(show) {
+  const received = [];
+  const waiting = [];
+  return {
+    send: (signal) => show(encodeSignal(signal)),
+    next: () => (received.length > 0
+      ? Promise.resolve(received.shift())
+      : new Promise((resolve, reject) => waiting.push({ resolve, reject }))),
+    receive(signal) {
+      const next = waiting.shift();
+      if (next) next.resolve(signal);
+      else received.push(signal);
+    },
+    close() {
+      waiting.splice(0).forEach(({ reject }) => reject(new SyncError('Pairing was cancelled.')));
+    },
+  };
+}
+
+/**
+ * @param {Signaling} signaling
+ * @param {string} type
+ */
+async function expectSignal(signaling, type) {
+  for (;;) {
+    const signal = await signaling.next();
+    if (signal?.type === type) return signal;
+  }
+}
+
+// --- CONNECTION ---
+
+/**
+ * Resolves once all candidates are in the local description, so one offer
+ * and one answer are all the devices need to swap.
+ * @param {RTCPeerConnection} peer
+ */
+const gatheringComplete = (peer) => new Promise((resolve) => {
+  if (peer.iceGatheringState === 'complete') {
+    resolve();
+    return;
+  }
+  const timer = setTimeout(resolve, GATHERING_TIMEOUT);
+  peer.addEventListener('icegatheringstatechange', () => {
+    if (peer.iceGatheringState !== 'complete') return;
+    clearTimeout(timer);
+    resolve();
+  });
+});
+
+const opened = (peer, channel) => new Promise((resolve, reject) => {
+  if (channel.readyState === 'open') {
+    resolve();
+    return;
+  }
+  channel.addEventListener('open', () => resolve(), { once: true });
+  peer.addEventListener('connectionstatechange', () => {
+    if (peer.connectionState === 'failed') reject(new SyncError('Couldn’t reach the other device. Make sure both are on the same network.'));
+  });
+});
+
+/**
+ * @param {RTCPeerConnection} peer
+ * @param {RTCDataChannel} channel
+ * @returns {import('./peerSync').SyncChannel}
+ */
+const toSyncChannel = (peer, channel) => ({
+  send: (message) => channel.send(message),
+  onMessage: (handler) => channel.addEventListener('message', ({ data }) => handler(data)),
+  onClose: (handler) => {
+    channel.addEventListener('close', handler);
+    peer.addEventListener('connectionstatechange', () => {
+      if (peer.connectionState === 'failed') handler();
+    });
+  },
+  close: () => {
+    channel.close();
+    peer.close();
+  },
+});
+
+/**
+ * Opens a data channel to the other device. The initiator makes the offer.
+ * @param {{ initiator: boolean, signaling: Signaling, RTCPeerConnection?: typeof RTCPeerConnection, iceServers?: RTCIceServer[], timeout?: number, signal?: AbortSignal }} options
+ *   `RTCPeerConnection` can be swapped in tests; no `iceServers` keeps to the local network; `signal` cancels pairing
+ * @returns {Promise<import('./peerSync').SyncChannel>}
+ * @throws {SyncError}
+ */
+export async function connectPeer({ initiator, signaling, RTCPeerConnection = globalThis.RTCPeerConnection, iceServers = [], timeout = PAIRING_TIMEOUT, signal }) {
+  if (!RTCPeerConnection) throw new SyncError('This browser can’t connect to other devices.');
+  const peer = new RTCPeerConnection({ iceServers });
+
+  const local = () => ({ type: peer.localDescription.type, sdp: peer.localDescription.sdp });
+  const connect = async () => {
+    let channel;
+    if (initiator) {
+      channel = peer.createDataChannel(CHANNEL_LABEL, { ordered: true });
+      await peer.setLocalDescription(await peer.createOffer());
+      await gatheringComplete(peer);
+      signaling.send(local());
+      await peer.setRemoteDescription(await expectSignal(signaling, 'answer'));
+    } else {
+      const incoming = new Promise((resolve) => {
+        peer.addEventListener('datachannel', (event) => resolve(event.channel), { once: true });
+      });
+      await peer.setRemoteDescription(await expectSignal(signaling, 'offer'));
+      await peer.setLocalDescription(await peer.createAnswer());
+      await gatheringComplete(peer);
+      signaling.send(local());
+      channel = await incoming;
+    }
+    await opened(peer, channel);
+    return channel;
+  };
+
+  let timer;
+  let abort;
+  const stopped = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new SyncError('Pairing took too long. Start again on both devices.')), timeout);
+    abort = () => reject(new SyncError('Pairing was cancelled.'));
+    signal?.addEventListener('abort', abort);
+  });
+  const connecting = connect();
+  // Once it has lost the race, closing the peer below is what ends it.
+  connecting.catch(() => {});
+
+  try {
+    return toSyncChannel(peer, await Promise.race([connecting, stopped]));
+  } catch (error) {
+    peer.close();
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', abort);
+    signaling.close();
+  }
+}
@@ -0,0 +1,187 @@
+// @vitest-environment node
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { encodeSignal, decodeSignal, createManualSignaling, connectPeer, STUN_ICE_SERVERS } from './peerTransport';
+import { SyncError } from './peerSync';
+
+const SDP = [
+  'v=0',
+  'o=- 4611731400430051336 2 IN IP4 127.0.0.1',
+  's=-',
+  't=0 0',
+  'a=group:BUNDLE 0',
+  'm=application 9 UDP/DTLS/SCTP webrtc-datachannel',
+  'c=IN IP4 0.0.0.0',
+  'a=candidate:1 1 udp 2122260223 192.168.1.20 54321 typ host',
+  'a=candidate:2 1 udp 1686052607 203.0.113.7 54321 typ srflx raddr 192.168.1.20 rport 54321',
+  'a=ice-ufrag:abcd',
+  'a=ice-pwd:abcdefghijklmnopqrstuvwx',
+  'a=fingerprint:sha-256 12:34:56:78:9A:BC:DE:F0:12:34:56:78:9A:BC:DE:F0:12:34:56:78:9A:BC:DE:F0:12:34:56:78:9A:BC:DE:F0',
+  'a=setup:actpass',
+  'a=mid:0',
+  'a=sctp-port:5000',
+  '',
+].join('\r\n');
+
+// Stands in for WebRTC. Two fakes find each other only through the ids in
+// their descriptions, so they connect only if the codes get across.
+const peers = new Map();
+
+class FakeChannel extends EventTarget {
+  readyState = 'connecting';
+
+  send(data) {
+    this.remote.dispatchEvent(Object.assign(new Event('message'), { data }));
+  }
+
+  close() {
+    this.readyState = 'closed';
+  }
+}
+
+class FakePeer extends EventTarget {
+  static configs = [];
+
+  iceGatheringState = 'complete';
+  connectionState = 'new';
+
+  constructor(config) {
+    super();
+    FakePeer.configs.push(config);
+    this.id = `peer${peers.size + 1}`;
+    peers.set(this.id, this);
+  }
+
+  createDataChannel() {
+    this.channel = new FakeChannel();
+    return this.channel;
+  }
+
+  async createOffer() {
+    return { type: 'offer', sdp: `${SDP}a=fake:${this.id}\r\n` };
+  }
+
+  async createAnswer() {
+    return { type: 'answer', sdp: `${SDP}a=fake:${this.id}\r\n` };
+  }
+
+  async setLocalDescription(description) {
+    this.localDescription = description;
+  }
+
+  async setRemoteDescription({ type, sdp }) {
+    if (type !== 'answer') return;
+    const other = peers.get(sdp.match(/a=fake:(\S+)/)[1]);
+    // The answer is in: the channel opens on both sides.
+    const remote = new FakeChannel();
+    this.channel.remote = remote;
+    remote.remote = this.channel;
+    other.dispatchEvent(Object.assign(new Event('datachannel'), { channel: remote }));
+    [this.channel, remote].forEach((channel) => {
+      channel.readyState = 'open';
+      channel.dispatchEvent(new Event('open'));
+    });
+  }
+
+  close() {
+    this.connectionState = 'closed';
+  }
+}
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((r) => { resolve = r; });
+  return { promise, resolve };
+};
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  peers.clear();
+  FakePeer.configs = [];
+});
+
+describe('pairing codes', () => {
+  it('carry an offer or answer in a QR code', () => {
+    const code = encodeSignal({ type: 'offer', sdp: SDP });
+    expect(code).toMatch(/^yourfit-offer:[\w-]+$/);
+    // Well within what a QR code holds at low error correction.
+    expect(code.length).toBeLessThan(1000);
+    expect(decodeSignal(` ${code}\n`)).toEqual({ type: 'offer', sdp: SDP });
+    expect(decodeSignal(encodeSignal({ type: 'answer', sdp: SDP }))).toEqual({ type: 'answer', sdp: SDP });
+  });
+
+  it('rejects anything else', () => {
+    expect(decodeSignal('https://example.com')).toBeNull();
+    expect(decodeSignal('yourfit-offer:')).toBeNull();
+    expect(decodeSignal('yourfit-answer:not-deflated')).toBeNull();
+  });
+});
+
+describe('createManualSignaling', () => {
+  it('shows what is sent and hands on what was scanned, in order', async () => {
+    const show = vi.fn();
+    const signaling = createManualSignaling(show);
+    signaling.send({ type: 'offer', sdp: SDP });
+    expect(decodeSignal(show.mock.calls[0][0])).toEqual({ type: 'offer', sdp: SDP });
+
+    signaling.receive({ type: 'answer', sdp: 'first' });
+    signaling.receive({ type: 'answer', sdp: 'second' });
+    expect(await signaling.next()).toEqual({ type: 'answer', sdp: 'first' });
+    expect(await signaling.next()).toEqual({ type: 'answer', sdp: 'second' });
+
+    const waiting = signaling.next();
+    signaling.close();
+    await expect(waiting).rejects.toBeInstanceOf(SyncError);
+  });
+});
+
+describe('connectPeer', () => {
+  it('pairs two devices that only see each other’s codes', async () => {
+    // Nothing is shared between the two sides but the codes passed below.
+    vi.stubGlobal('BroadcastChannel', undefined);
+    const firstCode = deferred();
+    const secondCode = deferred();
+    const first = createManualSignaling(firstCode.resolve);
+    const second = createManualSignaling(secondCode.resolve);
+
+    const connecting = Promise.all([
+      connectPeer({ initiator: true, signaling: first, RTCPeerConnection: FakePeer }),
+      connectPeer({ initiator: false, signaling: second, RTCPeerConnection: FakePeer }),
+    ]);
+    second.receive(decodeSignal(await firstCode.promise));
+    first.receive(decodeSignal(await secondCode.promise));
+    const [showing, scanning] = await connecting;
+
+    const received = new Promise((resolve) => scanning.onMessage(resolve));
+    showing.send('hello');
+    expect(await received).toBe('hello');
+    // Local network only, unless asked otherwise.
+    expect(FakePeer.configs).toEqual([{ iceServers: [] }, { iceServers: [] }]);
+  });
+
+  it('uses STUN only when asked to', async () => {
+    const signaling = createManualSignaling(() => {});
+    const controller = new AbortController();
+    const connecting = connectPeer({ initiator: true, signaling, RTCPeerConnection: FakePeer, iceServers: STUN_ICE_SERVERS, signal: controller.signal });
+    controller.abort();
+    await expect(connecting).rejects.toThrow(/cancelled/);
+    expect(FakePeer.configs).toEqual([{ iceServers: STUN_ICE_SERVERS }]);
+  });
+
+  it('gives up when the other device’s code never comes', async () => {
+    const signaling = createManualSignaling(() => {});
+    await expect(connectPeer({ initiator: true, signaling, RTCPeerConnection: FakePeer, timeout: 20 })).rejects.toThrow(/took too long/);
+    expect(peers.get('peer1').connectionState).toBe('closed');
+  });
+
+  it('stops when cancelled', async () => {
+    const controller = new AbortController();
+    const connecting = connectPeer({ initiator: false, signaling: createManualSignaling(() => {}), RTCPeerConnection: FakePeer, signal: controller.signal });
+    controller.abort();
+    await expect(connecting).rejects.toThrow(/cancelled/);
+  });
+
+  it('explains when the browser has no WebRTC', async () => {
+    const signaling = createManualSignaling(() => {});
+    await expect(connectPeer({ initiator: true, signaling, RTCPeerConnection: null })).rejects.toThrow(/can’t connect/);
+  });
+});
@@ -0,0 +1,78 @@
+// Keeps IndexedDB in step with the wardrobe store (wardrobeStore.js). After
+// each change only the records that changed are written, which relies on the
+// store replacing records instead of mutating them.
+
+import { DEFAULT_PROFILE_ID } from './profiles';
+import { syncRecords, STORE_CLOTHES, STORE_OUTFITS, STORE_WEAR_LOG, STORE_TRASH } from './storage';
+
+/** State key -> object store. */
+const COLLECTIONS = {
+  clothes: STORE_CLOTHES,
+  outfits: STORE_OUTFITS,
+  wearLog: STORE_WEAR_LOG,
+  trash: STORE_TRASH,
+};
+
+/**
+ * @typedef {Object} Persistence
+ * @property {(stored: Record<keyof COLLECTIONS, Array<{ id: string }>>) => void} reset Records what storage holds right after loading
+ * @property {(state: import('./wardrobeStore').WardrobeState) => Promise<void>} save Writes what differs from storage; a failed write is tried again by the next save
+ * @property {() => Promise<void>} settled Resolves once the saves started so far are written
+ */
+
+/**
+ * @param {{ profileId?: string, sync?: typeof syncRecords, onError?: (error: unknown, collection: string) => void }} [options]
+ *   `sync` writes one collection's changes (swapped out in tests)
+ * @returns {Persistence}
+ */
+export function createPersistence({ profileId = DEFAULT_PROFILE_ID, sync = syncRecords, onError = () => {} } = {}) {
+  // What storage is known to hold, per collection. Only a write that went
+  // through moves it forward, so a failed one is diffed and written again.
+  let saved = null;
+  // The newest state asked for, per collection.
+  let latest = {};
+  // Writes to one collection run one after another, each from what the
+  // previous one left, so they can't land out of order.
+  let queues = {};
+
+  const write = async (key) => {
+    const next = latest[key];
+    if (next === saved[key]) return;
+    try {
+      await sync(COLLECTIONS[key], saved[key], next, profileId);
+      saved[key] = next;
+    } catch (error) {
+      onError(error, key);
+    }
+  };
+
+  return {
+    reset(stored) {
+      saved = {};
+      latest = {};
+      queues = {};
+      Object.keys(COLLECTIONS).forEach((key) => {
+        saved[key] = stored[key];
+        latest[key] = stored[key];
+        queues[key] = Promise.resolve();
+      });
+    },
+
+    async save(state) {
+      // Nothing is written before the stored data is known.
+      if (!saved) return;
+      const writes = Object.keys(COLLECTIONS)
+        .filter((key) => state[key] !== saved[key])
+        .map((key) => {
+          latest[key] = state[key];
+          queues[key] = queues[key].then(() => write(key));
+          return queues[key];
+        });
+      await Promise.all(writes);
+    },
+
+    settled() {
+      return Promise.all(Object.values(queues)).then(() => {});
+    },
+  };
+}
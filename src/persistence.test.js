@@ -0,0 +1,116 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createPersistence } from './persistence';
+import { STORE_CLOTHES, STORE_OUTFITS, STORE_WEAR_LOG, STORE_TRASH } from './storage';
+
+const EMPTY = { clothes: [], outfits: [], wearLog: [], trash: [] };
+
+describe('createPersistence', () => {
+  it('writes nothing before the stored data is known', async () => {
+    const sync = vi.fn(() => Promise.resolve());
+    await createPersistence({ sync }).save({ ...EMPTY, clothes: [{ id: 'a' }] });
+    expect(sync).not.toHaveBeenCalled();
+  });
+
+  it('syncs only the collections that changed', async () => {
+    const sync = vi.fn(() => Promise.resolve());
+    const persistence = createPersistence({ sync });
+    const outfits = [{ id: 'o1' }];
+    persistence.reset({ ...EMPTY, outfits });
+
+    const clothes = [{ id: 'a' }];
+    await persistence.save({ ...EMPTY, outfits, clothes });
+    expect(sync).toHaveBeenCalledTimes(1);
+    expect(sync).toHaveBeenCalledWith(STORE_CLOTHES, [], clothes, 'default');
+
+    sync.mockClear();
+    await persistence.save({ ...EMPTY, outfits, clothes });
+    expect(sync).not.toHaveBeenCalled();
+  });
+
+  it('compares against the last save', async () => {
+    const sync = vi.fn(() => Promise.resolve());
+    const persistence = createPersistence({ sync });
+    persistence.reset(EMPTY);
+    const first = [{ id: 'o1' }];
+    const second = [{ id: 'o2' }];
+    await persistence.save({ ...EMPTY, outfits: first });
+    await persistence.save({ ...EMPTY, outfits: second });
+    expect(sync).toHaveBeenLastCalledWith(STORE_OUTFITS, first, second, 'default');
+  });
+
+  it("writes to the profile's own database", async () => {
+    const sync = vi.fn(() => Promise.resolve());
+    const persistence = createPersistence({ profileId: 'profile-1', sync });
+    persistence.reset(EMPTY);
+    const wearLog = [{ id: 'w1' }];
+    await persistence.save({ ...EMPTY, wearLog });
+    expect(sync).toHaveBeenCalledWith(STORE_WEAR_LOG, [], wearLog, 'profile-1');
+  });
+
+  it('settles once every save started so far is written', async () => {
+    let finish;
+    const sync = vi.fn(() => new Promise((resolve) => { finish = resolve; }));
+    const persistence = createPersistence({ sync });
+    persistence.reset(EMPTY);
+    persistence.save({ ...EMPTY, clothes: [{ id: 'a' }] });
+
+    let settled = false;
+    persistence.settled().then(() => { settled = true; });
+    await Promise.resolve();
+    expect(settled).toBe(false);
+    finish();
+    await vi.waitFor(() => expect(settled).toBe(true));
+  });
+
+  it('reports failures per collection and keeps saving the others', async () => {
+    const error = new Error('QuotaExceededError');
+    const sync = vi.fn((storeName) => (storeName === STORE_TRASH ? Promise.reject(error) : Promise.resolve()));
+    const onError = vi.fn();
+    const persistence = createPersistence({ sync, onError });
+    persistence.reset(EMPTY);
+
+    await persistence.save({ ...EMPTY, clothes: [{ id: 'a' }], trash: [{ id: 't' }] });
+    expect(sync).toHaveBeenCalledTimes(2);
+    expect(onError).toHaveBeenCalledWith(error, 'trash');
+  });
+
+  it('writes a failed collection again on the next save', async () => {
+    const sync = vi.fn()
+      .mockRejectedValueOnce(new Error('QuotaExceededError'))
+      .mockResolvedValue(undefined);
+    const onError = vi.fn();
+    const persistence = createPersistence({ sync, onError });
+    persistence.reset(EMPTY);
+
+    const clothes = [{ id: 'a' }];
+    await persistence.save({ ...EMPTY, clothes });
+    expect(onError).toHaveBeenCalledTimes(1);
+
+    // Same state: nothing changed in memory, but storage still lacks it.
+    await persistence.save({ ...EMPTY, clothes });
+    expect(sync).toHaveBeenCalledTimes(2);
+    expect(sync).toHaveBeenLastCalledWith(STORE_CLOTHES, [], clothes, 'default');
+
+    await persistence.save({ ...EMPTY, clothes });
+    expect(sync).toHaveBeenCalledTimes(2);
+  });
+
+  it('writes each collection in order, from what the last write left', async () => {
+    const finishers = [];
+    const sync = vi.fn(() => new Promise((resolve) => finishers.push(resolve)));
+    const persistence = createPersistence({ sync });
+    persistence.reset(EMPTY);
+    const first = [{ id: 'o1' }];
+    const second = [{ id: 'o2' }];
+
+    persistence.save({ ...EMPTY, outfits: first });
+    await vi.waitFor(() => expect(finishers).toHaveLength(1));
+    persistence.save({ ...EMPTY, outfits: second });
+    expect(sync).toHaveBeenCalledTimes(1);
+    finishers[0]();
+    await vi.waitFor(() => expect(finishers).toHaveLength(2));
+    expect(sync).toHaveBeenLastCalledWith(STORE_OUTFITS, first, second, 'default');
+    finishers[1]();
+    await persistence.settled();
+  });
+});
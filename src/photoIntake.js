@@ -0,0 +1,95 @@
+// Getting photos into the wardrobe: new photos are processed and queued for
+// the classifier with a suggested category, and items missing a thumbnail or
+// colours get them filled in afterwards.
+
+import { useState } from 'react';
+import { processImage } from './imagePipeline';
+import { extractShapeFeatures, suggestCategory, loadClassificationLog } from './categorySuggestion';
+import { extractDominantColors } from './itemMetadata';
+import { releaseClothingItem } from './storage';
+import { actions } from './wardrobeStore';
+
+/**
+ * @param {import('./imagePipeline').ProcessedImage} processed
+ * @returns {Pick<import('./App.jsx').ClothingItem, 'blob' | 'thumbBlob' | 'image' | 'thumb'>}
+ */
+export const toImageFields = ({ blob, thumbBlob }) => ({
+  blob,
+  thumbBlob,
+  image: URL.createObjectURL(blob),
+  thumb: thumbBlob ? URL.createObjectURL(thumbBlob) : '',
+});
+
+/**
+ * Adds shape features and a suggested category to a pending file. A failed
+ * analysis just leaves the file without a suggestion.
+ * @param {Object} file
+ * @param {string[]} categoryIds
+ * @param {string} profileId
+ */
+export const withSuggestion = async (file, categoryIds, profileId) => {
+  try {
+    const features = await extractShapeFeatures(file.thumbBlob);
+    return { ...file, features, suggestion: suggestCategory(features, categoryIds, loadClassificationLog(profileId)) };
+  } catch (error) {
+    console.warn('Could not suggest a category', error);
+    return { ...file, features: null, suggestion: null };
+  }
+};
+
+/**
+ * Fills in what items are missing, one at a time in the background: items
+ * saved before the image pipeline existed have no thumbnail and keep the
+ * original camera image, and new or older items may not have colours yet.
+ * @param {Object[]} items
+ * @param {(action: Object) => void} dispatch The wardrobe store's
+ */
+export async function backfillItems(items, dispatch) {
+  for (const item of items) {
+    try {
+      let thumbBlob = item.thumbBlob;
+      if (item.blob && !thumbBlob) {
+        const images = toImageFields(await processImage(item.blob));
+        dispatch(actions.updateItem(item.id, images));
+        releaseClothingItem(item);
+        thumbBlob = images.thumbBlob;
+      }
+      if (item.colors === null && thumbBlob) {
+        dispatch(actions.setDetectedColors(item.id, await extractDominantColors(thumbBlob)));
+      }
+    } catch (error) {
+      console.error(`Failed to update images for ${item.id}`, error);
+    }
+  }
+}
+
+/**
+ * The classifier queue's intake.
+ * @param {{ dispatch: (action: Object) => void, categoryIds: string[], profileId: string, onError: (message: string) => void }} options
+ * @returns {{ processingCount: number, addPhotos: (files: File[], options?: { category?: string }) => Promise<void> }}
+ *   `processingCount` is how many photos are still being processed
+ */
+export function usePhotoIntake({ dispatch, categoryIds, profileId, onError }) {
+  const [processingCount, setProcessingCount] = useState(0);
+
+  // Photos taken with the camera already say which category they were
+  // framed for, which becomes their suggestion.
+  const addPhotos = async (files, { category } = {}) => {
+    setProcessingCount((count) => count + files.length);
+    // Sequential on purpose: each decoded camera photo can take tens of MB.
+    for (const file of files) {
+      try {
+        const processed = { id: `pending-${Date.now()}-${Math.random()}`, ...toImageFields(await processImage(file)) };
+        const pending = await withSuggestion(processed, categoryIds, profileId);
+        dispatch(actions.addPendingFile(category ? { ...pending, suggestion: { category, confidence: 1, source: 'camera' } } : pending));
+      } catch (error) {
+        console.error('Failed to process image', error);
+        onError(`"${file.name}" could not be read as an image.`);
+      } finally {
+        setProcessingCount((count) => count - 1);
+      }
+    }
+  };
+
+  return { processingCount, addPhotos };
+}
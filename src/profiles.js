@@ -0,0 +1,136 @@
+// Profiles: separate wardrobes for people sharing one device. Every profile
+// has its own IndexedDB database and its own localStorage keys (see
+// scopedName); the list of profiles is the only thing they share.
+//
+// The default profile keeps the names used before profiles existed, so the
+// wardrobe already on a device becomes that profile's without being copied.
+
+const REGISTRY_KEY = 'yourfit-profiles';
+const UNLOCKED_KEY = 'yourfit-unlocked';
+
+export const DEFAULT_PROFILE_ID = 'default';
+
+/** PINs are digits only, this long. */
+export const PIN_LENGTH = { min: 4, max: 8 };
+
+/**
+ * @typedef {Object} Profile
+ * @property {string} id
+ * @property {string} name
+ * @property {{ salt: string, hash: string } | null} pin Asked for before the profile opens
+ * @property {number} createdAt
+ */
+
+/**
+ * @typedef {Object} ProfileRegistry
+ * @property {Profile[]} profiles In the order they were added
+ * @property {string} activeId
+ */
+
+/**
+ * Name of a database or storage key for one profile.
+ * @param {string} profileId
+ * @param {string} name e.g. "yourfit-theme"
+ * @returns {string}
+ */
+export const scopedName = (profileId, name) => (profileId === DEFAULT_PROFILE_ID ? name : `${name}@${profileId}`);
+
+export const newProfileId = () => `profile-${Date.now()}`;
+
+/**
+ * @param {string} name
+ * @returns {Profile}
+ */
+export const createProfile = (name, id = newProfileId()) => ({ id, name, pin: null, createdAt: Date.now() });
+
+// --- REGISTRY ---
+
+/**
+ * Reads the profile list. Before the first profile is added there is none, and
+ * everything on the device belongs to the default profile.
+ * @returns {ProfileRegistry}
+ */
+export function loadProfiles() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(REGISTRY_KEY));
+    if (Array.isArray(parsed?.profiles) && parsed.profiles.length > 0) {
+      const activeId = parsed.profiles.some((profile) => profile.id === parsed.activeId) ? parsed.activeId : parsed.profiles[0].id;
+      return { profiles: parsed.profiles, activeId };
+    }
+  } catch (error) {
+    console.error('Failed to parse profiles from localStorage', error);
+  }
+  return { profiles: [createProfile('Me', DEFAULT_PROFILE_ID)], activeId: DEFAULT_PROFILE_ID };
+}
+
+/**
+ * @param {ProfileRegistry} registry
+ */
+export function saveProfiles(registry) {
+  localStorage.setItem(REGISTRY_KEY, JSON.stringify(registry));
+}
+
+/**
+ * Removes a deleted profile's settings. Its database is deleted by
+ * deleteProfileData (storage.js).
+ * @param {string} profileId
+ */
+export function clearProfileSettings(profileId) {
+  const suffix = `@${profileId}`;
+  Object.keys(localStorage)
+    .filter((key) => key.endsWith(suffix))
+    .forEach((key) => localStorage.removeItem(key));
+}
+
+// --- PINS ---
+
+/**
+ * Keeps the wardrobes of a shared device apart; it is not meant to stand up to
+ * someone with access to the browser's storage.
+ * @param {string} pin
+ * @param {string} salt
+ * @returns {Promise<string>} Hex SHA-256
+ */
+async function hashPin(pin, salt) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${pin}`));
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * @param {string} pin
+ */
+export const isValidPin = (pin) => new RegExp(`^\\d{${PIN_LENGTH.min},${PIN_LENGTH.max}}$`).test(pin);
+
+/**
+ * @param {string} pin
+ * @returns {Promise<Profile['pin']>}
+ */
+export async function lockWithPin(pin) {
+  const salt = Array.from(crypto.getRandomValues(new Uint8Array(16)), (byte) => byte.toString(16).padStart(2, '0')).join('');
+  return { salt, hash: await hashPin(pin, salt) };
+}
+
+/**
+ * @param {Profile} profile
+ * @param {string} pin
+ * @returns {Promise<boolean>} True for profiles without a PIN
+ */
+export async function checkPin(profile, pin) {
+  if (!profile.pin) return true;
+  return (await hashPin(pin, profile.pin.salt)) === profile.pin.hash;
+}
+
+/**
+ * The profile unlocked in this browser session. Switching to another profile
+ * locks it again.
+ * @returns {string | null}
+ */
+export const loadUnlockedId = () => sessionStorage.getItem(UNLOCKED_KEY);
+
+/**
+ * @param {string | null} profileId
+ */
+export function saveUnlockedId(profileId) {
+  if (profileId) sessionStorage.setItem(UNLOCKED_KEY, profileId);
+  else sessionStorage.removeItem(UNLOCKED_KEY);
+}
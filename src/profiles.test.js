@@ -0,0 +1,51 @@
+import { describe, it, expect, vi } from 'vitest';
+import { scopedName, loadProfiles, saveProfiles, createProfile, clearProfileSettings, lockWithPin, checkPin, isValidPin, DEFAULT_PROFILE_ID } from './profiles';
+import { loadCategories, saveCategories, DEFAULT_CATEGORIES } from './categories';
+
+describe('profiles', () => {
+  it('keeps the names from before profiles for the default profile', () => {
+    expect(scopedName(DEFAULT_PROFILE_ID, 'yourfit-theme')).toBe('yourfit-theme');
+    expect(scopedName('profile-1', 'yourfit-theme')).toBe('yourfit-theme@profile-1');
+  });
+
+  it('puts an existing wardrobe in a default profile', () => {
+    const categories = [DEFAULT_CATEGORIES[1]];
+    localStorage.setItem('yourfit-categories', JSON.stringify(categories));
+    const registry = loadProfiles();
+    expect(registry).toMatchObject({ activeId: DEFAULT_PROFILE_ID, profiles: [{ id: DEFAULT_PROFILE_ID, pin: null }] });
+    expect(loadCategories(registry.activeId)).toEqual(categories);
+  });
+
+  it('keeps settings apart per profile', () => {
+    const categories = [DEFAULT_CATEGORIES[0]];
+    saveCategories(categories, 'profile-1');
+    expect(loadCategories('profile-1')).toEqual(categories);
+    expect(loadCategories(DEFAULT_PROFILE_ID)).toEqual(DEFAULT_CATEGORIES);
+
+    clearProfileSettings('profile-1');
+    expect(loadCategories('profile-1')).toEqual(DEFAULT_CATEGORIES);
+  });
+
+  it('remembers the profiles and which one is open', () => {
+    const sam = createProfile('Sam');
+    saveProfiles({ profiles: [createProfile('Me', DEFAULT_PROFILE_ID), sam], activeId: sam.id });
+    expect(loadProfiles().activeId).toBe(sam.id);
+
+    // A deleted active profile falls back to the first one.
+    saveProfiles({ profiles: [sam], activeId: 'gone' });
+    expect(loadProfiles().activeId).toBe(sam.id);
+
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    localStorage.setItem('yourfit-profiles', '{');
+    expect(loadProfiles().activeId).toBe(DEFAULT_PROFILE_ID);
+  });
+
+  it('checks PINs without storing them', async () => {
+    expect(['123', '1234', '12345678', '123456789', '12a4'].map(isValidPin)).toEqual([false, true, true, false, false]);
+    const profile = { ...createProfile('Sam'), pin: await lockWithPin('2468') };
+    expect(JSON.stringify(profile)).not.toContain('2468');
+    expect(await checkPin(profile, '2468')).toBe(true);
+    expect(await checkPin(profile, '1357')).toBe(false);
+    expect(await checkPin(createProfile('Alex'), '')).toBe(true);
+  });
+});
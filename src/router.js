@@ -0,0 +1,105 @@
+// Hash routes (`#/wardrobe`, `#/outfit/:id`, ...). The hash keeps working
+// under the GitHub Pages subpath, survives reloads, and gives the browser and
+// Android back button something to step back through.
+
+import { useCallback, useEffect, useState } from 'react';
+
+/**
+ * @typedef {'home' | 'wardrobe' | 'creator' | 'classifier' | 'calendar' | 'stats'} View
+ */
+
+/**
+ * @typedef {Object} Route
+ * @property {View | 'settings' | 'outfit' | 'item'} name
+ * @property {string} [id] Outfit or item id for the detail routes
+ */
+
+export const VIEWS = ['home', 'wardrobe', 'creator', 'classifier', 'calendar', 'stats'];
+
+/** Routes that name an outfit or item. */
+const DETAIL_ROUTES = ['outfit', 'item'];
+
+// Outfits open in the home carousel. An item's sheet and settings open over
+// whichever view was showing, or over these when there is none (a deep link).
+const DETAIL_VIEWS = { outfit: 'home' };
+const FALLBACK_VIEWS = { item: 'wardrobe', settings: 'home' };
+
+const HOME = { name: 'home' };
+
+/**
+ * @param {string} hash e.g. "#/outfit/outfit-123"
+ * @returns {Route}
+ */
+export function parseHash(hash) {
+  let name;
+  let id;
+  try {
+    [name, id] = hash.replace(/^#\/?/, '').split('/').map(decodeURIComponent);
+  } catch {
+    // A hand-edited hash with broken escapes.
+    return HOME;
+  }
+  if (VIEWS.includes(name) || name === 'settings') return { name };
+  if (DETAIL_ROUTES.includes(name) && id) return { name, id };
+  return HOME;
+}
+
+/**
+ * @param {Route} route
+ * @returns {string}
+ */
+export const formatRoute = ({ name, id }) => (id ? `#/${name}/${encodeURIComponent(id)}` : `#/${name}`);
+
+/**
+ * @param {Route} route
+ * @param {View | null} previousView Null on first load
+ * @returns {{ route: Route, view: View }}
+ */
+const resolve = (route, previousView) => ({
+  route,
+  view: VIEWS.includes(route.name) ? route.name : DETAIL_VIEWS[route.name] || previousView || FALLBACK_VIEWS[route.name],
+});
+
+// How many entries this session has pushed, so going back never leaves the app.
+const currentDepth = () => window.history.state?.depth ?? 0;
+
+/**
+ * Current route, the view to show under it, and functions to move around.
+ * `goBack` steps back in history when the app put the current entry there,
+ * and otherwise (a deep link, a reload) replaces it with `fallback`.
+ */
+export function useHashRoute() {
+  const [state, setState] = useState(() => resolve(parseHash(window.location.hash), null));
+
+  useEffect(() => {
+    const sync = () => setState((prev) => (
+      formatRoute(prev.route) === window.location.hash ? prev : resolve(parseHash(window.location.hash), prev.view)
+    ));
+    window.addEventListener('popstate', sync);
+    window.addEventListener('hashchange', sync);
+    return () => {
+      window.removeEventListener('popstate', sync);
+      window.removeEventListener('hashchange', sync);
+    };
+  }, []);
+
+  /**
+   * @param {Route} route
+   * @param {{ replace?: boolean }} [options]
+   */
+  const navigate = useCallback((route, { replace = false } = {}) => {
+    const hash = formatRoute(route);
+    if (hash === window.location.hash) return;
+    if (replace) window.history.replaceState({ depth: currentDepth() }, '', hash);
+    else window.history.pushState({ depth: currentDepth() + 1 }, '', hash);
+    setState((prev) => resolve(route, prev.view));
+  }, []);
+
+  /** @param {Route} fallback */
+  const goBack = useCallback((fallback) => {
+    if (currentDepth() > 0) window.history.back();
+    else navigate(fallback, { replace: true });
+  }, [navigate]);
+
+  return { ...state, navigate, goBack };
+}
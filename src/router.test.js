@@ -0,0 +1,45 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { parseHash, formatRoute, useHashRoute } from './router';
+
+describe('parseHash', () => {
+  it('reads views and detail routes', () => {
+    expect(parseHash('#/wardrobe')).toEqual({ name: 'wardrobe' });
+    expect(parseHash('#/settings')).toEqual({ name: 'settings' });
+    expect(parseHash('#/outfit/outfit-123')).toEqual({ name: 'outfit', id: 'outfit-123' });
+    expect(parseHash('#/item/cloth%201')).toEqual({ name: 'item', id: 'cloth 1' });
+  });
+
+  it('falls back to home for anything else', () => {
+    expect(parseHash('')).toEqual({ name: 'home' });
+    expect(parseHash('#/nowhere')).toEqual({ name: 'home' });
+    expect(parseHash('#/outfit')).toEqual({ name: 'home' });
+    expect(parseHash('#/item/%E0%A4%A')).toEqual({ name: 'home' });
+  });
+
+  it('reads back what formatRoute writes', () => {
+    [{ name: 'stats' }, { name: 'outfit', id: 'a/b c' }].forEach((route) => {
+      expect(parseHash(formatRoute(route))).toEqual(route);
+    });
+  });
+});
+
+describe('useHashRoute', () => {
+  beforeEach(() => window.history.replaceState(null, '', '#/'));
+
+  it('opens an item over the view it was opened from', () => {
+    const { result } = renderHook(() => useHashRoute());
+    act(() => result.current.navigate({ name: 'stats' }));
+    act(() => result.current.navigate({ name: 'item', id: 'c1' }));
+    expect(result.current.route).toEqual({ name: 'item', id: 'c1' });
+    expect(result.current.view).toBe('stats');
+    act(() => result.current.navigate({ name: 'outfit', id: 'o1' }));
+    expect(result.current.view).toBe('home');
+  });
+
+  it('shows an item linked to directly over the wardrobe', () => {
+    window.history.replaceState(null, '', '#/item/c1');
+    const { result } = renderHook(() => useHashRoute());
+    expect(result.current.view).toBe('wardrobe');
+  });
+});
@@ -6,25 +6,68 @@ const isLocalhost = Boolean(
     )
 );
 
+// Registration that has a new version installed and waiting, and who to tell.
+let waitingRegistration = null;
+const updateListeners = new Set();
+
+const notifyUpdate = (registration) => {
+  waitingRegistration = registration;
+  updateListeners.forEach((listener) => listener());
+};
+
+// Long-lived tabs (an installed PWA) look for new versions when reopened. One
+// listener checks whichever registration came last, however often this runs.
+let checkedRegistration = null;
+
+const checkForUpdatesWhenVisible = (registration) => {
+  if (!checkedRegistration) {
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') checkedRegistration.update().catch(() => {});
+    });
+  }
+  checkedRegistration = registration;
+};
+
+/**
+ * Calls `listener` once a new version is waiting (straight away if one
+ * already is).
+ * @param {() => void} listener
+ * @returns {() => void} Unsubscribes
+ */
+export function onUpdateAvailable(listener) {
+  updateListeners.add(listener);
+  if (waitingRegistration) listener();
+  return () => updateListeners.delete(listener);
+}
+
+/**
+ * Activates the waiting version and reloads the page once it has taken over.
+ */
+export function applyUpdate() {
+  const waiting = waitingRegistration?.waiting;
+  if (!waiting) {
+    window.location.reload();
+    return;
+  }
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  waiting.postMessage({ type: 'SKIP_WAITING' });
+}
+
+/**
+ * Registers the service worker built from src/sw.js. It lives next to
+ * index.html, under Vite's `base` (the GitHub Pages subpath), and controls
+ * only that path. The dev server has no service worker, so this only runs
+ * in production builds.
+ * @param {{ onUpdate?: (registration: ServiceWorkerRegistration) => void, onSuccess?: (registration: ServiceWorkerRegistration) => void }} [config]
+ */
 export function register(config) {
-  // This is the key change: we now register in development and production
-  if ('serviceWorker' in navigator) {
-    const publicUrl = new URL(process.env.PUBLIC_URL || '', window.location.href);
-    if (publicUrl.origin !== window.location.origin) {
-      return;
-    }
+  if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+    const swUrl = `${import.meta.env.BASE_URL}sw.js`;
 
     window.addEventListener('load', () => {
-      const swUrl = `${publicUrl.href}/service-worker.js`;
-
       if (isLocalhost) {
+        // `vite preview` on localhost: make sure sw.js really is there.
         checkValidServiceWorker(swUrl, config);
-        navigator.serviceWorker.ready.then(() => {
-          console.log(
-            'This web app is being served cache-first by a service ' +
-              'worker. To learn more, visit https://cra.link/PWA'
-          );
-        });
       } else {
         registerValidSW(swUrl, config);
       }
@@ -34,8 +77,14 @@ export function register(config) {
 
 function registerValidSW(swUrl, config) {
   navigator.serviceWorker
-    .register(swUrl)
+    .register(swUrl, { scope: import.meta.env.BASE_URL })
     .then((registration) => {
+      // A version installed during an earlier visit may still be waiting.
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        notifyUpdate(registration);
+      }
+      checkForUpdatesWhenVisible(registration);
+
       registration.onupdatefound = () => {
         const installingWorker = registration.installing;
         if (installingWorker == null) {
@@ -44,10 +93,8 @@ function registerValidSW(swUrl, config) {
         installingWorker.onstatechange = () => {
           if (installingWorker.state === 'installed') {
             if (navigator.serviceWorker.controller) {
-              console.log(
-                'New content is available and will be used when all ' +
-                  'tabs for this page are closed. See https://cra.link/PWA.'
-              );
+              // App.jsx offers to reload into the new version.
+              notifyUpdate(registration);
               if (config && config.onUpdate) {
                 config.onUpdate(registration);
               }
@@ -0,0 +1,114 @@
+// A profile's settings: theme, accent colour, laundry, weather source, sync
+// and categories. Each lives under its own localStorage key for the profile
+// and is written back as soon as it changes.
+
+import { useEffect, useState } from 'react';
+import { loadCategories, saveCategories } from './categories';
+import { scopedName } from './profiles';
+
+/**
+ * @typedef {'light' | 'dark'} Theme
+ */
+/**
+ * @typedef {'blue' | 'pink' | 'green' | 'purple' | 'orange'} AccentColor
+ */
+
+/** @type {Record<AccentColor, string>} */
+export const ACCENT_COLORS = {
+  blue: 'hsl(221.2 83.2% 53.3%)',
+  pink: 'hsl(346.8 77.2% 49.8%)',
+  green: 'hsl(142.1 76.2% 36.3%)',
+  purple: 'hsl(262.1 83.3% 57.8%)',
+  orange: 'hsl(24.6 95% 53.1%)',
+};
+
+const THEME_KEY = 'yourfit-theme';
+const ACCENT_COLOR_KEY = 'yourfit-color';
+const LAUNDRY_AFTER_KEY = 'yourfit-laundry-after';
+const WEATHER_SOURCE_KEY = 'yourfit-weather-source';
+const SYNC_ACROSS_NETWORKS_KEY = 'yourfit-sync-across-networks';
+
+/**
+ * @param {string} profileId
+ * @param {string} key
+ */
+const read = (profileId, key) => localStorage.getItem(scopedName(profileId, key));
+
+/**
+ * @param {string} profileId
+ * @param {string} key
+ * @param {string | null} value Null removes the setting
+ */
+const write = (profileId, key, value) => {
+  if (value === null) localStorage.removeItem(scopedName(profileId, key));
+  else localStorage.setItem(scopedName(profileId, key), value);
+};
+
+/**
+ * The settings of a profile, stored and applied to the page as they change.
+ * @param {string} profileId
+ */
+export function useSettings(profileId) {
+  const [theme, setTheme] = useState(() => read(profileId, THEME_KEY) || 'light');
+  const [accentColor, setAccentColor] = useState(() => read(profileId, ACCENT_COLOR_KEY) || 'blue');
+  // Wears after which pieces go to the laundry on their own, or null for never.
+  const [laundryAfter, setLaundryAfter] = useState(() => Number(read(profileId, LAUNDRY_AFTER_KEY)) || null);
+  const [weatherSource, setWeatherSource] = useState(() => read(profileId, WEATHER_SOURCE_KEY) || 'manual');
+  // Whether sync may use a public STUN server to reach devices on other networks.
+  const [syncAcrossNetworks, setSyncAcrossNetworks] = useState(() => read(profileId, SYNC_ACROSS_NETWORKS_KEY) === 'true');
+  const [categories, setCategories] = useState(() => loadCategories(profileId));
+
+  useEffect(() => {
+    document.documentElement.classList.toggle('dark', theme === 'dark');
+    write(profileId, THEME_KEY, theme);
+  }, [profileId, theme]);
+
+  useEffect(() => {
+    document.documentElement.style.setProperty('--accent-color', ACCENT_COLORS[accentColor]);
+    write(profileId, ACCENT_COLOR_KEY, accentColor);
+  }, [profileId, accentColor]);
+
+  useEffect(() => {
+    write(profileId, LAUNDRY_AFTER_KEY, laundryAfter ? String(laundryAfter) : null);
+  }, [profileId, laundryAfter]);
+
+  useEffect(() => {
+    write(profileId, WEATHER_SOURCE_KEY, weatherSource);
+  }, [profileId, weatherSource]);
+
+  useEffect(() => {
+    write(profileId, SYNC_ACROSS_NETWORKS_KEY, String(syncAcrossNetworks));
+  }, [profileId, syncAcrossNetworks]);
+
+  useEffect(() => {
+    saveCategories(categories, profileId);
+  }, [profileId, categories]);
+
+  /**
+   * Takes over settings from a backup (see wardrobeExchange.js).
+   * @param {Partial<import('./backup').BackupSettings>} settings Only the ones to change
+   */
+  const applySettings = (settings) => {
+    if ('theme' in settings) setTheme(settings.theme);
+    if ('accentColor' in settings) setAccentColor(settings.accentColor);
+    if ('laundryAfter' in settings) setLaundryAfter(settings.laundryAfter);
+    if ('weatherSource' in settings) setWeatherSource(settings.weatherSource);
+    if ('categories' in settings) setCategories(settings.categories);
+  };
+
+  return {
+    theme,
+    setTheme,
+    accentColor,
+    setAccentColor,
+    laundryAfter,
+    setLaundryAfter,
+    weatherSource,
+    setWeatherSource,
+    syncAcrossNetworks,
+    setSyncAcrossNetworks,
+    categories,
+    setCategories,
+    applySettings,
+  };
+}
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { useSettings, ACCENT_COLORS } from './settings';
+import { DEFAULT_CATEGORIES, loadCategories } from './categories';
+
+const SCARF = { id: 'scarf', name: 'Scarf', icon: 'layers', layer: 15, required: false, excludes: [] };
+
+describe('useSettings', () => {
+  it('starts from the defaults', () => {
+    const { result } = renderHook(() => useSettings('p1'));
+    expect(result.current).toMatchObject({
+      theme: 'light',
+      accentColor: 'blue',
+      laundryAfter: null,
+      weatherSource: 'manual',
+      syncAcrossNetworks: false,
+      categories: DEFAULT_CATEGORIES,
+    });
+  });
+
+  it('keeps each profile its own settings', () => {
+    const { result } = renderHook(() => useSettings('p1'));
+    act(() => {
+      result.current.setTheme('dark');
+      result.current.setLaundryAfter(3);
+      result.current.setSyncAcrossNetworks(true);
+    });
+    expect(localStorage.getItem('yourfit-theme@p1')).toBe('dark');
+    expect(localStorage.getItem('yourfit-laundry-after@p1')).toBe('3');
+    expect(renderHook(() => useSettings('p1')).result.current).toMatchObject({ theme: 'dark', laundryAfter: 3, syncAcrossNetworks: true });
+    expect(renderHook(() => useSettings('p2')).result.current).toMatchObject({ theme: 'light', laundryAfter: null, syncAcrossNetworks: false });
+
+    act(() => result.current.setLaundryAfter(null));
+    expect(localStorage.getItem('yourfit-laundry-after@p1')).toBeNull();
+  });
+
+  it('applies the theme and accent colour to the page', () => {
+    const { result } = renderHook(() => useSettings('p1'));
+    act(() => {
+      result.current.setTheme('dark');
+      result.current.setAccentColor('green');
+    });
+    expect(document.documentElement.classList.contains('dark')).toBe(true);
+    expect(document.documentElement.style.getPropertyValue('--accent-color')).toBe(ACCENT_COLORS.green);
+    act(() => result.current.setTheme('light'));
+    expect(document.documentElement.classList.contains('dark')).toBe(false);
+  });
+
+  it('takes over only the settings it is given', () => {
+    const { result } = renderHook(() => useSettings('p1'));
+    act(() => result.current.applySettings({ weatherSource: 'open-meteo', categories: [...DEFAULT_CATEGORIES, SCARF] }));
+    expect(result.current).toMatchObject({ theme: 'light', weatherSource: 'open-meteo' });
+    expect(loadCategories('p1')).toEqual([...DEFAULT_CATEGORIES, SCARF]);
+  });
+});
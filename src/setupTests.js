@@ -0,0 +1,10 @@
+// Loaded before every test file (see `test` in vite.config.js).
+import '@testing-library/jest-dom/vitest';
+import { cleanup } from '@testing-library/react';
+import { afterEach } from 'vitest';
+
+afterEach(() => {
+  cleanup();
+  // Files that run under node have no localStorage.
+  globalThis.localStorage?.clear();
+});
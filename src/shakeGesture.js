@@ -0,0 +1,56 @@
+// Detects the phone being shaken, using the device motion sensors.
+
+import { useEffect, useRef } from 'react';
+
+/** Change in acceleration (m/s²) between readings that counts as a shake. */
+const SHAKE_THRESHOLD = 25;
+const SHAKE_COOLDOWN_MS = 1000;
+
+/**
+ * iOS only delivers motion events after the user allows it, and only asks from
+ * inside a tap handler. Elsewhere this resolves straight away.
+ * @returns {Promise<boolean>} Whether motion events are allowed
+ */
+export async function requestMotionPermission() {
+  if (typeof DeviceMotionEvent === 'undefined') return false;
+  if (typeof DeviceMotionEvent.requestPermission !== 'function') return true;
+  try {
+    return (await DeviceMotionEvent.requestPermission()) === 'granted';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Calls `onShake` when the device is shaken, at most once per second.
+ * @param {() => void} onShake
+ * @param {boolean} [enabled]
+ */
+export function useShake(onShake, enabled = true) {
+  const callback = useRef(onShake);
+  useEffect(() => {
+    callback.current = onShake;
+  }, [onShake]);
+
+  useEffect(() => {
+    if (!enabled || typeof window === 'undefined' || !('DeviceMotionEvent' in window)) return undefined;
+    let last = null;
+    let lastShake = 0;
+
+    const handleMotion = (event) => {
+      const acceleration = event.accelerationIncludingGravity;
+      if (acceleration?.x == null) return;
+      if (last) {
+        const change = Math.abs(acceleration.x - last.x) + Math.abs(acceleration.y - last.y) + Math.abs(acceleration.z - last.z);
+        if (change > SHAKE_THRESHOLD && event.timeStamp - lastShake > SHAKE_COOLDOWN_MS) {
+          lastShake = event.timeStamp;
+          callback.current();
+        }
+      }
+      last = { x: acceleration.x, y: acceleration.y, z: acceleration.z };
+    };
+
+    window.addEventListener('devicemotion', handleMotion);
+    return () => window.removeEventListener('devicemotion', handleMotion);
+  }, [enabled]);
+}
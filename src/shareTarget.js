@@ -0,0 +1,35 @@
+// Photos shared to the installed app from other apps (the share target in
+// manifest.json). The service worker receives them, keeps them in a cache and
+// opens the app with `?shared`; the app then takes them out of the cache.
+
+// Must match src/sw.js.
+const SHARED_FILES_CACHE = 'yourfit-shared-files';
+const SHARED_PARAM = 'shared';
+
+/**
+ * Whether this page load was opened by a share.
+ * @returns {boolean}
+ */
+export const hasSharedFiles = () => new URLSearchParams(window.location.search).has(SHARED_PARAM);
+
+/**
+ * Returns the shared photos, oldest first, and removes them from the cache and
+ * the marker from the address bar so a reload doesn't add them twice.
+ * @returns {Promise<File[]>}
+ */
+export async function takeSharedFiles() {
+  const url = new URL(window.location.href);
+  url.searchParams.delete(SHARED_PARAM);
+  window.history.replaceState(window.history.state, '', url);
+  if (typeof caches === 'undefined') return [];
+
+  const cache = await caches.open(SHARED_FILES_CACHE);
+  const requests = await cache.keys();
+  return Promise.all(requests.map(async (request) => {
+    const response = await cache.match(request);
+    const blob = await response.blob();
+    await cache.delete(request);
+    const name = decodeURIComponent(response.headers.get('X-File-Name') || 'shared-photo');
+    return new File([blob], name, { type: blob.type });
+  }));
+}
@@ -0,0 +1,540 @@
+// IndexedDB persistence for the wardrobe, one database per profile.
+//
+// Clothing images are stored as Blobs (not base64 strings) and outfits and
+// wear log entries only keep the ids of the items they are made of. In memory every item also carries
+// object URLs (`image`, `thumb`) so components can keep rendering `<img src>`.
+//
+// Every write to a synced store also records the record's version (see
+// syncMerge.js), so another device can tell what changed here.
+
+import { DEFAULT_PROFILE_ID, scopedName } from './profiles';
+import { versionKey, localEdit, isNewer, mergedVersion, loadDeviceId } from './syncMerge';
+
+const DB_NAME = 'yourfit';
+const DB_VERSION = 5;
+
+export const STORE_CLOTHES = 'clothes';
+export const STORE_OUTFITS = 'outfits';
+export const STORE_WEAR_LOG = 'wearLog';
+export const STORE_TRASH = 'trash';
+const STORE_SESSION = 'session';
+const STORE_VERSIONS = 'syncVersions';
+const STORE_TRANSFERS = 'transfers';
+const SESSION_DRAFT_KEY = 'draft';
+
+/** Stores shared with other devices. The trash and the session stay on this one. */
+export const SYNCED_STORES = [STORE_CLOTHES, STORE_OUTFITS, STORE_WEAR_LOG];
+
+const LEGACY_CLOTHES_KEY = 'yourfit-clothes';
+const LEGACY_OUTFITS_KEY = 'yourfit-outfits';
+
+/** Profile id -> open database. */
+const dbPromises = new Map();
+
+const promisifyRequest = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const transactionDone = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'));
+  });
+
+/**
+ * @param {string} [profileId]
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase(profileId = DEFAULT_PROFILE_ID) {
+  if (dbPromises.has(profileId)) return dbPromises.get(profileId);
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available in this browser.'));
+  }
+
+  const dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(scopedName(profileId, DB_NAME), DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_CLOTHES)) {
+        db.createObjectStore(STORE_CLOTHES, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(STORE_OUTFITS)) {
+        db.createObjectStore(STORE_OUTFITS, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(STORE_WEAR_LOG)) {
+        db.createObjectStore(STORE_WEAR_LOG, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(STORE_TRASH)) {
+        db.createObjectStore(STORE_TRASH, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(STORE_SESSION)) {
+        db.createObjectStore(STORE_SESSION, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(STORE_VERSIONS)) {
+        db.createObjectStore(STORE_VERSIONS, { keyPath: 'key' });
+      }
+      if (!db.objectStoreNames.contains(STORE_TRANSFERS)) {
+        db.createObjectStore(STORE_TRANSFERS, { keyPath: 'hash' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('The wardrobe database is open in another tab with an older version.'));
+  }).catch((error) => {
+    dbPromises.delete(profileId);
+    throw error;
+  });
+
+  dbPromises.set(profileId, dbPromise);
+  return dbPromise;
+}
+
+// --- RECORD CONVERSION ---
+
+/**
+ * Strips the in-memory object URLs so only the Blobs are persisted.
+ * @param {import('./App.jsx').ClothingItem} item
+ */
+const clothingToRecord = (item) => {
+  const record = { ...item };
+  delete record.image;
+  delete record.thumb;
+  return record;
+};
+
+/**
+ * @param {Object} record
+ * @returns {import('./App.jsx').ClothingItem}
+ */
+const clothingFromRecord = (record) => ({
+  ...record,
+  image: record.blob ? URL.createObjectURL(record.blob) : '',
+  thumb: record.thumbBlob ? URL.createObjectURL(record.thumbBlob) : '',
+});
+
+/**
+ * Deleted items sit inside their trash entry.
+ * @param {import('./trash').TrashEntry} entry
+ */
+const trashToRecord = (entry) => (entry.item ? { ...entry, item: clothingToRecord(entry.item) } : entry);
+
+/**
+ * @param {Object} record
+ * @returns {import('./trash').TrashEntry}
+ */
+const trashFromRecord = (record) => (record.item ? { ...record, item: clothingFromRecord(record.item) } : record);
+
+/**
+ * Photos waiting to be classified may carry the uploaded photo behind a cut-out.
+ * @param {Object} file
+ */
+const pendingFileToRecord = (file) => {
+  const record = clothingToRecord(file);
+  return file.original ? { ...record, original: clothingToRecord(file.original) } : record;
+};
+
+/**
+ * @param {Object} record
+ */
+const pendingFileFromRecord = (record) => {
+  const file = clothingFromRecord(record);
+  return record.original ? { ...file, original: clothingFromRecord(record.original) } : file;
+};
+
+const TO_RECORD = {
+  [STORE_CLOTHES]: clothingToRecord,
+  [STORE_TRASH]: trashToRecord,
+};
+
+/**
+ * Releases the object URLs created for an item's images.
+ * @param {import('./App.jsx').ClothingItem} item
+ */
+export const releaseClothingItem = (item) => {
+  if (item?.image?.startsWith('blob:')) URL.revokeObjectURL(item.image);
+  if (item?.thumb?.startsWith('blob:')) URL.revokeObjectURL(item.thumb);
+};
+
+/**
+ * @param {string} dataUrl
+ * @returns {Blob}
+ */
+const dataUrlToBlob = (dataUrl) => {
+  const [header, data] = dataUrl.split(',');
+  const mime = header.match(/data:([^;]+)/)?.[1] || 'application/octet-stream';
+  if (!header.includes(';base64')) {
+    return new Blob([decodeURIComponent(data)], { type: mime });
+  }
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return new Blob([bytes], { type: mime });
+};
+
+/**
+ * Counts this device's edits in the versions of the given records, inside the
+ * transaction that writes them.
+ * @param {IDBObjectStore} versions
+ * @param {string} store
+ * @param {string[]} ids
+ * @param {{ deleted: boolean, deviceId: string, now: number }} edit
+ */
+const stampVersions = (versions, store, ids, edit) => {
+  ids.forEach((id) => {
+    const request = versions.get(versionKey(store, id));
+    request.onsuccess = () => versions.put(localEdit(request.result, { ...edit, store, id }));
+  });
+};
+
+// --- MIGRATION ---
+
+/**
+ * @param {string} url
+ * @returns {Promise<Blob>}
+ */
+const fetchBlob = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+  return response.blob();
+};
+
+/**
+ * Turns legacy items into records with a `blob`. Images that aren't inline
+ * `data:` URLs are fetched; items whose image can't be had are left out and
+ * returned as they were, so they can be tried again later.
+ * @param {Object[]} clothes Items as older versions stored them, with `image`
+ * @param {(url: string) => Promise<Blob>} [fetchImage]
+ * @returns {Promise<{ records: Object[], skipped: Object[] }>}
+ */
+export async function readLegacyClothes(clothes, fetchImage = fetchBlob) {
+  const records = [];
+  const skipped = [];
+  for (const legacy of clothes) {
+    const { image, ...item } = legacy;
+    try {
+      if (typeof image !== 'string' || !image) throw new Error('No image');
+      records.push({ ...item, blob: image.startsWith('data:') ? dataUrlToBlob(image) : await fetchImage(image) });
+    } catch (error) {
+      console.warn(`Could not read the image of legacy item ${item.id}`, error);
+      skipped.push(legacy);
+    }
+  }
+  return { records, skipped };
+}
+
+/**
+ * Moves wardrobe data written by older versions (base64 images in
+ * localStorage, outfits holding full item copies) into IndexedDB. The legacy
+ * keys are only removed once the IndexedDB transaction has committed, and
+ * items whose image couldn't be read stay behind for the next load.
+ * @param {IDBDatabase} db
+ */
+async function migrateFromLocalStorage(db) {
+  const legacyClothes = localStorage.getItem(LEGACY_CLOTHES_KEY);
+  const legacyOutfits = localStorage.getItem(LEGACY_OUTFITS_KEY);
+  if (legacyClothes === null && legacyOutfits === null) return;
+
+  let clothes = [];
+  let outfits = [];
+  try {
+    clothes = legacyClothes ? JSON.parse(legacyClothes) : [];
+    outfits = legacyOutfits ? JSON.parse(legacyOutfits) : [];
+  } catch (error) {
+    console.error('Failed to parse legacy wardrobe from localStorage', error);
+    return;
+  }
+
+  // Fetched before the transaction starts, which would close while waiting.
+  const { records, skipped } = await readLegacyClothes(clothes);
+
+  const tx = db.transaction([STORE_CLOTHES, STORE_OUTFITS], 'readwrite');
+  const clothesStore = tx.objectStore(STORE_CLOTHES);
+  const outfitsStore = tx.objectStore(STORE_OUTFITS);
+
+  records.forEach((record) => clothesStore.put(record));
+
+  // Outfits pointing at a skipped item find it once it has been migrated.
+  outfits.forEach((outfit) => {
+    const record = {};
+    for (const key in outfit) {
+      const value = outfit[key];
+      record[key] = value && typeof value === 'object' ? value.id : value;
+    }
+    outfitsStore.put(record);
+  });
+
+  await transactionDone(tx);
+  if (skipped.length > 0) {
+    console.warn(`${skipped.length} legacy items could not be migrated yet`);
+    localStorage.setItem(LEGACY_CLOTHES_KEY, JSON.stringify(skipped));
+  } else {
+    localStorage.removeItem(LEGACY_CLOTHES_KEY);
+  }
+  localStorage.removeItem(LEGACY_OUTFITS_KEY);
+}
+
+// --- PUBLIC API ---
+
+/**
+ * Loads clothes, outfits, the wear log and the trash. Data from before
+ * IndexedDB belongs to the default profile and is migrated first.
+ * @param {string} [profileId]
+ * @returns {Promise<{ clothes: import('./App.jsx').ClothingItem[], outfits: import('./App.jsx').Outfit[], wearLog: import('./wearLog').WearLogEntry[], trash: import('./trash').TrashEntry[] }>}
+ */
+export async function loadWardrobe(profileId = DEFAULT_PROFILE_ID) {
+  const db = await openDatabase(profileId);
+  if (profileId === DEFAULT_PROFILE_ID) await migrateFromLocalStorage(db);
+
+  const tx = db.transaction([STORE_CLOTHES, STORE_OUTFITS, STORE_WEAR_LOG, STORE_TRASH], 'readonly');
+  const [clothesRecords, outfits, wearLog, trashRecords] = await Promise.all([
+    promisifyRequest(tx.objectStore(STORE_CLOTHES).getAll()),
+    promisifyRequest(tx.objectStore(STORE_OUTFITS).getAll()),
+    promisifyRequest(tx.objectStore(STORE_WEAR_LOG).getAll()),
+    promisifyRequest(tx.objectStore(STORE_TRASH).getAll()),
+  ]);
+
+  return {
+    clothes: clothesRecords.map(clothingFromRecord),
+    outfits,
+    wearLog,
+    trash: trashRecords.map(trashFromRecord),
+  };
+}
+
+/**
+ * Writes only the records that changed between two versions of a list.
+ * Records are compared by identity, which matches how state is updated
+ * immutably in the app.
+ * @param {string} storeName
+ * @param {Array<{ id: string }>} previous
+ * @param {Array<{ id: string }>} next
+ * @param {string} [profileId]
+ */
+export async function syncRecords(storeName, previous, next, profileId = DEFAULT_PROFILE_ID) {
+  const previousById = new Map(previous.map((record) => [record.id, record]));
+  const nextIds = new Set(next.map((record) => record.id));
+  const changed = next.filter((record) => previousById.get(record.id) !== record);
+  const removed = previous.filter((record) => !nextIds.has(record.id));
+  if (changed.length === 0 && removed.length === 0) return;
+
+  const toRecord = TO_RECORD[storeName] || ((record) => record);
+  const synced = SYNCED_STORES.includes(storeName);
+  const db = await openDatabase(profileId);
+  const tx = db.transaction(synced ? [storeName, STORE_VERSIONS] : storeName, 'readwrite');
+  const store = tx.objectStore(storeName);
+  changed.forEach((record) => store.put(toRecord(record)));
+  removed.forEach((record) => store.delete(record.id));
+  if (synced) {
+    const edit = { deviceId: loadDeviceId(profileId), now: Date.now() };
+    const versions = tx.objectStore(STORE_VERSIONS);
+    stampVersions(versions, storeName, changed.map((record) => record.id), { ...edit, deleted: false });
+    stampVersions(versions, storeName, removed.map((record) => record.id), { ...edit, deleted: true });
+  }
+  await transactionDone(tx);
+}
+
+/**
+ * Keeps work that only lives in memory (the classifier queue, the creator
+ * selection) across the reload that activates a new version of the app.
+ * @param {{ pendingFiles: Object[] } & Object} draft
+ * @param {string} [profileId]
+ */
+export async function saveSessionDraft(draft, profileId = DEFAULT_PROFILE_ID) {
+  const db = await openDatabase(profileId);
+  const tx = db.transaction(STORE_SESSION, 'readwrite');
+  tx.objectStore(STORE_SESSION).put({
+    ...draft,
+    id: SESSION_DRAFT_KEY,
+    pendingFiles: draft.pendingFiles.map(pendingFileToRecord),
+  });
+  await transactionDone(tx);
+}
+
+/**
+ * Returns the draft saved before the last reload, if any, and removes it so it
+ * is only restored once.
+ * @param {string} [profileId]
+ * @returns {Promise<Object | null>}
+ */
+export async function takeSessionDraft(profileId = DEFAULT_PROFILE_ID) {
+  const db = await openDatabase(profileId);
+  const tx = db.transaction(STORE_SESSION, 'readwrite');
+  const store = tx.objectStore(STORE_SESSION);
+  const record = await promisifyRequest(store.get(SESSION_DRAFT_KEY));
+  if (record) store.delete(SESSION_DRAFT_KEY);
+  await transactionDone(tx);
+  if (!record) return null;
+  const { id: _id, ...draft } = record;
+  return { ...draft, pendingFiles: draft.pendingFiles.map(pendingFileFromRecord) };
+}
+
+// --- PROFILES ---
+
+/**
+ * Adds copies of items to another profile's wardrobe. The copies get new ids,
+ * so copying the same item twice gives two items.
+ * @param {import('./App.jsx').ClothingItem[]} items
+ * @param {string} profileId
+ * @returns {Promise<string[]>} Ids of the copies
+ */
+export async function copyItemsToProfile(items, profileId) {
+  const now = Date.now();
+  const copies = items.map((item, i) => ({ ...clothingToRecord(item), id: `cloth-${now}-${i}` }));
+  const db = await openDatabase(profileId);
+  const tx = db.transaction([STORE_CLOTHES, STORE_VERSIONS], 'readwrite');
+  const store = tx.objectStore(STORE_CLOTHES);
+  copies.forEach((record) => store.put(record));
+  stampVersions(tx.objectStore(STORE_VERSIONS), STORE_CLOTHES, copies.map((record) => record.id), {
+    deleted: false,
+    deviceId: loadDeviceId(profileId),
+    now,
+  });
+  await transactionDone(tx);
+  return copies.map((record) => record.id);
+}
+
+/**
+ * Deletes a profile's database with everything in it.
+ * @param {string} profileId Not the one that is open
+ */
+export async function deleteProfileData(profileId) {
+  const open = dbPromises.get(profileId);
+  dbPromises.delete(profileId);
+  if (open) (await open.catch(() => null))?.close();
+  await promisifyRequest(indexedDB.deleteDatabase(scopedName(profileId, DB_NAME)));
+}
+
+// --- SYNC ---
+
+/**
+ * A record as another device sends it: as stored, images included.
+ * @typedef {Object} SyncChange
+ * @property {import('./syncMerge').RecordVersion} version
+ * @property {Object | null} record Null for a tombstone
+ */
+
+/**
+ * An image partly received from another device, kept so an interrupted sync
+ * can carry on where it stopped.
+ * @typedef {Object} Transfer
+ * @property {string} hash SHA-256 of the whole image
+ * @property {number} size
+ * @property {string} type
+ * @property {Blob} data What has arrived so far
+ */
+
+/**
+ * @typedef {Object} SyncStore
+ * @property {() => Promise<import('./syncMerge').RecordVersion[]>} manifest Versions of every synced record and tombstone
+ * @property {(keys: string[]) => Promise<SyncChange[]>} readRecords
+ * @property {(changes: SyncChange[]) => Promise<number>} applyChanges Stores the changes that are still newer than ours; returns how many were
+ * @property {(hash: string) => Promise<Transfer | null>} loadTransfer
+ * @property {(transfer: Transfer) => Promise<void>} saveTransfer
+ * @property {(hash: string) => Promise<void>} deleteTransfer
+ */
+
+/**
+ * Reads and writes one profile's database for peerSync.js.
+ * @param {string} [profileId]
+ * @returns {SyncStore}
+ */
+export function createSyncStore(profileId = DEFAULT_PROFILE_ID) {
+  const transaction = async (storeNames, mode) => (await openDatabase(profileId)).transaction(storeNames, mode);
+
+  return {
+    async manifest() {
+      const tx = await transaction([...SYNCED_STORES, STORE_VERSIONS], 'readonly');
+      const [versions, ...ids] = await Promise.all([
+        promisifyRequest(tx.objectStore(STORE_VERSIONS).getAll()),
+        ...SYNCED_STORES.map((store) => promisifyRequest(tx.objectStore(store).getAllKeys())),
+      ]);
+      const byKey = new Map(versions.map((version) => [version.key, version]));
+      // Records saved before versions existed have never been edited as far as sync knows.
+      SYNCED_STORES.forEach((store, i) => ids[i].forEach((id) => {
+        const key = versionKey(store, id);
+        if (!byKey.has(key)) byKey.set(key, { key, store, id, clock: {}, updatedAt: 0, by: '', deleted: false });
+      }));
+      return [...byKey.values()];
+    },
+
+    async readRecords(keys) {
+      const wanted = keys
+        .map((key) => ({ key, store: key.slice(0, key.indexOf('/')), id: key.slice(key.indexOf('/') + 1) }))
+        .filter(({ store }) => SYNCED_STORES.includes(store));
+      const tx = await transaction([...SYNCED_STORES, STORE_VERSIONS], 'readonly');
+      const [versions, records] = await Promise.all([
+        Promise.all(wanted.map(({ key }) => promisifyRequest(tx.objectStore(STORE_VERSIONS).get(key)))),
+        Promise.all(wanted.map(({ store, id }) => promisifyRequest(tx.objectStore(store).get(id)))),
+      ]);
+      return wanted.map(({ key, store, id }, i) => {
+        const version = versions[i] || { key, store, id, clock: {}, updatedAt: 0, by: '', deleted: !records[i] };
+        return { version, record: version.deleted ? null : records[i] || null };
+      });
+    },
+
+    async applyChanges(changes) {
+      const tx = await transaction([...SYNCED_STORES, STORE_VERSIONS], 'readwrite');
+      const versions = tx.objectStore(STORE_VERSIONS);
+      let applied = 0;
+      changes.forEach(({ version, record }) => {
+        if (!SYNCED_STORES.includes(version.store) || (record && record.id !== version.id)) return;
+        // Checked again here: the record may have been edited while it was on its way.
+        const request = versions.get(version.key);
+        request.onsuccess = () => {
+          if (!isNewer(version, request.result)) return;
+          versions.put(mergedVersion(request.result, version));
+          const store = tx.objectStore(version.store);
+          if (record) store.put(record);
+          else store.delete(version.id);
+          applied++;
+        };
+      });
+      await transactionDone(tx);
+      return applied;
+    },
+
+    async loadTransfer(hash) {
+      const tx = await transaction(STORE_TRANSFERS, 'readonly');
+      return (await promisifyRequest(tx.objectStore(STORE_TRANSFERS).get(hash))) || null;
+    },
+
+    async saveTransfer(transfer) {
+      const tx = await transaction(STORE_TRANSFERS, 'readwrite');
+      tx.objectStore(STORE_TRANSFERS).put(transfer);
+      await transactionDone(tx);
+    },
+
+    async deleteTransfer(hash) {
+      const tx = await transaction(STORE_TRANSFERS, 'readwrite');
+      tx.objectStore(STORE_TRANSFERS).delete(hash);
+      await transactionDone(tx);
+    },
+  };
+}
+
+/**
+ * Asks the browser not to evict our data under storage pressure.
+ */
+export function requestPersistentStorage() {
+  if (navigator.storage?.persist) {
+    navigator.storage.persist().catch(() => {});
+  }
+}
+
+/**
+ * Turns a storage failure into a message that can be shown to the user.
+ * @param {unknown} error
+ * @returns {string}
+ */
+export function describeStorageError(error) {
+  if (error?.name === 'QuotaExceededError') {
+    return 'Storage is full. Delete some clothes or outfits and try again — your last change was not saved.';
+  }
+  if (error?.message) {
+    return `Your changes could not be saved: ${error.message}`;
+  }
+  return 'Your changes could not be saved.';
+}
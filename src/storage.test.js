@@ -0,0 +1,30 @@
+// @vitest-environment node
+import { describe, it, expect, vi } from 'vitest';
+import { readLegacyClothes } from './storage';
+
+describe('readLegacyClothes', () => {
+  it('fetches images that aren’t inline and keeps what can’t be read', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const fetchImage = vi.fn(async (url) => {
+      if (url.endsWith('gone.jpg')) throw new Error('404');
+      return new Blob(['fetched'], { type: 'image/jpeg' });
+    });
+    const clothes = [
+      { id: 'inline', type: 'top', image: 'data:image/png;base64,aGk=' },
+      { id: 'hosted', type: 'bottom', image: 'https://example.com/jeans.jpg' },
+      { id: 'gone', type: 'shoes', image: 'https://example.com/gone.jpg' },
+      { id: 'blank', type: 'hat' },
+    ];
+
+    const { records, skipped } = await readLegacyClothes(clothes, fetchImage);
+
+    expect(records.map((record) => record.id)).toEqual(['inline', 'hosted']);
+    expect(records[0]).not.toHaveProperty('image');
+    expect(await records[0].blob.text()).toBe('hi');
+    expect(records[0].blob.type).toBe('image/png');
+    expect(await records[1].blob.text()).toBe('fetched');
+    // Left as they were, to be tried again on the next load.
+    expect(skipped).toEqual([clothes[2], clothes[3]]);
+    vi.restoreAllMocks();
+  });
+});
@@ -0,0 +1,129 @@
+// YourFit service worker. Not bundled with the app: the build (see
+// serviceWorkerPlugin.js) fills in the precache manifest and version below and
+// writes this file to the output folder as sw.js.
+//
+// - Hashed build output and public files are precached on install and served
+//   cache-first; a new build gets a new precache and the old one is deleted.
+// - Page loads get the app shell from the precache, so it always matches the
+//   bundles precached with it; a new build brings its own shell.
+// - Other same-origin GET requests are cached at runtime, also
+//   stale-while-revalidate, so they keep working offline.
+// - Photos shared to the installed app (the share target in manifest.json) are
+//   kept in a cache for the app to pick up (see src/shareTarget.js).
+
+/** @type {{ url: string, revision: string }[]} Paths relative to the scope */
+const PRECACHE_MANIFEST = self.__PRECACHE_MANIFEST || [];
+const VERSION = self.__BUILD_VERSION || 'dev';
+
+const CACHE_PREFIX = 'yourfit-';
+const PRECACHE = `${CACHE_PREFIX}precache-${VERSION}`;
+const RUNTIME_CACHE = `${CACHE_PREFIX}runtime-v1`;
+const SHELL_URL = new URL('index.html', self.registration.scope).href;
+// Both must match src/shareTarget.js and the share target in manifest.json.
+const SHARED_FILES_CACHE = `${CACHE_PREFIX}shared-files`;
+const SHARE_TARGET_URL = new URL('share-target', self.registration.scope).href;
+
+const precacheUrls = new Set(PRECACHE_MANIFEST.map(({ url }) => new URL(url, self.registration.scope).href));
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(PRECACHE).then((cache) =>
+      // Bypass the HTTP cache so a new version never precaches stale files.
+      cache.addAll([...precacheUrls].map((url) => new Request(url, { cache: 'reload' })))
+    )
+  );
+});
+
+// A new version waits until every tab has closed, unless the user accepts the
+// in-app update prompt, which sends this message.
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((names) => Promise.all(
+        names
+          // Also catches the old single "yourfit-v1" cache.
+          .filter((name) => name.startsWith(CACHE_PREFIX) && ![PRECACHE, RUNTIME_CACHE, SHARED_FILES_CACHE].includes(name))
+          .map((name) => caches.delete(name))
+      ))
+      // Take over the page that registered us, so the first visit already works offline.
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * Answers from the cache when possible and refreshes the cached copy from the
+ * network in the background.
+ * @param {FetchEvent} event
+ * @param {Request | string} cacheKey
+ * @param {string} cacheName
+ */
+async function staleWhileRevalidate(event, cacheKey, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(cacheKey);
+  const network = fetch(event.request)
+    .then((response) => {
+      if (response.ok) cache.put(cacheKey, response.clone());
+      return response;
+    });
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network;
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request, { cacheName: PRECACHE });
+  return cached || fetch(request);
+}
+
+/**
+ * Keeps the photos of a share in a cache and opens the app, which adds them to
+ * the classifier queue.
+ * @param {Request} request
+ */
+async function receiveSharedFiles(request) {
+  try {
+    const formData = await request.formData();
+    const files = formData.getAll('photos').filter((file) => file instanceof File && file.size > 0);
+    const cache = await caches.open(SHARED_FILES_CACHE);
+    const now = Date.now();
+    await Promise.all(files.map((file, i) => cache.put(
+      new URL(`shared/${now}-${i}`, self.registration.scope).href,
+      new Response(file, { headers: { 'Content-Type': file.type, 'X-File-Name': encodeURIComponent(file.name) } })
+    )));
+  } catch (error) {
+    console.error('Failed to receive shared photos', error);
+  }
+  return Response.redirect(new URL('?shared', self.registration.scope).href, 303);
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method === 'POST' && request.url === SHARE_TARGET_URL) {
+    event.respondWith(receiveSharedFiles(request));
+    return;
+  }
+  if (request.method !== 'GET' || !request.url.startsWith(self.location.origin)) return;
+
+  if (request.mode === 'navigate') {
+    // Every page is the single-page app, so they all share one cached shell.
+    // Never refreshed from the network: a newer index.html would point at
+    // bundles this version hasn't precached.
+    event.respondWith(cacheFirst(SHELL_URL));
+    return;
+  }
+
+  const url = new URL(request.url);
+  url.search = '';
+  if (precacheUrls.has(url.href)) {
+    event.respondWith(cacheFirst(url.href));
+    return;
+  }
+
+  event.respondWith(staleWhileRevalidate(event, request, RUNTIME_CACHE));
+});
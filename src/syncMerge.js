@@ -0,0 +1,146 @@
+// Versions for syncing a wardrobe between devices (see peerSync.js). Every
+// synced record carries a vector clock: one counter per device that edited
+// it. A record whose clock has seen everything the other side's has is
+// simply newer. When both devices edited it since they last synced, the
+// later edit wins, so both sides end up with the same record without asking.
+//
+// Deleting a record leaves a tombstone: a version without the record, so the
+// deletion reaches the other device instead of the record coming back.
+
+import { DEFAULT_PROFILE_ID, scopedName } from './profiles';
+
+const DEVICE_ID_KEY = 'yourfit-device-id';
+
+/**
+ * @typedef {Object<string, number>} VectorClock Device id -> number of edits from that device
+ */
+
+/**
+ * @typedef {Object} RecordVersion
+ * @property {string} key `${store}/${id}`
+ * @property {string} store Object store the record lives in
+ * @property {string} id
+ * @property {VectorClock} clock
+ * @property {number} updatedAt When the last edit was made, on the device that made it
+ * @property {string} by Device id that made the last edit
+ * @property {boolean} deleted The record was deleted (a tombstone)
+ */
+
+/**
+ * @param {string} store
+ * @param {string} id
+ */
+export const versionKey = (store, id) => `${store}/${id}`;
+
+/**
+ * This device's id in a profile's clocks, created on first use. Each profile
+ * gets its own, so two profiles in one browser can sync with each other.
+ * @param {string} [profileId]
+ * @returns {string}
+ */
+export function loadDeviceId(profileId = DEFAULT_PROFILE_ID) {
+  const key = scopedName(profileId, DEVICE_ID_KEY);
+  let id = localStorage.getItem(key);
+  if (!id) {
+    id = `device-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    localStorage.setItem(key, id);
+  }
+  return id;
+}
+
+// --- CLOCKS ---
+
+/**
+ * @param {VectorClock} a
+ * @param {VectorClock} b
+ * @returns {'before' | 'after' | 'equal' | 'concurrent'} How `a` relates to `b`
+ */
+export function compareClocks(a, b) {
+  let aAhead = false;
+  let bAhead = false;
+  new Set([...Object.keys(a), ...Object.keys(b)]).forEach((device) => {
+    const countA = a[device] || 0;
+    const countB = b[device] || 0;
+    if (countA > countB) aAhead = true;
+    if (countB > countA) bAhead = true;
+  });
+  if (aAhead && bAhead) return 'concurrent';
+  if (aAhead) return 'after';
+  if (bAhead) return 'before';
+  return 'equal';
+}
+
+/**
+ * @param {VectorClock} a
+ * @param {VectorClock} b
+ * @returns {VectorClock} A clock that has seen everything both have
+ */
+export function mergeClocks(a, b) {
+  const merged = { ...a };
+  Object.entries(b).forEach(([device, count]) => {
+    merged[device] = Math.max(merged[device] || 0, count);
+  });
+  return merged;
+}
+
+// --- VERSIONS ---
+
+/**
+ * The version of a record after this device edited or deleted it.
+ * @param {RecordVersion | null | undefined} previous
+ * @param {{ store: string, id: string, deleted?: boolean, deviceId: string, now?: number }} edit
+ * @returns {RecordVersion}
+ */
+export function localEdit(previous, { store, id, deleted = false, deviceId, now = Date.now() }) {
+  const clock = previous?.clock || {};
+  return {
+    key: versionKey(store, id),
+    store,
+    id,
+    clock: { ...clock, [deviceId]: (clock[deviceId] || 0) + 1 },
+    updatedAt: now,
+    by: deviceId,
+    deleted,
+  };
+}
+
+/**
+ * Whether a version from the other device should replace ours. Both devices
+ * decide the same way, so they agree without talking about it.
+ * @param {RecordVersion | null | undefined} local
+ * @param {RecordVersion} remote
+ * @returns {boolean}
+ */
+export function isNewer(remote, local) {
+  if (!local) return true;
+  const order = compareClocks(remote.clock, local.clock);
+  if (order !== 'concurrent') return order === 'after';
+  if (remote.updatedAt !== local.updatedAt) return remote.updatedAt > local.updatedAt;
+  return remote.by > local.by;
+}
+
+/**
+ * The version to store after taking the other device's record, which has seen
+ * both edits.
+ * @param {RecordVersion | null | undefined} local
+ * @param {RecordVersion} remote
+ * @returns {RecordVersion}
+ */
+export const mergedVersion = (local, remote) => ({
+  ...remote,
+  clock: local ? mergeClocks(local.clock, remote.clock) : remote.clock,
+});
+
+/**
+ * @param {RecordVersion[]} local
+ * @param {RecordVersion[]} remote
+ * @returns {string[]} Keys of the remote versions that should replace ours
+ */
+export function wantedKeys(local, remote) {
+  const localByKey = new Map(local.map((version) => [version.key, version]));
+  return remote
+    .filter((version) => isNewer(version, localByKey.get(version.key)))
+    // A tombstone for a record we never had changes nothing.
+    .filter((version) => !version.deleted || localByKey.has(version.key))
+    .map((version) => version.key);
+}
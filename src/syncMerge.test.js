@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { compareClocks, mergeClocks, localEdit, isNewer, mergedVersion, wantedKeys, versionKey } from './syncMerge';
+
+const version = (id, clock, extra = {}) => ({ key: versionKey('outfits', id), store: 'outfits', id, clock, updatedAt: 0, by: '', deleted: false, ...extra });
+
+describe('compareClocks', () => {
+  it('orders clocks where one has seen everything the other has', () => {
+    expect(compareClocks({ a: 2, b: 1 }, { a: 1, b: 1 })).toBe('after');
+    expect(compareClocks({ a: 1 }, { a: 1, b: 1 })).toBe('before');
+    expect(compareClocks({ a: 1 }, { a: 1, b: 0 })).toBe('equal');
+  });
+
+  it('finds edits made on both devices', () => {
+    expect(compareClocks({ a: 2, b: 1 }, { a: 1, b: 2 })).toBe('concurrent');
+  });
+});
+
+describe('versions', () => {
+  it('counts each edit for the device that made it', () => {
+    const first = localEdit(null, { store: 'clothes', id: 'c1', deviceId: 'a', now: 10 });
+    const second = localEdit(first, { store: 'clothes', id: 'c1', deviceId: 'b', deleted: true, now: 20 });
+    expect(first).toEqual({ key: 'clothes/c1', store: 'clothes', id: 'c1', clock: { a: 1 }, updatedAt: 10, by: 'a', deleted: false });
+    expect(second).toMatchObject({ clock: { a: 1, b: 1 }, updatedAt: 20, by: 'b', deleted: true });
+  });
+
+  it('lets the later of two concurrent edits win, on both sides', () => {
+    const ours = version('o1', { a: 2, b: 1 }, { updatedAt: 100, by: 'a' });
+    const theirs = version('o1', { a: 1, b: 2 }, { updatedAt: 200, by: 'b' });
+    expect(isNewer(theirs, ours)).toBe(true);
+    expect(isNewer(ours, theirs)).toBe(false);
+  });
+
+  it('breaks ties between edits made at the same moment by device id', () => {
+    const ours = version('o1', { a: 1 }, { updatedAt: 100, by: 'a' });
+    const theirs = version('o1', { b: 1 }, { updatedAt: 100, by: 'b' });
+    expect(isNewer(theirs, ours)).toBe(true);
+    expect(isNewer(ours, theirs)).toBe(false);
+  });
+
+  it('keeps what both devices have seen after taking the other version', () => {
+    const merged = mergedVersion(version('o1', { a: 3, b: 1 }), version('o1', { a: 1, b: 2 }, { by: 'b' }));
+    expect(merged.clock).toEqual(mergeClocks({ a: 3, b: 1 }, { a: 1, b: 2 }));
+    expect(merged.clock).toEqual({ a: 3, b: 2 });
+    expect(merged.by).toBe('b');
+  });
+});
+
+describe('wantedKeys', () => {
+  it('asks only for records that are newer on the other side', () => {
+    const ours = [version('same', { a: 1 }), version('behind', { a: 1 }), version('ahead', { a: 2 })];
+    const theirs = [version('same', { a: 1 }), version('behind', { a: 1, b: 1 }), version('ahead', { a: 1 }), version('new', { b: 1 })];
+    expect(wantedKeys(ours, theirs)).toEqual(['outfits/behind', 'outfits/new']);
+  });
+
+  it('skips tombstones for records this device never had', () => {
+    const theirs = [version('gone', { b: 2 }, { deleted: true }), version('deleted', { a: 1, b: 1 }, { deleted: true })];
+    expect(wantedKeys([version('deleted', { a: 1 })], theirs)).toEqual(['outfits/deleted']);
+  });
+});
@@ -0,0 +1,129 @@
+// Recoverable deletion. Deleted items and outfits go to the trash together
+// with whatever their deletion changed, so restoring puts everything back.
+
+import { getMissingCategories } from './categories';
+import { sortOutfits, renumberOutfits } from './outfits';
+
+/** Trash entries older than this are deleted for good when the app loads. */
+export const TRASH_DAYS = 30;
+
+/**
+ * @typedef {Object} TrashEntry
+ * @property {string} id
+ * @property {'item' | 'outfit'} kind
+ * @property {number} deletedAt Timestamp
+ * @property {import('./App.jsx').ClothingItem} [item] For kind "item"
+ * @property {import('./App.jsx').Outfit[]} outfits Outfits removed with it
+ * @property {{ outfitId: string, category: string }[]} detached Outfits that only lost this item
+ */
+
+export const newTrashId = () => `trash-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Works out what deleting an item does to the outfits: outfits that would be
+ * missing a required piece are removed, the others just lose the item.
+ * @param {import('./App.jsx').Outfit[]} outfits
+ * @param {import('./categories').CategoryDefinition[]} categories
+ * @param {string} itemId
+ * @returns {{ outfits: import('./App.jsx').Outfit[], removed: import('./App.jsx').Outfit[], detached: { outfitId: string, category: string }[] }}
+ */
+export function planItemDeletion(outfits, categories, itemId) {
+  const removed = [];
+  const detached = [];
+  const next = [];
+  outfits.forEach((outfit) => {
+    const categoriesUsed = Object.keys(outfit.items).filter((category) => outfit.items[category] === itemId);
+    if (categoriesUsed.length === 0) {
+      next.push(outfit);
+      return;
+    }
+    const items = { ...outfit.items };
+    categoriesUsed.forEach((category) => { delete items[category]; });
+    if (getMissingCategories(categories, items).length > 0) {
+      removed.push(outfit);
+    } else {
+      next.push({ ...outfit, items });
+      categoriesUsed.forEach((category) => detached.push({ outfitId: outfit.id, category }));
+    }
+  });
+  return { outfits: next, removed, detached };
+}
+
+/**
+ * @param {import('./App.jsx').ClothingItem} item
+ * @param {ReturnType<typeof planItemDeletion>} plan
+ * @param {{ id?: string, deletedAt?: number }} [options] Fixed id and time, e.g. from a store action
+ * @returns {TrashEntry}
+ */
+export const trashItem = (item, plan, { id = newTrashId(), deletedAt = Date.now() } = {}) => ({
+  id,
+  kind: 'item',
+  deletedAt,
+  item,
+  outfits: plan.removed,
+  detached: plan.detached,
+});
+
+/**
+ * @param {import('./App.jsx').Outfit} outfit
+ * @param {{ id?: string, deletedAt?: number }} [options]
+ * @returns {TrashEntry}
+ */
+export const trashOutfit = (outfit, { id = newTrashId(), deletedAt = Date.now() } = {}) => ({
+  id,
+  kind: 'outfit',
+  deletedAt,
+  outfits: [outfit],
+  detached: [],
+});
+
+/**
+ * Puts a trash entry back. Outfits come back in their old position, without
+ * pieces deleted since; ones that would now miss a required piece stay gone.
+ * @param {TrashEntry} entry
+ * @param {{ clothes: import('./App.jsx').ClothingItem[], outfits: import('./App.jsx').Outfit[], categories: import('./categories').CategoryDefinition[] }} current
+ * @returns {{ clothes: import('./App.jsx').ClothingItem[], outfits: import('./App.jsx').Outfit[] }}
+ */
+export function restoreEntry(entry, { clothes, outfits, categories }) {
+  const nextClothes = entry.item ? [...clothes, entry.item] : clothes;
+  const itemIds = new Set(nextClothes.map((item) => item.id));
+
+  let nextOutfits = outfits.map((outfit) => {
+    const slots = entry.detached.filter(({ outfitId, category }) => outfitId === outfit.id && !outfit.items[category]);
+    if (slots.length === 0) return outfit;
+    const items = { ...outfit.items };
+    slots.forEach(({ category }) => { items[category] = entry.item.id; });
+    return { ...outfit, items };
+  });
+
+  const outfitIds = new Set(outfits.map((outfit) => outfit.id));
+  const returning = entry.outfits
+    .filter((outfit) => !outfitIds.has(outfit.id))
+    .map((outfit) => {
+      const items = {};
+      Object.entries(outfit.items).forEach(([category, itemId]) => {
+        if (itemIds.has(itemId)) items[category] = itemId;
+      });
+      return { ...outfit, items };
+    })
+    .filter((outfit) => Object.keys(outfit.items).length > 0 && getMissingCategories(categories, outfit.items).length === 0);
+  if (returning.length > 0) {
+    // Sorting by the saved `order` slots them back where they were.
+    nextOutfits = renumberOutfits(sortOutfits([...nextOutfits, ...returning]));
+  }
+
+  return { clothes: nextClothes, outfits: nextOutfits };
+}
+
+/**
+ * @param {TrashEntry[]} entries
+ * @param {number} [now]
+ * @returns {{ kept: TrashEntry[], expired: TrashEntry[] }}
+ */
+export function splitExpired(entries, now = Date.now()) {
+  const cutoff = now - TRASH_DAYS * 24 * 60 * 60 * 1000;
+  return {
+    kept: entries.filter((entry) => entry.deletedAt >= cutoff),
+    expired: entries.filter((entry) => entry.deletedAt < cutoff),
+  };
+}
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { planItemDeletion, trashItem, trashOutfit, restoreEntry, splitExpired, TRASH_DAYS } from './trash';
+import { DEFAULT_CATEGORIES } from './categories';
+
+const DAY = 24 * 60 * 60 * 1000;
+const item = (id, type) => ({ id, type });
+const outfit = (id, items, order) => ({ id, items, order });
+
+const CLOTHES = [item('t1', 'top'), item('t2', 'top'), item('b1', 'bottom'), item('s1', 'shoes')];
+const OUTFITS = [
+  outfit('o1', { top: 't1', bottom: 'b1' }, 0),
+  outfit('o2', { top: 't1', bottom: 'b1', shoes: 's1' }, 1),
+  outfit('o3', { top: 't2', bottom: 'b1', shoes: 's1' }, 2),
+];
+
+// Deletes an item the way the store does and returns what is left.
+const deleteItem = (itemId, { clothes = CLOTHES, outfits = OUTFITS } = {}) => {
+  const plan = planItemDeletion(outfits, DEFAULT_CATEGORIES, itemId);
+  return {
+    entry: trashItem(clothes.find((i) => i.id === itemId), plan, { id: 'trash-1', deletedAt: 0 }),
+    current: { clothes: clothes.filter((i) => i.id !== itemId), outfits: plan.outfits, categories: DEFAULT_CATEGORIES },
+  };
+};
+
+describe('planItemDeletion', () => {
+  it('removes outfits that would miss a required piece and detaches the rest', () => {
+    const plan = planItemDeletion(OUTFITS, DEFAULT_CATEGORIES, 's1');
+    expect(plan.removed).toEqual([]);
+    expect(plan.detached).toEqual([{ outfitId: 'o2', category: 'shoes' }, { outfitId: 'o3', category: 'shoes' }]);
+    expect(plan.outfits[1].items).toEqual({ top: 't1', bottom: 'b1' });
+
+    expect(planItemDeletion(OUTFITS, DEFAULT_CATEGORIES, 't1').removed.map((o) => o.id)).toEqual(['o1', 'o2']);
+  });
+});
+
+describe('restoreEntry', () => {
+  it('puts an item back into the outfits it left, in their old places', () => {
+    const { entry, current } = deleteItem('t1');
+    const restored = restoreEntry(entry, current);
+    expect(restored.clothes.map((i) => i.id)).toEqual(['t2', 'b1', 's1', 't1']);
+    expect(restored.outfits.map((o) => o.id)).toEqual(['o1', 'o2', 'o3']);
+    expect(restored.outfits.map((o) => o.order)).toEqual([0, 1, 2]);
+
+    const { entry: shoes, current: withoutShoes } = deleteItem('s1');
+    expect(restoreEntry(shoes, withoutShoes).outfits[2].items).toEqual({ top: 't2', bottom: 'b1', shoes: 's1' });
+  });
+
+  it('leaves out pieces deleted since, and outfits that can no longer be complete', () => {
+    const { entry, current } = deleteItem('t1');
+    const later = deleteItem('b1', current);
+    const restored = restoreEntry(entry, later.current);
+    expect(restored.clothes.map((i) => i.id)).toEqual(['t2', 's1', 't1']);
+    expect(restored.outfits).toEqual([]);
+  });
+
+  it('does not fill a slot that was filled again in the meantime', () => {
+    const { entry, current } = deleteItem('s1');
+    const outfits = current.outfits.map((o) => (o.id === 'o2' ? { ...o, items: { ...o.items, shoes: 's2' } } : o));
+    expect(restoreEntry(entry, { ...current, outfits }).outfits[1].items.shoes).toBe('s2');
+  });
+
+  it('brings back a deleted outfit', () => {
+    const entry = trashOutfit(OUTFITS[1], { id: 'trash-2', deletedAt: 0 });
+    const restored = restoreEntry(entry, { clothes: CLOTHES, outfits: [OUTFITS[0], OUTFITS[2]], categories: DEFAULT_CATEGORIES });
+    expect(restored.outfits.map((o) => o.id)).toEqual(['o1', 'o2', 'o3']);
+    expect(restored.clothes).toBe(CLOTHES);
+  });
+});
+
+describe('splitExpired', () => {
+  it(`expires entries after ${TRASH_DAYS} days`, () => {
+    const now = 100 * DAY;
+    const fresh = { id: 'a', deletedAt: now - TRASH_DAYS * DAY };
+    const old = { id: 'b', deletedAt: now - TRASH_DAYS * DAY - 1 };
+    expect(splitExpired([fresh, old], now)).toEqual({ kept: [fresh], expired: [old] });
+  });
+});
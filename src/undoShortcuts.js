@@ -0,0 +1,28 @@
+// Keyboard shortcuts for the undo history: Ctrl/Cmd+Z, and Ctrl/Cmd+Shift+Z
+// or Ctrl+Y to redo. Fields keep their own undo while the user types.
+
+import { useEffect, useRef } from 'react';
+
+/**
+ * @param {() => void} onUndo
+ * @param {() => void} onRedo
+ */
+export function useUndoShortcuts(onUndo, onRedo) {
+  const callbacks = useRef({ onUndo, onRedo });
+  useEffect(() => {
+    callbacks.current = { onUndo, onRedo };
+  }, [onUndo, onRedo]);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.target.closest?.('input, textarea, select, [contenteditable]')) return;
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) callbacks.current.onUndo();
+      else if ((key === 'z' && event.shiftKey) || key === 'y') callbacks.current.onRedo();
+      else return;
+      event.preventDefault();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+}
@@ -0,0 +1,27 @@
+import { describe, it, expect, vi } from 'vitest';
+import { renderHook, fireEvent } from '@testing-library/react';
+import { useUndoShortcuts } from './undoShortcuts';
+
+describe('useUndoShortcuts', () => {
+  it('undoes and redoes from the keyboard', () => {
+    const onUndo = vi.fn();
+    const onRedo = vi.fn();
+    renderHook(() => useUndoShortcuts(onUndo, onRedo));
+    fireEvent.keyDown(window, { key: 'z', ctrlKey: true });
+    expect(onUndo).toHaveBeenCalledTimes(1);
+    fireEvent.keyDown(window, { key: 'Z', metaKey: true, shiftKey: true });
+    fireEvent.keyDown(window, { key: 'y', ctrlKey: true });
+    expect(onRedo).toHaveBeenCalledTimes(2);
+    fireEvent.keyDown(window, { key: 'z' });
+    expect(onUndo).toHaveBeenCalledTimes(1);
+  });
+
+  it('leaves fields their own undo', () => {
+    const onUndo = vi.fn();
+    renderHook(() => useUndoShortcuts(onUndo, vi.fn()));
+    const input = document.body.appendChild(document.createElement('input'));
+    fireEvent.keyDown(input, { key: 'z', ctrlKey: true });
+    expect(onUndo).not.toHaveBeenCalled();
+    input.remove();
+  });
+});
@@ -0,0 +1,136 @@
+// Wardrobe records coming in from or going out to somewhere else: a backup
+// being imported, another device after a sync, or another profile on this one.
+
+import { loadWardrobe, releaseClothingItem, copyItemsToProfile, createSyncStore } from './storage';
+import { mergeBackup, hashBlob } from './backup';
+import { loadCategories, saveCategories } from './categories';
+import { withMetadataDefaults } from './itemMetadata';
+import { WEATHER_SOURCES } from './weather';
+import { syncWithPeer } from './peerSync';
+import { loadDeviceId } from './syncMerge';
+import { toImageFields, backfillItems } from './photoIntake';
+import { actions } from './wardrobeStore';
+
+/**
+ * @param {import('./categories').CategoryDefinition[]} categories
+ * @param {import('./categories').CategoryDefinition[]} wanted
+ * @returns {import('./categories').CategoryDefinition[] | null} `categories` plus the wanted ones it lacks, or null when it lacks none
+ */
+const withMissingCategories = (categories, wanted) => {
+  const missing = wanted.filter((cat) => !categories.some((c) => c.id === cat.id));
+  return missing.length > 0 ? [...categories, ...missing] : null;
+};
+
+/**
+ * The backup's settings that are safe to take over. A replacing import takes
+ * all the valid ones; a merging one keeps ours but adds the categories the
+ * backup's items need.
+ * @param {import('./backup').BackupSettings} settings
+ * @param {'merge' | 'replace'} mode
+ * @param {{ categories: import('./categories').CategoryDefinition[], accentColors: string[] }} current
+ * @returns {Partial<import('./backup').BackupSettings>}
+ */
+const importedSettings = (settings, mode, { categories, accentColors }) => {
+  if (mode === 'merge') {
+    const merged = withMissingCategories(categories, settings.categories || []);
+    return merged ? { categories: merged } : {};
+  }
+  const valid = {};
+  if (settings.theme === 'light' || settings.theme === 'dark') valid.theme = settings.theme;
+  if (accentColors.includes(settings.accentColor)) valid.accentColor = settings.accentColor;
+  if (settings.laundryAfter === null || Number.isInteger(settings.laundryAfter)) valid.laundryAfter = settings.laundryAfter || null;
+  if (WEATHER_SOURCES.some((source) => source.id === settings.weatherSource)) valid.weatherSource = settings.weatherSource;
+  if (Array.isArray(settings.categories) && settings.categories.length > 0) valid.categories = settings.categories;
+  return valid;
+};
+
+/**
+ * Adds a backup to the wardrobe, or replaces the wardrobe with it. Images
+ * are backfilled in the background once the items are in.
+ * @param {Object} params
+ * @param {import('./backup').BackupContents} params.backup
+ * @param {'merge' | 'replace'} params.mode
+ * @param {{ clothes: import('./App.jsx').ClothingItem[], outfits: import('./App.jsx').Outfit[], wearLog: import('./wearLog').WearLogEntry[] }} params.wardrobe What is there now
+ * @param {import('./categories').CategoryDefinition[]} params.categories
+ * @param {string[]} params.accentColors Ids of the accent colours on offer
+ * @param {(action: Object) => void} params.dispatch The wardrobe store's
+ * @returns {Promise<{ summary: { added: number, duplicates: number, outfits: number }, settings: Partial<import('./backup').BackupSettings> }>}
+ *   `settings` are the ones to apply
+ */
+export async function importWardrobe({ backup, mode, wardrobe, categories, accentColors, dispatch }) {
+  const current = mode === 'replace'
+    ? { clothes: [], outfits: [], wearLog: [] }
+    : {
+      clothes: await Promise.all(wardrobe.clothes.map(async (item) => ({ id: item.id, imageHash: item.imageHash || await hashBlob(item.blob) }))),
+      outfits: wardrobe.outfits,
+      wearLog: wardrobe.wearLog,
+    };
+  const merged = mergeBackup(current, backup);
+  const newItems = merged.clothes.map((item) => withMetadataDefaults({ ...item, ...toImageFields(item) }));
+
+  dispatch(actions.importBackup(mode, { clothes: newItems, outfits: merged.outfits, wearLog: merged.wearLog }));
+  if (mode === 'replace') wardrobe.clothes.forEach(releaseClothingItem);
+  backfillItems(newItems, dispatch);
+
+  return {
+    summary: { added: newItems.length, duplicates: merged.duplicates, outfits: merged.outfits.length },
+    settings: importedSettings(backup.settings, mode, { categories, accentColors }),
+  };
+}
+
+/**
+ * Reads the wardrobe again after another device changed it. Undo history
+ * refers to the old records, so it starts over; the classifier queue stays.
+ * @param {Object} params
+ * @param {string} params.profileId
+ * @param {import('./wardrobeStore').WardrobeState} params.wardrobe What is there now
+ * @param {ReturnType<typeof import('./persistence').createPersistence>} params.persistence
+ * @param {(action: Object) => void} params.dispatch
+ */
+export async function reloadWardrobe({ profileId, wardrobe, persistence, dispatch }) {
+  const stored = await loadWardrobe(profileId);
+  const load = actions.load(stored, wardrobe.pendingFiles);
+  wardrobe.clothes.forEach(releaseClothingItem);
+  wardrobe.trash.forEach((entry) => releaseClothingItem(entry.item));
+  load.expired.forEach((entry) => releaseClothingItem(entry.item));
+  persistence.reset({ ...load, trash: stored.trash });
+  dispatch(load);
+}
+
+/**
+ * Syncs this profile with another device over a connected channel.
+ * @param {Object} params
+ * @param {import('./peerSync').SyncChannel} params.channel
+ * @param {(progress: import('./peerSync').SyncProgress) => void} params.onProgress
+ * @param {string} params.profileId
+ * @param {ReturnType<typeof import('./persistence').createPersistence>} params.persistence
+ * @param {() => Promise<void>} params.reload Called when records came in
+ */
+export async function syncWithDevice({ channel, onProgress, profileId, persistence, reload }) {
+  // Edits still being written would be missing from what we offer.
+  await persistence.settled();
+  const result = await syncWithPeer({ channel, store: createSyncStore(profileId), deviceId: loadDeviceId(profileId), onProgress });
+  if (result.received > 0) await reload();
+  return result;
+}
+
+/**
+ * Copies items into another profile, or moves them there. The copies go
+ * straight into the other profile's database and show up when it is opened,
+ * along with any of our categories that profile doesn't have yet; nothing
+ * changes here if the copy fails.
+ * @param {Object} params
+ * @param {import('./App.jsx').ClothingItem[]} params.items
+ * @param {import('./profiles').Profile} params.target
+ * @param {boolean} params.move
+ * @param {import('./categories').CategoryDefinition[]} params.categories
+ * @param {(action: Object) => void} params.dispatch
+ */
+export async function transferItems({ items, target, move, categories, dispatch }) {
+  await copyItemsToProfile(items, target.id);
+  const used = categories.filter((cat) => items.some((item) => item.type === cat.id));
+  const targetCategories = withMissingCategories(loadCategories(target.id), used);
+  if (targetCategories) saveCategories(targetCategories, target.id);
+  if (move) dispatch(actions.moveItems(items.map((item) => item.id), categories, target.name));
+  else dispatch(actions.notify(`Copied ${items.length === 1 ? '1 item' : `${items.length} items`} to ${target.name}`));
+}
@@ -0,0 +1,96 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { importWardrobe, transferItems } from './wardrobeExchange';
+import { copyItemsToProfile } from './storage';
+import { DEFAULT_CATEGORIES, loadCategories, saveCategories } from './categories';
+
+vi.mock('./storage', async (importOriginal) => ({ ...await importOriginal(), copyItemsToProfile: vi.fn() }));
+
+const image = (text) => new Blob([text], { type: 'image/webp' });
+// Complete items, so nothing is left to backfill.
+const item = (id, hash, fields = {}) => ({ id, type: 'top', blob: image(id), thumbBlob: image(`${id}-thumb`), imageHash: hash, tags: [], createdAt: 1, colors: ['black'], ...fields });
+const SCARF = { id: 'scarf', name: 'Scarf', icon: 'layers', layer: 15, required: false, excludes: [] };
+
+const backup = (settings) => ({
+  exportedAt: '2024-05-01T00:00:00.000Z',
+  clothes: [item('a', 'hash-a'), item('b', 'hash-b')],
+  outfits: [],
+  wearLog: [],
+  settings,
+});
+
+describe('importWardrobe', () => {
+  it('skips images already in the wardrobe and keeps our settings', async () => {
+    const dispatch = vi.fn();
+    const { summary, settings } = await importWardrobe({
+      backup: backup({ theme: 'dark', categories: [...DEFAULT_CATEGORIES, SCARF] }),
+      mode: 'merge',
+      wardrobe: { clothes: [item('mine', 'hash-a', { image: 'blob:mine' })], outfits: [], wearLog: [] },
+      categories: DEFAULT_CATEGORIES,
+      accentColors: ['blue'],
+      dispatch,
+    });
+
+    expect(summary).toEqual({ added: 1, duplicates: 1, outfits: 0 });
+    expect(dispatch).toHaveBeenCalledTimes(1);
+    const [action] = dispatch.mock.calls[0];
+    expect(action).toMatchObject({ type: 'importBackup', mode: 'merge' });
+    expect(action.clothes.map((i) => i.id)).toEqual(['b']);
+    expect(action.clothes[0].image).toMatch(/^blob:/);
+    // Ours, plus the backup's that we don't have.
+    expect(settings).toEqual({ categories: [...DEFAULT_CATEGORIES, SCARF] });
+  });
+
+  it('takes over the valid settings when replacing', async () => {
+    const { summary, settings } = await importWardrobe({
+      backup: backup({ theme: 'dark', accentColor: 'teal', laundryAfter: 0, weatherSource: 'open-meteo', categories: [] }),
+      mode: 'replace',
+      wardrobe: { clothes: [item('mine', 'hash-a', { image: 'blob:mine' })], outfits: [], wearLog: [] },
+      categories: DEFAULT_CATEGORIES,
+      accentColors: ['blue'],
+      dispatch: vi.fn(),
+    });
+
+    expect(summary.added).toBe(2);
+    expect(settings).toEqual({ theme: 'dark', laundryAfter: null, weatherSource: 'open-meteo' });
+  });
+});
+
+describe('transferItems', () => {
+  const target = { id: 'p2', name: 'Sam' };
+
+  beforeEach(() => {
+    const values = new Map();
+    vi.stubGlobal('localStorage', {
+      getItem: (key) => values.get(key) ?? null,
+      setItem: (key, value) => values.set(key, String(value)),
+      removeItem: (key) => values.delete(key),
+      clear: () => values.clear(),
+    });
+    return () => vi.unstubAllGlobals();
+  });
+
+  it('copies, or moves once the copy is in', async () => {
+    const dispatch = vi.fn();
+    await transferItems({ items: [item('a', 'hash-a')], target, move: false, categories: DEFAULT_CATEGORIES, dispatch });
+    expect(copyItemsToProfile).toHaveBeenCalledWith([expect.objectContaining({ id: 'a' })], 'p2');
+    expect(dispatch).toHaveBeenCalledWith(expect.objectContaining({ type: 'notify', message: 'Copied 1 item to Sam' }));
+
+    await transferItems({ items: [item('a', 'hash-a')], target, move: true, categories: DEFAULT_CATEGORIES, dispatch });
+    expect(dispatch).toHaveBeenLastCalledWith(expect.objectContaining({ type: 'moveItems', ids: ['a'], profileName: 'Sam' }));
+  });
+
+  it('brings along the categories the other profile lacks', async () => {
+    saveCategories(DEFAULT_CATEGORIES, 'p2');
+    const items = [item('a', 'hash-a'), item('s', 'hash-s', { type: 'scarf' })];
+    await transferItems({ items, target, move: false, categories: [...DEFAULT_CATEGORIES, SCARF], dispatch: vi.fn() });
+    expect(loadCategories('p2')).toEqual([...DEFAULT_CATEGORIES, SCARF]);
+  });
+
+  it('changes nothing here when the copy fails', async () => {
+    copyItemsToProfile.mockRejectedValueOnce(new Error('QuotaExceededError'));
+    const dispatch = vi.fn();
+    await expect(transferItems({ items: [item('a', 'hash-a')], target, move: true, categories: DEFAULT_CATEGORIES, dispatch })).rejects.toThrow();
+    expect(dispatch).not.toHaveBeenCalled();
+  });
+});
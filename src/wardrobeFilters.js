@@ -0,0 +1,88 @@
+// Search, filter and sort logic for the wardrobe grid.
+
+import { normalizeTag, getItemStatus } from './itemMetadata';
+
+/**
+ * @typedef {Object} WardrobeFilters
+ * @property {string} category Category id, or "all"
+ * @property {string} query Matched against names, brands and tags
+ * @property {string[]} colors Items with any of these colours
+ * @property {string[]} seasons Items for any of these seasons
+ * @property {string[]} tags Items with all of these tags
+ * @property {string[]} statuses Items with any of these ids from ITEM_STATUSES
+ * @property {string} sort Id from SORT_OPTIONS
+ */
+
+/**
+ * @typedef {Object} WearStats
+ * @property {number} count
+ * @property {string | null} lastWorn Local date, YYYY-MM-DD
+ */
+
+/** @type {WardrobeFilters} */
+export const DEFAULT_WARDROBE_FILTERS = {
+  category: 'all',
+  query: '',
+  colors: [],
+  seasons: [],
+  tags: [],
+  statuses: [],
+  sort: 'added-desc',
+};
+
+const byAdded = (a, b) => (a.createdAt || 0) - (b.createdAt || 0);
+
+/** @type {{ id: string, name: string, compare: (a: Object, b: Object, stats: Map<string, WearStats>) => number }[]} */
+export const SORT_OPTIONS = [
+  { id: 'added-desc', name: 'Newest first', compare: (a, b) => byAdded(b, a) },
+  { id: 'added-asc', name: 'Oldest first', compare: byAdded },
+  { id: 'worn-desc', name: 'Most worn', compare: (a, b, stats) => (stats.get(b.id)?.count || 0) - (stats.get(a.id)?.count || 0) },
+  { id: 'worn-asc', name: 'Least worn', compare: (a, b, stats) => (stats.get(a.id)?.count || 0) - (stats.get(b.id)?.count || 0) },
+  // ISO dates compare correctly as strings; never-worn items count as oldest.
+  { id: 'last-worn-desc', name: 'Recently worn', compare: (a, b, stats) => (stats.get(b.id)?.lastWorn || '').localeCompare(stats.get(a.id)?.lastWorn || '') },
+  { id: 'last-worn-asc', name: 'Longest unworn', compare: (a, b, stats) => (stats.get(a.id)?.lastWorn || '').localeCompare(stats.get(b.id)?.lastWorn || '') },
+];
+
+/**
+ * @param {WardrobeFilters} filters
+ * @returns {boolean} Whether anything other than category and sort is set
+ */
+export const hasActiveFilters = (filters) =>
+  filters.query.trim() !== '' || filters.colors.length > 0 || filters.seasons.length > 0 || filters.tags.length > 0
+  || filters.statuses.length > 0;
+
+/**
+ * @param {import('./App.jsx').ClothingItem[]} clothes
+ * @returns {string[]} Every tag in use, alphabetically
+ */
+export function collectTags(clothes) {
+  const tags = new Set();
+  clothes.forEach((item) => item.tags?.forEach((tag) => tags.add(tag)));
+  return [...tags].sort();
+}
+
+/**
+ * @param {import('./App.jsx').ClothingItem[]} clothes
+ * @param {WardrobeFilters} filters
+ * @param {Map<string, WearStats>} [wearStats] Item id -> wear stats
+ * @returns {import('./App.jsx').ClothingItem[]} Matching items in the chosen order
+ */
+export function filterClothes(clothes, filters, wearStats = new Map()) {
+  const query = normalizeTag(filters.query);
+  const sort = SORT_OPTIONS.find((option) => option.id === filters.sort) || SORT_OPTIONS[0];
+
+  return clothes
+    .filter((item) => {
+      if (filters.category !== 'all' && item.type !== filters.category) return false;
+      if (query) {
+        const haystack = [item.name, item.brand, ...(item.tags || [])].join(' ').toLowerCase();
+        if (!haystack.includes(query)) return false;
+      }
+      if (filters.colors.length > 0 && !filters.colors.some((color) => item.colors?.includes(color))) return false;
+      if (filters.seasons.length > 0 && !filters.seasons.some((season) => item.seasons?.includes(season))) return false;
+      if (filters.tags.length > 0 && !filters.tags.every((tag) => item.tags?.includes(tag))) return false;
+      if (filters.statuses.length > 0 && !filters.statuses.includes(getItemStatus(item).id)) return false;
+      return true;
+    })
+    .sort((a, b) => sort.compare(a, b, wearStats) || byAdded(b, a));
+}
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { filterClothes, collectTags, hasActiveFilters, DEFAULT_WARDROBE_FILTERS } from './wardrobeFilters';
+
+const item = (id, fields = {}) => ({ id, type: 'top', name: '', brand: '', tags: [], colors: null, seasons: [], createdAt: 1, ...fields });
+
+const CLOTHES = [
+  item('linen', { name: 'Linen shirt', brand: 'Acme', tags: ['work', 'summer sale'], colors: ['white'], seasons: ['summer'], createdAt: 3 }),
+  item('jeans', { type: 'bottom', name: 'Jeans', tags: ['work'], colors: ['navy', 'blue'], seasons: ['spring', 'autumn'], createdAt: 2, status: 'laundry' }),
+  item('parka', { type: 'jacket', name: 'Parka', brand: 'North', colors: ['green'], seasons: ['winter'], createdAt: 1 }),
+];
+
+const ids = (filters, stats) => filterClothes(CLOTHES, { ...DEFAULT_WARDROBE_FILTERS, ...filters }, stats).map((i) => i.id);
+
+describe('filterClothes', () => {
+  it('shows everything newest first by default', () => {
+    expect(ids({})).toEqual(['linen', 'jeans', 'parka']);
+  });
+
+  it('searches names, brands and tags', () => {
+    expect(ids({ query: 'north' })).toEqual(['parka']);
+    expect(ids({ query: '  Summer   Sale ' })).toEqual(['linen']);
+    expect(ids({ query: 'jeans' })).toEqual(['jeans']);
+  });
+
+  it('narrows by category, colour, season, tag and status', () => {
+    expect(ids({ category: 'bottom' })).toEqual(['jeans']);
+    expect(ids({ colors: ['green', 'white'] })).toEqual(['linen', 'parka']);
+    expect(ids({ seasons: ['autumn'] })).toEqual(['jeans']);
+    expect(ids({ tags: ['work', 'summer sale'] })).toEqual(['linen']);
+    expect(ids({ statuses: ['available'] })).toEqual(['linen', 'parka']);
+    expect(ids({ tags: ['work'], statuses: ['laundry'] })).toEqual(['jeans']);
+  });
+
+  it('sorts by wears, newest first among equals', () => {
+    const stats = new Map([['parka', { count: 4, lastWorn: '2024-01-10' }], ['jeans', { count: 1, lastWorn: '2024-03-01' }]]);
+    expect(ids({ sort: 'worn-desc' }, stats)).toEqual(['parka', 'jeans', 'linen']);
+    expect(ids({ sort: 'worn-asc' }, stats)).toEqual(['linen', 'jeans', 'parka']);
+    expect(ids({ sort: 'last-worn-desc' }, stats)).toEqual(['jeans', 'parka', 'linen']);
+    expect(ids({ sort: 'last-worn-asc' }, stats)).toEqual(['linen', 'parka', 'jeans']);
+    expect(ids({ sort: 'added-asc' })).toEqual(['parka', 'jeans', 'linen']);
+    expect(ids({ sort: 'unknown' })).toEqual(['linen', 'jeans', 'parka']);
+  });
+});
+
+describe('collectTags', () => {
+  it('lists each tag once, alphabetically', () => {
+    expect(collectTags(CLOTHES)).toEqual(['summer sale', 'work']);
+  });
+});
+
+describe('hasActiveFilters', () => {
+  it('ignores category and sort', () => {
+    expect(hasActiveFilters({ ...DEFAULT_WARDROBE_FILTERS, category: 'top', sort: 'worn-asc', query: ' ' })).toBe(false);
+    expect(hasActiveFilters({ ...DEFAULT_WARDROBE_FILTERS, statuses: ['lent'] })).toBe(true);
+  });
+});
@@ -0,0 +1,94 @@
+// Figures for the stats screen: what the wardrobe holds and how much of it
+// actually gets worn. Wear counts come from the wear log (computeWearStats in
+// wearLog.js). Archived items are left out; they have already been dealt with.
+
+import { getCategory } from './categories';
+
+/** How many items the most and least worn lists show. */
+export const TOP_ITEMS = 5;
+
+/**
+ * @typedef {Object} ItemWear
+ * @property {import('./App.jsx').ClothingItem} item
+ * @property {number} count Times worn
+ * @property {string | null} lastWorn Local date, YYYY-MM-DD
+ */
+
+/**
+ * @typedef {Object} ItemCost
+ * @property {import('./App.jsx').ClothingItem} item
+ * @property {number} price
+ * @property {number} count Times worn
+ * @property {number | null} costPerWear Null until it has been worn
+ */
+
+/**
+ * @typedef {Object} WardrobeStats
+ * @property {number} itemCount Items counted (archived ones aren't)
+ * @property {number} archivedCount
+ * @property {{ category: import('./categories').CategoryDefinition, type: string, count: number }[]} categoryCounts In category order, unknown types last
+ * @property {ItemWear[]} mostWorn
+ * @property {ItemWear[]} leastWorn Worn at least once, and not already among the most worn
+ * @property {import('./App.jsx').ClothingItem[]} neverWorn Oldest first
+ * @property {import('./App.jsx').ClothingItem[]} notInOutfits Not part of any saved outfit
+ * @property {{ color: string, count: number }[]} colors Items per palette colour, most common first
+ * @property {number} uncoloredCount Items without colours yet
+ * @property {{ items: ItemCost[], totalSpent: number, costPerWear: number | null }} cost Items with a purchase price, most expensive per wear first
+ */
+
+const byMostWorn = (a, b) => b.count - a.count || (b.lastWorn || '').localeCompare(a.lastWorn || '');
+const byLeastWorn = (a, b) => a.count - b.count || (a.lastWorn || '').localeCompare(b.lastWorn || '');
+
+/**
+ * @param {{ clothes: import('./App.jsx').ClothingItem[], outfits: import('./App.jsx').Outfit[], wearStats: Map<string, import('./wardrobeFilters').WearStats>, categories: import('./categories').CategoryDefinition[] }} wardrobe
+ *   `categories` in display order
+ * @returns {WardrobeStats}
+ */
+export function computeWardrobeStats({ clothes, outfits, wearStats, categories }) {
+  const items = clothes.filter((item) => item.status !== 'archived');
+  const wear = items.map((item) => ({ item, count: wearStats.get(item.id)?.count || 0, lastWorn: wearStats.get(item.id)?.lastWorn || null }));
+
+  const countsByType = new Map();
+  items.forEach((item) => countsByType.set(item.type, (countsByType.get(item.type) || 0) + 1));
+  const order = new Map(categories.map((category, i) => [category.id, i]));
+  const categoryCounts = [...countsByType.entries()]
+    .map(([type, count]) => ({ category: getCategory(categories, type), type, count }))
+    .sort((a, b) => (order.get(a.type) ?? order.size) - (order.get(b.type) ?? order.size));
+
+  const worn = wear.filter(({ count }) => count > 0);
+  const mostWorn = [...worn].sort(byMostWorn).slice(0, TOP_ITEMS);
+  const leastWorn = worn.filter((entry) => !mostWorn.includes(entry)).sort(byLeastWorn).slice(0, TOP_ITEMS);
+
+  const inOutfits = new Set(outfits.flatMap((outfit) => Object.values(outfit.items)));
+
+  const colorCounts = new Map();
+  items.forEach((item) => (item.colors || []).forEach((color) => colorCounts.set(color, (colorCounts.get(color) || 0) + 1)));
+
+  const priced = wear.filter(({ item }) => Number.isFinite(item.purchasePrice));
+  const totalSpent = priced.reduce((sum, { item }) => sum + item.purchasePrice, 0);
+  const pricedWears = priced.reduce((sum, { count }) => sum + count, 0);
+  const costs = priced.map(({ item, count }) => ({
+    item,
+    price: item.purchasePrice,
+    count,
+    costPerWear: count > 0 ? item.purchasePrice / count : null,
+  }));
+
+  return {
+    itemCount: items.length,
+    archivedCount: clothes.length - items.length,
+    categoryCounts,
+    mostWorn,
+    leastWorn,
+    neverWorn: wear.filter(({ count }) => count === 0).map(({ item }) => item).sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0)),
+    notInOutfits: items.filter((item) => !inOutfits.has(item.id)),
+    colors: [...colorCounts.entries()].map(([color, count]) => ({ color, count })).sort((a, b) => b.count - a.count),
+    uncoloredCount: items.filter((item) => !item.colors?.length).length,
+    cost: {
+      // Not worn yet goes last: there is no cost per wear to compare.
+      items: costs.sort((a, b) => (b.costPerWear ?? -1) - (a.costPerWear ?? -1)),
+      totalSpent,
+      costPerWear: pricedWears > 0 ? totalSpent / pricedWears : null,
+    },
+  };
+}
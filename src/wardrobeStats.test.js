@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { computeWardrobeStats } from './wardrobeStats';
+import { DEFAULT_CATEGORIES, sortByLayer } from './categories';
+
+const CATEGORIES = sortByLayer(DEFAULT_CATEGORIES);
+
+const item = (id, type, fields = {}) => ({ id, type, image: `blob:${id}`, createdAt: 1, colors: null, purchasePrice: null, ...fields });
+const worn = (entries) => new Map(Object.entries(entries).map(([id, [count, lastWorn]]) => [id, { count, lastWorn }]));
+
+const stats = (wardrobe) => computeWardrobeStats({ outfits: [], wearStats: new Map(), categories: CATEGORIES, ...wardrobe });
+
+describe('computeWardrobeStats', () => {
+  it('counts items per category in category order', () => {
+    const { categoryCounts, itemCount } = stats({ clothes: [item('b1', 'bottom'), item('t1', 'top'), item('b2', 'bottom'), item('x', 'cape')] });
+    expect(itemCount).toBe(4);
+    expect(categoryCounts.map(({ type, count }) => [type, count])).toEqual([['top', 1], ['bottom', 2], ['cape', 1]]);
+    expect(categoryCounts[0].category.name).toBe('Top');
+    expect(categoryCounts[2].category.name).toBe('Cape');
+  });
+
+  it('ranks items by wears', () => {
+    const clothes = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'].map((id) => item(id, 'top'));
+    const { mostWorn, leastWorn, neverWorn } = stats({
+      clothes,
+      wearStats: worn({ a: [9, '2026-10-01'], b: [7, '2026-10-02'], c: [7, '2026-10-05'], d: [5, '2026-09-01'], e: [3, '2026-08-01'], f: [1, '2026-07-01'], g: [1, '2026-06-01'] }),
+    });
+    expect(mostWorn.map(({ item: { id } }) => id)).toEqual(['a', 'c', 'b', 'd', 'e']);
+    expect(mostWorn[1]).toMatchObject({ count: 7, lastWorn: '2026-10-05' });
+    expect(leastWorn.map(({ item: { id } }) => id)).toEqual(['g', 'f']);
+    expect(neverWorn.map(({ id }) => id)).toEqual(['h']);
+  });
+
+  it('lists items that never made it into an outfit, oldest unworn first', () => {
+    const clothes = [item('t1', 'top', { createdAt: 30 }), item('t2', 'top', { createdAt: 10 }), item('b1', 'bottom', { createdAt: 20 })];
+    const result = stats({ clothes, outfits: [{ id: 'o1', items: { top: 't1', bottom: 'b1' } }] });
+    expect(result.notInOutfits.map(({ id }) => id)).toEqual(['t2']);
+    expect(result.neverWorn.map(({ id }) => id)).toEqual(['t2', 'b1', 't1']);
+  });
+
+  it('counts colors per item', () => {
+    const { colors, uncoloredCount } = stats({
+      clothes: [item('a', 'top', { colors: ['black', 'white'] }), item('b', 'top', { colors: ['black'] }), item('c', 'top', { colors: [] }), item('d', 'top')],
+    });
+    expect(colors).toEqual([{ color: 'black', count: 2 }, { color: 'white', count: 1 }]);
+    expect(uncoloredCount).toBe(2);
+  });
+
+  it('works out the cost per wear of items with a price', () => {
+    const { cost } = stats({
+      clothes: [item('a', 'top', { purchasePrice: 40 }), item('b', 'top', { purchasePrice: 100 }), item('c', 'top', { purchasePrice: 20 }), item('d', 'top')],
+      wearStats: worn({ a: [4, '2026-10-01'], b: [2, '2026-10-01'], d: [10, '2026-10-01'] }),
+    });
+    expect(cost.items.map(({ item: { id }, costPerWear }) => [id, costPerWear])).toEqual([['b', 50], ['a', 10], ['c', null]]);
+    expect(cost.totalSpent).toBe(160);
+    expect(cost.costPerWear).toBeCloseTo(160 / 6);
+  });
+
+  it('leaves archived items out', () => {
+    const result = stats({ clothes: [item('a', 'top', { status: 'archived' }), item('b', 'top')] });
+    expect(result.itemCount).toBe(1);
+    expect(result.archivedCount).toBe(1);
+    expect(result.neverWorn.map(({ id }) => id)).toEqual(['b']);
+  });
+});
@@ -0,0 +1,688 @@
+// The wardrobe's data and every change to it, as a reducer: clothes, outfits,
+// the wear log, the trash, the photos waiting to be classified, the outfit
+// being put together in the creator, and the undo history over them.
+//
+// The reducer is pure and knows nothing about React or IndexedDB. Anything
+// that isn't (new ids, the current time) is filled in by the action creators
+// in `actions`, and side effects like releasing object URLs stay with the
+// caller. Saving is done by persistence.js, which watches the state.
+
+import { EMPTY_HISTORY, diffRecords, applyChanges, pushEntry, undoEntry, redoEntry, withoutRecords } from './history';
+import { planItemDeletion, trashItem, trashOutfit, restoreEntry, splitExpired, newTrashId } from './trash';
+import { withOutfitDefaults, sortOutfits, renumberOutfits, outfitTitle } from './outfits';
+import { normalizeOutfit, getCategory, getExcludedCategories, getMissingCategories } from './categories';
+import { withMetadataDefaults, displayName, getItemStatus, isWearable, ITEM_STATUSES } from './itemMetadata';
+import { createWearEntry } from './wearLog';
+import { shuffleOutfit, recentCombinations } from './outfitShuffle';
+import { resolveLayout } from './outfitLayout';
+import { todayKey } from './dates';
+
+/**
+ * A photo in the classifier queue: the image fields of a ClothingItem plus
+ * what the category suggestion found.
+ * @typedef {Object} PendingFile
+ * @property {string} id
+ * @property {Object | null} [features]
+ * @property {{ category: string, confidence: number, source?: 'camera' } | null} [suggestion]
+ * @property {Object} [original] The uploaded photo behind a cut-out
+ */
+
+/**
+ * What the outfit creator shows. Not part of the undo history.
+ * @typedef {Object} CreatorState
+ * @property {Record<string, number>} partIndexes Position in each category's clothes (see categorizeClothes)
+ * @property {Record<string, true>} lockedParts Categories the shuffle leaves alone
+ * @property {string | null} editingOutfitId Saved outfit being changed
+ * @property {{ name: string, occasion: string }} details
+ * @property {import('./outfitLayout').OutfitLayout | null} layout Where the pieces sit on the arrange canvas, null while stacked
+ * @property {string | null} notice What the last shuffle had to give up
+ */
+
+/** @type {CreatorState} */
+export const EMPTY_CREATOR = {
+  partIndexes: {},
+  lockedParts: {},
+  editingOutfitId: null,
+  details: { name: '', occasion: '' },
+  layout: null,
+  notice: null,
+};
+
+/**
+ * @typedef {Object} WardrobeState
+ * @property {boolean} isLoaded
+ * @property {import('./App.jsx').ClothingItem[]} clothes
+ * @property {import('./App.jsx').Outfit[]} outfits In the user's order
+ * @property {import('./wearLog').WearLogEntry[]} wearLog
+ * @property {import('./trash').TrashEntry[]} trash
+ * @property {PendingFile[]} pendingFiles
+ * @property {CreatorState} creator
+ * @property {import('./history').History} history
+ * @property {{ id: number, message: string, action: 'undo' | 'redo' | null } | null} toast Offer to undo (or redo) the last step, or just say what happened
+ */
+
+/** @type {WardrobeState} */
+export const INITIAL_WARDROBE = {
+  isLoaded: false,
+  clothes: [],
+  outfits: [],
+  wearLog: [],
+  trash: [],
+  pendingFiles: [],
+  creator: EMPTY_CREATOR,
+  history: EMPTY_HISTORY,
+  toast: null,
+};
+
+// --- SELECTORS ---
+
+/**
+ * @param {number} len
+ * @param {number} current
+ * @param {number} delta
+ * @returns {number} `current` moved by `delta`, wrapping around
+ */
+export const nextIndex = (len, current, delta) => {
+  if (len <= 0) return 0;
+  const safeCurrent = Number.isFinite(current) ? current : 0;
+  return (safeCurrent + delta + len) % len;
+};
+
+/**
+ * Clothes per category for the creator. Optional categories start with a
+ * "none" entry so they can be left empty.
+ * @param {import('./App.jsx').ClothingItem[]} clothes
+ * @param {import('./categories').CategoryDefinition[]} sortedCategories
+ * @returns {Record<string, Array<import('./App.jsx').ClothingItem | { id: string, image: string, type: string, none: true }>>}
+ */
+export function categorizeClothes(clothes, sortedCategories) {
+  const result = {};
+  sortedCategories.forEach((cat) => {
+    result[cat.id] = cat.required ? [] : [{ id: `none-${cat.id}`, image: '', type: cat.id, none: true }];
+  });
+  clothes.forEach((item) => {
+    if (result[item.type]) result[item.type].push(item);
+  });
+  return result;
+}
+
+/**
+ * Category id -> item id for what the creator shows at `partIndexes`,
+ * without categories that a selected item replaces.
+ * @param {import('./categories').CategoryDefinition[]} sortedCategories
+ * @param {ReturnType<typeof categorizeClothes>} categorizedClothes
+ * @param {Record<string, number>} partIndexes
+ * @returns {Record<string, string>}
+ */
+export function selectCreatorItems(sortedCategories, categorizedClothes, partIndexes) {
+  const items = {};
+  sortedCategories.forEach((cat) => {
+    const item = categorizedClothes[cat.id][partIndexes[cat.id] ?? 0];
+    if (item && !item.none) items[cat.id] = item.id;
+  });
+  getExcludedCategories(sortedCategories, items).forEach((id) => { delete items[id]; });
+  return items;
+}
+
+/**
+ * Creator positions that show the given items; the inverse of selectCreatorItems.
+ * @param {import('./categories').CategoryDefinition[]} sortedCategories
+ * @param {ReturnType<typeof categorizeClothes>} categorizedClothes
+ * @param {Record<string, string>} items
+ * @returns {Record<string, number>}
+ */
+export function indexesForItems(sortedCategories, categorizedClothes, items) {
+  const indexes = {};
+  sortedCategories.forEach((cat) => {
+    indexes[cat.id] = Math.max(0, categorizedClothes[cat.id].findIndex((item) => item.id === items[cat.id]));
+  });
+  return indexes;
+}
+
+const SHUFFLE_RULE_NAMES = { colors: 'matching colors', recent: 'skipping recent outfits' };
+
+/**
+ * Creator positions for a random outfit (see outfitShuffle.js). Locked
+ * categories keep what they show now, including "none".
+ * @param {Object} params
+ * @param {import('./categories').CategoryDefinition[]} params.sortedCategories
+ * @param {ReturnType<typeof categorizeClothes>} params.categorizedClothes
+ * @param {Record<string, number>} params.partIndexes What the creator shows now
+ * @param {Record<string, true>} params.lockedParts
+ * @param {import('./outfitShuffle').ShuffleOptions} params.options
+ * @param {import('./wearLog').WearLogEntry[]} params.wearLog
+ * @param {() => number} [params.random]
+ * @returns {{ partIndexes: Record<string, number> | null, notice: string | null }}
+ *   No positions when no complete outfit can be made; `notice` says why, or which rules had to go
+ */
+export function shuffleCreator({ sortedCategories, categorizedClothes, partIndexes, lockedParts, options, wearLog, random }) {
+  const selection = selectCreatorItems(sortedCategories, categorizedClothes, partIndexes);
+  const excluded = getExcludedCategories(sortedCategories, selection);
+  const locked = {};
+  Object.keys(lockedParts).forEach((cat) => {
+    if (categorizedClothes[cat] && !excluded.has(cat)) locked[cat] = selection[cat] ?? null;
+  });
+  const clothesByCategory = {};
+  sortedCategories.forEach((cat) => { clothesByCategory[cat.id] = categorizedClothes[cat.id].filter((item) => !item.none); });
+
+  const result = shuffleOutfit({ categories: sortedCategories, clothesByCategory, locked, options, recent: recentCombinations(wearLog), random });
+  if (!result) return { partIndexes: null, notice: "There aren't enough wearable items for a complete outfit." };
+
+  const next = { ...partIndexes };
+  sortedCategories.forEach((cat) => {
+    if (cat.id in locked) return;
+    // Categories left empty fall back to index 0: "none", or hidden by a replacing item.
+    next[cat.id] = Math.max(0, categorizedClothes[cat.id].findIndex((item) => item.id === result.items[cat.id]));
+  });
+  const ruleNames = { ...SHUFFLE_RULE_NAMES, season: options.season };
+  return {
+    partIndexes: next,
+    notice: result.relaxed.length > 0 ? `Nothing fit every rule, so this ignores ${result.relaxed.map((rule) => ruleNames[rule]).join(' and ')}.` : null,
+  };
+}
+
+/**
+ * @param {import('./categories').CategoryDefinition[]} categories
+ * @param {Record<string, string>} items
+ * @returns {boolean} Whether the items can be saved as an outfit
+ */
+export const isCompleteOutfit = (categories, items) => (
+  Object.keys(items).length > 0 && getMissingCategories(categories, items).length === 0
+);
+
+/**
+ * The outfit the carousel moves on to when one is deleted: the next one, or
+ * the previous one at the end.
+ * @param {import('./App.jsx').Outfit[]} outfits
+ * @param {string} id
+ * @returns {import('./App.jsx').Outfit | undefined}
+ */
+export const neighbourOutfit = (outfits, id) => {
+  const index = outfits.findIndex((outfit) => outfit.id === id);
+  return index < 0 ? undefined : outfits[index + 1] || outfits[index - 1];
+};
+
+// --- CREATOR ---
+
+/**
+ * The creator showing `items`, with everything but the locks from `fields`.
+ * @param {WardrobeState} state
+ * @param {import('./categories').CategoryDefinition[]} sortedCategories
+ * @param {Record<string, string>} items
+ * @param {Partial<CreatorState>} fields
+ * @returns {CreatorState}
+ */
+const showInCreator = (state, sortedCategories, items, fields) => ({
+  ...EMPTY_CREATOR,
+  lockedParts: state.creator.lockedParts,
+  ...fields,
+  partIndexes: indexesForItems(sortedCategories, categorizeClothes(state.clothes, sortedCategories), items),
+});
+
+// --- HISTORY ---
+
+/**
+ * Applies a history entry's changes. Pending files come back to the front of
+ * the queue and outfits back to their place in the user's order.
+ * @param {WardrobeState} state
+ * @param {import('./history').HistoryEntry} entry
+ * @param {'undo' | 'redo'} direction
+ */
+const applyEntry = (state, entry, direction) => {
+  const next = { ...state };
+  Object.entries(entry.changes).forEach(([collection, changes]) => {
+    const updated = applyChanges(state[collection], changes, direction, { prepend: collection === 'pendingFiles' });
+    next[collection] = collection === 'outfits' ? sortOutfits(updated) : updated;
+  });
+  return next;
+};
+
+/**
+ * Makes `next` one undoable step and offers to undo it.
+ * @param {WardrobeState} state
+ * @param {string} label e.g. "Saved outfit"
+ * @param {Partial<Pick<WardrobeState, 'clothes' | 'outfits' | 'trash' | 'pendingFiles'>>} next New versions of the lists the action changes
+ * @param {{ now: number, undoView?: string }} options
+ * @returns {WardrobeState}
+ */
+const commit = (state, label, next, { now, undoView }) => {
+  const changes = {};
+  Object.entries(next).forEach(([collection, records]) => {
+    const diff = diffRecords(state[collection], records);
+    if (diff.length > 0) changes[collection] = diff;
+  });
+  const entry = undoView ? { label, changes, undoView } : { label, changes };
+  return { ...state, ...next, history: pushEntry(state.history, entry), toast: { id: now, message: label, action: 'undo' } };
+};
+
+// --- AVAILABILITY ---
+
+/**
+ * Going to the laundry restarts an item's wear count.
+ * @param {import('./App.jsx').ClothingItem} item
+ * @param {string} status Id from ITEM_STATUSES
+ */
+const withStatus = (item, status) => (status === 'laundry' ? { ...item, status, wearsSinceWash: 0 } : { ...item, status });
+
+/**
+ * @param {WardrobeState} state
+ * @param {string[]} ids
+ * @param {string} status
+ * @param {(count: string) => string} label Toast for e.g. "3 items"
+ * @param {number} now
+ */
+const setStatus = (state, ids, status, label, now) => {
+  const changing = new Set(ids.filter((id) => state.clothes.some((item) => item.id === id && getItemStatus(item).id !== status)));
+  if (changing.size === 0) return state;
+  return commit(state, label(changing.size === 1 ? '1 item' : `${changing.size} items`), {
+    clothes: state.clothes.map((item) => (changing.has(item.id) ? withStatus(item, status) : item)),
+  }, { now });
+};
+
+/**
+ * Counts a logged wear on the entry's pieces, or takes it back with `delta`
+ * -1. Pieces that reach `laundryAfter` wears go to the laundry.
+ * @param {import('./App.jsx').ClothingItem[]} clothes
+ * @param {import('./wearLog').WearLogEntry} entry
+ * @param {1 | -1} delta
+ * @param {number | null} [laundryAfter] Off when null
+ */
+const countWear = (clothes, entry, delta, laundryAfter) => {
+  if (entry.status !== 'worn') return clothes;
+  const worn = new Set(Object.values(entry.items));
+  return clothes.map((item) => {
+    if (!worn.has(item.id)) return item;
+    const wearsSinceWash = Math.max(0, (item.wearsSinceWash || 0) + delta);
+    if (delta > 0 && laundryAfter && wearsSinceWash >= laundryAfter && isWearable(item)) return withStatus(item, 'laundry');
+    return { ...item, wearsSinceWash };
+  });
+};
+
+// --- REDUCER ---
+
+/**
+ * @param {WardrobeState} state
+ * @param {{ type: string } & Object} action One of the shapes built by `actions`
+ * @returns {WardrobeState}
+ */
+export function wardrobeReducer(state, action) {
+  switch (action.type) {
+    case 'load':
+      return {
+        ...INITIAL_WARDROBE,
+        isLoaded: true,
+        clothes: action.clothes,
+        outfits: action.outfits,
+        wearLog: action.wearLog,
+        trash: action.trash,
+        pendingFiles: action.pendingFiles,
+        // Reloading after a sync leaves the creator as it was.
+        creator: state.creator,
+      };
+
+    case 'addPendingFile':
+      return { ...state, pendingFiles: [...state.pendingFiles, action.file] };
+
+    case 'replacePendingFile':
+      return { ...state, pendingFiles: state.pendingFiles.map((file) => (file.id === action.file.id ? action.file : file)) };
+
+    case 'classify': {
+      const files = new Map(state.pendingFiles.map((file) => [file.id, file]));
+      const entries = action.entries.filter(({ fileId }) => files.has(fileId));
+      if (entries.length === 0) return state;
+      // The uploaded photo behind a cut-out (`original`) stays in the history,
+      // since undoing puts the file back in the queue.
+      const newItems = entries.map(({ fileId, itemId, category }) => {
+        const { original: _original, features: _features, suggestion: _suggestion, ...image } = files.get(fileId);
+        return withMetadataDefaults({ ...image, id: itemId, type: category, createdAt: action.now });
+      });
+      const classified = new Set(entries.map(({ fileId }) => fileId));
+      return commit(state, newItems.length === 1 ? 'Added 1 item' : `Added ${newItems.length} items`, {
+        clothes: [...state.clothes, ...newItems],
+        pendingFiles: state.pendingFiles.filter((file) => !classified.has(file.id)),
+      }, { now: action.now, undoView: 'classifier' });
+    }
+
+    case 'updateItem':
+      return {
+        ...state,
+        clothes: state.clothes.map((item) => {
+          if (item.id !== action.id) return item;
+          const { status, ...changes } = action.changes;
+          return status && status !== getItemStatus(item).id ? withStatus({ ...item, ...changes }, status) : { ...item, ...changes };
+        }),
+      };
+
+    case 'setItemStatus': {
+      const { phrase } = ITEM_STATUSES.find((status) => status.id === action.status);
+      return setStatus(state, action.ids, action.status, (count) => `${count} ${phrase}`, action.now);
+    }
+
+    case 'returnFromLaundry': {
+      const ids = state.clothes.filter((item) => item.status === 'laundry').map((item) => item.id);
+      return setStatus(state, ids, 'available', (count) => `${count} back from the laundry`, action.now);
+    }
+
+    // Colours found in the background don't overwrite ones the user picked meanwhile.
+    case 'setDetectedColors':
+      return { ...state, clothes: state.clothes.map((item) => (item.id === action.id && item.colors === null ? { ...item, colors: action.colors } : item)) };
+
+    // Outfits that lose a required piece go to the trash with the item;
+    // untouched ones are kept even if they predate a category that is now required.
+    case 'deleteItem': {
+      const item = state.clothes.find((i) => i.id === action.id);
+      if (!item) return state;
+      const plan = planItemDeletion(state.outfits, action.categories, action.id);
+      const name = displayName(item, getCategory(action.categories, item.type));
+      return commit(state, action.donated ? `Donated ${name}` : `Moved ${name} to the trash`, {
+        clothes: state.clothes.filter((i) => i.id !== action.id),
+        outfits: plan.outfits,
+        trash: [...state.trash, trashItem(item, plan, { id: action.trashId, deletedAt: action.now })],
+      }, { now: action.now });
+    }
+
+    // Items moved to another profile go to the trash here, like deleted ones,
+    // so the move can be undone; the copies stay in the other profile.
+    case 'moveItems': {
+      const items = state.clothes.filter((item) => action.ids.includes(item.id));
+      if (items.length === 0) return state;
+      let { outfits } = state;
+      const entries = items.map((item, i) => {
+        const plan = planItemDeletion(outfits, action.categories, item.id);
+        outfits = plan.outfits;
+        return trashItem(item, plan, { id: action.trashIds[i], deletedAt: action.now });
+      });
+      const moved = new Set(items.map((item) => item.id));
+      return commit(state, `Moved ${items.length === 1 ? '1 item' : `${items.length} items`} to ${action.profileName}`, {
+        clothes: state.clothes.filter((item) => !moved.has(item.id)),
+        outfits,
+        trash: [...state.trash, ...entries],
+      }, { now: action.now });
+    }
+
+    // Saves over the outfit with the same id, or adds a new one at the end.
+    // The creator starts over once its outfit is saved.
+    case 'saveOutfit': {
+      const { outfit } = action;
+      const next = state.outfits.some((o) => o.id === outfit.id)
+        ? commit(state, 'Saved changes to outfit', {
+          outfits: state.outfits.map((o) => (o.id === outfit.id ? { ...o, ...outfit } : o)),
+        }, { now: action.now })
+        : commit(state, 'Saved outfit', {
+          outfits: renumberOutfits([...state.outfits, { favorite: false, ...outfit }]),
+        }, { now: action.now });
+      return action.fromCreator ? { ...next, creator: { ...EMPTY_CREATOR, lockedParts: state.creator.lockedParts } } : next;
+    }
+
+    case 'editOutfit': {
+      const outfit = state.outfits.find((o) => o.id === action.id);
+      if (!outfit) return state;
+      return {
+        ...state,
+        creator: showInCreator(state, action.sortedCategories, outfit.items, {
+          editingOutfitId: outfit.id,
+          details: { name: outfit.name, occasion: outfit.occasion },
+          layout: outfit.layout || null,
+        }),
+      };
+    }
+
+    // The creator as it was saved before an update reload.
+    case 'restoreCreator': {
+      const { items, ...fields } = action.draft;
+      return { ...state, creator: showInCreator(state, action.sortedCategories, items, { ...fields, layout: fields.layout || null }) };
+    }
+
+    case 'updateCreator':
+      return { ...state, creator: { ...state.creator, ...action.changes } };
+
+    // Locks stay, as the user's choice for the next outfit too.
+    case 'resetCreator':
+      return { ...state, creator: { ...EMPTY_CREATOR, lockedParts: state.creator.lockedParts } };
+
+    // The copy goes right after the original.
+    case 'duplicateOutfit': {
+      const index = state.outfits.findIndex((outfit) => outfit.id === action.id);
+      if (index < 0) return state;
+      const original = state.outfits[index];
+      const copy = { ...original, id: action.copyId, name: original.name ? `${original.name} (copy)` : '', favorite: false };
+      return commit(state, 'Duplicated outfit', {
+        outfits: renumberOutfits([...state.outfits.slice(0, index + 1), copy, ...state.outfits.slice(index + 1)]),
+      }, { now: action.now });
+    }
+
+    case 'toggleFavorite':
+      return { ...state, outfits: state.outfits.map((outfit) => (outfit.id === action.id ? { ...outfit, favorite: !outfit.favorite } : outfit)) };
+
+    case 'reorderOutfits':
+      return { ...state, outfits: renumberOutfits(action.outfits) };
+
+    case 'deleteOutfit': {
+      const index = state.outfits.findIndex((o) => o.id === action.id);
+      if (index < 0) return state;
+      const outfit = state.outfits[index];
+      return commit(state, `Moved ${outfitTitle(outfit, index)} to the trash`, {
+        outfits: state.outfits.filter((o) => o.id !== action.id),
+        trash: [...state.trash, trashOutfit(outfit, { id: action.trashId, deletedAt: action.now })],
+      }, { now: action.now });
+    }
+
+    case 'restoreFromTrash': {
+      const entry = state.trash.find((e) => e.id === action.id);
+      if (!entry) return state;
+      const restored = restoreEntry(entry, { clothes: state.clothes, outfits: state.outfits, categories: action.categories });
+      return commit(state, 'Restored from the trash', { ...restored, trash: state.trash.filter((e) => e.id !== action.id) }, { now: action.now });
+    }
+
+    // Permanent, so history entries that could bring the released images back
+    // go too: the trash entries' own, and any that changed what they hold.
+    case 'deleteForever': {
+      const ids = new Set(action.ids);
+      const purged = new Set();
+      state.trash.filter((entry) => ids.has(entry.id)).forEach((entry) => {
+        purged.add(entry.id);
+        if (entry.item) purged.add(entry.item.id);
+        entry.outfits.forEach((outfit) => purged.add(outfit.id));
+      });
+      const history = withoutRecords(state.history, purged);
+      const isLatestKept = history.past[history.past.length - 1] === state.history.past[state.history.past.length - 1];
+      return { ...state, trash: state.trash.filter((entry) => !ids.has(entry.id)), history, toast: isLatestKept ? state.toast : null };
+    }
+
+    // Replacing starts over, and undoing past it would bring back released images.
+    case 'importBackup':
+      if (action.mode === 'replace') {
+        return {
+          ...state,
+          clothes: action.clothes,
+          outfits: renumberOutfits(sortOutfits(action.outfits.map(withOutfitDefaults))),
+          wearLog: action.wearLog,
+          creator: { ...state.creator, partIndexes: {} },
+          history: EMPTY_HISTORY,
+          toast: null,
+        };
+      }
+      return {
+        ...state,
+        clothes: [...state.clothes, ...action.clothes],
+        outfits: renumberOutfits([...state.outfits, ...sortOutfits(action.outfits.map(withOutfitDefaults))]),
+        wearLog: [...state.wearLog, ...action.wearLog],
+      };
+
+    // Wears count towards sending the pieces to the laundry; see countWear.
+    case 'addWearEntry':
+      return {
+        ...state,
+        wearLog: [...state.wearLog, action.entry],
+        clothes: countWear(state.clothes, action.entry, 1, action.laundryAfter),
+      };
+
+    case 'removeWearEntry': {
+      const removed = state.wearLog.find((entry) => entry.id === action.id);
+      if (!removed) return state;
+      return {
+        ...state,
+        wearLog: state.wearLog.filter((entry) => entry !== removed),
+        clothes: countWear(state.clothes, removed, -1),
+      };
+    }
+
+    case 'markWorn': {
+      const planned = state.wearLog.find((entry) => entry.id === action.id);
+      if (!planned || planned.status === 'worn') return state;
+      const worn = { ...planned, status: 'worn' };
+      return {
+        ...state,
+        wearLog: state.wearLog.map((entry) => (entry === planned ? worn : entry)),
+        clothes: countWear(state.clothes, worn, 1, action.laundryAfter),
+      };
+    }
+
+    // Today's "worn" entry for an outfit: removed if there is one, a plan for
+    // today becomes worn, otherwise `action.entry` is added.
+    case 'toggleWornToday': {
+      const { entry, laundryAfter } = action;
+      const existing = state.wearLog.find((e) => e.date === entry.date && e.outfitId === entry.outfitId);
+      if (existing?.status === 'worn') return wardrobeReducer(state, { type: 'removeWearEntry', id: existing.id });
+      if (existing) return wardrobeReducer(state, { type: 'markWorn', id: existing.id, laundryAfter });
+      return wardrobeReducer(state, { type: 'addWearEntry', entry, laundryAfter });
+    }
+
+    case 'undo': {
+      const entry = state.history.past[state.history.past.length - 1];
+      if (!entry) return state;
+      return {
+        ...applyEntry(state, entry, 'undo'),
+        history: undoEntry(state.history),
+        toast: { id: action.now, message: `Undone: ${entry.label}`, action: 'redo' },
+      };
+    }
+
+    case 'redo': {
+      const entry = state.history.future[0];
+      if (!entry) return state;
+      return {
+        ...applyEntry(state, entry, 'redo'),
+        history: redoEntry(state.history),
+        toast: { id: action.now, message: entry.label, action: 'undo' },
+      };
+    }
+
+    case 'dismissToast':
+      return state.toast ? { ...state, toast: null } : state;
+
+    case 'notify':
+      return { ...state, toast: { id: action.now, message: action.message, action: null } };
+
+    default:
+      throw new Error(`Unknown wardrobe action "${action.type}"`);
+  }
+}
+
+// --- ACTIONS ---
+
+/**
+ * Builds the actions the reducer understands, adding ids and timestamps.
+ */
+export const actions = {
+  /**
+   * Data read from storage, from older versions too. Trash past its 30 days
+   * is left out and returned as `expired`, for the caller to release.
+   * @param {{ clothes: Object[], outfits: Object[], wearLog: Object[], trash: Object[] }} wardrobe As read from storage
+   * @param {PendingFile[]} [pendingFiles] Queue saved before an update reload
+   */
+  load: ({ clothes, outfits, wearLog, trash }, pendingFiles = []) => {
+    const { kept, expired } = splitExpired(trash);
+    return {
+      type: 'load',
+      clothes: clothes.map(withMetadataDefaults),
+      outfits: sortOutfits(outfits.map(normalizeOutfit).map(withOutfitDefaults)),
+      wearLog,
+      trash: kept,
+      expired,
+      pendingFiles,
+    };
+  },
+  addPendingFile: (file) => ({ type: 'addPendingFile', file }),
+  replacePendingFile: (file) => ({ type: 'replacePendingFile', file }),
+  /** @param {{ fileId: string, category: string }[]} entries Each becomes an item with the `itemId` added here */
+  classify: (entries) => {
+    const now = Date.now();
+    return { type: 'classify', entries: entries.map((entry, i) => ({ ...entry, itemId: `cloth-${now}-${i}` })), now };
+  },
+  updateItem: (id, changes) => ({ type: 'updateItem', id, changes }),
+  /** @param {string} status Id from ITEM_STATUSES */
+  setItemStatus: (ids, status) => ({ type: 'setItemStatus', ids, status, now: Date.now() }),
+  /** Makes everything in the laundry available again. */
+  returnFromLaundry: () => ({ type: 'returnFromLaundry', now: Date.now() }),
+  setDetectedColors: (id, colors) => ({ type: 'setDetectedColors', id, colors }),
+  /** `donated` only changes the toast; donated items go to the trash like deleted ones. */
+  deleteItem: (id, categories, { donated = false } = {}) => ({ type: 'deleteItem', id, categories, donated, trashId: newTrashId(), now: Date.now() }),
+  moveItems: (ids, categories, profileName) => ({ type: 'moveItems', ids, categories, profileName, trashIds: ids.map(() => newTrashId()), now: Date.now() }),
+  /** @param {{ id?: string, name: string, occasion: string, items: Record<string, string>, layout?: import('./outfitLayout').OutfitLayout | null }} outfit Without an id it is saved as a new outfit */
+  saveOutfit: ({ id, ...outfit }) => {
+    const now = Date.now();
+    return { type: 'saveOutfit', outfit: { id: id || `outfit-${now}`, ...outfit }, now };
+  },
+  /**
+   * Saves what the creator shows: back over the outfit being edited, or as a
+   * new one at the end of the list. An incomplete outfit only gets a toast
+   * saying what it lacks.
+   * @param {WardrobeState} state
+   * @param {import('./categories').CategoryDefinition[]} sortedCategories
+   * @param {{ asCopy?: boolean }} [options] Save an edited outfit as a new one
+   */
+  saveCreatorOutfit: ({ clothes, outfits, creator }, sortedCategories, { asCopy = false } = {}) => {
+    const items = selectCreatorItems(sortedCategories, categorizeClothes(clothes, sortedCategories), creator.partIndexes);
+    if (!isCompleteOutfit(sortedCategories, items)) {
+      const missing = getMissingCategories(sortedCategories, items).map((cat) => cat.name);
+      return actions.notify(missing.length > 0 ? `An outfit needs ${missing.join(', ')} before it can be saved.` : 'Pick at least one piece first.');
+    }
+    const isEditing = !asCopy && outfits.some((outfit) => outfit.id === creator.editingOutfitId);
+    const action = actions.saveOutfit({
+      id: isEditing ? creator.editingOutfitId : undefined,
+      name: creator.details.name.trim(),
+      occasion: creator.details.occasion.trim(),
+      items,
+      // Only the pieces in the outfit keep a place.
+      layout: creator.layout && resolveLayout(creator.layout, sortedCategories.map((cat) => cat.id).filter((id) => items[id])),
+    });
+    return { ...action, fromCreator: true };
+  },
+  /** Opens a saved outfit in the creator with its pieces selected. */
+  editOutfit: (id, sortedCategories) => ({ type: 'editOutfit', id, sortedCategories }),
+  /** @param {Omit<CreatorState, 'partIndexes' | 'notice'> & { items: Record<string, string> }} draft */
+  restoreCreator: (draft, sortedCategories) => ({ type: 'restoreCreator', draft, sortedCategories }),
+  /** @param {Partial<CreatorState>} changes */
+  updateCreator: (changes) => ({ type: 'updateCreator', changes }),
+  resetCreator: () => ({ type: 'resetCreator' }),
+  duplicateOutfit: (id) => {
+    const now = Date.now();
+    return { type: 'duplicateOutfit', id, copyId: `outfit-${now}`, now };
+  },
+  toggleFavorite: (id) => ({ type: 'toggleFavorite', id }),
+  reorderOutfits: (outfits) => ({ type: 'reorderOutfits', outfits }),
+  deleteOutfit: (id) => ({ type: 'deleteOutfit', id, trashId: newTrashId(), now: Date.now() }),
+  restoreFromTrash: (id, categories) => ({ type: 'restoreFromTrash', id, categories, now: Date.now() }),
+  deleteForever: (ids) => ({ type: 'deleteForever', ids }),
+  /** @param {'merge' | 'replace'} mode */
+  importBackup: (mode, { clothes, outfits, wearLog }) => ({ type: 'importBackup', mode, clothes, outfits, wearLog }),
+  /**
+   * Logs an outfit as worn on a day up to today, or plans it for a later one.
+   * @param {import('./App.jsx').Outfit} outfit
+   * @param {string} date YYYY-MM-DD
+   * @param {number | null} [laundryAfter] Wears after which pieces go to the laundry, null for never
+   */
+  addWearEntry: (outfit, date, laundryAfter = null) => ({
+    type: 'addWearEntry',
+    entry: createWearEntry(outfit, date, date > todayKey() ? 'planned' : 'worn'),
+    laundryAfter,
+  }),
+  removeWearEntry: (id) => ({ type: 'removeWearEntry', id }),
+  markWorn: (id, laundryAfter = null) => ({ type: 'markWorn', id, laundryAfter }),
+  toggleWornToday: (outfit, laundryAfter = null) => ({ type: 'toggleWornToday', entry: createWearEntry(outfit, todayKey(), 'worn'), laundryAfter }),
+  undo: () => ({ type: 'undo', now: Date.now() }),
+  redo: () => ({ type: 'redo', now: Date.now() }),
+  dismissToast: () => ({ type: 'dismissToast' }),
+  notify: (message) => ({ type: 'notify', message, now: Date.now() }),
+};
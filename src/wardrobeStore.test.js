@@ -0,0 +1,397 @@
+import { describe, it, expect } from 'vitest';
+import { wardrobeReducer, actions, INITIAL_WARDROBE, EMPTY_CREATOR, categorizeClothes, selectCreatorItems, indexesForItems, isCompleteOutfit, nextIndex, shuffleCreator, neighbourOutfit } from './wardrobeStore';
+import { DEFAULT_CATEGORIES, CATEGORY_PRESETS, sortByLayer } from './categories';
+import { todayKey, addDays } from './dates';
+import { getItemStatus } from './itemMetadata';
+
+const DAY = 24 * 60 * 60 * 1000;
+const CATEGORIES = sortByLayer([...DEFAULT_CATEGORIES, CATEGORY_PRESETS.find((cat) => cat.id === 'dress')]);
+
+const item = (id, type, fields = {}) => ({ id, type, image: `blob:${id}`, thumb: '', tags: [], createdAt: 1, colors: ['black'], ...fields });
+const outfit = (id, items, order, fields = {}) => ({ id, items, order, name: '', occasion: '', favorite: false, ...fields });
+
+const loaded = (wardrobe = {}, pendingFiles = []) => wardrobeReducer(INITIAL_WARDROBE, actions.load({
+  clothes: [], outfits: [], wearLog: [], trash: [], ...wardrobe,
+}, pendingFiles));
+
+const reduce = (state, ...steps) => steps.reduce(wardrobeReducer, state);
+
+describe('load', () => {
+  it('fills in defaults for data from older versions', () => {
+    const state = loaded({
+      clothes: [{ id: 'cloth-1700000000000', type: 'top', image: '' }],
+      outfits: [{ id: 'o2', top: 'a', bottom: 'b' }],
+    });
+    expect(state.isLoaded).toBe(true);
+    expect(state.clothes[0]).toMatchObject({ tags: [], colors: null, createdAt: 1700000000000 });
+    expect(state.outfits[0]).toMatchObject({ items: { top: 'a', bottom: 'b' }, order: 0, favorite: false });
+  });
+
+  it('puts outfits in their saved order', () => {
+    const state = loaded({ outfits: [outfit('b', {}, 1), outfit('a', {}, 0)] });
+    expect(state.outfits.map((o) => o.id)).toEqual(['a', 'b']);
+  });
+
+  it('leaves out trash older than 30 days and reports it', () => {
+    const now = Date.now();
+    const fresh = { id: 't1', kind: 'outfit', deletedAt: now - DAY, outfits: [], detached: [] };
+    const old = { id: 't2', kind: 'outfit', deletedAt: now - 31 * DAY, outfits: [], detached: [] };
+    const action = actions.load({ clothes: [], outfits: [], wearLog: [], trash: [fresh, old] });
+    expect(action.expired).toEqual([old]);
+    expect(wardrobeReducer(INITIAL_WARDROBE, action).trash).toEqual([fresh]);
+  });
+
+  it('restores the classifier queue', () => {
+    expect(loaded({}, [{ id: 'p1' }]).pendingFiles).toEqual([{ id: 'p1' }]);
+  });
+});
+
+describe('classify', () => {
+  const photo = { id: 'p1', image: 'blob:p1', blob: 'b', features: {}, suggestion: { category: 'top', confidence: 0.8 }, original: { image: 'blob:orig' } };
+
+  it('turns pending photos into items and can be undone', () => {
+    const state = reduce(loaded({}, [photo, { id: 'p2' }]), actions.classify([{ fileId: 'p1', category: 'bottom' }]));
+    expect(state.pendingFiles.map((f) => f.id)).toEqual(['p2']);
+    expect(state.clothes).toHaveLength(1);
+    expect(state.clothes[0]).toMatchObject({ type: 'bottom', image: 'blob:p1', colors: null });
+    expect(state.clothes[0]).not.toHaveProperty('original');
+    expect(state.clothes[0]).not.toHaveProperty('suggestion');
+    expect(state.toast).toMatchObject({ message: 'Added 1 item', action: 'undo' });
+
+    const undone = reduce(state, actions.undo());
+    expect(undone.clothes).toEqual([]);
+    expect(undone.pendingFiles.map((f) => f.id)).toEqual(['p1', 'p2']);
+    expect(undone.pendingFiles[0].original).toEqual(photo.original);
+    expect(undone.toast.message).toBe('Undone: Added 1 item');
+  });
+
+  it('ignores photos that are no longer queued', () => {
+    const state = loaded({}, [photo]);
+    expect(reduce(state, actions.classify([{ fileId: 'gone', category: 'top' }]))).toBe(state);
+  });
+});
+
+describe('items', () => {
+  it('keeps colours the user picked over detected ones', () => {
+    const state = loaded({ clothes: [item('a', 'top', { colors: null }), item('b', 'top', { colors: ['red'] })] });
+    const next = reduce(state, actions.setDetectedColors('a', ['blue']), actions.setDetectedColors('b', ['blue']));
+    expect(next.clothes.map((i) => i.colors)).toEqual([['blue'], ['red']]);
+  });
+
+  it('moves an item to the trash with the outfits that need it', () => {
+    const state = loaded({
+      clothes: [item('t', 'top'), item('b', 'bottom'), item('h', 'hat')],
+      outfits: [outfit('o1', { top: 't', bottom: 'b' }, 0), outfit('o2', { top: 't', bottom: 'b', hat: 'h' }, 1)],
+    });
+
+    const withoutHat = reduce(state, actions.deleteItem('h', CATEGORIES));
+    expect(withoutHat.outfits.map((o) => o.items)).toEqual([{ top: 't', bottom: 'b' }, { top: 't', bottom: 'b' }]);
+    expect(withoutHat.trash[0]).toMatchObject({ kind: 'item', item: { id: 'h' }, outfits: [] });
+
+    const withoutTop = reduce(state, actions.deleteItem('t', CATEGORIES));
+    expect(withoutTop.outfits).toEqual([]);
+    expect(withoutTop.trash[0].outfits.map((o) => o.id)).toEqual(['o1', 'o2']);
+    expect(withoutTop.toast.message).toBe('Moved Top to the trash');
+
+    const donated = reduce(state, actions.deleteItem('h', CATEGORIES, { donated: true }));
+    expect(donated.trash[0]).toMatchObject({ kind: 'item', item: { id: 'h' } });
+    expect(donated.toast.message).toBe('Donated Hat');
+  });
+
+  it('restores an item and the outfits deleted with it', () => {
+    const state = loaded({
+      clothes: [item('t', 'top'), item('b', 'bottom')],
+      outfits: [outfit('o1', { top: 't', bottom: 'b' }, 0)],
+    });
+    const deleted = reduce(state, actions.deleteItem('t', CATEGORIES));
+    const restored = reduce(deleted, actions.restoreFromTrash(deleted.trash[0].id, CATEGORIES));
+    expect(restored.trash).toEqual([]);
+    expect(restored.clothes.map((i) => i.id)).toEqual(['b', 't']);
+    expect(restored.outfits.map((o) => o.id)).toEqual(['o1']);
+  });
+
+  it('forgets only the history of what was deleted for good', () => {
+    const state = loaded({
+      clothes: [item('t', 'top'), item('b', 'bottom')],
+      outfits: [outfit('o1', { top: 't' }, 0), outfit('o2', { top: 't', bottom: 'b' }, 1)],
+    });
+    const washing = reduce(state, actions.setItemStatus(['b'], 'laundry'));
+    const edited = reduce(washing, actions.saveOutfit({ id: 'o1', name: 'Gym', occasion: '', items: { top: 't' } }));
+    const trashed = reduce(edited, actions.deleteOutfit('o1'));
+    const emptied = reduce(trashed, actions.deleteForever([trashed.trash[0].id]));
+    expect(emptied.trash).toEqual([]);
+    // Editing and deleting o1 can't be undone; the laundry still can.
+    expect(emptied.history.past).toEqual(washing.history.past);
+    expect(emptied.toast).toBeNull();
+    const undone = reduce(emptied, actions.undo());
+    expect(getItemStatus(undone.clothes.find((i) => i.id === 'b')).id).not.toBe('laundry');
+    expect(undone.outfits.map((o) => o.id)).toEqual(['o2']);
+  });
+
+  it('moves items to another profile through the trash', () => {
+    const state = loaded({
+      clothes: [item('t', 'top'), item('b', 'bottom'), item('h', 'hat')],
+      outfits: [outfit('o1', { top: 't', bottom: 'b', hat: 'h' }, 0)],
+    });
+    const moved = reduce(state, actions.moveItems(['t', 'h'], CATEGORIES, 'Sam'));
+    expect(moved.clothes.map((i) => i.id)).toEqual(['b']);
+    expect(moved.outfits).toEqual([]);
+    expect(moved.trash.map((entry) => entry.item.id)).toEqual(['t', 'h']);
+    expect(moved.toast.message).toBe('Moved 2 items to Sam');
+
+    const undone = reduce(moved, actions.undo());
+    expect(undone.clothes.map((i) => i.id)).toEqual(['b', 't', 'h']);
+    expect(undone.outfits[0].items).toEqual({ top: 't', bottom: 'b', hat: 'h' });
+  });
+
+  it('says what happened without offering to undo it', () => {
+    expect(reduce(loaded(), actions.notify('Copied 1 item to Sam')).toast).toMatchObject({ message: 'Copied 1 item to Sam', action: null });
+  });
+});
+
+describe('outfits', () => {
+  const state = loaded({ outfits: [outfit('o1', { top: 't', bottom: 'b' }, 0, { name: 'Work' }), outfit('o2', { top: 't' }, 1)] });
+
+  it('adds new outfits at the end', () => {
+    const action = actions.saveOutfit({ name: 'New', occasion: '', items: { top: 'x', bottom: 'y' } });
+    const next = reduce(state, action);
+    expect(next.outfits.map((o) => o.id)).toEqual(['o1', 'o2', action.outfit.id]);
+    expect(next.outfits[2]).toMatchObject({ name: 'New', order: 2, favorite: false });
+    expect(next.toast.message).toBe('Saved outfit');
+  });
+
+  it('saves over an existing outfit with the same id', () => {
+    const next = reduce(state, actions.saveOutfit({ id: 'o1', name: 'Office', occasion: 'Work', items: { top: 'x', bottom: 'y' } }));
+    expect(next.outfits).toHaveLength(2);
+    expect(next.outfits[0]).toMatchObject({ id: 'o1', name: 'Office', items: { top: 'x', bottom: 'y' }, order: 0 });
+    expect(next.toast.message).toBe('Saved changes to outfit');
+  });
+
+  it('puts a copy right after the original', () => {
+    const action = actions.duplicateOutfit('o1');
+    const next = reduce(state, action);
+    expect(next.outfits.map((o) => o.id)).toEqual(['o1', action.copyId, 'o2']);
+    expect(next.outfits.map((o) => o.order)).toEqual([0, 1, 2]);
+    expect(next.outfits[1].name).toBe('Work (copy)');
+  });
+
+  it('renumbers outfits after reordering', () => {
+    const next = reduce(state, actions.reorderOutfits([state.outfits[1], state.outfits[0]]));
+    expect(next.outfits.map((o) => [o.id, o.order])).toEqual([['o2', 0], ['o1', 1]]);
+  });
+
+  it('brings a deleted outfit back to its place on undo and forward on redo', () => {
+    const deleted = reduce(state, actions.deleteOutfit('o1'));
+    expect(deleted.outfits.map((o) => o.id)).toEqual(['o2']);
+    expect(deleted.toast.message).toBe('Moved Work to the trash');
+
+    const undone = reduce(deleted, actions.undo());
+    expect(undone.outfits.map((o) => o.id)).toEqual(['o1', 'o2']);
+    expect(undone.trash).toEqual([]);
+
+    const redone = reduce(undone, actions.redo());
+    expect(redone.outfits.map((o) => o.id)).toEqual(['o2']);
+    expect(redone.history.future).toEqual([]);
+  });
+
+  it('does nothing when there is nothing to undo or redo', () => {
+    expect(reduce(state, actions.undo())).toBe(state);
+    expect(reduce(state, actions.redo())).toBe(state);
+  });
+});
+
+describe('wear log', () => {
+  const worn = outfit('o1', { top: 't' }, 0);
+
+  it('plans outfits for later days and logs earlier ones as worn', () => {
+    const next = reduce(loaded(), actions.addWearEntry(worn, addDays(todayKey(), 1)), actions.addWearEntry(worn, addDays(todayKey(), -1)));
+    expect(next.wearLog.map((entry) => entry.status)).toEqual(['planned', 'worn']);
+  });
+
+  it('toggles today between worn and not worn, and marks a plan for today as worn', () => {
+    const wornToday = reduce(loaded(), actions.toggleWornToday(worn));
+    expect(wornToday.wearLog).toMatchObject([{ outfitId: 'o1', date: todayKey(), status: 'worn' }]);
+    expect(reduce(wornToday, actions.toggleWornToday(worn)).wearLog).toEqual([]);
+
+    const planned = loaded({ wearLog: [{ id: 'w1', date: todayKey(), outfitId: 'o1', items: {}, status: 'planned' }] });
+    expect(reduce(planned, actions.toggleWornToday(worn)).wearLog).toMatchObject([{ id: 'w1', status: 'worn' }]);
+  });
+});
+
+describe('availability', () => {
+  const state = loaded({ clothes: [item('t', 'top'), item('b', 'bottom', { status: 'lent' }), item('s', 'shoes', { status: 'laundry' })] });
+
+  it('sets the status of several items as one undoable step', () => {
+    const next = reduce(state, actions.setItemStatus(['t', 'b', 's'], 'laundry'));
+    expect(next.clothes.map((i) => i.status)).toEqual(['laundry', 'laundry', 'laundry']);
+    // Only the items that changed count.
+    expect(next.toast.message).toBe('2 items in the laundry');
+    expect(reduce(next, actions.undo()).clothes.map((i) => i.status)).toEqual([undefined, 'lent', 'laundry']);
+  });
+
+  it('brings everything back from the laundry', () => {
+    const next = reduce(state, actions.returnFromLaundry());
+    expect(next.clothes.map((i) => i.status)).toEqual([undefined, 'lent', 'available']);
+    expect(next.toast.message).toBe('1 item back from the laundry');
+  });
+
+  it('does nothing when no status changes', () => {
+    expect(reduce(state, actions.setItemStatus(['t'], 'available'))).toBe(state);
+  });
+
+  it('restarts the wear count when an item goes to the laundry', () => {
+    const worn = loaded({ clothes: [item('t', 'top', { wearsSinceWash: 2 })] });
+    expect(reduce(worn, actions.updateItem('t', { name: 'Tee', status: 'laundry' })).clothes[0]).toMatchObject({ name: 'Tee', status: 'laundry', wearsSinceWash: 0 });
+  });
+
+  it('counts wears and sends pieces to the laundry after the limit', () => {
+    const today = todayKey();
+    const start = loaded({ clothes: [item('t', 'top'), item('b', 'bottom', { wearsSinceWash: 1 })] });
+    const look = outfit('o1', { top: 't', bottom: 'b' }, 0);
+
+    const once = reduce(start, actions.addWearEntry(look, addDays(today, -1), 2));
+    expect(once.clothes.map((i) => [i.wearsSinceWash, i.status])).toEqual([[1, undefined], [0, 'laundry']]);
+
+    // Without a limit wears are only counted.
+    const counted = reduce(start, actions.toggleWornToday(look));
+    expect(counted.clothes.map((i) => [i.wearsSinceWash, i.status])).toEqual([[1, undefined], [2, undefined]]);
+    expect(reduce(counted, actions.toggleWornToday(look)).clothes.map((i) => i.wearsSinceWash)).toEqual([0, 1]);
+  });
+
+  it('counts a plan once it is marked worn', () => {
+    const planned = loaded({
+      clothes: [item('t', 'top')],
+      wearLog: [{ id: 'w1', date: todayKey(), outfitId: 'o1', items: { top: 't' }, status: 'planned' }],
+    });
+    expect(reduce(planned, actions.markWorn('w1', 1)).clothes[0]).toMatchObject({ status: 'laundry', wearsSinceWash: 0 });
+    expect(reduce(planned, actions.removeWearEntry('w1')).clothes).toBe(planned.clothes);
+  });
+});
+
+describe('importBackup', () => {
+  const state = reduce(
+    loaded({ clothes: [item('a', 'top')], outfits: [outfit('o1', { top: 'a' }, 0)] }),
+    actions.deleteOutfit('o1'),
+  );
+
+  it('adds to the wardrobe when merging', () => {
+    const next = reduce(state, actions.importBackup('merge', { clothes: [item('b', 'top')], outfits: [outfit('o9', { top: 'b' }, 0)], wearLog: [] }));
+    expect(next.clothes.map((i) => i.id)).toEqual(['a', 'b']);
+    expect(next.outfits.map((o) => [o.id, o.order])).toEqual([['o9', 0]]);
+    expect(next.history.past).toHaveLength(1);
+  });
+
+  it('starts over without undo history when replacing', () => {
+    const next = reduce(state, actions.importBackup('replace', { clothes: [item('b', 'top')], outfits: [], wearLog: [] }));
+    expect(next.clothes.map((i) => i.id)).toEqual(['b']);
+    expect(next.history.past).toEqual([]);
+    expect(next.toast).toBeNull();
+  });
+});
+
+it('rejects unknown actions', () => {
+  expect(() => wardrobeReducer(INITIAL_WARDROBE, { type: 'nope' })).toThrow('Unknown wardrobe action "nope"');
+});
+
+describe('creator selectors', () => {
+  const clothes = [item('t', 'top'), item('b', 'bottom'), item('d', 'dress'), item('s', 'shoes')];
+  const categorized = categorizeClothes(clothes, CATEGORIES);
+
+  it('starts optional categories with "none"', () => {
+    expect(categorized.hat.map((i) => i.id)).toEqual(['none-hat']);
+    expect(categorized.top.map((i) => i.id)).toEqual(['t']);
+    expect(categorized.dress.map((i) => i.id)).toEqual(['none-dress', 'd']);
+  });
+
+  it('leaves out categories replaced by a selected item', () => {
+    const items = selectCreatorItems(CATEGORIES, categorized, { dress: 1, shoes: 1 });
+    expect(items).toEqual({ dress: 'd', shoes: 's' });
+    expect(isCompleteOutfit(CATEGORIES, items)).toBe(true);
+    expect(indexesForItems(CATEGORIES, categorized, items)).toMatchObject({ dress: 1, shoes: 1, hat: 0 });
+  });
+
+  it('needs every required category', () => {
+    expect(isCompleteOutfit(CATEGORIES, { top: 't' })).toBe(false);
+    expect(isCompleteOutfit(CATEGORIES, {})).toBe(false);
+  });
+
+  it('shuffles around the locked categories', () => {
+    // Never skips an optional category and always takes the last candidate.
+    const shuffle = (params) => shuffleCreator({
+      sortedCategories: CATEGORIES,
+      categorizedClothes: categorized,
+      partIndexes: {},
+      lockedParts: {},
+      options: { season: null, matchColors: true, avoidRecent: true },
+      wearLog: [],
+      random: () => 0.99,
+      ...params,
+    });
+    expect(shuffle({ partIndexes: { shoes: 0 }, lockedParts: { shoes: true } })).toEqual({
+      partIndexes: { hat: 0, top: 0, bottom: 0, dress: 1, shoes: 0 },
+      notice: null,
+    });
+    const summery = categorizeClothes(clothes.map((i) => ({ ...i, seasons: ['summer'] })), CATEGORIES);
+    expect(shuffle({ categorizedClothes: summery, options: { season: 'winter', matchColors: false, avoidRecent: false } }).notice).toBe('Nothing fit every rule, so this ignores winter.');
+
+    const inLaundry = categorizeClothes(clothes.map((i) => ({ ...i, status: 'laundry' })), CATEGORIES);
+    expect(shuffle({ categorizedClothes: inLaundry })).toEqual({ partIndexes: null, notice: "There aren't enough wearable items for a complete outfit." });
+  });
+
+  it('wraps around when browsing', () => {
+    expect(nextIndex(3, 2, 1)).toBe(0);
+    expect(nextIndex(3, 0, -1)).toBe(2);
+    expect(nextIndex(0, 5, 1)).toBe(0);
+  });
+});
+
+describe('creator', () => {
+  const clothes = [item('t', 'top'), item('t2', 'top'), item('b', 'bottom')];
+  const placed = { x: 0.5, y: 0.3, scale: 1, rotation: 0, z: 0 };
+  const state = loaded({ clothes, outfits: [outfit('o1', { top: 't2', bottom: 'b' }, 0, { name: 'Work', layout: { top: placed } })] });
+  const editing = reduce(state, actions.updateCreator({ lockedParts: { top: true } }), actions.editOutfit('o1', CATEGORIES));
+
+  it('opens a saved outfit with its pieces showing', () => {
+    expect(editing.creator).toMatchObject({
+      partIndexes: { top: 1, bottom: 0 },
+      lockedParts: { top: true },
+      editingOutfitId: 'o1',
+      details: { name: 'Work', occasion: '' },
+      layout: { top: placed },
+    });
+  });
+
+  it('saves over the outfit being edited and starts over, keeping the locks', () => {
+    const action = actions.saveCreatorOutfit(reduce(editing, actions.updateCreator({ details: { name: ' Office ', occasion: '' } })), CATEGORIES);
+    const next = reduce(editing, action);
+    expect(next.outfits).toHaveLength(1);
+    expect(next.outfits[0]).toMatchObject({ id: 'o1', name: 'Office', items: { top: 't2', bottom: 'b' } });
+    // The bottom wasn't placed yet, so it gets a spot of its own.
+    expect(next.outfits[0].layout).toEqual({ top: placed, bottom: expect.any(Object) });
+    expect(next.creator).toEqual({ ...EMPTY_CREATOR, lockedParts: { top: true } });
+  });
+
+  it('saves a copy as a new outfit', () => {
+    const action = actions.saveCreatorOutfit(editing, CATEGORIES, { asCopy: true });
+    const next = reduce(editing, action);
+    expect(next.outfits.map((o) => o.id)).toEqual(['o1', action.outfit.id]);
+  });
+
+  it('says what an incomplete outfit lacks instead of saving it', () => {
+    const action = actions.saveCreatorOutfit(loaded({ clothes: [item('t', 'top')] }), CATEGORIES);
+    expect(action).toMatchObject({ type: 'notify', message: 'An outfit needs Bottom before it can be saved.' });
+  });
+
+  it('shows an outfit saved before an update reload', () => {
+    const fields = { lockedParts: { bottom: true }, editingOutfitId: 'o1', details: { name: 'Work', occasion: '' }, layout: null };
+    const next = reduce(state, actions.restoreCreator({ items: { top: 't2', bottom: 'b' }, ...fields }, CATEGORIES));
+    expect(next.creator).toEqual({ ...EMPTY_CREATOR, ...fields, partIndexes: { hat: 0, top: 1, bottom: 0, dress: 0, shoes: 0 } });
+  });
+
+  it('moves on to the next outfit, or the previous one at the end', () => {
+    const outfits = [outfit('a', {}, 0), outfit('b', {}, 1), outfit('c', {}, 2)];
+    expect(neighbourOutfit(outfits, 'a').id).toBe('b');
+    expect(neighbourOutfit(outfits, 'c').id).toBe('b');
+    expect(neighbourOutfit([outfits[0]], 'a')).toBeUndefined();
+  });
+});
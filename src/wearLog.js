@@ -0,0 +1,63 @@
+// Wear log: which outfit was worn (or is planned) on which day.
+//
+// Entries copy the outfit's item ids, so an item's history survives the
+// outfit being edited or deleted later.
+
+import { todayKey } from './dates';
+
+/**
+ * @typedef {Object} WearLogEntry
+ * @property {string} id
+ * @property {string} date Local date, YYYY-MM-DD
+ * @property {string | null} outfitId Outfit it came from, if it still exists
+ * @property {Record<string, string>} items Category id -> item id, as worn
+ * @property {'worn' | 'planned'} status
+ */
+
+/**
+ * @param {import('./App.jsx').Outfit} outfit
+ * @param {string} date
+ * @param {'worn' | 'planned'} status
+ * @returns {WearLogEntry}
+ */
+export const createWearEntry = (outfit, date, status) => ({
+  id: `wear-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  date,
+  outfitId: outfit.id,
+  items: { ...outfit.items },
+  status,
+});
+
+/**
+ * Counts wears per item. Only entries marked worn, up to today, count.
+ * @param {WearLogEntry[]} log
+ * @returns {Map<string, import('./wardrobeFilters').WearStats>}
+ */
+export function computeWearStats(log) {
+  const today = todayKey();
+  const stats = new Map();
+  log.forEach((entry) => {
+    if (entry.status !== 'worn' || entry.date > today) return;
+    Object.values(entry.items).forEach((itemId) => {
+      const current = stats.get(itemId) || { count: 0, lastWorn: null };
+      stats.set(itemId, {
+        count: current.count + 1,
+        lastWorn: !current.lastWorn || entry.date > current.lastWorn ? entry.date : current.lastWorn,
+      });
+    });
+  });
+  return stats;
+}
+
+/**
+ * @param {WearLogEntry[]} log
+ * @returns {Map<string, WearLogEntry[]>} Date -> entries on that day
+ */
+export function groupByDate(log) {
+  const byDate = new Map();
+  log.forEach((entry) => {
+    if (!byDate.has(entry.date)) byDate.set(entry.date, []);
+    byDate.get(entry.date).push(entry);
+  });
+  return byDate;
+}
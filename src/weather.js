@@ -0,0 +1,154 @@
+// Today's weather, for the outfit suggestions on the home screen. Where it
+// comes from is up to a provider: the user typing it in (the default) or a
+// forecast service. The last forecast is kept so suggestions work offline.
+
+import { todayKey } from './dates';
+import { DEFAULT_PROFILE_ID, scopedName } from './profiles';
+
+const CACHE_KEY = 'yourfit-forecast';
+
+/** Fetched forecasts are refreshed after this long. */
+export const FORECAST_MAX_AGE = 3 * 60 * 60 * 1000;
+
+/** Rain chance (percent) from which the day counts as rainy. */
+const RAIN_PROBABILITY = 50;
+
+/**
+ * Today's forecast could not be fetched. The message is meant for the user.
+ */
+export class WeatherError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WeatherError';
+  }
+}
+
+/**
+ * @typedef {Object} Forecast
+ * @property {number} temperature Expected high, °C
+ * @property {boolean} rain Rain or snow is likely
+ * @property {string} date Local day the forecast is for, YYYY-MM-DD
+ * @property {string} source Id of the provider it came from
+ * @property {number} fetchedAt
+ */
+
+/**
+ * @typedef {Object} WeatherProvider
+ * @property {string} id One of WEATHER_SOURCES
+ * @property {boolean} isManual The user enters the weather; `getForecast` has nothing to fetch
+ * @property {() => Promise<Forecast | null>} getForecast
+ */
+
+export const WEATHER_SOURCES = [
+  { id: 'manual', name: 'Enter it myself' },
+  { id: 'open-meteo', name: 'Forecast for my location' },
+];
+
+/**
+ * @param {{ temperature: number, rain: boolean }} weather
+ * @param {string} [source]
+ * @returns {Forecast} A forecast for today
+ */
+export const makeForecast = ({ temperature, rain }, source = 'manual') => ({
+  temperature: Math.round(temperature),
+  rain: Boolean(rain),
+  date: todayKey(),
+  source,
+  fetchedAt: Date.now(),
+});
+
+// --- PROVIDERS ---
+
+/** @returns {WeatherProvider} */
+export const createManualProvider = () => ({
+  id: 'manual',
+  isManual: true,
+  getForecast: async () => null,
+});
+
+const currentPosition = () => new Promise((resolve, reject) => {
+  if (!navigator.geolocation) {
+    reject(new WeatherError('This browser can’t share your location, so there is no forecast. Enter the weather yourself instead.'));
+    return;
+  }
+  navigator.geolocation.getCurrentPosition(
+    ({ coords }) => resolve({ latitude: coords.latitude, longitude: coords.longitude }),
+    () => reject(new WeatherError('YourFit needs your location for the forecast. Allow it in the browser, or enter the weather yourself.')),
+    { maximumAge: FORECAST_MAX_AGE, timeout: 15000 },
+  );
+});
+
+/**
+ * Forecasts from Open-Meteo (no account needed). `baseUrl`, `fetch` and
+ * `getPosition` can be swapped, e.g. for a local mock server in tests.
+ * @param {{ baseUrl?: string, fetch?: typeof fetch, getPosition?: () => Promise<{ latitude: number, longitude: number }> }} [options]
+ * @returns {WeatherProvider}
+ */
+export function createOpenMeteoProvider({ baseUrl = 'https://api.open-meteo.com', fetch = globalThis.fetch, getPosition = currentPosition } = {}) {
+  return {
+    id: 'open-meteo',
+    isManual: false,
+    async getForecast() {
+      const { latitude, longitude } = await getPosition();
+      const params = new URLSearchParams({
+        latitude: latitude.toFixed(2),
+        longitude: longitude.toFixed(2),
+        daily: 'temperature_2m_max,precipitation_probability_max',
+        timezone: 'auto',
+        forecast_days: '1',
+      });
+      let response;
+      try {
+        response = await fetch(`${baseUrl}/v1/forecast?${params}`);
+      } catch {
+        throw new WeatherError('Couldn’t reach the forecast service. Check your connection.');
+      }
+      if (!response.ok) throw new WeatherError(`The forecast service is unavailable (${response.status}). Try again later.`);
+      const { daily } = await response.json();
+      const temperature = daily?.temperature_2m_max?.[0];
+      if (!Number.isFinite(temperature)) throw new WeatherError('The forecast service sent an incomplete forecast.');
+      return makeForecast({ temperature, rain: (daily.precipitation_probability_max?.[0] ?? 0) >= RAIN_PROBABILITY }, 'open-meteo');
+    },
+  };
+}
+
+/**
+ * @param {string} source Id from WEATHER_SOURCES; unknown ids get the manual provider
+ * @returns {WeatherProvider}
+ */
+export const createWeatherProvider = (source) => (source === 'open-meteo' ? createOpenMeteoProvider() : createManualProvider());
+
+// --- CACHE ---
+
+/**
+ * @param {string} [profileId]
+ * @returns {Forecast | null}
+ */
+export function loadCachedForecast(profileId = DEFAULT_PROFILE_ID) {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(scopedName(profileId, CACHE_KEY)));
+    return parsed && Number.isFinite(parsed.temperature) && typeof parsed.date === 'string' ? parsed : null;
+  } catch (error) {
+    console.error('Failed to parse the cached forecast', error);
+    return null;
+  }
+}
+
+/**
+ * @param {Forecast | null} forecast
+ * @param {string} [profileId]
+ */
+export function cacheForecast(forecast, profileId = DEFAULT_PROFILE_ID) {
+  const key = scopedName(profileId, CACHE_KEY);
+  if (forecast) localStorage.setItem(key, JSON.stringify(forecast));
+  else localStorage.removeItem(key);
+}
+
+/**
+ * @param {Forecast | null} forecast
+ * @param {WeatherProvider} provider
+ * @returns {boolean} Whether the provider should be asked for a new forecast
+ */
+export const needsRefresh = (forecast, provider) => !provider.isManual && (
+  !forecast || forecast.source !== provider.id || forecast.date !== todayKey() || Date.now() - forecast.fetchedAt > FORECAST_MAX_AGE
+);
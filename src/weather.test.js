@@ -0,0 +1,81 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { createServer } from 'node:http';
+import { createOpenMeteoProvider, createManualProvider, makeForecast, loadCachedForecast, cacheForecast, needsRefresh, WeatherError, FORECAST_MAX_AGE } from './weather';
+import { todayKey, addDays } from './dates';
+
+const BERLIN = { latitude: 52.52, longitude: 13.405 };
+
+// Stands in for the forecast API: answers by the path it is asked for.
+let server;
+let baseUrl;
+const requests = [];
+
+beforeAll(async () => {
+  server = createServer((request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    requests.push(url);
+    const reply = (status, body) => {
+      response.writeHead(status, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify(body));
+    };
+    if (url.pathname === '/rainy/v1/forecast') reply(200, { daily: { temperature_2m_max: [11.6], precipitation_probability_max: [80] } });
+    else if (url.pathname === '/dry/v1/forecast') reply(200, { daily: { temperature_2m_max: [27.2], precipitation_probability_max: [10] } });
+    else if (url.pathname === '/empty/v1/forecast') reply(200, { daily: {} });
+    else reply(503, { error: true });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+const provider = (path) => createOpenMeteoProvider({ baseUrl: `${baseUrl}/${path}`, getPosition: async () => BERLIN });
+
+describe('createOpenMeteoProvider', () => {
+  it('asks for today at the rounded location', async () => {
+    const forecast = await provider('rainy').getForecast();
+    expect(forecast).toMatchObject({ temperature: 12, rain: true, date: todayKey(), source: 'open-meteo' });
+    const params = requests[requests.length - 1].searchParams;
+    expect(params.get('latitude')).toBe('52.52');
+    expect(params.get('longitude')).toBe('13.40');
+    expect(params.get('forecast_days')).toBe('1');
+  });
+
+  it('counts low rain chances as dry', async () => {
+    expect(await provider('dry').getForecast()).toMatchObject({ temperature: 27, rain: false });
+  });
+
+  it('explains failures', async () => {
+    await expect(provider('down').getForecast()).rejects.toThrow('The forecast service is unavailable (503). Try again later.');
+    await expect(provider('empty').getForecast()).rejects.toThrow(WeatherError);
+    const offline = createOpenMeteoProvider({ getPosition: async () => BERLIN, fetch: () => Promise.reject(new TypeError('Failed to fetch')) });
+    await expect(offline.getForecast()).rejects.toThrow('Couldn’t reach the forecast service. Check your connection.');
+  });
+});
+
+describe('forecast cache', () => {
+  it('keeps the last forecast', () => {
+    const forecast = makeForecast({ temperature: 8.4, rain: true });
+    cacheForecast(forecast);
+    expect(loadCachedForecast()).toEqual({ ...forecast, temperature: 8 });
+    cacheForecast(null);
+    expect(loadCachedForecast()).toBeNull();
+  });
+
+  it('ignores damaged entries', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    localStorage.setItem('yourfit-forecast', '{');
+    expect(loadCachedForecast()).toBeNull();
+  });
+
+  it('refreshes fetched forecasts once they are old or from another day', () => {
+    const fetched = makeForecast({ temperature: 20, rain: false }, 'open-meteo');
+    const forecasts = provider('dry');
+    expect(needsRefresh(fetched, forecasts)).toBe(false);
+    expect(needsRefresh(null, forecasts)).toBe(true);
+    expect(needsRefresh({ ...fetched, source: 'manual' }, forecasts)).toBe(true);
+    expect(needsRefresh({ ...fetched, date: addDays(todayKey(), -1) }, forecasts)).toBe(true);
+    expect(needsRefresh({ ...fetched, fetchedAt: Date.now() - FORECAST_MAX_AGE - 1 }, forecasts)).toBe(true);
+    expect(needsRefresh(null, createManualProvider())).toBe(false);
+  });
+});
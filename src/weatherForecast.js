@@ -0,0 +1,60 @@
+// Today's forecast for the home screen: cached per profile, fetched again
+// when it is stale, or typed in by hand with the manual source (weather.js).
+
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { WeatherError, createWeatherProvider, makeForecast, loadCachedForecast, cacheForecast, needsRefresh } from './weather';
+import { todayKey } from './dates';
+
+/**
+ * @param {string} profileId
+ * @param {string} weatherSource Id from WEATHER_SOURCES
+ * @returns {{
+ *   forecast: import('./weather').Forecast | null,
+ *   isManual: boolean,
+ *   isLoading: boolean,
+ *   error: string | null,
+ *   refresh: () => Promise<void>,
+ *   setManualWeather: (weather: { temperature: number, rain: boolean }) => void,
+ * }} `forecast` is null when there is nothing worth showing for today
+ */
+export function useForecast(profileId, weatherSource) {
+  const [forecast, setForecast] = useState(() => loadCachedForecast(profileId));
+  const [status, setStatus] = useState({ isLoading: false, error: null });
+  const provider = useMemo(() => createWeatherProvider(weatherSource), [weatherSource]);
+  const providerRef = useRef(provider);
+
+  useEffect(() => {
+    cacheForecast(forecast, profileId);
+  }, [profileId, forecast]);
+
+  // On failure the cached forecast stays up, marked with its date.
+  const refresh = useCallback(async () => {
+    const current = providerRef.current;
+    setStatus({ isLoading: true, error: null });
+    try {
+      const next = await current.getForecast();
+      if (current !== providerRef.current) return;
+      if (next) setForecast(next);
+      setStatus({ isLoading: false, error: null });
+    } catch (error) {
+      console.error('Failed to get the forecast', error);
+      if (current !== providerRef.current) return;
+      setStatus({ isLoading: false, error: error instanceof WeatherError ? error.message : "Couldn't get the forecast." });
+    }
+  }, []);
+
+  useEffect(() => {
+    // A forecast still arriving from the previous source is dropped.
+    providerRef.current = provider;
+    if (needsRefresh(loadCachedForecast(profileId), provider)) refresh();
+    else setStatus({ isLoading: false, error: null });
+  }, [profileId, provider, refresh]);
+
+  const setManualWeather = useCallback((weather) => setForecast(makeForecast(weather)), []);
+
+  // Typed-in weather is only good for the day; a fetched forecast that can't
+  // be refreshed is still better than nothing.
+  const todaysForecast = forecast && (forecast.date === todayKey() || !provider.isManual) ? forecast : null;
+
+  return { forecast: todaysForecast, isManual: provider.isManual, ...status, refresh, setManualWeather };
+}
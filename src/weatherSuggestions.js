@@ -0,0 +1,112 @@
+// Picks the saved outfit that suits today's weather best, from the seasons,
+// warmth and tags of its pieces, and says why.
+
+import { getCategory } from './categories';
+import { isWearable, displayName } from './itemMetadata';
+
+/**
+ * Temperature bands, coldest first. A day falls in the first band whose
+ * `below` is above its high (°C). Pieces whose warmth is in `suits` count for
+ * an outfit, ones in `avoid` against it.
+ */
+export const WEATHER_BANDS = [
+  { id: 'cold', below: 10, seasons: ['winter'], suits: ['warm'], avoid: ['light'] },
+  { id: 'cool', below: 18, seasons: ['autumn', 'spring'], suits: ['medium'], avoid: [] },
+  { id: 'mild', below: 25, seasons: ['spring', 'summer'], suits: ['light', 'medium'], avoid: ['warm'] },
+  { id: 'hot', below: Infinity, seasons: ['summer'], suits: ['light'], avoid: ['warm'] },
+];
+
+/** Pieces tagged like this count as rain gear. */
+export const WATERPROOF_TAG = 'waterproof';
+
+const MAX_REASONS = 3;
+
+const WARMTH_PHRASES = { light: 'is light enough for', medium: 'is right for', warm: 'is warm enough for' };
+
+/**
+ * @param {number} temperature °C
+ * @returns {typeof WEATHER_BANDS[number]}
+ */
+export const bandFor = (temperature) => WEATHER_BANDS.find((band) => temperature < band.below);
+
+/**
+ * @typedef {Object} Suggestion
+ * @property {import('./App.jsx').Outfit} outfit
+ * @property {string[]} reasons Most important first, e.g. "Raincoat is waterproof"
+ */
+
+/**
+ * Scores one piece against the weather. Rain reasons come first, then warmth,
+ * then seasons, which is the order they are shown in.
+ * @returns {{ score: number, reasons: Array<[number, string]> }} Reasons with their rank
+ */
+function scorePiece(item, category, forecast, band) {
+  const name = displayName(item, category);
+  let score = 0;
+  const reasons = [];
+
+  if (forecast.rain) {
+    if (item.tags?.includes(WATERPROOF_TAG)) {
+      score += 2;
+      reasons.push([0, `${name} is waterproof`]);
+    } else if (item.type === 'jacket') {
+      score += 1;
+      reasons.push([0, `${name} keeps the rain off`]);
+    }
+  }
+
+  if (band.suits.includes(item.warmth)) {
+    score += 1;
+    reasons.push([1, `${name} ${WARMTH_PHRASES[item.warmth]} ${forecast.temperature}°`]);
+  } else if (band.avoid.includes(item.warmth)) {
+    score -= 1;
+  }
+
+  if (item.seasons?.length > 0) {
+    const season = item.seasons.find((s) => band.seasons.includes(s));
+    if (season) {
+      score += 1;
+      reasons.push([2, `${name} is for ${season}`]);
+    } else {
+      score -= 1;
+    }
+  }
+
+  return { score, reasons };
+}
+
+/**
+ * Outfits with a piece that is missing or can't be worn are left out. Ties go
+ * to favourites, then to the outfit listed first.
+ * @param {{ outfits: import('./App.jsx').Outfit[], clothesById: Map<string, import('./App.jsx').ClothingItem>, categories: import('./categories').CategoryDefinition[], forecast: import('./weather').Forecast }} params
+ * @returns {Suggestion | null} Null when nothing is known to suit the weather
+ */
+export function suggestOutfit({ outfits, clothesById, categories, forecast }) {
+  const band = bandFor(forecast.temperature);
+  let best = null;
+
+  outfits.forEach((outfit) => {
+    const pieces = Object.entries(outfit.items).map(([categoryId, itemId]) => [getCategory(categories, categoryId), clothesById.get(itemId)]);
+    if (pieces.some(([, item]) => !item || !isWearable(item))) return;
+
+    let score = 0;
+    const reasons = [];
+    pieces.forEach(([category, item]) => {
+      const piece = scorePiece(item, category, forecast, band);
+      score += piece.score;
+      reasons.push(...piece.reasons);
+    });
+    if (score <= 0) return;
+    if (best && (score < best.score || (score === best.score && (best.outfit.favorite || !outfit.favorite)))) return;
+    best = { outfit, score, reasons };
+  });
+
+  if (!best) return null;
+  return {
+    outfit: best.outfit,
+    reasons: best.reasons
+      .sort((a, b) => a[0] - b[0])
+      .slice(0, MAX_REASONS)
+      .map(([, reason]) => reason),
+  };
+}
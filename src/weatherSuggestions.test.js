@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { suggestOutfit, bandFor } from './weatherSuggestions';
+import { DEFAULT_CATEGORIES, CATEGORY_PRESETS } from './categories';
+
+const CATEGORIES = [...DEFAULT_CATEGORIES, CATEGORY_PRESETS.find((cat) => cat.id === 'jacket')];
+
+const item = (id, type, fields = {}) => ({ id, type, name: '', tags: [], seasons: [], ...fields });
+const CLOTHES = [
+  item('tee', 'top', { name: 'Linen shirt', warmth: 'light', seasons: ['summer'] }),
+  item('jumper', 'top', { name: 'Wool jumper', warmth: 'warm', seasons: ['winter', 'autumn'] }),
+  item('shorts', 'bottom', { warmth: 'light' }),
+  item('jeans', 'bottom'),
+  item('coat', 'jacket', { name: 'Raincoat', tags: ['waterproof'] }),
+];
+const clothesById = new Map(CLOTHES.map((i) => [i.id, i]));
+
+const outfit = (id, items, fields = {}) => ({ id, items, name: '', favorite: false, ...fields });
+const SUMMER = outfit('summer', { top: 'tee', bottom: 'shorts' });
+const WINTER = outfit('winter', { top: 'jumper', bottom: 'jeans' });
+const RAINY = outfit('rainy', { top: 'jumper', bottom: 'jeans', jacket: 'coat' });
+
+const suggest = (forecast, outfits = [SUMMER, WINTER], clothes = clothesById) => suggestOutfit({
+  outfits, clothesById: clothes, categories: CATEGORIES, forecast: { rain: false, ...forecast },
+});
+
+describe('suggestOutfit', () => {
+  it('sorts temperatures into bands', () => {
+    expect([-5, 9, 10, 17, 18, 24, 25, 40].map((t) => bandFor(t).id)).toEqual(['cold', 'cold', 'cool', 'cool', 'mild', 'mild', 'hot', 'hot']);
+  });
+
+  it('matches warmth and seasons to the temperature and says why', () => {
+    expect(suggest({ temperature: 30 })).toEqual({
+      outfit: SUMMER,
+      reasons: ['Linen shirt is light enough for 30°', 'Bottom is light enough for 30°', 'Linen shirt is for summer'],
+    });
+    expect(suggest({ temperature: 3 })).toEqual({
+      outfit: WINTER,
+      reasons: ['Wool jumper is warm enough for 3°', 'Wool jumper is for winter'],
+    });
+  });
+
+  it('puts rain gear first on rainy days', () => {
+    const suggestion = suggest({ temperature: 6, rain: true }, [WINTER, RAINY]);
+    expect(suggestion.outfit).toBe(RAINY);
+    expect(suggestion.reasons[0]).toBe('Raincoat is waterproof');
+  });
+
+  it('prefers favourites when outfits suit the weather equally', () => {
+    const favorite = { ...WINTER, id: 'fav', favorite: true };
+    expect(suggest({ temperature: 3 }, [WINTER, favorite]).outfit).toBe(favorite);
+  });
+
+  it('leaves out outfits with pieces that are away', () => {
+    const clothes = new Map(clothesById).set('tee', { ...clothesById.get('tee'), status: 'laundry' });
+    expect(suggest({ temperature: 30 }, [SUMMER], clothes)).toBeNull();
+  });
+
+  it('suggests nothing when no outfit is known to fit', () => {
+    expect(suggest({ temperature: 30 }, [WINTER])).toBeNull();
+    expect(suggest({ temperature: 15 }, [outfit('plain', { top: 'jeans' })])).toBeNull();
+  });
+});
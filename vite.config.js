@@ -1,7 +1,17 @@
+import { readFileSync } from 'node:fs'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import serviceWorkerPlugin from './serviceWorkerPlugin.js'
+
+// GitHub Pages serves the app from the path of `homepage` in package.json.
+const { homepage } = JSON.parse(readFileSync(new URL('./package.json', import.meta.url), 'utf8'))
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
-})
+export default defineConfig(({ command }) => ({
+  base: command === 'build' ? new URL(homepage).pathname.replace(/\/?$/, '/') : '/',
+  plugins: [react(), serviceWorkerPlugin()],
+  test: {
+    environment: 'jsdom',
+    setupFiles: './src/setupTests.js',
+  },
+}))